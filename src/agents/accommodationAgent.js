@@ -13,9 +13,20 @@ export class AccommodationAgent extends TripPlanningAgent {
         providers: ['rapidapi', 'booking.com']
       }
     );
+
+    // The AI weighs the options; recommendations are built from the search results
+    this.resultSchema = {
+      type: 'object',
+      properties: {
+        recommendations: { type: 'array', items: { type: 'object' } },
+        confidence: { type: 'number', minimum: 0, maximum: 100 },
+        reasoning: { type: 'string' }
+      },
+      required: ['confidence', 'reasoning']
+    };
   }
 
-  async search(criteria) {
+  async search(criteria, { signal } = {}) {
     try {
       this.logInfo('AccommodationAgent searching with criteria:', criteria);
 
@@ -36,19 +47,21 @@ export class AccommodationAgent extends TripPlanningAgent {
         placeId: criteria.destinationPlaceId
       };
 
-      const accommodations = await bookingService.searchHotels(searchParams);
+      const accommodations = await bookingService.searchHotels(searchParams, { signal });
       this.logInfo(`Found ${accommodations.length} accommodations from RapidAPI`);
 
       // Apply client-side filtering
       return this.applyFilters(accommodations, criteria);
 
     } catch (error) {
+      // Mock data must not stand in for a timed-out or cancelled search
+      signal?.throwIfAborted();
       this.logError('AccommodationAgent search error:', error);
 
       // Fallback to mock data if API fails (for development)
       if (process.env.NODE_ENV === 'development') {
         this.logInfo('Falling back to mock data for development');
-        return this.getMockAccommodations(criteria);
+        return this.fallbackResults(this.getMockAccommodations(criteria));
       }
 
       throw error;
@@ -197,39 +210,26 @@ export class AccommodationAgent extends TripPlanningAgent {
       };
     }
 
-    const prompt = `
-You are a travel expert analyzing accommodation options. Here are the search criteria and results:
-
-Search Criteria:
-- Destination: ${task.criteria.destination}
-- Check-in: ${task.criteria.checkInDate}
-- Check-out: ${task.criteria.checkOutDate}
-- Guests: ${task.criteria.guests || task.criteria.travelers || 1}
-- Budget: ${task.criteria.maxPrice ? `$${task.criteria.maxPrice} max per night` : 'No limit'}
-- Required amenities: ${task.criteria.requiredAmenities?.join(', ') || 'None specified'}
-
-Accommodation Options (Top 5):
-${JSON.stringify(results.slice(0, 5).map(h => ({
-  name: h.name,
-  type: h.type,
-  price: h.price,
-  currency: h.currency,
-  rating: h.rating,
-  location: { distance: h.location?.distance, address: h.location?.address?.substring(0, 50) },
-  amenities: h.amenities?.slice(0, 8) // Top amenities only
-})), null, 2)}
-
-Please provide:
-1. Your top 3 accommodation recommendations with clear reasoning
-2. Key factors you considered (price, location, rating, amenities)
-3. Any notable trade-offs or alternatives
-4. Confidence score (0-100) based on options available
-
-Be conversational and helpful, like a knowledgeable travel agent.
-    `;
+    const prompt = this.renderPrompt('accommodation.recommendations', {
+      destination: task.criteria.destination,
+      checkInDate: task.criteria.checkInDate || 'Not specified',
+      checkOutDate: task.criteria.checkOutDate || 'Not specified',
+      guests: task.criteria.guests || task.criteria.travelers || 1,
+      budget: task.criteria.maxPrice != null ? `${task.criteria.currency || 'USD'} ${task.criteria.maxPrice} max per night` : 'No limit',
+      amenities: task.criteria.requiredAmenities?.join(', ') || 'None specified',
+      accommodations: JSON.stringify(results.slice(0, 5).map(h => ({
+        name: h.name,
+        type: h.type,
+        price: h.price,
+        currency: h.currency,
+        rating: h.rating,
+        location: { distance: h.location?.distance, address: h.location?.address?.substring(0, 50) },
+        amenities: h.amenities?.slice(0, 8) // Top amenities only
+      })), null, 2)
+    });
 
     try {
-      const aiResponse = await this.generateStructuredResponse(prompt, this.resultSchema);
+      const aiResponse = await this.generateStructuredResponse(prompt, this.resultSchema, { signal: task.signal });
       
       const topHotels = results.slice(0, 3).map((hotel, index) =>
         this.transformAccommodationRecommendation(hotel, index)
@@ -248,6 +248,7 @@ Be conversational and helpful, like a knowledgeable travel agent.
         }
       };
     } catch (error) {
+      task.signal?.throwIfAborted();
       this.logError('AI recommendation generation failed:', error);
       
       // Fallback to rule-based recommendations
@@ -1,5 +1,31 @@
 import { TripPlanningAgent } from './baseAgent.js';
 
+// One activity as the AI returns it, from search and from the final selection
+const ACTIVITY_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    category: { type: 'string' }, // cultural, food, adventure, entertainment, nature, arts, historical, etc.
+    duration: { type: 'string' },
+    price: { type: ['number', 'null'], minimum: 0 }, // per person; null when unknown
+    rating: { type: ['number', 'null'], minimum: 0, maximum: 5 },
+    location: { type: 'string' },
+    bookingRequired: { type: 'boolean' },
+    imageUrl: { type: 'string' }
+  },
+  required: ['name', 'description']
+};
+
+const ACTIVITY_SEARCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    recommendations: { type: 'array', items: ACTIVITY_SCHEMA }
+  },
+  required: ['recommendations']
+};
+
 export class ActivityAgent extends TripPlanningAgent {
   constructor(aiConfig = {}) {
     super(
@@ -14,29 +40,13 @@ export class ActivityAgent extends TripPlanningAgent {
     
     // Override the base resultSchema with activity-specific structure
     this.resultSchema = {
-      recommendations: [
-        {
-          id: 'string',
-          name: 'string',
-          description: 'string',
-          category: 'string', // cultural, food, adventure, entertainment, nature, arts, historical, etc.
-          duration: 'string',
-          price: 'number', // Changed from estimatedPrice to match TripOrchestrator expectations
-          rating: 'number',
-          location: 'string',
-          bookingRequired: 'boolean',
-          imageUrl: 'string' // Optional image URL for the activity
-        }
-      ],
-      confidence: 'number', // 0-100 confidence score
-      reasoning: 'string', // Explanation of why these activities were selected
-      metadata: {
-        source: 'string',
-        timestamp: 'string',
-        totalResults: 'number',
-        destination: 'string',
-        searchCriteria: {}
-      }
+      type: 'object',
+      properties: {
+        recommendations: { type: 'array', items: ACTIVITY_SCHEMA },
+        confidence: { type: 'number', minimum: 0, maximum: 100 },
+        reasoning: { type: 'string' } // Why these activities were selected
+      },
+      required: ['recommendations', 'confidence']
     };
 
     this.mockActivities = [
@@ -131,7 +141,7 @@ export class ActivityAgent extends TripPlanningAgent {
     ];
   }
 
-  async search(criteria) {
+  async search(criteria, { signal } = {}) {
     const startTime = Date.now();
     this.logInfo('🎯 ActivityAgent.search: Starting');
     this.logInfo('🎯 ActivityAgent.search: Criteria:', JSON.stringify({
@@ -148,103 +158,43 @@ export class ActivityAgent extends TripPlanningAgent {
       const prompt = this.buildActivitySearchPrompt(criteria);
       this.logInfo('📝 ActivityAgent.search: Prompt length:', prompt.length, 'characters');
 
-      const activitySchema = {
-        recommendations: [
-          {
-            id: 'string',
-            name: 'string',
-            description: 'string',
-            category: 'string',
-            duration: 'string',
-            price: 'number',
-            rating: 'number',
-            location: 'string',
-            bookingRequired: 'boolean',
-            imageUrl: 'string'
-          }
-        ]
-      };
-
       this.logInfo('🔍 ActivityAgent.search: Step 2 - Calling AI provider...');
       this.logInfo('   AI Provider:', this.aiProvider?.constructor?.name || 'Unknown');
       const aiStartTime = Date.now();
 
-      const response = await this.generateStructuredResponse(prompt, activitySchema);
+      // Validated against the schema, with repair re-prompts, by the AI provider
+      const response = await this.generateStructuredResponse(prompt, ACTIVITY_SEARCH_SCHEMA, { signal });
 
       const aiDuration = Date.now() - aiStartTime;
       this.logInfo(`⏱️ ActivityAgent.search: AI call completed in ${aiDuration}ms`);
-      this.logInfo('📊 ActivityAgent.search: Response type:', typeof response);
-      
-      this.logInfo('🔍 ActivityAgent.search: Step 3 - Parsing AI response...');
-
-      // More robust response parsing
-      let recommendations = null;
-
-      if (response) {
-        this.logInfo('   Response has keys:', Object.keys(response));
-
-        // Try different possible response structures
-        if (response.content && response.content.recommendations && Array.isArray(response.content.recommendations)) {
-          recommendations = response.content.recommendations;
-          this.logInfo('   ✅ Found recommendations in response.content.recommendations');
-        } else if (response.recommendations && Array.isArray(response.recommendations)) {
-          recommendations = response.recommendations;
-          this.logInfo('   ✅ Found recommendations in response.recommendations');
-        } else if (response.content && response.content.activities && Array.isArray(response.content.activities)) {
-          recommendations = response.content.activities;
-          this.logInfo('   ✅ Found recommendations in response.content.activities');
-        } else if (response.activities && Array.isArray(response.activities)) {
-          recommendations = response.activities;
-          this.logInfo('   ✅ Found recommendations in response.activities');
-        } else if (Array.isArray(response)) {
-          recommendations = response;
-          this.logInfo('   ✅ Response is array');
-        } else {
-          this.logError('   ❌ Could not find recommendations in response structure');
-          this.logError('   Response structure:', JSON.stringify(response, null, 2).substring(0, 500));
-        }
-      } else {
-        this.logError('   ❌ Response is null/undefined');
-      }
 
-      if (recommendations && Array.isArray(recommendations) && recommendations.length > 0) {
+      const recommendations = response.content.recommendations;
+
+      if (recommendations.length > 0) {
         this.logInfo(`✅ ActivityAgent.search: Found ${recommendations.length} recommendations`);
         this.logDebug?.('ActivityAgent.search raw recs sample', recommendations.slice(0, 2));
 
-        // Sanitize price data - convert "N/A" or invalid strings to null
-        this.logInfo('🔍 ActivityAgent.search: Step 4 - Sanitizing data...');
-        const sanitized = recommendations.map((activity, idx) => {
-          const sanitizedActivity = { ...activity };
-
-          // Ensure required fields exist
-          sanitizedActivity.id = sanitizedActivity.id || `ACT-${idx + 1}`;
-          sanitizedActivity.name = sanitizedActivity.name || sanitizedActivity.title || `Activity ${idx + 1}`;
-          sanitizedActivity.description = sanitizedActivity.description || sanitizedActivity.details || 'Activity';
-          sanitizedActivity.price = typeof sanitizedActivity.price === 'number' ? sanitizedActivity.price : 0;
-
-          // Handle price field
-          if (activity.price === 'N/A' || activity.price === 'n/a' || typeof activity.price === 'string') {
-            sanitizedActivity.price = null;
-            this.logInfo(`⚠️ Sanitized price for ${activity.name}: "${activity.price}" → null`);
-          } else if (activity.price === undefined || activity.price === null) {
-            sanitizedActivity.price = null;
-          }
-
-          return sanitizedActivity;
-        });
+        const sanitized = recommendations.map((activity, idx) => ({
+          ...activity,
+          id: activity.id || `ACT-${idx + 1}`,
+          price: activity.price ?? null,
+          currency: criteria.currency || 'USD'
+        }));
 
         const totalDuration = Date.now() - startTime;
         this.logInfo(`✅ ActivityAgent.search: Completed successfully in ${totalDuration}ms`);
         return sanitized;
       } else {
-        this.logError(`❌ ActivityAgent.search: AI returned empty or invalid recommendations`);
+        this.logError(`❌ ActivityAgent.search: AI returned no recommendations`);
         this.logWarn('   Falling back to mock activities immediately');
 
         const mockData = this.getMockActivities(criteria);
         this.logInfo(`📊 ActivityAgent.search: Returning ${mockData.length} mock activities as fallback`);
-        return mockData;
+        return this.fallbackResults(mockData);
       }
     } catch (error) {
+      // Mock data must not stand in for a timed-out or cancelled search
+      signal?.throwIfAborted();
       const totalDuration = Date.now() - startTime;
       this.logError(`❌ ActivityAgent.search: Failed after ${totalDuration}ms`);
       this.logError(`   Error: ${error.message}`);
@@ -253,7 +203,7 @@ export class ActivityAgent extends TripPlanningAgent {
 
       const mockData = this.getMockActivities(criteria);
       this.logInfo(`📊 ActivityAgent.search: Returning ${mockData.length} mock activities as fallback`);
-      return mockData;
+      return this.fallbackResults(mockData);
     }
   }
 
@@ -264,45 +214,19 @@ export class ActivityAgent extends TripPlanningAgent {
       travelersCount = 1,
       durationPreferences = 'flexible',
       travelStyle,
-      dates
+      dates,
+      currency = 'USD'
     } = criteria;
 
-    return `You are a travel activity expert. Generate 5-8 specific, high-quality activity recommendations for the following criteria:
-
-DESTINATION: ${destination}
-TRAVELERS: ${travelersCount} person${travelersCount > 1 ? 's' : ''}
-INTERESTS: ${interests.length > 0 ? interests.join(', ') : 'General sightseeing and cultural experiences'}
-DURATION PREFERENCES: ${durationPreferences}
-${travelStyle ? `TRAVEL STYLE: ${travelStyle}` : ''}
-${dates ? `TRAVEL DATES: ${dates}` : ''}
-
-REQUIREMENTS:
-1. Each activity must be specific to the destination and realistically available there
-2. Vary activity types: cultural, adventure, food, entertainment, nature, arts, historical, etc.
-3. Include a mix of durations: some short (1-3 hours), some longer (4-8 hours)
-4. Consider the traveler interests and suggest activities that align with them
-5. Provide realistic pricing in USD
-6. Include accurate location details within the destination
-7. Specify if advance booking is typically required
-
-For each activity, provide:
-- id: unique identifier (ACT + 3 digits)
-- name: specific, appealing activity name
-- description: detailed description (2-3 sentences) explaining what travelers will experience
-- category: one word category (cultural, adventure, food, nature, entertainment, arts, historical, shopping, etc.)
-- duration: specific time estimate (e.g., "2 hours", "half day", "full day")
-- price: realistic price per person in USD (number only)
-- rating: realistic rating out of 5 (decimal allowed, e.g., 4.3)
-- location: specific area/neighborhood within the destination
-- bookingRequired: true if advance booking typically needed, false if walk-in friendly
-- imageUrl: a representative Unsplash image URL related to the activity type (optional but recommended)
-
-Also provide:
-- confidence: your confidence level in these recommendations (0-100)
-- reasoning: brief explanation of why these activities fit the criteria
-- totalResults: number of activities provided
-
-Focus on quality over quantity. Make recommendations that would genuinely enhance a traveler's experience in ${destination}.`;
+    return this.renderPrompt('activity.search', {
+      destination,
+      currency,
+      travelers: `${travelersCount} person${travelersCount > 1 ? 's' : ''}`,
+      interests: interests.length > 0 ? interests.join(', ') : 'General sightseeing and cultural experiences',
+      durationPreferences,
+      travelStyleLine: travelStyle ? `TRAVEL STYLE: ${travelStyle}` : '',
+      datesLine: dates ? `TRAVEL DATES: ${dates}` : ''
+    });
   }
 
   getMockActivities(criteria) {
@@ -412,6 +336,9 @@ Focus on quality over quantity. Make recommendations that would genuinely enhanc
       interests: task.criteria?.interests
     });
 
+    // Ranked search results are usable on their own; show them while the AI picks the final set
+    await task.emit?.(results);
+
     try {
       this.logInfo('🔍 ActivityAgent.generateRecommendations: Calling parent class method...');
       const aiStartTime = Date.now();
@@ -446,17 +373,20 @@ Focus on quality over quantity. Make recommendations that would genuinely enhanc
 
       return enhanced;
     } catch (error) {
+      task.signal?.throwIfAborted();
       const totalDuration = Date.now() - startTime;
       this.logError(`❌ ActivityAgent.generateRecommendations: Failed after ${totalDuration}ms`);
       this.logError(`   Error: ${error.message}`);
       this.logError(`   Stack: ${error.stack}`);
       this.logWarn(`⚠️ ActivityAgent generateRecommendations failed: ${error.message}. Using direct fallback.`);
 
-      // Direct fallback structure when AI fails
+      // Direct fallback structure when AI fails, shaped like the AI response
       const fallback = {
-        recommendations: results || [],
-        confidence: 60,
-        reasoning: 'Using fallback recommendations due to AI service unavailability. These are curated activities based on your criteria.',
+        content: {
+          recommendations: results || [],
+          confidence: 60,
+          reasoning: 'Using fallback recommendations due to AI service unavailability. These are curated activities based on your criteria.'
+        },
         metadata: {
           source: 'fallback',
           timestamp: new Date().toISOString(),
@@ -470,7 +400,7 @@ Focus on quality over quantity. Make recommendations that would genuinely enhanc
         }
       };
 
-      this.logInfo(`📊 ActivityAgent.generateRecommendations: Returning fallback with ${fallback.recommendations.length} items`);
+      this.logInfo(`📊 ActivityAgent.generateRecommendations: Returning fallback with ${fallback.content.recommendations.length} items`);
       return fallback;
     }
   }
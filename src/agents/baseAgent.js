@@ -1,6 +1,11 @@
 import { AIProviderFactory } from '../services/aiProvider.js';
+import { measureResponse, sumUsage, emptyUsage } from '../services/aiUsage.js';
+import { renderPrompt } from '../prompts/index.js';
 import logger from '../utils/logger.js';
 
+// Search results that stand in for provider data (mock fallbacks)
+const FALLBACK_RESULTS = new WeakSet();
+
 export class BaseAgent {
   constructor(name, capabilities = [], aiConfig = {}) {
     this.name = name;
@@ -11,6 +16,11 @@ export class BaseAgent {
       aiConfig.provider || process.env.AI_PROVIDER || 'openai',
       aiConfig
     );
+    // Providers that answered this agent's AI calls, in call order, their token
+    // usage and the prompt templates ({ name, version }) rendered for them
+    this.aiProvidersUsed = [];
+    this.aiUsage = emptyUsage();
+    this.promptsUsed = [];
   }
 
   formatLogArgs(args) {
@@ -48,11 +58,42 @@ export class BaseAgent {
   }
 
   async generateResponse(prompt, options = {}) {
-    return await this.aiProvider.generateCompletion(prompt, options);
+    return this.recordResponse(await this.aiProvider.generateCompletion(prompt, options));
   }
 
   async generateStructuredResponse(prompt, schema, options = {}) {
-    return await this.aiProvider.generateStructuredCompletion(prompt, schema, options);
+    return this.recordResponse(await this.aiProvider.generateStructuredCompletion(prompt, schema, options));
+  }
+
+  /**
+   * Text of a registered prompt template (see prompts/registry), recording
+   * which version was used
+   */
+  renderPrompt(name, variables) {
+    const { version, text } = renderPrompt(name, variables);
+    this.recordPrompt({ name, version });
+    return text;
+  }
+
+  recordPrompt({ name, version }) {
+    if (!this.promptsUsed.some(prompt => prompt.name === name && prompt.version === version)) {
+      this.promptsUsed.push({ name, version });
+    }
+  }
+
+  // A provider chain names the provider that answered; a single provider is that provider
+  recordResponse(response) {
+    const provider = response.provider || this.aiProvider.name;
+    if (!this.aiProvidersUsed.includes(provider)) this.aiProvidersUsed.push(provider);
+    this.aiUsage = sumUsage(this.aiUsage, measureResponse(response, provider));
+    return response;
+  }
+
+  // Start a new execution's provider, usage and prompt records
+  resetAiRecords() {
+    this.aiProvidersUsed = [];
+    this.aiUsage = emptyUsage();
+    this.promptsUsed = [];
   }
 
   activate() {
@@ -79,11 +120,16 @@ export class TripPlanningAgent extends BaseAgent {
   constructor(name, capabilities, aiConfig, searchConfig = {}) {
     super(name, capabilities, aiConfig);
     this.searchConfig = searchConfig;
+    // JSON Schema the AI's answer is validated against (see aiProvider)
     this.resultSchema = {
-      recommendations: [],
-      confidence: 0,
-      reasoning: '',
-      metadata: {}
+      type: 'object',
+      properties: {
+        recommendations: { type: 'array', items: { type: 'object' } },
+        confidence: { type: 'number', minimum: 0, maximum: 100 },
+        reasoning: { type: 'string' },
+        metadata: { type: 'object' }
+      },
+      required: ['recommendations', 'confidence']
     };
   }
 
@@ -95,10 +141,66 @@ export class TripPlanningAgent extends BaseAgent {
     throw new Error('Rank method must be implemented by subclass');
   }
 
+  // Mark search results as fallback data, which is never cached
+  fallbackResults(results) {
+    FALLBACK_RESULTS.add(results);
+    return results;
+  }
+
+  isFallbackResults(results) {
+    return FALLBACK_RESULTS.has(results);
+  }
+
+  // Price of a search result in the agent's price unit (per night, per person or total)
+  resultPrice(result) {
+    return Number(result?.price?.amount ?? result?.price);
+  }
+
+  /**
+   * Drop results priced above criteria.maxPrice, what is left of the trip
+   * budget for this agent type (see budgetService.getAgentPriceLimits).
+   * Results without a price, or priced in another currency, are kept.
+   */
+  applyMaxPrice(results, criteria = {}) {
+    if (criteria.maxPrice == null || !Array.isArray(results)) return results;
+
+    const currency = criteria.currency || 'USD';
+    const affordable = results.filter(result => {
+      const price = this.resultPrice(result);
+      const resultCurrency = (result?.price?.currency || result?.currency || currency).toString().toUpperCase();
+      return !(price > criteria.maxPrice) || resultCurrency !== currency;
+    });
+
+    if (affordable.length < results.length) {
+      this.logInfo(`Dropped ${results.length - affordable.length} result(s) above the ${currency} ${criteria.maxPrice} budget limit`);
+    }
+    return affordable;
+  }
+
+  /**
+   * Run search(), through the cross-trip result cache when the runner passes
+   * one (task.searchCache, see agentResultCache). Prompts behind cached
+   * results are recorded as if this run had rendered them.
+   */
+  async cachedSearch({ criteria, signal, searchCache }) {
+    const search = () => this.search(criteria, { signal });
+    if (!searchCache) return search();
+
+    const results = await searchCache.fetch(criteria, async () => {
+      const found = await search();
+      return { results: found, cacheable: !this.isFallbackResults(found) };
+    });
+    (searchCache.usage?.prompts || []).forEach(prompt => this.recordPrompt(prompt));
+    return results;
+  }
+
   async execute(task) {
+    this.resetAiRecords();
     try {
       this.activate();
-      const searchResults = await this.search(task.criteria);
+      // task.signal aborts provider calls on a timeout or cancellation
+      // Cached results are shared across trips, so the budget limit applies after the search
+      const searchResults = this.applyMaxPrice(await this.cachedSearch(task), task.criteria);
       const rankedResults = await this.rank(searchResults);
       const recommendations = await this.generateRecommendations(rankedResults, task);
       
@@ -106,6 +208,7 @@ export class TripPlanningAgent extends BaseAgent {
         agentName: this.name,
         success: true,
         data: recommendations,
+        metadata: { aiProviders: this.aiProvidersUsed, aiUsage: this.aiUsage, prompts: this.promptsUsed },
         executedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -113,6 +216,7 @@ export class TripPlanningAgent extends BaseAgent {
         agentName: this.name,
         success: false,
         error: error.message,
+        metadata: { aiProviders: this.aiProvidersUsed, aiUsage: this.aiUsage, prompts: this.promptsUsed },
         executedAt: new Date().toISOString()
       };
     } finally {
@@ -124,6 +228,7 @@ export class TripPlanningAgent extends BaseAgent {
     // Simplify results to avoid complex JSON that might cause parsing issues
     const simplifiedResults = results.map(result => ({
       id: result.id,
+      name: result.name,
       type: result.type,
       provider: result.provider,
       service: result.service,
@@ -133,16 +238,11 @@ export class TripPlanningAgent extends BaseAgent {
       summary: result.summary || 'Transportation option'
     }));
 
-    const prompt = `
-Based on the following search results and user criteria, provide top recommendations:
-
-User Criteria: ${JSON.stringify(task.criteria)}
-Search Results: ${JSON.stringify(simplifiedResults)}
-
-Please analyze and recommend the best options, explaining your reasoning.
-Respond with a valid JSON object only, no additional text.
-    `;
+    const prompt = this.renderPrompt('agent.recommendations', {
+      criteria: task.criteria,
+      results: simplifiedResults
+    });
 
-    return await this.generateStructuredResponse(prompt, this.resultSchema);
+    return await this.generateStructuredResponse(prompt, this.resultSchema, { signal: task.signal });
   }
 }
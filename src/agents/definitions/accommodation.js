@@ -0,0 +1,120 @@
+/**
+ * Accommodation agent definition
+ */
+
+import { registerAgent } from '../registry.js';
+import { AccommodationAgent } from '../accommodationAgent.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function calculateNights(checkIn, checkOut) {
+  if (!checkIn || !checkOut) return 1;
+
+  const nights = Math.ceil(Math.abs(new Date(checkOut) - new Date(checkIn)) / DAY_MS);
+  return nights || 1;
+}
+
+export default registerAgent({
+  type: 'accommodation',
+  displayName: 'Hotel',
+  AgentClass: AccommodationAgent,
+  routes: { path: 'hotels', legacyPath: 'hotels' },
+  priceType: 'per_night',
+  failureImpact: 'critical - lodging required for trip',
+  confidenceWeight: 0.30,
+  tripFields: ['destination', 'dates', 'travelers', 'preferences.accommodation', 'preferences.accessibility'],
+
+  context: {
+    reads: [],
+    writes: ['hotelLocation'],
+    storedLimit: 1,
+    // Hotel location anchors geographic clustering and transport legs
+    fromResults: ([bestHotel]) => {
+      if (!bestHotel?.coordinates && !bestHotel?.location) return {};
+      return {
+        hotelLocation: {
+          name: bestHotel.name,
+          coordinates: bestHotel.coordinates || bestHotel.location.coordinates,
+          address: bestHotel.address || bestHotel.location
+        }
+      };
+    },
+    fromStored: ([hotel]) => {
+      if (hotel?.location?.coordinates?.lat == null) return {};
+      return {
+        hotelLocation: {
+          name: hotel.name,
+          coordinates: hotel.location.coordinates,
+          address: hotel.location.address
+        }
+      };
+    }
+  },
+
+  cache: {
+    ttlMs: 2 * 60 * 60 * 1000,
+    key: (criteria) => ({
+      destination: criteria.destination,
+      destinationCountry: criteria.destinationCountry,
+      destinationPlaceId: criteria.destinationPlaceId,
+      checkInDate: criteria.checkInDate,
+      checkOutDate: criteria.checkOutDate,
+      guests: criteria.guests || criteria.travelers || 1,
+      currency: criteria.currency || 'USD',
+      minRating: criteria.minRating,
+      accommodationType: criteria.accommodationType,
+      requiredAmenities: criteria.requiredAmenities
+    })
+  },
+
+  normalizer: {
+    metadata: (raw, trip) => ({
+      hotelType: raw.type || raw.agentMetadata?.hotelType || 'hotel',
+      amenities: Array.isArray(raw.amenities) ? raw.amenities : raw.agentMetadata?.amenities || [],
+      roomType: raw.roomType || raw.agentMetadata?.roomType || 'standard',
+      checkIn: raw.checkIn || trip?.dates?.departureDate,
+      checkOut: raw.checkOut || trip?.dates?.returnDate
+    }),
+
+    name: (raw) => raw.name || raw.title || 'Accommodation Option',
+
+    description: (raw, price, rating) => {
+      const ratingText = rating.score ? `${rating.score.toFixed(1)}/5` : 'Unrated';
+      const amenities = Array.isArray(raw.amenities) && raw.amenities.length > 0
+        ? raw.amenities.slice(0, 3).join(', ')
+        : 'Essential amenities';
+      return `${raw.name || 'Accommodation'} rated ${ratingText}. Key amenities: ${amenities}. Nightly rate: ${price.currency} ${price.amount.toFixed(2)}.`;
+    }
+  },
+
+  query: {
+    filters: {
+      minStarRating: (query, value) => {
+        query['rating.score'] = { ...query['rating.score'], $gte: parseFloat(value) };
+      },
+      hotelType: (query, value) => { query['agentMetadata.hotelType'] = value; },
+      roomType: (query, value) => { query['agentMetadata.roomType'] = value; },
+      // Comma-separated list: 'wifi,pool,gym'
+      amenities: (query, value) => {
+        query['agentMetadata.amenities'] = { $all: value.split(',').map(a => a.trim()) };
+      }
+    },
+    sorts: {
+      name: { name: 1 }
+    },
+    detailsKey: 'hotelDetails',
+    details: (rec) => {
+      const nights = calculateNights(rec.agentMetadata?.checkIn, rec.agentMetadata?.checkOut);
+      return {
+        type: rec.agentMetadata?.hotelType,
+        amenities: rec.agentMetadata?.amenities || [],
+        roomType: rec.agentMetadata?.roomType,
+        checkIn: rec.agentMetadata?.checkIn,
+        checkOut: rec.agentMetadata?.checkOut,
+        nightlyRate: rec.price?.amount,
+        totalNights: nights,
+        totalPrice: rec.price?.amount ? rec.price.amount * nights : 0
+      };
+    }
+  }
+});
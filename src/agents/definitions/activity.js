@@ -0,0 +1,110 @@
+/**
+ * Activity agent definition
+ */
+
+import { registerAgent } from '../registry.js';
+import { ActivityAgent } from '../activityAgent.js';
+
+// Activities are searched within this distance of the hotel
+const MAX_DISTANCE_FROM_HOTEL_KM = 10;
+
+export default registerAgent({
+  type: 'activity',
+  displayName: 'Activity',
+  AgentClass: ActivityAgent,
+  routes: { path: 'experiences', aliases: ['activities'], legacyPath: 'activities' },
+  priceType: 'per_person',
+  multiSelect: true,
+  failureImpact: 'moderate - reduces trip experience but not essential',
+  confidenceWeight: 0.25,
+  tripFields: ['destination', 'preferences.interests', 'preferences.accessibility'],
+
+  context: {
+    reads: ['hotelLocation'],
+    writes: ['selectedActivities'],
+    // Activity locations feed geographic clustering and transport legs
+    fromResults: (recommendations) => ({
+      selectedActivities: recommendations.map(activity => ({
+        name: activity.name,
+        coordinates: activity.coordinates || activity.location?.coordinates,
+        address: activity.address || activity.location,
+        category: activity.category
+      })).filter(a => a.coordinates)
+    }),
+    fromStored: (recommendations) => ({
+      selectedActivities: recommendations.map(activity => ({
+        name: activity.name,
+        coordinates: activity.location?.coordinates,
+        address: activity.location?.address,
+        category: activity.agentMetadata?.category
+      })).filter(a => a.coordinates?.lat != null && a.coordinates?.lng != null)
+    })
+  },
+
+  buildCriteria: (criteria, { hotelLocation }) => (hotelLocation
+    ? { preferredArea: hotelLocation, maxDistanceFromHotel: MAX_DISTANCE_FROM_HOTEL_KM }
+    : {}),
+
+  cache: {
+    ttlMs: 24 * 60 * 60 * 1000,
+    key: (criteria) => ({
+      destination: criteria.destination,
+      interests: criteria.interests,
+      travelersCount: criteria.travelersCount,
+      currency: criteria.currency || 'USD',
+      durationPreferences: criteria.durationPreferences,
+      travelStyle: criteria.travelStyle,
+      dates: criteria.dates
+    }),
+    // search() asks the model for the activities
+    prompts: ['activity.search']
+  },
+
+  normalizer: {
+    name: (raw) => raw.name || raw.title || 'Activity',
+
+    description: (raw, price, rating) => {
+      const ratingText = rating.score ? ` Rated ${rating.score.toFixed(1)}/5` : '';
+      const duration = raw.agentMetadata?.duration || raw.duration;
+      const durationText = duration ? `. Duration: ${duration}` : '';
+      const priceText = price.amount > 0 ? ` Price: ${price.currency} ${price.amount.toFixed(2)} ${price.priceType || 'per person'}` : '';
+      const description = raw.description || raw.summary || '';
+      return `${description}${ratingText}${durationText}.${priceText ? `${priceText}.` : ''}`.trim();
+    }
+  },
+
+  query: {
+    filters: {
+      category: (query, value) => { query['agentMetadata.category'] = new RegExp(value, 'i'); },
+      // Durations in hours
+      maxDuration: (query, value) => {
+        query['agentMetadata.duration'] = { ...query['agentMetadata.duration'], $lte: parseFloat(value) };
+      },
+      minDuration: (query, value) => {
+        query['agentMetadata.duration'] = { ...query['agentMetadata.duration'], $gte: parseFloat(value) };
+      },
+      indoor: (query, value) => { query['agentMetadata.indoor'] = value === 'true'; },
+      skillLevel: (query, value) => { query['agentMetadata.skillLevel'] = value; },
+      ageAppropriate: (query, value) => { query['agentMetadata.minimumAge'] = { $lte: parseInt(value) }; }
+    },
+    sorts: {
+      duration_asc: { 'agentMetadata.duration': 1 },
+      duration_desc: { 'agentMetadata.duration': -1 },
+      popularity: { 'rating.reviewCount': -1 }
+    },
+    detailsKey: 'activityDetails',
+    details: (rec) => ({
+      category: rec.agentMetadata?.category,
+      duration: rec.agentMetadata?.duration,
+      indoor: rec.agentMetadata?.indoor,
+      outdoor: rec.agentMetadata?.outdoor,
+      skillLevel: rec.agentMetadata?.skillLevel,
+      minimumAge: rec.agentMetadata?.minimumAge,
+      groupSize: rec.agentMetadata?.groupSize,
+      accessibility: rec.agentMetadata?.accessibility,
+      includesTransport: rec.agentMetadata?.includesTransport,
+      includesMeals: rec.agentMetadata?.includesMeals,
+      cancellationPolicy: rec.agentMetadata?.cancellationPolicy
+    })
+  }
+});
@@ -0,0 +1,115 @@
+/**
+ * Flight agent definition
+ */
+
+import { registerAgent } from '../registry.js';
+import { FlightAgent } from '../flightAgent.js';
+
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null)
+);
+
+export default registerAgent({
+  type: 'flight',
+  displayName: 'Flight',
+  AgentClass: FlightAgent,
+  routes: { path: 'flights', legacyPath: 'flights' },
+  priceType: 'total',
+  failureImpact: 'critical - trip cannot proceed without flights',
+  confidenceWeight: 0.30,
+  tripFields: ['destination', 'dates', 'travelers', 'preferences.transportation'],
+
+  context: {
+    reads: [],
+    writes: ['arrivalAirport'],
+    storedLimit: 1,
+    // Arrival airport anchors the airport → hotel transport leg
+    fromResults: ([bestFlight]) => bestFlight
+      ? { arrivalAirport: bestFlight.arrival?.airport || bestFlight.agentMetadata?.arrivalAirport || null }
+      : {},
+    fromStored: ([flight]) => ({ arrivalAirport: flight?.agentMetadata?.arrivalAirport || null })
+  },
+
+  // Fares change quickly, so flight searches are only reused briefly
+  cache: {
+    ttlMs: 15 * 60 * 1000,
+    key: (criteria) => ({
+      origin: criteria.origin,
+      destination: criteria.destination,
+      departureDate: criteria.departureDate,
+      returnDate: criteria.returnDate,
+      travelers: criteria.travelers || 1,
+      currency: criteria.currency || 'USD',
+      preferNonStop: criteria.preferNonStop,
+      preferredClass: criteria.preferredClass
+    })
+  },
+
+  normalizer: {
+    metadata: (raw) => compact({
+      airline: raw.airline || raw.agentMetadata?.airline,
+      flightNumber: raw.flightNumber || raw.agentMetadata?.flightNumber,
+      departureAirport: raw.departure?.airport,
+      departureTime: raw.departure?.time,
+      departureDate: raw.departure?.date,
+      arrivalAirport: raw.arrival?.airport,
+      arrivalTime: raw.arrival?.time,
+      arrivalDate: raw.arrival?.date,
+      duration: raw.duration || raw.agentMetadata?.duration,
+      stops: typeof raw.stops === 'number' ? raw.stops : raw.agentMetadata?.stops,
+      cabin: raw.class || raw.cabin || raw.agentMetadata?.cabin
+    }),
+
+    name: (raw, location) => {
+      const airline = raw.airline || 'Flight';
+      const flightNumber = raw.flightNumber || '';
+      const departure = raw.departure?.airport || location.address?.split('→')?.[0] || 'Origin';
+      const arrival = raw.arrival?.airport || location.address?.split('→')?.[1] || 'Destination';
+      const name = `${airline.trim()} ${flightNumber}`.trim();
+      return name || `${departure} → ${arrival}`;
+    },
+
+    description: (raw, price) => {
+      const departureAirport = raw.departure?.airport || 'Origin';
+      const arrivalAirport = raw.arrival?.airport || 'Destination';
+      const departureDate = raw.departure?.date || 'selected date';
+      const stops = typeof raw.stops === 'number' ? raw.stops : 0;
+      const duration = raw.duration || 'Unknown duration';
+      return `Flight from ${departureAirport} to ${arrivalAirport} on ${departureDate}. ${stops} stop(s), duration ${duration}. Fare: ${price.currency} ${price.amount.toFixed(2)}.`;
+    }
+  },
+
+  query: {
+    filters: {
+      maxStops: (query, value) => { query['agentMetadata.stops'] = { $lte: parseInt(value) }; },
+      nonStopOnly: (query, value) => { if (value === 'true') query['agentMetadata.stops'] = 0; },
+      airline: (query, value) => { query['agentMetadata.airline'] = new RegExp(value, 'i'); },
+      cabinClass: (query, value) => { query['agentMetadata.cabin'] = value; },
+      maxDuration: (query, value) => { query['agentMetadata.duration'] = { $lte: value }; }
+    },
+    sorts: {
+      duration: { 'agentMetadata.duration': 1 },
+      stops: { 'agentMetadata.stops': 1 },
+      departure_time: { 'agentMetadata.departureTime': 1 }
+    },
+    defaultSort: 'price_asc',
+    detailsKey: 'flightDetails',
+    details: (rec) => ({
+      airline: rec.agentMetadata?.airline,
+      flightNumber: rec.agentMetadata?.flightNumber,
+      departure: {
+        airport: rec.agentMetadata?.departureAirport,
+        time: rec.agentMetadata?.departureTime,
+        date: rec.agentMetadata?.departureDate
+      },
+      arrival: {
+        airport: rec.agentMetadata?.arrivalAirport,
+        time: rec.agentMetadata?.arrivalTime,
+        date: rec.agentMetadata?.arrivalDate
+      },
+      duration: rec.agentMetadata?.duration,
+      stops: rec.agentMetadata?.stops,
+      cabin: rec.agentMetadata?.cabin
+    })
+  }
+});
@@ -0,0 +1,15 @@
+/**
+ * Registered agent types
+ *
+ * Importing this module registers every agent definition. The import order
+ * is the order agents are listed, reported and scheduled in. To add an agent
+ * type, add its definition module here.
+ */
+
+import './flight.js';
+import './accommodation.js';
+import './restaurant.js';
+import './activity.js';
+import './transportation.js';
+
+export * from '../registry.js';
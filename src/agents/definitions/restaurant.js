@@ -0,0 +1,84 @@
+/**
+ * Restaurant agent definition
+ */
+
+import { registerAgent } from '../registry.js';
+import { RestaurantAgent } from '../restaurantAgent.js';
+
+const splitList = (value) => value.split(',').map(item => item.trim());
+
+export default registerAgent({
+  type: 'restaurant',
+  displayName: 'Restaurant',
+  AgentClass: RestaurantAgent,
+  routes: { path: 'restaurants', legacyPath: 'restaurants' },
+  priceType: 'per_person',
+  multiSelect: true,
+  failureImpact: 'low - dining options available elsewhere',
+  confidenceWeight: 0.15,
+  tripFields: ['destination', 'preferences.dining'],
+
+  context: {
+    reads: ['hotelLocation'],
+    writes: []
+  },
+
+  buildCriteria: (criteria, { hotelLocation }) => (hotelLocation ? { hotelLocation } : {}),
+
+  // Restaurant listings rarely change within a week
+  cache: {
+    ttlMs: 7 * 24 * 60 * 60 * 1000,
+    key: (criteria) => ({
+      destination: criteria.destination,
+      cuisines: criteria.cuisines,
+      priceRange: criteria.priceRange,
+      minRating: criteria.minRating,
+      maxDistance: criteria.maxDistance,
+      features: criteria.features,
+      openNow: criteria.openNow
+    })
+  },
+
+  normalizer: {
+    name: (raw) => raw.name || raw.title || 'Restaurant',
+
+    description: (raw, price, rating) => {
+      const ratingText = rating.score ? `${rating.score.toFixed(1)}/5` : 'Unrated';
+      const cuisine = raw.agentMetadata?.cuisine || raw.cuisine || 'restaurant';
+      const address = raw.location?.address || 'destination';
+      const priceRange = raw.agentMetadata?.priceRange || '';
+      const priceInfo = price.amount > 0
+        ? `Average meal: ${price.currency} ${price.amount.toFixed(2)} ${price.priceType || 'per person'}`
+        : (priceRange ? `Price range: ${priceRange}` : '');
+      return `${cuisine} restaurant${address ? ` at ${address}` : ''}. Rating: ${ratingText}.${priceInfo ? ` ${priceInfo}.` : ''}`;
+    }
+  },
+
+  query: {
+    filters: {
+      cuisine: (query, value) => { query['agentMetadata.cuisine'] = new RegExp(value, 'i'); },
+      priceRange: (query, value) => { query['agentMetadata.priceRange'] = value; },
+      dietaryRestrictions: (query, value) => { query['agentMetadata.dietaryOptions'] = { $all: splitList(value) }; },
+      features: (query, value) => { query['agentMetadata.features'] = { $all: splitList(value) }; },
+      reservationsRequired: (query, value) => { query['agentMetadata.reservations'] = value === 'true'; }
+    },
+    sorts: {
+      reviews: { 'rating.reviewCount': -1 },
+      name: { name: 1 }
+    },
+    detailsKey: 'restaurantDetails',
+    details: (rec) => ({
+      cuisine: rec.agentMetadata?.cuisine,
+      priceRange: rec.agentMetadata?.priceRange,
+      averageMealCost: rec.price?.amount,
+      features: rec.agentMetadata?.features || [],
+      dietaryOptions: rec.agentMetadata?.dietaryOptions || [],
+      hours: rec.agentMetadata?.hours,
+      reservations: rec.agentMetadata?.reservations,
+      dressCode: rec.agentMetadata?.dressCode,
+      parking: rec.agentMetadata?.parking,
+      seatingOptions: rec.agentMetadata?.seatingOptions,
+      placeId: rec.agentMetadata?.placeId || rec.externalIds?.googlePlaceId
+    })
+  }
+});
@@ -0,0 +1,75 @@
+/**
+ * Local transportation agent definition
+ */
+
+import { registerAgent } from '../registry.js';
+import { TransportationAgent } from '../transportationAgent.js';
+import { buildTransportationRoutes } from '../../services/transportationService.js';
+
+export default registerAgent({
+  type: 'transportation',
+  displayName: 'Transportation',
+  AgentClass: TransportationAgent,
+  priceType: 'total',
+  failureImpact: 'low - local transport can be arranged on arrival',
+  tripFields: ['destination', 'preferences.transportation'],
+  // Routes start at the arrival airport, hotel and activities found earlier
+  resultDependencies: ['flight', 'accommodation', 'activity'],
+
+  context: {
+    reads: ['arrivalAirport', 'hotelLocation', 'selectedActivities'],
+    writes: []
+  },
+
+  buildCriteria: (criteria, context) => ({
+    routes: buildTransportationRoutes({
+      destination: criteria.destination,
+      arrivalAirport: context.arrivalAirport,
+      hotel: context.hotelLocation,
+      activities: context.selectedActivities
+    })
+  }),
+
+  // Keyed by the route endpoints, so trips to the same hotel share legs
+  cache: {
+    ttlMs: 12 * 60 * 60 * 1000,
+    key: (criteria) => ({
+      routes: criteria.routes?.map(route => ({
+        leg: route.leg,
+        key: route.key,
+        label: route.label,
+        origin: route.origin,
+        destination: route.destination,
+        fromName: route.fromName,
+        toName: route.toName
+      })),
+      origin: criteria.routes?.length ? undefined : criteria.origin,
+      destination: criteria.routes?.length ? undefined : criteria.destination,
+      transportTypes: criteria.transportTypes,
+      includeBicycling: criteria.includeBicycling,
+      maxCost: criteria.maxCost,
+      minCapacity: criteria.minCapacity,
+      maxTime: criteria.maxTime
+    })
+  },
+
+  query: {
+    filters: {
+      // 'airport_to_hotel', 'hotel_to_activity', 'airport_to_city'
+      leg: (query, value) => { query['agentMetadata.leg.type'] = value; },
+      // 'rideshare', 'public', 'taxi', 'rental', 'walking', ...
+      transportType: (query, value) => { query['agentMetadata.transportType'] = value; }
+    },
+    defaultSort: 'price_asc',
+    detailsKey: 'transportDetails',
+    details: (rec) => ({
+      leg: rec.agentMetadata?.leg,
+      type: rec.agentMetadata?.transportType,
+      provider: rec.agentMetadata?.provider,
+      service: rec.agentMetadata?.service,
+      estimatedTime: rec.agentMetadata?.estimatedTime,
+      distance: rec.agentMetadata?.route?.distance,
+      capacity: rec.agentMetadata?.capacity
+    })
+  }
+});
@@ -13,9 +13,19 @@ export class FlightAgent extends TripPlanningAgent {
         providers: ['amadeus']
       }
     );
+
+    // The AI only weighs the options; recommendations are built from the search results
+    this.resultSchema = {
+      type: 'object',
+      properties: {
+        confidence: { type: 'number', minimum: 0, maximum: 100 },
+        reasoning: { type: 'string' }
+      },
+      required: ['confidence', 'reasoning']
+    };
   }
 
-  async search(criteria) {
+  async search(criteria, { signal } = {}) {
     try {
       this.logInfo('FlightAgent searching with criteria:', criteria);
 
@@ -35,7 +45,7 @@ export class FlightAgent extends TripPlanningAgent {
         currency: criteria.currency || 'USD' // Pass currency preference
       };
 
-      const flights = await amadeusService.searchFlights(searchParams);
+      const flights = await amadeusService.searchFlights(searchParams, { signal });
       this.logInfo(`Found ${flights.length} flights from Amadeus`);
 
       // Handle empty results
@@ -48,7 +58,7 @@ export class FlightAgent extends TripPlanningAgent {
         // Fallback to mock data in development
         if (process.env.NODE_ENV === 'development') {
           this.logWarn(`⚠️ No flights found from Amadeus for ${criteria.origin} to ${criteria.destination} on ${criteria.departureDate}. Using mock data.`);
-          return this.getMockFlights(criteria);
+          return this.fallbackResults(this.getMockFlights(criteria));
         }
 
         return flights; // Return empty array in production
@@ -58,12 +68,14 @@ export class FlightAgent extends TripPlanningAgent {
       return this.applyFilters(flights, criteria);
       
     } catch (error) {
+      // Mock data must not stand in for a timed-out or cancelled search
+      signal?.throwIfAborted();
       this.logError('FlightAgent search error:', error);
       
       // Fallback to mock data if API fails (for development)
       if (process.env.NODE_ENV === 'development') {
         this.logInfo('Falling back to mock data for development');
-        return this.getMockFlights(criteria);
+        return this.fallbackResults(this.getMockFlights(criteria));
       }
       
       throw error;
@@ -72,11 +84,6 @@ export class FlightAgent extends TripPlanningAgent {
 
   applyFilters(flights, criteria) {
     return flights.filter(flight => {
-      // Price filter
-      if (criteria.maxPrice && flight.price > criteria.maxPrice) {
-        return false;
-      }
-      
       // Non-stop preference
       if (criteria.preferNonStop && flight.stops > 0) {
         return false;
@@ -175,24 +182,17 @@ export class FlightAgent extends TripPlanningAgent {
       arrival: { time: flight.arrival?.time, airport: flight.arrival?.airport }
     }));
 
-    const prompt = `
-  You are a travel expert analyzing flight options. 
-
-  Search: ${task.criteria.origin} → ${task.criteria.destination} on ${task.criteria.departureDate}
-  Budget: ${task.criteria.maxPrice ? `$${task.criteria.maxPrice}` : 'Flexible'}
-
-  Top 3 Flights:
-  ${JSON.stringify(topResults, null, 1)}  // **FIX: Use compact formatting**
-
-  Provide:
-  1. Top recommendation with reasoning (50 words max)
-  2. Confidence score (0-100)
-
-  Be concise.
-    `.trim();  // **FIX: Remove whitespace**
+    const prompt = this.renderPrompt('flight.recommendations', {
+      origin: task.criteria.origin,
+      destination: task.criteria.destination,
+      departureDate: task.criteria.departureDate || 'Not specified',
+      budget: task.criteria.maxPrice != null ? `${task.criteria.currency || 'USD'} ${task.criteria.maxPrice}` : 'Flexible',
+      // Compact formatting keeps the prompt short
+      flights: JSON.stringify(topResults, null, 1)
+    });
 
     try {
-      const aiResponse = await this.generateStructuredResponse(prompt, this.resultSchema);
+      const aiResponse = await this.generateStructuredResponse(prompt, this.resultSchema, { signal: task.signal });
       
       const topFlights = results.slice(0, 3).map((flight, index) => 
         this.transformFlightRecommendation(flight, index)
@@ -211,6 +211,7 @@ export class FlightAgent extends TripPlanningAgent {
         }
       };
     } catch (error) {
+      task.signal?.throwIfAborted();
       this.logError('AI recommendation generation failed:', error);
       
       // **IMPORTANT: Still return recommendations even if AI fails**
@@ -0,0 +1,160 @@
+/**
+ * Agent Registry
+ *
+ * Every agent type is described by one definition module under
+ * `agents/definitions/` that registers itself here. The agent type list, the
+ * Trip and Recommendation schemas, request validation, the dependency graph,
+ * the orchestrator's context handling, normalization and the recommendation
+ * routes and controllers are all derived from the registered definitions, so
+ * adding an agent type means adding a definition module and listing it in
+ * `agents/definitions/index.js`.
+ *
+ * This module imports no agents or models; read definitions through
+ * `agents/definitions/index.js`, which registers them first.
+ *
+ * A definition:
+ * - type, displayName, AgentClass
+ * - routes: { path, aliases, legacyPath } - recommendation route segments
+ * - priceType: unit of the agent's prices (budgetService)
+ * - multiSelect: selections form a ranked shortlist instead of one choice
+ * - failureImpact, confidenceWeight: used when synthesizing the trip plan
+ * - tripFields: trip fields (PATCH changedFields) its results are built from
+ * - resultDependencies: agents whose results its criteria are built from
+ * - context: { reads, writes, storedLimit, fromResults(recs), fromStored(docs) }
+ *   execution-context keys it reads and writes, and how it writes them from a
+ *   run's raw output or from stored Recommendation documents
+ * - buildCriteria(criteria, context): criteria additions from the context read
+ * - normalizer: { metadata(raw, trip), name(raw, location), description(raw, price, rating) }
+ * - query: { filters, sorts, defaultSort, detailsKey, details(rec) } for the
+ *   list endpoint; `filters` maps query parameters to `(query, value)` appliers
+ * - cache: { ttlMs, key(criteria), prompts } - how long search() results stay
+ *   fresh in the cross-trip result cache, the criteria fields its search
+ *   depends on and the prompt templates it renders, if any (agentResultCache);
+ *   types without one are not cached
+ */
+
+const PRICE_TYPES = ['per_person', 'per_night', 'per_room', 'per_group', 'total'];
+
+const definitions = new Map();
+
+const noContext = () => ({});
+
+/**
+ * Register an agent type
+ * @param {Object} definition - See the module header
+ * @returns {Object} The frozen definition with defaults applied
+ * @throws {Error} When the definition is incomplete or the type is taken
+ */
+export function registerAgent(definition = {}) {
+  const { type, displayName, AgentClass } = definition;
+
+  if (typeof type !== 'string' || !/^[a-z][a-z_]*$/.test(type)) {
+    throw new Error(`Agent type must be a lowercase identifier, got: ${type}`);
+  }
+  if (definitions.has(type)) {
+    throw new Error(`Agent type already registered: ${type}`);
+  }
+  if (!displayName) {
+    throw new Error(`Agent type ${type} needs a displayName`);
+  }
+  if (typeof AgentClass !== 'function') {
+    throw new Error(`Agent type ${type} needs an AgentClass`);
+  }
+
+  const priceType = definition.priceType || 'per_person';
+  if (!PRICE_TYPES.includes(priceType)) {
+    throw new Error(`Agent type ${type} has an unknown priceType: ${priceType}`);
+  }
+
+  const { cache = null } = definition;
+  if (cache && (!(cache.ttlMs > 0) || typeof cache.key !== 'function')) {
+    throw new Error(`Agent type ${type} needs a positive cache.ttlMs and a cache.key function`);
+  }
+  if (cache?.prompts && !Array.isArray(cache.prompts)) {
+    throw new Error(`Agent type ${type} needs cache.prompts to be a list of prompt names`);
+  }
+
+  const routes = {
+    path: type,
+    aliases: [],
+    legacyPath: null,
+    ...definition.routes
+  };
+  const taken = resolveRouteSegment(routes.path) || routes.aliases.map(resolveRouteSegment).find(Boolean);
+  if (taken) {
+    throw new Error(`Route segment of agent type ${type} is already used by ${taken}`);
+  }
+
+  const registered = Object.freeze({
+    ...definition,
+    routes: Object.freeze(routes),
+    priceType,
+    multiSelect: Boolean(definition.multiSelect),
+    failureImpact: definition.failureImpact || 'unknown impact',
+    confidenceWeight: definition.confidenceWeight ?? 0.1,
+    tripFields: definition.tripFields || [],
+    resultDependencies: definition.resultDependencies || [],
+    context: Object.freeze({
+      reads: [],
+      writes: [],
+      storedLimit: undefined,
+      fromResults: noContext,
+      fromStored: noContext,
+      ...definition.context
+    }),
+    buildCriteria: definition.buildCriteria || noContext,
+    normalizer: definition.normalizer || {},
+    query: Object.freeze({
+      filters: {},
+      sorts: {},
+      defaultSort: 'rating',
+      detailsKey: null,
+      details: null,
+      ...definition.query
+    }),
+    cache: cache && Object.freeze({ prompts: [], ...cache })
+  });
+
+  definitions.set(type, registered);
+  return registered;
+}
+
+/**
+ * @param {string} type - Agent type
+ * @returns {Object|undefined}
+ */
+export function getAgentDefinition(type) {
+  return definitions.get(type);
+}
+
+/**
+ * Definitions in registration order, which is the order agents are listed,
+ * reported and scheduled in
+ * @returns {Object[]}
+ */
+export function listAgentDefinitions() {
+  return [...definitions.values()];
+}
+
+/**
+ * @returns {string[]}
+ */
+export function listAgentTypes() {
+  return [...definitions.keys()];
+}
+
+/**
+ * Agent type for a route segment: a type, its route path or one of its aliases
+ * @param {string} segment - e.g. `hotels` or `activity`
+ * @returns {string|undefined}
+ */
+export function resolveRouteSegment(segment) {
+  if (definitions.has(segment)) return segment;
+
+  for (const definition of definitions.values()) {
+    if (definition.routes.path === segment || definition.routes.aliases.includes(segment)) {
+      return definition.type;
+    }
+  }
+  return undefined;
+}
@@ -65,7 +65,7 @@ export class RestaurantAgent extends TripPlanningAgent {
     ];
   }
 
-  async search(criteria) {
+  async search(criteria, { signal } = {}) {
     try {
       const {
         destination,
@@ -83,13 +83,14 @@ export class RestaurantAgent extends TripPlanningAgent {
 
       // Step 1: Convert destination to coordinates
       this.logInfo(`🔍 RestaurantAgent: Converting "${destination}" to coordinates...`);
-      const location = await googlePlacesService.geocodeDestination(destination);
+      const location = await googlePlacesService.geocodeDestination(destination, { signal });
       this.logInfo(`✅ RestaurantAgent: Found coordinates: ${location.lat}, ${location.lng}`);
 
       // Step 2: Build search options
       const searchOptions = {
         radius: maxDistance * 1000, // Convert km to meters
-        opennow: openNow
+        opennow: openNow,
+        signal
       };
 
       // Add cuisine keyword if specified
@@ -157,6 +158,8 @@ export class RestaurantAgent extends TripPlanningAgent {
       return restaurants;
 
     } catch (error) {
+      // Mock data must not stand in for a timed-out or cancelled search
+      signal?.throwIfAborted();
       this.logWarn(`RestaurantAgent Google Places search failed: ${error.message}. Falling back to mock data.`);
       
       // Handle specific Google API errors
@@ -168,7 +171,7 @@ export class RestaurantAgent extends TripPlanningAgent {
         this.logWarn('Invalid request to Google Places API. Check parameters.');
       }
 
-      return this.getMockRestaurants(criteria);
+      return this.fallbackResults(this.getMockRestaurants(criteria));
     }
   }
 
@@ -194,6 +197,11 @@ export class RestaurantAgent extends TripPlanningAgent {
     });
   }
 
+  // Estimated from the Google price level
+  resultPrice(restaurant) {
+    return Number(restaurant?.averageMeal);
+  }
+
   async rank(results) {
     return results.map(restaurant => ({
       ...restaurant,
@@ -1,28 +1,17 @@
 /**
  * TransportationAgent - LOCAL TRANSPORTATION RECOMMENDATIONS
  *
- * ⚠️ TODO: FUTURE FEATURE - NOT YET INTEGRATED
+ * Recommends local transport (rideshare, public transit, rental cars, etc.)
+ * once the trip's geographic anchors are known. The orchestrator starts it
+ * after accommodation, flights and activities (see AGENT_CONTEXT).
  *
- * This agent is designed to provide local transportation recommendations
- * (Uber, Lyft, public transit, rental cars, etc.) but is not currently
- * integrated into the trip planning flow.
+ * SEARCH MODES:
+ * - `criteria.routes`: list of legs built by services/transportationService.js
+ *   (airport → hotel, hotel → activity). Each result is tagged with its leg.
+ * - `criteria.origin` + `criteria.destination`: single ad-hoc route.
  *
- * STATUS:
- * - ✅ Agent implementation complete
- * - ✅ Model fields present (Trip.transportation, preferences.transportation)
- * - ✅ Recommendation enum includes 'transportation'
- * - ❌ NOT included in UI agent types (only flight, accommodation, restaurant, activity)
- * - ❌ NOT registered in trip orchestrator
- * - ❌ NOT accessible via API routes
- *
- * TO ENABLE:
- * 1. Add 'transportation' to travlrUI/lib/api/schemas.ts agentTypeSchema
- * 2. Register TransportationAgent in tripOrchestrator.js
- * 3. Add route handler in trip.js (POST /trip/:id/agent/transportation)
- * 4. Add UI components for transportation recommendations
- *
- * @see models/Trip.js - transportation preferences and recommendation arrays
- * @see models/Recommendation.js - 'transportation' is valid agentType
+ * @see services/transportationService.js - route leg construction
+ * @see agents/definitions/transportation.js - criteria, filters and routes
  */
 
 import { TripPlanningAgent } from './baseAgent.js';
@@ -41,7 +30,39 @@ export class TransportationAgent extends TripPlanningAgent {
     );
   }
 
-  async search(criteria) {
+  async search(criteria, { signal } = {}) {
+    if (Array.isArray(criteria.routes) && criteria.routes.length > 0) {
+      const results = [];
+      let fallback = false;
+
+      for (const route of criteria.routes) {
+        const options = await this.searchRoute({
+          ...criteria,
+          origin: route.origin,
+          destination: route.destination
+        }, { signal });
+        fallback = fallback || this.isFallbackResults(options);
+
+        results.push(...options.map(option => ({
+          ...option,
+          leg: {
+            key: route.key,
+            type: route.leg,
+            label: route.label,
+            from: route.fromName,
+            to: route.toName
+          }
+        })));
+      }
+
+      // One leg on fallback data makes the whole result uncacheable
+      return fallback ? this.fallbackResults(results) : results;
+    }
+
+    return this.searchRoute(criteria, { signal });
+  }
+
+  async searchRoute(criteria, { signal } = {}) {
     try {
       // Use Google Directions API for real route data
       if (!criteria.origin || !criteria.destination) {
@@ -61,9 +82,15 @@ export class TransportationAgent extends TripPlanningAgent {
       const routes = await googlePlacesService.getTransportationRoutes(
         criteria.origin, 
         criteria.destination, 
-        travelModes
+        travelModes,
+        { signal }
       );
 
+      // Per-mode failures are swallowed by the service, so an empty list means no usable data
+      if (routes.length === 0) {
+        throw new Error('No routes returned from Google Directions');
+      }
+
       // Filter based on criteria
       return routes.filter(route => {
         if (criteria.maxCost && route.estimatedCost > criteria.maxCost) return false;
@@ -77,8 +104,10 @@ export class TransportationAgent extends TripPlanningAgent {
       });
 
     } catch (error) {
+      // Mock data must not stand in for a timed-out or cancelled search
+      signal?.throwIfAborted();
       this.logInfo(`Google Directions API unavailable, using fallback data: ${error.message}`);
-      return this.getMockTransportOptions(criteria);
+      return this.fallbackResults(this.getMockTransportOptions(criteria));
     }
   }
 
@@ -263,6 +292,28 @@ export class TransportationAgent extends TripPlanningAgent {
     return Math.max(0, score);
   }
 
+  resultPrice(option) {
+    return Number(option?.estimatedCost);
+  }
+
+  // Ranked results are sorted by score, so this keeps the best options per leg
+  selectTopOptions(results) {
+    if (!results.some(option => option.leg)) {
+      return results.slice(0, 5);
+    }
+
+    const optionsPerLeg = 3;
+    const counts = new Map();
+
+    return results.filter(option => {
+      const key = option.leg?.key || 'unassigned';
+      const count = counts.get(key) || 0;
+      if (count >= optionsPerLeg) return false;
+      counts.set(key, count + 1);
+      return true;
+    });
+  }
+
   async generateRecommendations(results, task) {
     const startTime = Date.now();
     this.logInfo('🎯 TransportationAgent.generateRecommendations: Starting');
@@ -283,7 +334,7 @@ export class TransportationAgent extends TripPlanningAgent {
     this.logInfo('🔍 TransportationAgent: Transforming transportation data...');
 
     // Transform to TripOrchestrator recommendation format
-    const recommendations = results.slice(0, 5).map((option, index) => {
+    const recommendations = this.selectTopOptions(results).map((option, index) => {
       this.logInfo(`   Processing option ${index + 1}:`, {
         type: option.type,
         provider: option.provider,
@@ -292,10 +343,13 @@ export class TransportationAgent extends TripPlanningAgent {
         time: option.estimatedTime
       });
 
+      const baseId = option.id || `transport_${index + 1}`;
+      const summary = `${option.type} via ${option.provider || 'local service'}: ${option.estimatedTime || 'estimated time'}${option.route?.distance ? `, ${option.route.distance}` : ''}`;
+
       const recommendation = {
-        id: option.id || `transport_${index + 1}`,
+        id: option.leg ? `${baseId}_${option.leg.key}` : baseId,
         name: option.service || option.provider || 'Transportation Option',
-        description: `${option.type} via ${option.provider || 'local service'}: ${option.estimatedTime || 'estimated time'}${option.route?.distance ? `, ${option.route.distance}` : ''}`,
+        description: option.leg ? `${option.leg.label}: ${summary}` : summary,
         price: {
           amount: option.estimatedCost || 0,
           currency: task.criteria?.currency || 'USD',
@@ -317,7 +371,8 @@ export class TransportationAgent extends TripPlanningAgent {
           availability: option.availability,
           capacity: option.capacity,
           features: option.features || [],
-          route: option.route
+          route: option.route,
+          leg: option.leg
         }
       };
 
@@ -1,13 +1,44 @@
 import { BaseAgent } from './baseAgent.js';
-import { FlightAgent } from './flightAgent.js';
-import { AccommodationAgent } from './accommodationAgent.js';
-import { ActivityAgent } from './activityAgent.js';
-import { RestaurantAgent } from './restaurantAgent.js';
-import { Trip, Recommendation } from '../models/index.js';
+import { getAgentDefinition, listAgentDefinitions } from './definitions/index.js';
+import { Trip } from '../models/index.js';
 import databaseService from '../services/database.js';
 import geographicService from '../services/geographicService.js';
+import * as itineraryService from '../services/itineraryService.js';
+import * as executionEvents from '../services/executionEvents.js';
+import * as recommendationService from '../services/recommendationService.js';
+import * as budgetService from '../services/budgetService.js';
+import * as aiUsageService from '../services/aiUsageService.js';
+import { AgentRunner } from '../services/agentRunner.js';
+import { EXECUTION_LOCK_LOST } from '../services/executionLock.js';
 import logger from '../utils/logger.js';
-import { AGENT_TYPES } from '../constants/agentTypes.js';
+import { AGENT_TYPES, AGENT_TYPE_LIST } from '../constants/agentTypes.js';
+import { AGENT_CONTEXT } from '../constants/agentDependencies.js';
+import { buildAgentGraph, runAgentGraph } from '../services/agentScheduler.js';
+import env from '../config/env.js';
+
+// Status writes never overwrite a cancellation made through the API mid-run
+const NOT_CANCELLED = { status: { $ne: 'cancelled' } };
+const EXECUTION_NOT_CANCELLED = { 'agentExecution.status': { $ne: 'cancelled' } };
+const TRIP_CANCELLED = 'TRIP_CANCELLED';
+
+// Agents left out of a selective run keep results in these states
+const KEPT_RESULT_STATUSES = ['completed', 'stale'];
+
+// Context keys geographic clusters are built from
+const CLUSTERED_CONTEXT = ['hotelLocation', 'selectedActivities'];
+
+// JSON Schema of the AI's final review of the trip plan
+const SYNTHESIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    overallConfidence: { type: 'number', minimum: 0, maximum: 100 },
+    insights: { type: 'array', items: { type: 'string' } },
+    optimizations: { type: 'array' },
+    risks: { type: 'array' },
+    alternatives: { type: 'array' }
+  },
+  required: ['overallConfidence', 'insights']
+};
 
 export class TripOrchestrator extends BaseAgent {
   constructor(aiConfig = {}, tripId = null) {
@@ -19,49 +50,29 @@ export class TripOrchestrator extends BaseAgent {
 
     this.tripId = tripId;
     this.trip = null;
+    // Execution lock held by the job running this orchestrator, if any
+    this.lease = null;
+    this.requestedBy = null;
     this.logger = logger.child({ scope: 'TripOrchestrator' });
     this.executionContext = {
       hotelLocation: null,
+      arrivalAirport: null,
       selectedActivities: [],
-      geographicClusters: []
+      geographicClusters: [],
+      budgetLimits: {}
     };
 
     this.logInfo = this.logInfo.bind(this);
     this.logWarn = this.logWarn.bind(this);
     this.logError = this.logError.bind(this);
 
-    // Initialize specialized agents
-    this.agents = {
-      [AGENT_TYPES.FLIGHT]: new FlightAgent(aiConfig),
-      [AGENT_TYPES.ACCOMMODATION]: new AccommodationAgent(aiConfig),
-      [AGENT_TYPES.ACTIVITY]: new ActivityAgent(aiConfig),
-      [AGENT_TYPES.RESTAURANT]: new RestaurantAgent(aiConfig)
-    };
+    // One agent per registered type
+    this.agents = Object.fromEntries(
+      listAgentDefinitions().map(({ type, AgentClass }) => [type, new AgentClass(aiConfig)])
+    );
 
-    // Define execution phases with dependencies
-    // IMPORTANT: Sequential execution ensures proper geographic planning
-    this.executionPhases = [
-      {
-        phase: 'accommodation_first',
-        agents: ['accommodation'],
-        parallel: false,
-        description: 'Find hotel first - establishes geographic anchor'
-      },
-      {
-        phase: 'flights',
-        agents: ['flight'],
-        parallel: false,
-        dependencies: ['accommodation'],
-        description: 'Book flights after hotel location is known'
-      },
-      {
-        phase: 'experiences',
-        agents: ['activity', 'restaurant'],
-        parallel: false,
-        dependencies: ['accommodation', 'flight'],
-        description: 'Plan activities and dining based on hotel location'
-      }
-    ];
+    // Agents run as a dependency graph (AGENT_CONTEXT), this many at once
+    this.concurrency = env.agentConcurrency;
 
     this.tripSchema = {
       tripSummary: {
@@ -70,12 +81,7 @@ export class TripOrchestrator extends BaseAgent {
         confidence: 0,
         geographicCoverage: 0
       },
-      recommendations: {
-        flight: [],
-        accommodation: [],
-        activity: [],
-        restaurant: []
-      },
+      recommendations: Object.fromEntries(AGENT_TYPE_LIST.map(type => [type, []])),
       itinerary: [],
       alternatives: [],
       metadata: {
@@ -113,8 +119,12 @@ export class TripOrchestrator extends BaseAgent {
     this.logger.error(this.formatLogArgs(args));
   }
 
-  async execute(tripRequest, tripId = null) {
+  async execute(tripRequest, tripId = null, { lease = null, requestedBy = null } = {}) {
     const startTime = Date.now();
+    this.lease = lease;
+    // User the run's AI usage is counted against (see aiUsageService)
+    this.requestedBy = requestedBy;
+    this.resetAiRecords();
 
     try {
       this.activate();
@@ -126,14 +136,21 @@ export class TripOrchestrator extends BaseAgent {
       }
 
       this.logInfo(`Starting enhanced trip planning for: ${tripRequest.destination}`);
-      await this.updateTripStatus('in_progress', { startedAt: new Date() });
+      await this.updateTripStatus('in_progress', { startedAt: new Date(), cancelReason: null });
 
       // Extract and validate trip criteria
       const criteria = this.extractCriteria(tripRequest);
 
+      // Agents search within what is left of the trip budget, when they search in its currency
+      if (this.trip) {
+        this.executionContext.budgetLimits = await budgetService.getAgentPriceLimits(
+          this.trip, null, { currency: criteria.currency }
+        );
+      }
+
       // Determine which agents to run
       const agentsToRun = tripRequest.agentsToRun;
-      const allAgents = ['flight', 'accommodation', 'activity', 'restaurant'];
+      const allAgents = AGENT_TYPE_LIST;
       let agentResults;
 
       // Determine requested agents with default fallback
@@ -165,9 +182,19 @@ export class TripOrchestrator extends BaseAgent {
         failed: agentResults.filter(r => !r.success).length
       });
 
+      // A run that lost its lease leaves the trip to the run that took it over
+      this.lease?.signal.throwIfAborted();
+
       // Synthesize results with geographic clustering
       const tripPlan = await this.synthesizeEnhancedTripPlan(agentResults, criteria);
 
+      // Persist the itinerary against stored recommendations (non-fatal)
+      try {
+        await this.persistItinerary(criteria);
+      } catch (error) {
+        this.logWarn(`⚠️ Failed to persist itinerary: ${error.message}`);
+      }
+
       // Generate final recommendations with enhanced business logic
       const finalPlan = await this.generateEnhancedRecommendations(tripPlan, criteria);
 
@@ -200,6 +227,29 @@ export class TripOrchestrator extends BaseAgent {
       };
 
     } catch (error) {
+      if (error.code === EXECUTION_LOCK_LOST) {
+        this.logWarn(`🔓 ${error.message}, stopping without further writes`);
+        return {
+          success: false,
+          lockLost: true,
+          error: error.message,
+          executedAt: new Date().toISOString()
+        };
+      }
+
+      if (error.code === TRIP_CANCELLED) {
+        this.logWarn(`🛑 Execution of trip ${this.tripId} was cancelled, stopping`);
+
+        // With only the execution cancelled, the trip keeps what its agents finished
+        await this.updateTopLevelTripStatus(await this.determineFinalTripStatus());
+        return {
+          success: false,
+          cancelled: true,
+          error: error.message,
+          executedAt: new Date().toISOString()
+        };
+      }
+
       this.logError('Trip orchestrator execution failed:', error);
 
       // Update trip with error status
@@ -219,6 +269,12 @@ export class TripOrchestrator extends BaseAgent {
       };
     } finally {
       this.deactivate();
+      await aiUsageService.recordUsage({
+        tripId: this.tripId,
+        agentType: aiUsageService.ORCHESTRATOR_USAGE,
+        usage: this.aiUsage,
+        requestedBy: this.requestedBy
+      });
     }
   }
 
@@ -244,8 +300,25 @@ export class TripOrchestrator extends BaseAgent {
     }
   }
 
-  async updateTripStatus(status, metadata = {}) {
+  /**
+   * Stop before starting another agent once the trip or this execution has
+   * been cancelled, or the execution lease was lost
+   */
+  async throwIfCancelled() {
+    this.lease?.signal.throwIfAborted();
     if (!this.tripId) return;
+
+    // A trip deleted mid-run stops the same way as a cancelled one
+    const active = await Trip.exists({ _id: this.tripId, ...NOT_CANCELLED, ...EXECUTION_NOT_CANCELLED });
+    if (!active) {
+      const error = new Error('Execution was cancelled');
+      error.code = TRIP_CANCELLED;
+      throw error;
+    }
+  }
+
+  async updateTripStatus(status, metadata = {}) {
+    if (!this.tripId || this.lease?.signal.aborted) return;
     
     try {
       const updateData = {
@@ -256,28 +329,34 @@ export class TripOrchestrator extends BaseAgent {
         }, {})
       };
       
-      await Trip.findByIdAndUpdate(this.tripId, updateData);
+      // Only a new run replaces a cancelled execution status
+      const filter = status === 'in_progress'
+        ? { _id: this.tripId, ...NOT_CANCELLED }
+        : { _id: this.tripId, ...NOT_CANCELLED, ...EXECUTION_NOT_CANCELLED };
+      await Trip.findOneAndUpdate(filter, updateData);
       this.logInfo(`Updated trip ${this.tripId} status to: ${status}`);
     } catch (error) {
       this.logError('Failed to update trip status:', error);
     }
+
+    this.publishTripEvent(status, metadata);
   }
 
   async updateAgentStatus(agentName, status, metadata = {}) {
-    if (!this.tripId) return;
+    await this.createAgentRunner().updateStatus(agentName, status, metadata);
+  }
 
-    try {
-      const updateData = {
-        [`agentExecution.agents.${agentName}.status`]: status,
-        ...Object.entries(metadata).reduce((acc, [key, value]) => {
-          acc[`agentExecution.agents.${agentName}.${key}`] = value;
-          return acc;
-        }, {})
-      };
+  // Every agent run goes through the shared pipeline (status, normalization, storage)
+  createAgentRunner() {
+    return new AgentRunner({ tripId: this.tripId, trip: this.trip, lease: this.lease, requestedBy: this.requestedBy });
+  }
 
-      await Trip.findByIdAndUpdate(this.tripId, updateData);
-    } catch (error) {
-      this.logError(`Failed to update ${agentName} agent status:`, error);
+  // Stream progress to SSE subscribers (GET /api/trip/:tripId/events)
+  publishTripEvent(status, metadata = {}) {
+    if (status === 'in_progress' && metadata.startedAt) {
+      executionEvents.publish(this.tripId, executionEvents.buildExecutionStartedEvent(metadata.startedAt));
+    } else if (metadata.completedAt) {
+      executionEvents.publish(this.tripId, executionEvents.buildExecutionCompletedEvent(metadata.completedAt));
     }
   }
 
@@ -296,7 +375,7 @@ export class TripOrchestrator extends BaseAgent {
     }
 
     // Check each agent's final status in the database
-    const agentNames = ['flight', 'accommodation', 'activity', 'restaurant'];
+    const agentNames = AGENT_TYPE_LIST;
     const agentStatuses = agentNames.map(name => {
       const agentStatus = this.trip.agentExecution?.agents?.[name]?.status;
       return {
@@ -310,9 +389,10 @@ export class TripOrchestrator extends BaseAgent {
     // Check if any agent failed
     const hasFailedAgent = agentStatuses.some(agent => agent.status === 'failed');
 
-    // Check if all agents completed
+    // Check if all agents completed (stale results from an earlier run count,
+    // and an agent the user cancelled does not hold back the others)
     const allCompleted = agentStatuses.every(agent =>
-      agent.status === 'completed' || agent.status === 'skipped'
+      ['completed', 'skipped', 'stale', 'cancelled'].includes(agent.status)
     );
 
     if (hasFailedAgent) {
@@ -334,516 +414,16 @@ export class TripOrchestrator extends BaseAgent {
    * Update the top-level trip status field
    */
   async updateTopLevelTripStatus(status) {
-    if (!this.tripId) return;
+    if (!this.tripId || this.lease?.signal.aborted) return;
 
     try {
-      await Trip.findByIdAndUpdate(this.tripId, { status });
+      await Trip.findOneAndUpdate({ _id: this.tripId, ...NOT_CANCELLED }, { status });
       this.logInfo(`✅ Updated trip status to: ${status}`);
     } catch (error) {
       this.logError('Failed to update top-level trip status:', error);
     }
   }
 
-  async storeRecommendations(agentName, recommendations) {
-    if (!this.tripId || !Array.isArray(recommendations)) {
-      return { ids: [], errors: [] };
-    }
-
-    await this.ensureTripLoaded();
-
-    const errorEntries = [];
-    const normalizedEntries = [];
-
-    recommendations.forEach((rawRecommendation, index) => {
-      try {
-        const normalized = this.normalizeRecommendation(agentName, rawRecommendation);
-        normalizedEntries.push({ index, raw: rawRecommendation, normalized });
-      } catch (error) {
-        const message = this.extractRecommendationError(error);
-        errorEntries.push({
-          message,
-          timestamp: new Date(),
-          stack: error?.stack
-        });
-
-        this.logError(`❌ Failed to normalize ${agentName} recommendation "${rawRecommendation?.name || rawRecommendation?.title || 'Unknown'}":`, message);
-      }
-    });
-
-    if (recommendations.length > 0 && normalizedEntries.length === 0) {
-      const errorSummary = errorEntries.map((e) => e.message).join(' | ') || 'No normalization details available';
-      this.logWarn(`⚠️ ${agentName} normalization produced 0 records out of ${recommendations.length}. Reasons: ${errorSummary}`);
-    }
-
-    let insertedDocs = [];
-
-    if (normalizedEntries.length > 0) {
-      try {
-        insertedDocs = await Recommendation.insertMany(
-          normalizedEntries.map((entry) => entry.normalized),
-          {
-            ordered: false,
-            rawResult: false
-          }
-        );
-      } catch (error) {
-        if (Array.isArray(error.insertedDocs)) {
-          insertedDocs = error.insertedDocs;
-        }
-
-        if (Array.isArray(error.writeErrors)) {
-          for (const writeError of error.writeErrors) {
-            const failedEntry = normalizedEntries[writeError.index];
-            errorEntries.push({
-              message: writeError.errmsg || writeError.message,
-              timestamp: new Date(),
-              stack: writeError.err?.stack
-            });
-
-            this.logError(`❌ Failed to insert ${agentName} recommendation "${failedEntry?.raw?.name || 'Unknown'}":`, writeError.errmsg || writeError.message);
-          }
-        } else if (error.errors) {
-          Object.values(error.errors).forEach((err) => {
-            errorEntries.push({
-              message: err.message,
-              timestamp: new Date(),
-              stack: err.stack
-            });
-            this.logError(`❌ Validation error for ${agentName} recommendation: ${err.message}`);
-          });
-        } else {
-          errorEntries.push({
-            message: error.message,
-            timestamp: new Date(),
-            stack: error.stack
-          });
-        }
-      }
-    }
-
-    const recommendationIds = insertedDocs
-      .map((doc) => doc && doc._id)
-      .filter(Boolean);
-
-    if (normalizedEntries.length > 0 && recommendationIds.length === 0) {
-      const errorSummary = errorEntries.map((e) => e.message).join(' | ') || 'No insertion error details captured';
-      this.logWarn(`⚠️ ${agentName} recommendations normalized (${normalizedEntries.length}) but none saved. Reasons: ${errorSummary}`);
-    }
-
-    const updateOps = {
-      $set: {
-        [`agentExecution.agents.${agentName}.recommendationCount`]: recommendationIds.length
-      }
-    };
-
-    if (recommendationIds.length > 0) {
-      updateOps.$push = updateOps.$push || {};
-      updateOps.$push[`recommendations.${agentName}`] = { $each: recommendationIds };
-    }
-
-    if (errorEntries.length > 0) {
-      updateOps.$push = updateOps.$push || {};
-      updateOps.$push[`agentExecution.agents.${agentName}.errors`] = { $each: errorEntries };
-    }
-
-    try {
-      await Trip.findByIdAndUpdate(this.tripId, updateOps);
-    } catch (error) {
-      this.logError(`Failed to update trip with ${agentName} recommendations:`, error);
-    }
-
-    if (this.trip && recommendationIds.length > 0) {
-      this.trip.recommendations = this.trip.recommendations || {};
-      this.trip.recommendations[agentName] = this.trip.recommendations[agentName] || [];
-      this.trip.recommendations[agentName].push(...recommendationIds);
-    }
-
-    return { ids: recommendationIds, errors: errorEntries };
-  }
-
-  normalizeRecommendation(agentName, rawRecommendation = {}) {
-    const normalizedPrice = this.normalizePrice(agentName, rawRecommendation);
-    const normalizedRating = this.normalizeRating(rawRecommendation);
-    const location = this.normalizeLocation(rawRecommendation);
-    const confidence = this.normalizeConfidence(agentName, rawRecommendation);
-    const agentMetadata = this.buildAgentMetadata(agentName, rawRecommendation);
-    const externalIds = this.buildExternalIds(rawRecommendation);
-    const images = this.normalizeImages(rawRecommendation);
-    const name = this.buildRecommendationName(agentName, rawRecommendation, location);
-    const description = this.buildRecommendationDescription(agentName, rawRecommendation, normalizedPrice, normalizedRating);
-
-    // Debug logging for restaurants
-    if (agentName === 'restaurant') {
-      this.logInfo(`🔍 Normalizing restaurant recommendation:`, {
-        rawName: rawRecommendation.name,
-        rawRating: rawRecommendation.rating?.score || rawRecommendation.rating,
-        rawPrice: rawRecommendation.price?.amount || rawRecommendation.price,
-        rawAddress: rawRecommendation.location?.address,
-        normalizedName: name,
-        normalizedRating: normalizedRating.score,
-        normalizedPrice: normalizedPrice.amount,
-        hasImages: images.length > 0,
-        imageCount: images.length
-      });
-    }
-
-    return {
-      agentType: agentName,
-      name,
-      description,
-      price: normalizedPrice,
-      rating: normalizedRating,
-      location,
-      confidence,
-      agentMetadata,
-      externalIds,
-      images
-    };
-  }
-
-  normalizePrice(agentName, rawRecommendation) {
-    const rawAmount = rawRecommendation?.price?.amount ?? rawRecommendation?.price ?? rawRecommendation?.cost ?? 0;
-    const amount = Number(rawAmount);
-    const safeAmount = Number.isFinite(amount) && amount >= 0 ? amount : 0;
-
-    let currency = rawRecommendation?.price?.currency || rawRecommendation?.currency || 'USD';
-    if (typeof currency === 'string') {
-      currency = currency.trim().toUpperCase().slice(0, 3) || 'USD';
-    } else {
-      currency = 'USD';
-    }
-
-    // Log currency mismatch if not USD
-    const requestedCurrency = rawRecommendation?.requestedCurrency || 'USD';
-    if (currency !== requestedCurrency && safeAmount > 0) {
-      this.logWarn(`⚠️ ${agentName} currency mismatch: expected ${requestedCurrency}, got ${currency} for ${rawRecommendation.name || 'item'} (${safeAmount} ${currency})`);
-    }
-
-    const rawPriceType = rawRecommendation?.price?.priceType;
-    const allowedPriceTypes = ['per_person', 'per_night', 'per_room', 'per_group', 'total'];
-    const priceType = allowedPriceTypes.includes(rawPriceType) ? rawPriceType : this.getPriceType(agentName);
-
-    return {
-      amount: safeAmount,
-      currency,
-      priceType,
-      originalCurrency: rawRecommendation?.currency || rawRecommendation?.price?.currency, // Track original
-      requestedCurrency // Track what was requested
-    };
-  }
-
-  normalizeRating(rawRecommendation = {}) {
-    let score = rawRecommendation?.rating?.score ?? rawRecommendation?.rating ?? rawRecommendation?.score ?? 0;
-
-    if (typeof score === 'string') {
-      const parsed = parseFloat(score);
-      score = Number.isFinite(parsed) ? parsed : 0;
-    }
-
-    if (Number.isFinite(score)) {
-      if (score > 5 && score <= 10) {
-        score = score / 2;
-      } else if (score > 10) {
-        score = 5;
-      }
-    } else {
-      score = 0;
-    }
-
-    score = Math.max(0, Math.min(5, score));
-
-    const reviewCount = rawRecommendation?.rating?.reviewCount ?? rawRecommendation?.reviewCount ?? 0;
-    const normalizedReviewCount = Number.isFinite(Number(reviewCount)) ? Number(reviewCount) : 0;
-
-    const source = rawRecommendation?.rating?.source ||
-      rawRecommendation?.source ||
-      rawRecommendation?.airline ||
-      rawRecommendation?.provider ||
-      'agent';
-
-    return {
-      score,
-      reviewCount: normalizedReviewCount,
-      source
-    };
-  }
-
-  normalizeLocation(rawRecommendation = {}) {
-    const tripDestination = this.trip?.destination || {};
-    const sourceLocation = rawRecommendation.location || {};
-    const coordinates = this.normalizeCoordinates(
-      sourceLocation.coordinates ||
-      rawRecommendation.coordinates ||
-      tripDestination.coordinates
-    );
-
-    const address = sourceLocation.address ||
-      rawRecommendation.address ||
-      (rawRecommendation.departure && rawRecommendation.arrival
-        ? `${rawRecommendation.departure.airport || 'Origin'} → ${rawRecommendation.arrival.airport || 'Destination'}`
-        : undefined);
-
-    const city = sourceLocation.city || tripDestination.name || tripDestination.city;
-    const country = sourceLocation.country || tripDestination.country;
-    const placeId = sourceLocation.placeId || tripDestination.placeId;
-
-    const location = {};
-    if (address) location.address = address;
-    if (city) location.city = city;
-    if (country) location.country = country;
-    if (coordinates) location.coordinates = coordinates;
-    if (placeId) location.placeId = placeId;
-
-    return location;
-  }
-
-  normalizeCoordinates(rawCoordinates) {
-    if (!rawCoordinates) return undefined;
-
-    const latitude = rawCoordinates.latitude ?? rawCoordinates.lat ?? (Array.isArray(rawCoordinates) ? rawCoordinates[0] : undefined);
-    const longitude = rawCoordinates.longitude ?? rawCoordinates.lng ?? rawCoordinates.lon ?? (Array.isArray(rawCoordinates) ? rawCoordinates[1] : undefined);
-
-    const latNumber = Number(latitude);
-    const lonNumber = Number(longitude);
-
-    if (!Number.isFinite(latNumber) || !Number.isFinite(lonNumber)) {
-      return undefined;
-    }
-
-    return {
-      lat: latNumber,
-      lng: lonNumber
-    };
-  }
-
-  normalizeConfidence(agentName, rawRecommendation = {}) {
-    let score = rawRecommendation?.confidence?.score ?? rawRecommendation?.confidence;
-
-    if (typeof score === 'number' && score > 1) {
-      score = score / 100;
-    }
-
-    if (!Number.isFinite(score)) {
-      score = this.calculateRecommendationConfidence(rawRecommendation);
-    }
-
-    score = Math.max(0, Math.min(1, score));
-
-    const reasoning = rawRecommendation?.confidence?.reasoning ||
-      rawRecommendation?.reasoning ||
-      `Generated by ${agentName} agent`;
-
-    return {
-      score,
-      reasoning
-    };
-  }
-
-  buildAgentMetadata(agentName, rawRecommendation = {}) {
-    switch (agentName) {
-      case 'flight': {
-        const metadata = {
-          airline: rawRecommendation.airline || rawRecommendation.agentMetadata?.airline,
-          flightNumber: rawRecommendation.flightNumber || rawRecommendation.agentMetadata?.flightNumber,
-          departureAirport: rawRecommendation.departure?.airport,
-          departureTime: rawRecommendation.departure?.time,
-          departureDate: rawRecommendation.departure?.date,
-          arrivalAirport: rawRecommendation.arrival?.airport,
-          arrivalTime: rawRecommendation.arrival?.time,
-          arrivalDate: rawRecommendation.arrival?.date,
-          duration: rawRecommendation.duration || rawRecommendation.agentMetadata?.duration,
-          stops: typeof rawRecommendation.stops === 'number' ? rawRecommendation.stops : rawRecommendation.agentMetadata?.stops,
-          cabin: rawRecommendation.class || rawRecommendation.cabin || rawRecommendation.agentMetadata?.cabin
-        };
-
-        return Object.fromEntries(
-          Object.entries(metadata).filter(([, value]) => value !== undefined && value !== null)
-        );
-      }
-
-      case 'accommodation': {
-        const checkIn = rawRecommendation.checkIn || this.trip?.dates?.departureDate;
-        const checkOut = rawRecommendation.checkOut || this.trip?.dates?.returnDate;
-
-        return {
-          hotelType: rawRecommendation.type || rawRecommendation.agentMetadata?.hotelType || 'hotel',
-          amenities: Array.isArray(rawRecommendation.amenities)
-            ? rawRecommendation.amenities
-            : rawRecommendation.agentMetadata?.amenities || [],
-          roomType: rawRecommendation.roomType || rawRecommendation.agentMetadata?.roomType || 'standard',
-          checkIn,
-          checkOut
-        };
-      }
-
-      default:
-        return rawRecommendation.agentMetadata || {};
-    }
-  }
-
-  buildExternalIds(rawRecommendation = {}) {
-    const externalIds = rawRecommendation.externalIds || {};
-
-    const result = {
-      bookingId: rawRecommendation.bookingId || externalIds.bookingId,
-      googlePlaceId: rawRecommendation.googlePlaceId || externalIds.googlePlaceId,
-      amadeusId: rawRecommendation.amadeusId || externalIds.amadeusId,
-      providerId: rawRecommendation.id || rawRecommendation.providerId || externalIds.providerId
-    };
-
-    return Object.fromEntries(
-      Object.entries(result).filter(([, value]) => value !== undefined && value !== null)
-    );
-  }
-
-  normalizeImages(rawRecommendation = {}) {
-    // Handle imageUrl string field (for activities)
-    if (rawRecommendation.imageUrl && typeof rawRecommendation.imageUrl === 'string') {
-      return [{
-        url: rawRecommendation.imageUrl,
-        alt: rawRecommendation.name || 'Activity image',
-        isPrimary: true
-      }];
-    }
-
-    // Handle images array
-    if (!Array.isArray(rawRecommendation.images)) {
-      return [];
-    }
-
-    return rawRecommendation.images
-      .map((image, index) => {
-        if (typeof image === 'string') {
-          return {
-            url: image,
-            alt: rawRecommendation.name
-              ? `${rawRecommendation.name} image ${index + 1}`
-              : `Recommendation image ${index + 1}`
-          };
-        }
-
-        if (image && typeof image === 'object' && image.url) {
-          return {
-            url: image.url,
-            alt: image.alt || rawRecommendation.name || undefined,
-            isPrimary: image.isPrimary || index === 0
-          };
-        }
-
-        return null;
-      })
-      .filter(Boolean);
-  }
-
-  buildRecommendationName(agentName, rawRecommendation = {}, location = {}) {
-    switch (agentName) {
-      case 'flight': {
-        const airline = rawRecommendation.airline || 'Flight';
-        const flightNumber = rawRecommendation.flightNumber || '';
-        const departure = rawRecommendation.departure?.airport || location.address?.split('→')?.[0] || 'Origin';
-        const arrival = rawRecommendation.arrival?.airport || location.address?.split('→')?.[1] || 'Destination';
-        const name = `${airline.trim()} ${flightNumber}`.trim();
-        return name || `${departure} → ${arrival}`;
-      }
-      case 'accommodation':
-        return rawRecommendation.name || rawRecommendation.title || 'Accommodation Option';
-      case 'restaurant':
-        return rawRecommendation.name || rawRecommendation.title || 'Restaurant';
-      case 'activity':
-        return rawRecommendation.name || rawRecommendation.title || 'Activity';
-      default:
-        return rawRecommendation.name || rawRecommendation.title || `${agentName} recommendation`;
-    }
-  }
-
-  buildRecommendationDescription(agentName, rawRecommendation = {}, price, rating) {
-    switch (agentName) {
-      case 'flight': {
-        const departureAirport = rawRecommendation.departure?.airport || 'Origin';
-        const arrivalAirport = rawRecommendation.arrival?.airport || 'Destination';
-        const departureDate = rawRecommendation.departure?.date || 'selected date';
-        const stops = typeof rawRecommendation.stops === 'number' ? rawRecommendation.stops : 0;
-        const duration = rawRecommendation.duration || 'Unknown duration';
-        return `Flight from ${departureAirport} to ${arrivalAirport} on ${departureDate}. ${stops} stop(s), duration ${duration}. Fare: ${price.currency} ${price.amount.toFixed(2)}.`;
-      }
-      case 'accommodation': {
-        const ratingText = rating.score ? `${rating.score.toFixed(1)}/5` : 'Unrated';
-        const amenities = Array.isArray(rawRecommendation.amenities) && rawRecommendation.amenities.length > 0
-          ? rawRecommendation.amenities.slice(0, 3).join(', ')
-          : 'Essential amenities';
-        return `${rawRecommendation.name || 'Accommodation'} rated ${ratingText}. Key amenities: ${amenities}. Nightly rate: ${price.currency} ${price.amount.toFixed(2)}.`;
-      }
-      case 'restaurant': {
-        const ratingText = rating.score ? `${rating.score.toFixed(1)}/5` : 'Unrated';
-        const cuisine = rawRecommendation.agentMetadata?.cuisine || rawRecommendation.cuisine || 'restaurant';
-        const address = rawRecommendation.location?.address || 'destination';
-        const priceRange = rawRecommendation.agentMetadata?.priceRange || '';
-        const priceInfo = price.amount > 0
-          ? `Average meal: ${price.currency} ${price.amount.toFixed(2)} ${price.priceType || 'per person'}`
-          : (priceRange ? `Price range: ${priceRange}` : '');
-        return `${cuisine} restaurant${address ? ` at ${address}` : ''}. Rating: ${ratingText}.${priceInfo ? ` ${priceInfo}.` : ''}`;
-      }
-      case 'activity': {
-        const ratingText = rating.score ? ` Rated ${rating.score.toFixed(1)}/5` : '';
-        const duration = rawRecommendation.agentMetadata?.duration || rawRecommendation.duration;
-        const durationText = duration ? `. Duration: ${duration}` : '';
-        const priceText = price.amount > 0 ? ` Price: ${price.currency} ${price.amount.toFixed(2)} ${price.priceType || 'per person'}` : '';
-        const description = rawRecommendation.description || rawRecommendation.summary || '';
-        return `${description}${ratingText}${durationText}.${priceText ? `${priceText}.` : ''}`.trim();
-      }
-      default:
-        return rawRecommendation.description ||
-          rawRecommendation.summary ||
-          `Generated by ${agentName} agent`;
-    }
-  }
-
-  extractRecommendationError(error) {
-    if (!error) return 'Unknown validation error';
-    if (error.name === 'ValidationError' && error.errors) {
-      return Object.values(error.errors)
-        .map(err => err.message)
-        .join('; ');
-    }
-    return error.message || 'Unknown validation error';
-  }
-
-  getPriceType(agentName) {
-    const priceTypes = {
-      flight: 'total',
-      accommodation: 'per_night',
-      activity: 'per_person',
-      restaurant: 'per_person'
-    };
-    return priceTypes[agentName] || 'per_person';
-  }
-
-  calculateRecommendationConfidence(rec) {
-    let confidence = 0.7; // Base confidence
-
-    const ratingScore = typeof rec.rating === 'number'
-      ? rec.rating
-      : rec.rating?.score;
-
-    if (ratingScore && ratingScore > 4.0) confidence += 0.1;
-
-    const reviewCount = rec.reviewCount ?? rec.rating?.reviewCount;
-    if (reviewCount && reviewCount > 100) confidence += 0.1;
-
-    const priceAmount = typeof rec.price === 'number'
-      ? rec.price
-      : rec.price?.amount;
-    if (priceAmount && priceAmount > 0) confidence += 0.05;
-
-    const hasCoordinates = Boolean(
-      rec.coordinates ||
-      rec.location?.coordinates
-    );
-    if (hasCoordinates) confidence += 0.05;
-    
-    return Math.min(confidence, 1.0);
-  }
-
   // Enhanced Criteria Extraction
   extractCriteria(tripRequest) {
     // Standardize currency - default to USD
@@ -882,86 +462,31 @@ export class TripOrchestrator extends BaseAgent {
 
       // Restaurant criteria
       cuisines: tripRequest.preferences?.cuisines,
-      features: tripRequest.preferences?.restaurantFeatures,
-
-      // Context for dependent agents
-      executionContext: this.executionContext
+      features: tripRequest.preferences?.restaurantFeatures
     };
   }
 
-  // Smart Agent Execution with Dependencies
-  async executeAgentsWithDependencies(criteria, agentsToRun = ['flight', 'accommodation', 'activity', 'restaurant']) {
-    const allResults = [];
-    const executedAgents = new Set();
-    const skippedAgents = new Set();
-
-    this.logInfo('Starting smart agent execution with dependencies...');
-    this.logInfo('📋 Execution order: accommodation → flights → experiences (activities & restaurants)');
-
-    for (const phase of this.executionPhases) {
-      // Filter agents in this phase to only include those in agentsToRun
-      const agentsInPhase = phase.agents.filter(agent => agentsToRun.includes(agent));
-
-      // Skip phase if no agents are selected to run
-      if (agentsInPhase.length === 0) {
-        this.logInfo(`\n⏭️  Skipping phase: ${phase.description} (no agents selected)`);
-        // Mark all agents in this phase as skipped
-        for (const agentName of phase.agents) {
-          if (!agentsToRun.includes(agentName)) {
-            skippedAgents.add(agentName);
-            await this.updateAgentStatus(agentName, 'skipped', {
-              completedAt: new Date(),
-              message: 'Agent not selected for execution'
-            });
-          }
-        }
-        continue;
-      }
-
-      this.logInfo(`\n🔹 Executing phase: ${phase.description}`);
-      this.logInfo(`   Running agents: ${agentsInPhase.join(', ')}`);
-
-      // Log UI visibility status
-      if (phase.uiEnabled === false) {
-        this.logInfo('ℹ️  Note: This phase generates data but UI display is not yet implemented');
-      }
-
-      // Check if dependencies are met
-      if (phase.dependencies) {
-        const missingDeps = phase.dependencies.filter(dep => !executedAgents.has(dep) && !skippedAgents.has(dep));
-        if (missingDeps.length > 0) {
-          this.logWarn(`⚠️ Phase ${phase.phase} missing dependencies: ${missingDeps.join(', ')}`);
-          continue;
-        } else {
-          const metDeps = phase.dependencies.filter(dep => executedAgents.has(dep));
-          if (metDeps.length > 0) {
-            this.logInfo(`✅ Dependencies met: ${metDeps.join(', ')}`);
-          }
-        }
-      }
-
-      if (phase.parallel) {
-        // Execute agents in parallel
-        const phaseResults = await this.executeAgentsParallel(agentsInPhase, criteria);
-        allResults.push(...phaseResults);
-      } else {
-        // Execute agents sequentially
-        const phaseResults = await this.executeAgentsSequential(agentsInPhase, criteria);
-        allResults.push(...phaseResults);
-      }
+  // Dependency-graph execution: each agent starts once the agents writing the
+  // context it reads (AGENT_CONTEXT) have finished, up to this.concurrency at once
+  async executeAgentsWithDependencies(criteria, agentsToRun = AGENT_TYPE_LIST) {
+    const graph = buildAgentGraph(agentsToRun);
+    this.logInfo(`Starting agent execution (concurrency ${this.concurrency})...`);
+    Object.entries(graph).forEach(([agentName, prerequisites]) => {
+      this.logInfo(`   - ${agentName}${prerequisites.length > 0 ? ` after ${prerequisites.join(', ')}` : ''}`);
+    });
 
-      // Mark agents as executed and update context
-      for (const agentName of agentsInPhase) {
-        executedAgents.add(agentName);
-        const agentResult = allResults.find(r => r.name === agentName);
+    return runAgentGraph(agentsToRun, async (agentName) => {
+      const result = await this.executeAgent(agentName, criteria);
 
-        if (agentResult && agentResult.success) {
-          await this.updateExecutionContext(agentName, agentResult);
-        }
+      // Publish this agent's context before its dependents start
+      if (result.success) {
+        await this.updateExecutionContext(agentName, result);
       }
-    }
-
-    return allResults;
+      return result;
+    }, {
+      concurrency: this.concurrency,
+      beforeStart: () => this.throwIfCancelled()
+    });
   }
 
   /**
@@ -971,12 +496,8 @@ export class TripOrchestrator extends BaseAgent {
    * @returns {Promise<Array>} Array of agent execution results
    */
   async executeSelectedAgents(agentNames, criteria) {
-    const allResults = [];
-    const executedAgents = new Set();
-    const skippedAgents = new Set();
-
     // Validate agent names
-    const validAgents = ['flight', 'accommodation', 'activity', 'restaurant'];
+    const validAgents = AGENT_TYPE_LIST;
     const invalidAgents = agentNames.filter(name => !validAgents.includes(name));
     if (invalidAgents.length > 0) {
       throw new Error(`Invalid agent names: ${invalidAgents.join(', ')}. Valid agents are: ${validAgents.join(', ')}`);
@@ -985,51 +506,26 @@ export class TripOrchestrator extends BaseAgent {
     this.logInfo('Starting selective agent execution...');
     this.logInfo(`🎯 Requested agents: ${agentNames.join(', ')}`);
 
-    // Create filtered execution phases
-    const filteredPhases = this.executionPhases
-      .map(phase => {
-        // Filter agents in this phase to only include requested agents
-        const agentsInPhase = phase.agents.filter(agent => agentNames.includes(agent));
-
-        if (agentsInPhase.length === 0) {
-          return null; // Phase will be removed
-        }
+    // Context written by agents outside this run comes from their stored results
+    const reusedContext = agentNames
+      .flatMap(agentName => AGENT_CONTEXT[agentName].reads)
+      .filter(key => !agentNames.some(agentName => AGENT_CONTEXT[agentName].writes.includes(key)));
+    if (reusedContext.length > 0) {
+      this.logInfo(`♻️  Reusing stored results for: ${[...new Set(reusedContext)].join(', ')}`);
+    }
 
-        // Check for missing dependencies
-        if (phase.dependencies) {
-          const missingDeps = phase.dependencies.filter(dep => !agentNames.includes(dep));
-          if (missingDeps.length > 0) {
-            this.logWarn(`⚠️  Warning: Phase '${phase.phase}' depends on [${phase.dependencies.join(', ')}] but only [${agentNames.join(', ')}] will run`);
-            this.logWarn(`   Missing dependencies: ${missingDeps.join(', ')}`);
-            this.logWarn(`   Execution will proceed but results may be suboptimal`);
-          }
-        }
+    // Reuse stored results of agents that are not rerunning
+    await this.seedExecutionContext(agentNames);
 
-        return {
-          ...phase,
-          agents: agentsInPhase,
-          originalAgents: phase.agents,
-          skippedAgents: phase.agents.filter(agent => !agentNames.includes(agent))
-        };
-      })
-      .filter(Boolean); // Remove null phases
-
-    // Log execution plan
-    this.logInfo('📋 Filtered execution phases:');
-    filteredPhases.forEach(phase => {
-      this.logInfo(`   - ${phase.phase}: ${phase.agents.join(', ')}`);
-      if (phase.skippedAgents.length > 0) {
-        this.logInfo(`     (skipping: ${phase.skippedAgents.join(', ')})`);
+    // Mark skipped agents (results kept from an earlier run are left alone)
+    const agentsToSkip = validAgents.filter(agent => !agentNames.includes(agent));
+    for (const agentName of agentsToSkip) {
+      const previousStatus = this.trip?.agentExecution?.agents?.[agentName]?.status;
+      if (KEPT_RESULT_STATUSES.includes(previousStatus)) {
+        this.logInfo(`   ♻️  Keeping ${previousStatus} results for ${agentName}`);
+        continue;
       }
-    });
 
-    // Mark skipped agents
-    const allRequestedAgents = new Set(agentNames);
-    const allPossibleAgents = new Set(validAgents);
-    const agentsToSkip = [...allPossibleAgents].filter(agent => !allRequestedAgents.has(agent));
-
-    for (const agentName of agentsToSkip) {
-      skippedAgents.add(agentName);
       await this.updateAgentStatus(agentName, 'skipped', {
         completedAt: new Date(),
         message: 'Agent not selected for execution'
@@ -1037,235 +533,65 @@ export class TripOrchestrator extends BaseAgent {
       this.logInfo(`   ⏭️  Marked ${agentName} as skipped`);
     }
 
-    // Execute filtered phases
-    for (const phase of filteredPhases) {
-      this.logInfo(`\n🔹 Executing phase: ${phase.description}`);
-      this.logInfo(`   Running agents: ${phase.agents.join(', ')}`);
-
-      // Log UI visibility status
-      if (phase.uiEnabled === false) {
-        this.logInfo('ℹ️  Note: This phase generates data but UI display is not yet implemented');
-      }
-
-      // Check if dependencies are met (only check against executed agents)
-      if (phase.dependencies) {
-        const requestedDeps = phase.dependencies.filter(dep => agentNames.includes(dep));
-        const missingDeps = requestedDeps.filter(dep => !executedAgents.has(dep));
-
-        if (missingDeps.length > 0) {
-          this.logWarn(`⚠️ Phase ${phase.phase} missing dependencies: ${missingDeps.join(', ')}`);
-          this.logWarn(`   Skipping this phase`);
-          continue;
-        } else if (requestedDeps.length > 0) {
-          this.logInfo(`✅ Dependencies met: ${requestedDeps.join(', ')}`);
-        }
-      }
-
-      // Execute agents in this phase
-      let phaseResults;
-      if (phase.parallel) {
-        phaseResults = await this.executeAgentsParallel(phase.agents, criteria);
-      } else {
-        phaseResults = await this.executeAgentsSequential(phase.agents, criteria);
-      }
-
-      allResults.push(...phaseResults);
+    const results = await this.executeAgentsWithDependencies(criteria, agentNames);
 
-      // Mark agents as executed and update context
-      for (const agentName of phase.agents) {
-        executedAgents.add(agentName);
-        const agentResult = allResults.find(r => r.name === agentName);
+    this.logInfo(`\n✅ Selective execution completed: ${results.length} agents executed, ${agentsToSkip.length} agents skipped`);
 
-        if (agentResult && agentResult.success) {
-          await this.updateExecutionContext(agentName, agentResult);
-        }
-      }
-    }
-
-    this.logInfo(`\n✅ Selective execution completed: ${executedAgents.size} agents executed, ${skippedAgents.size} agents skipped`);
-
-    return allResults;
-  }
-
-  async executeAgentsParallel(agentNames, criteria) {
-    const promises = agentNames.map(async (agentName) => {
-      return await this.executeAgent(agentName, criteria);
-    });
-    
-    return await Promise.all(promises);
-  }
-  
-  async executeAgentsSequential(agentNames, criteria) {
-    const results = [];
-    
-    for (const agentName of agentNames) {
-      const result = await this.executeAgent(agentName, criteria);
-      results.push(result);
-      
-      // Update context immediately for next agent
-      if (result.success) {
-        await this.updateExecutionContext(agentName, result);
-        // Update criteria with new context for next agent
-        criteria.executionContext = this.executionContext;
-      }
-    }
-    
     return results;
   }
-  
-  async executeAgent(agentName, criteria) {
-    const agent = this.agents[agentName];
-    const startTime = Date.now();
-    
-    try {
-      this.logInfo(`  Executing ${agentName} agent...`);
-      await this.updateAgentStatus(agentName, 'running', { startedAt: new Date() });
-      
-      // Enhance criteria with context for dependent agents
-      const enhancedCriteria = this.enhanceCriteriaForAgent(agentName, criteria);
-      
-      const result = await agent.execute({ criteria: enhancedCriteria });
-      const duration = Date.now() - startTime;
-      
-      if (result.success) {
-        const recommendations = result.data?.content?.recommendations || [];
-        const storageResult = await this.storeRecommendations(agentName, recommendations);
-        const confidence = this.calculateAgentConfidence(agentName, recommendations);
-        const savedCount = storageResult.ids.length;
-        const foundCount = recommendations.length;
-        const statusAfterSave = savedCount > 0 || foundCount === 0 ? 'completed' : 'failed';
-        const summary = {
-          found: foundCount,
-          saved: savedCount,
-          errors: storageResult.errors.length
-        };
-
-        await this.updateAgentStatus(agentName, statusAfterSave, {
-          completedAt: new Date(),
-          duration,
-          confidence,
-          recommendationCount: savedCount
-        });
 
-        this.logInfo(`${agent.constructor.name} saved:`, summary);
-
-        if (statusAfterSave === 'completed') {
-          this.logInfo(`  ✅ ${agentName} completed: ${savedCount} recommendations (${duration}ms)`);
-        } else {
-          this.logWarn(`  ⚠️ ${agentName} produced ${foundCount} recommendations but none passed validation (${duration}ms)`);
-        }
+  async executeAgent(agentName, criteria) {
+    this.logInfo(`  Executing ${agentName} agent...`);
 
-        return {
-          name: agentName,
-          ...result,
-          success: statusAfterSave === 'completed',
-          storedIds: storageResult.ids,
-          confidence,
-          duration,
-          errors: storageResult.errors
-        };
-      } else {
-        await this.updateAgentStatus(agentName, 'failed', {
-          completedAt: new Date(),
-          duration,
-          errors: [{ message: result.error, timestamp: new Date() }]
-        });
-        
-        this.logInfo(`${agent.constructor.name} saved:`, { found: 0, saved: 0, errors: 1 });
-        
-        this.logInfo(`  ❌ ${agentName} failed: ${result.error} (${duration}ms)`);
-        
-        return { name: agentName, ...result, duration };
-      }
-      
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      
-      await this.updateAgentStatus(agentName, 'failed', {
-        completedAt: new Date(),
-        duration,
-        errors: [{ message: error.message, timestamp: new Date(), stack: error.stack }]
-      });
+    // Enhance criteria with context for dependent agents
+    const enhancedCriteria = this.enhanceCriteriaForAgent(agentName, criteria);
 
-      this.logInfo(`${agent.constructor.name} saved:`, { found: 0, saved: 0, errors: 1 });
-      
-      this.logInfo(`  💥 ${agentName} crashed: ${error.message} (${duration}ms)`);
-      
-      return {
-        name: agentName,
-        success: false,
-        error: error.message,
-        duration,
-        executedAt: new Date().toISOString()
-      };
-    }
+    await this.ensureTripLoaded();
+    return this.createAgentRunner().run(agentName, this.agents[agentName], enhancedCriteria);
   }
-  
+
   enhanceCriteriaForAgent(agentName, baseCriteria) {
-    const enhanced = { ...baseCriteria };
-    
-    switch (agentName) {
-      case 'activity':
-        // Use hotel location for geographic clustering
-        if (this.executionContext.hotelLocation) {
-          enhanced.preferredArea = this.executionContext.hotelLocation;
-          enhanced.maxDistanceFromHotel = 10; // km
-          enhanced.geographicContext = this.executionContext.geographicClusters;
-        }
-        break;
-        
-      case 'restaurant':
-        // Use activity locations and hotel location
-        if (this.executionContext.selectedActivities.length > 0) {
-          enhanced.activityLocations = this.executionContext.selectedActivities;
-          enhanced.preferredAreas = this.executionContext.geographicClusters;
-        }
-        if (this.executionContext.hotelLocation) {
-          enhanced.hotelLocation = this.executionContext.hotelLocation;
-        }
-        break;
+    // Agents see only the context they declare reading, so what they get does
+    // not depend on which other agents happen to finish first
+    const context = Object.fromEntries(
+      AGENT_CONTEXT[agentName].reads.map(key => [key, this.executionContext[key]])
+    );
+    const enhanced = { ...baseCriteria, executionContext: context };
+
+    // Remaining budget for this category, in the agent's own price unit
+    const maxPrice = this.executionContext.budgetLimits[agentName];
+    if (maxPrice !== undefined && enhanced.maxPrice === undefined) {
+      enhanced.maxPrice = maxPrice;
     }
 
-    return enhanced;
+    // Agent-specific criteria built from that context (e.g. transport routes)
+    return { ...enhanced, ...getAgentDefinition(agentName).buildCriteria(baseCriteria, context) };
   }
   
+  // Publish what the agent's results contribute to the context (its definition's writes)
   async updateExecutionContext(agentName, result) {
     const recommendations = result.data?.content?.recommendations || [];
-    
-    switch (agentName) {
-      case 'accommodation':
-        // Extract hotel location for geographic clustering
-        if (recommendations.length > 0) {
-          const bestHotel = recommendations[0];
-          if (bestHotel.coordinates || bestHotel.location) {
-            this.executionContext.hotelLocation = {
-              name: bestHotel.name,
-              coordinates: bestHotel.coordinates || bestHotel.location.coordinates,
-              address: bestHotel.address || bestHotel.location
-            };
-            
-            this.logInfo(`  📍 Hotel location set: ${bestHotel.name}`);
-          }
-        }
-        break;
-        
-      case 'activity':
-        // Store activity locations for restaurant clustering
-        this.executionContext.selectedActivities = recommendations.map(activity => ({
-          name: activity.name,
-          coordinates: activity.coordinates || activity.location?.coordinates,
-          address: activity.address || activity.location,
-          category: activity.category
-        })).filter(a => a.coordinates);
-        
-        // Create geographic clusters
-        this.executionContext.geographicClusters = this.createGeographicClusters([
-          this.executionContext.hotelLocation,
-          ...this.executionContext.selectedActivities
-        ].filter(Boolean));
-        
+    const contribution = getAgentDefinition(agentName).context.fromResults(recommendations);
+
+    if (Object.keys(contribution).length > 0) {
+      this.logInfo(`  📍 ${agentName} context set: ${Object.keys(contribution).join(', ')}`);
+    }
+    this.applyExecutionContext(contribution);
+  }
+
+  // Merge context values and rebuild the geographic clusters they affect
+  applyExecutionContext(values) {
+    Object.assign(this.executionContext, values);
+
+    if (CLUSTERED_CONTEXT.some(key => key in values)) {
+      this.executionContext.geographicClusters = this.createGeographicClusters([
+        this.executionContext.hotelLocation,
+        ...this.executionContext.selectedActivities
+      ].filter(Boolean));
+
+      if (this.executionContext.geographicClusters.length > 0) {
         this.logInfo(`  🗺️  Geographic clusters created: ${this.executionContext.geographicClusters.length}`);
-        break;
+      }
     }
   }
   
@@ -1330,13 +656,6 @@ export class TripOrchestrator extends BaseAgent {
     return degrees * (Math.PI / 180);
   }
   
-  calculateAgentConfidence(agentName, recommendations) {
-    if (!recommendations || recommendations.length === 0) return 0;
-    
-    const scores = recommendations.map(rec => rec.confidence || this.calculateRecommendationConfidence(rec));
-    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
-  }
-  
   // Enhanced Trip Plan Synthesis
   async synthesizeEnhancedTripPlan(agentResults, criteria) {
     const plan = { ...this.tripSchema };
@@ -1368,7 +687,15 @@ export class TripOrchestrator extends BaseAgent {
     plan.itinerary = await this.generateEnhancedItinerary(plan.recommendations, criteria);
     
     // Budget validation and warnings
-    
+    const budgetWarnings = budgetService.findOverBudgetRecommendations(
+      plan.recommendations,
+      this.executionContext.budgetLimits
+    );
+    if (budgetWarnings.length > 0) {
+      plan.metadata.budgetWarnings = budgetWarnings;
+      budgetWarnings.forEach(warning => this.logWarn(`💸 ${warning.message}`));
+    }
+
     // Geographic analysis
     plan.metadata.geographicAnalysis = {
       clusters: this.executionContext.geographicClusters,
@@ -1403,17 +730,12 @@ export class TripOrchestrator extends BaseAgent {
   }
   
   assessAgentFailureImpact(agentName) {
-    const impacts = {
-      flight: 'critical - trip cannot proceed without flights',
-      accommodation: 'critical - lodging required for trip',
-      activity: 'moderate - reduces trip experience but not essential',
-      restaurant: 'low - dining options available elsewhere'
-    };
-
-    return impacts[agentName] || 'unknown impact';
+    return getAgentDefinition(agentName)?.failureImpact || 'unknown impact';
   }
   
-  async generateEnhancedItinerary(recommendations, criteria) {
+  // pinnedDays: recommendation id → day the user assigned it to. Pinned items
+  // go on their day first; days outside the trip fall back to distribution.
+  async generateEnhancedItinerary(recommendations, criteria, pinnedDays = {}) {
     const itinerary = [];
     const startDate = new Date(criteria.departureDate);
     const endDate = new Date(criteria.returnDate || criteria.departureDate);
@@ -1421,16 +743,29 @@ export class TripOrchestrator extends BaseAgent {
     
     this.logInfo(`Generating ${days}-day enhanced itinerary...`);
     
-    const activities = recommendations.activity || [];
-    const restaurants = recommendations.restaurant || [];
+    const pinnedDayOf = (item) => {
+      const day = pinnedDays[item?._id?.toString()];
+      return day >= 1 && day <= days ? day : null;
+    };
+    const unpinned = (items = []) => items.filter(item => !pinnedDayOf(item));
+    const pinnedTo = (items = [], day) => items.filter(item => pinnedDayOf(item) === day);
+
+    const activities = unpinned(recommendations.activity);
+    const restaurants = unpinned(recommendations.restaurant);
     const clusters = this.executionContext.geographicClusters;
     
     for (let i = 0; i < days; i++) {
       const date = new Date(startDate);
       date.setDate(date.getDate() + i);
       
-      const dayActivities = this.selectActivitiesForDay(activities, i, clusters);
-      const dayRestaurants = this.selectRestaurantsForDay(restaurants, dayActivities, i, clusters);
+      const dayActivities = [
+        ...pinnedTo(recommendations.activity, i + 1),
+        ...this.selectActivitiesForDay(activities, i, clusters)
+      ];
+      const dayRestaurants = [
+        ...pinnedTo(recommendations.restaurant, i + 1),
+        ...this.selectRestaurantsForDay(restaurants, dayActivities, i, clusters)
+      ];
       
       itinerary.push({
         date: date.toISOString().split('T')[0],
@@ -1445,6 +780,42 @@ export class TripOrchestrator extends BaseAgent {
     return itinerary;
   }
   
+  // Build the itinerary from stored Recommendation documents and save it,
+  // so days reference recommendation ids instead of raw agent payloads.
+  async persistItinerary(criteria, source = 'orchestrator') {
+    if (!this.tripId) {
+      return null;
+    }
+
+    await this.loadTripFromDatabase();
+    if (!this.trip) {
+      return null;
+    }
+
+    const { recommendations, pinnedDays, hotel, basedOn } = await itineraryService.loadItineraryCandidates(this.trip);
+
+    if (this.executionContext.geographicClusters.length === 0) {
+      this.applyExecutionContext({
+        ...getAgentDefinition(AGENT_TYPES.ACCOMMODATION).context.fromStored(hotel ? [hotel] : []),
+        ...getAgentDefinition(AGENT_TYPES.ACTIVITY).context.fromStored(recommendations.activity || [])
+      });
+    }
+
+    const days = await this.generateEnhancedItinerary(recommendations, criteria, pinnedDays);
+    return itineraryService.saveItinerary(this.trip, days, { source, basedOn });
+  }
+
+  // Load the context agents outside this run write (arrival airport, hotel,
+  // activities) from their stored recommendations, so agents that depend on
+  // them (e.g. transportation) still get their anchors
+  async seedExecutionContext(agentNames) {
+    await this.loadTripFromDatabase();
+    if (!this.trip) return;
+
+    const reused = AGENT_TYPE_LIST.filter(agentType => !agentNames.includes(agentType));
+    this.applyExecutionContext(await recommendationService.loadStoredContext(this.trip, reused));
+  }
+
   selectActivitiesForDay(activities, dayIndex, clusters) {
     if (!activities || activities.length === 0) return [];
     
@@ -1487,41 +858,19 @@ export class TripOrchestrator extends BaseAgent {
   async generateEnhancedRecommendations(tripPlan, criteria) {
     this.logInfo('Generating enhanced final recommendations with AI synthesis...');
     
-    const prompt = `
-Analyze this comprehensive trip plan and provide enhanced recommendations:
-
-Trip Context:
-- Destination: ${criteria.destination}
-- Dates: ${criteria.departureDate} to ${criteria.returnDate}
-- Travelers: ${criteria.travelers}
-- Geographic Coverage: ${tripPlan.tripSummary.geographicCoverage}%
-
-Recommendation Summary:
-${Object.entries(tripPlan.recommendations).map(([type, recs]) => 
-  `${type}: ${recs?.length || 0} options`).join('\
-')}
-
-Geographic Clusters:
-${JSON.stringify(tripPlan.metadata.geographicAnalysis?.clusters || [], null, 2)}
-
-Please provide:
-1. Overall trip confidence score (0-100) based on recommendation quality and geographic efficiency
-2. Top insights about the trip plan
-3. Optimization suggestions for logistics and pacing
-4. Risk assessment and mitigation strategies
-5. Alternative approaches for different preferences
-
-Focus on practical, actionable insights for the traveler.
-    `;
-
     try {
-      const aiResponse = await this.generateStructuredResponse(prompt, {
-        overallConfidence: 0,
-        insights: [],
-        optimizations: [],
-        risks: [],
-        alternatives: []
+      const prompt = this.renderPrompt('orchestrator.synthesis', {
+        destination: criteria.destination,
+        departureDate: criteria.departureDate || 'Not specified',
+        returnDate: criteria.returnDate || 'Not specified',
+        travelers: criteria.travelers || 1,
+        geographicCoverage: tripPlan.tripSummary.geographicCoverage,
+        recommendationSummary: Object.entries(tripPlan.recommendations)
+          .map(([type, recs]) => `${type}: ${recs?.length || 0} options`)
+          .join('\n'),
+        clusters: JSON.stringify(tripPlan.metadata.geographicAnalysis?.clusters || [], null, 2)
       });
+      const aiResponse = await this.generateStructuredResponse(prompt, SYNTHESIS_SCHEMA);
       
       const finalPlan = {
         ...tripPlan,
@@ -1534,7 +883,8 @@ Focus on practical, actionable insights for the traveler.
           aiInsights: aiResponse.content?.insights || [],
           optimizations: aiResponse.content?.optimizations || [],
           riskAssessment: aiResponse.content?.risks || [],
-          alternatives: aiResponse.content?.alternatives || []
+          alternatives: aiResponse.content?.alternatives || [],
+          prompts: this.promptsUsed
         }
       };
       
@@ -1563,20 +913,13 @@ Focus on practical, actionable insights for the traveler.
     let totalConfidence = 0;
     let weightedScore = 0;
     
-    // Agent weights based on importance (normalized without transportation)
-    const agentWeights = {
-      flight: 0.30,
-      accommodation: 0.30,
-      activity: 0.25,
-      restaurant: 0.15
-    };
-    
+    // Agent weights based on importance (the definitions' confidenceWeight)
     Object.entries(tripPlan.recommendations).forEach(([agentType, recs]) => {
       if (recs && recs.length > 0) {
         const avgConfidence = recs.reduce((sum, rec) => 
           sum + (rec.confidence || 0.7), 0) / recs.length;
         
-        const weight = agentWeights[agentType] || 0.1;
+        const weight = getAgentDefinition(agentType)?.confidenceWeight ?? 0.1;
         weightedScore += avgConfidence * weight;
         totalConfidence += weight;
       }
@@ -3,10 +3,14 @@ import cors from 'cors';
 import helmet from 'helmet';
 import env from './config/env.js';
 import tripRoutes from './routes/trip.js';
+import tripsRoutes from './routes/trips.js';
 import recommendationRoutes from './routes/recommendations.js';
 import placeRoutes from './routes/place.js';
+import jobRoutes from './routes/jobs.js';
+import adminRoutes from './routes/admin.js';
 import databaseService from './services/database.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { authenticate, requireAdmin } from './middleware/auth.js';
 import logger from './utils/logger.js';
 
 const app = express();
@@ -24,7 +28,9 @@ const corsOptions = {
 
     logger.warn(`Blocked request from origin: ${origin}`);
     return callback(new Error('Not allowed by CORS'));
-  }
+  },
+  // Trip version for If-Match on PATCH /api/trip/:tripId
+  exposedHeaders: ['ETag']
 };
 
 app.use(helmet());
@@ -32,9 +38,12 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-app.use('/api/trip', tripRoutes);
+app.use('/api/trip', authenticate, tripRoutes);
+app.use('/api/trips', authenticate, tripsRoutes);
 app.use('/api/places', placeRoutes);
-app.use('/api/recommendations', recommendationRoutes);
+app.use('/api/jobs', authenticate, jobRoutes);
+app.use('/api/recommendations', authenticate, recommendationRoutes);
+app.use('/api/admin', authenticate, requireAdmin, adminRoutes);
 
 app.get('/health', (_req, res) => {
   const dbStatus = databaseService.getConnectionStatus();
@@ -0,0 +1,18 @@
+// Estimated AI prices in USD per million tokens, keyed by model name or, for
+// providers that cost nothing per token, by provider name. Versioned model
+// names (gpt-4o-2024-08-06) use the longest key they start with. AI_PRICING
+// overrides or adds entries with the same shape, e.g.
+// AI_PRICING={"gpt-4o":{"prompt":2.5,"completion":10}}
+export const DEFAULT_AI_PRICES = Object.freeze({
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  // What OpenAI reports for gpt-4-turbo-preview
+  'gpt-4-0125-preview': { prompt: 10, completion: 30 },
+  'gpt-4-1106-preview': { prompt: 10, completion: 30 },
+  'gpt-4': { prompt: 30, completion: 60 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  // Local and simulated providers
+  ollama: { prompt: 0, completion: 0 },
+  mock: { prompt: 0, completion: 0 }
+});
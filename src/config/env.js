@@ -12,6 +12,25 @@ const toNumber = (value, fallback) => {
   return Number.isFinite(parsed) ? parsed : fallback;
 };
 
+// <TYPE>_<suffix> variables, keyed by agent type (FLIGHT_AGENT_TIMEOUT_MS → flight)
+const agentOverrides = (suffix) => Object.fromEntries(
+  Object.entries(process.env)
+    .map(([key, value]) => [key.match(new RegExp(`^([A-Z][A-Z_]*)_${suffix}$`))?.[1], value])
+    .filter(([type]) => type)
+    .map(([type, value]) => [type.toLowerCase(), toNumber(value)])
+);
+
+// JSON object from a variable, or the fallback when unset or invalid
+const toJson = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`⚠️  Ignoring ${name}, it is not valid JSON: ${error.message}`);
+    return fallback;
+  }
+};
+
 const toBoolean = (value) => {
   if (typeof value === 'boolean') return value;
   if (typeof value === 'string') {
@@ -43,6 +62,15 @@ export function validateEnv() {
     );
   }
 
+  // Otherwise every authenticated endpoint would answer 401
+  const authEnabled = process.env.AUTH_ENABLED === undefined || toBoolean(process.env.AUTH_ENABLED);
+  if (authEnabled && !process.env.JWT_SECRET && !process.env.API_KEYS) {
+    throw new Error(
+      'Authentication is enabled but neither JWT_SECRET nor API_KEYS is set.\n' +
+      'Set one of them, or AUTH_ENABLED=false for local development.'
+    );
+  }
+
   // Warn about optional but recommended variables
   const recommended = ['AMADEUS_API_KEY', 'AMADEUS_API_SECRET', 'GOOGLE_MAPS_API_KEY'];
   const missingRecommended = recommended.filter(key => !process.env[key]);
@@ -63,8 +91,47 @@ const environment = {
   corsOrigin: process.env.CORS_ORIGIN || '*',
   logLevel: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
   aiProvider: process.env.AI_PROVIDER || 'mock',
+  // Re-prompts allowed when structured AI output fails its JSON Schema
+  aiRepairAttempts: toNumber(process.env.AI_REPAIR_ATTEMPTS, 2),
+  // Circuit breakers of a provider chain (AI_PROVIDER=openai,ollama,mock)
+  aiBreakerFailureThreshold: toNumber(process.env.AI_BREAKER_FAILURE_THRESHOLD, 5),
+  aiBreakerCooldownMs: toNumber(process.env.AI_BREAKER_COOLDOWN_MS, 30000),
+  // Recorded model output (AI_PROVIDER=replay)
+  aiReplayMode: process.env.AI_REPLAY_MODE || 'replay',
+  aiReplayDir: process.env.AI_REPLAY_DIR || 'test/cassettes',
+  aiReplayProvider: process.env.AI_REPLAY_PROVIDER || 'openai',
+  aiReplayOnMiss: process.env.AI_REPLAY_ON_MISS || 'error',
+  // Per-model prices merged over config/aiPricing.js
+  aiPricing: toJson('AI_PRICING', {}),
+  // Prompt template versions to use instead of the latest, by template name
+  promptVersions: toJson('PROMPT_VERSIONS', {}),
   mongoUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/travlrapi',
   enableOrchestrator: toBoolean(process.env.ENABLE_ORCHESTRATOR),
+  executionEventBufferSize: toNumber(process.env.EXECUTION_EVENT_BUFFER_SIZE, 200),
+  sseKeepaliveMs: toNumber(process.env.SSE_KEEPALIVE_MS, 15000),
+  ssePollIntervalMs: toNumber(process.env.SSE_POLL_INTERVAL_MS, 2000),
+  jobWorkerEnabled: process.env.JOB_WORKER_ENABLED === undefined ? true : toBoolean(process.env.JOB_WORKER_ENABLED),
+  jobPollIntervalMs: toNumber(process.env.JOB_POLL_INTERVAL_MS, 2000),
+  jobHeartbeatIntervalMs: toNumber(process.env.JOB_HEARTBEAT_INTERVAL_MS, 10000),
+  jobStaleAfterMs: toNumber(process.env.JOB_STALE_AFTER_MS, 60000),
+  jobMaxAttempts: toNumber(process.env.JOB_MAX_ATTEMPTS, 3),
+  jobBackoffBaseMs: toNumber(process.env.JOB_BACKOFF_BASE_MS, 5000),
+  jobBackoffMaxMs: toNumber(process.env.JOB_BACKOFF_MAX_MS, 300000),
+  executionLockTtlMs: toNumber(process.env.EXECUTION_LOCK_TTL_MS, 60000),
+  authEnabled: process.env.AUTH_ENABLED === undefined ? true : toBoolean(process.env.AUTH_ENABLED),
+  jwtSecret: process.env.JWT_SECRET,
+  apiKeys: process.env.API_KEYS || '',
+  inviteTtlDays: toNumber(process.env.INVITE_TTL_DAYS, 7),
+  recommendationRunsRetained: toNumber(process.env.RECOMMENDATION_RUNS_RETAINED, 5),
+  agentConcurrency: toNumber(process.env.AGENT_CONCURRENCY, 3),
+  // Per-agent overrides fall back to `default`
+  agentTimeouts: {
+    default: toNumber(process.env.AGENT_TIMEOUT_MS, 120000),
+    ...agentOverrides('AGENT_TIMEOUT_MS')
+  },
+  agentCacheEnabled: process.env.AGENT_CACHE_ENABLED === undefined ? true : toBoolean(process.env.AGENT_CACHE_ENABLED),
+  // Override an agent definition's cache freshness (0 turns caching off for that type)
+  agentCacheTtls: agentOverrides('AGENT_CACHE_TTL_MS'),
   openaiApiKey: process.env.OPENAI_API_KEY,
   amadeusApiKey: process.env.AMADEUS_API_KEY,
   amadeusApiSecret: process.env.AMADEUS_API_SECRET,
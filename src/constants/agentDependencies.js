@@ -0,0 +1,67 @@
+/**
+ * Agent Dependency Constants
+ *
+ * Which agents' results are built from which trip inputs, and which agents
+ * consume another agent's results. Editing a trip marks the affected agents
+ * `stale` and can rerun just those. AGENT_CONTEXT is the graph the
+ * orchestrator schedules a run by. All three are derived from the agent
+ * definitions (tripFields, resultDependencies, context).
+ */
+
+import { listAgentDefinitions } from '../agents/definitions/index.js';
+import { AGENT_TYPE_LIST } from './agentTypes.js';
+
+const definitions = listAgentDefinitions();
+
+// Trip field (as reported in a PATCH's changedFields) → agents that read it
+export const TRIP_FIELD_DEPENDENCIES = definitions.reduce((dependencies, { type, tripFields }) => {
+  for (const field of tripFields) {
+    (dependencies[field] ||= []).push(type);
+  }
+  return dependencies;
+}, {});
+
+// Agent → agents whose criteria are built from its results. Only hard
+// dependencies: transportation routes start at the arrival airport, hotel and
+// activities found earlier. The hotel area hint for activities is not one.
+export const AGENT_RESULT_DEPENDENTS = definitions.reduce((dependents, { type, resultDependencies }) => {
+  for (const dependency of resultDependencies) {
+    (dependents[dependency] ||= []).push(type);
+  }
+  return dependents;
+}, {});
+
+// Execution-context keys each agent reads while building its criteria and
+// writes from its results during an orchestrator run. An agent waits only for
+// the agents in the same run that write one of its reads.
+export const AGENT_CONTEXT = Object.fromEntries(
+  definitions.map(({ type, context }) => [type, { reads: context.reads, writes: context.writes }])
+);
+
+/**
+ * Agents that write one of the given context keys
+ * @param {string[]} keys
+ * @returns {string[]}
+ */
+export function getContextWriters(keys = []) {
+  return AGENT_TYPE_LIST.filter(agent => AGENT_CONTEXT[agent].writes.some(key => keys.includes(key)));
+}
+
+/**
+ * Agents affected by a set of changed trip fields, including agents
+ * downstream of them, in AGENT_TYPE_LIST order.
+ * @param {string[]} changedFields
+ * @returns {string[]}
+ */
+export function getAffectedAgents(changedFields = []) {
+  const affected = new Set(changedFields.flatMap(field => TRIP_FIELD_DEPENDENCIES[field] || []));
+
+  // Set iteration also visits dependents added along the way
+  for (const agent of affected) {
+    for (const dependent of AGENT_RESULT_DEPENDENTS[agent] || []) {
+      affected.add(dependent);
+    }
+  }
+
+  return AGENT_TYPE_LIST.filter(agent => affected.has(agent));
+}
@@ -1,18 +1,32 @@
 /**
  * Agent Type Constants
  *
- * Single source of truth for all agent types across the application.
- * If adding a new agent type, update this file only.
+ * Derived from the agent registry (see agents/registry.js). To add an agent
+ * type, register a definition under agents/definitions; nothing here changes.
  */
 
-export const AGENT_TYPES = {
-  FLIGHT: 'flight',
-  ACCOMMODATION: 'accommodation',
-  RESTAURANT: 'restaurant',
-  ACTIVITY: 'activity'
-};
+import { listAgentDefinitions, resolveRouteSegment } from '../agents/definitions/index.js';
 
-export const AGENT_TYPE_LIST = Object.values(AGENT_TYPES);
+// { FLIGHT: 'flight', ACCOMMODATION: 'accommodation', ... }
+export const AGENT_TYPES = Object.freeze(Object.fromEntries(
+  listAgentDefinitions().map(({ type }) => [type.toUpperCase(), type])
+));
+
+export const AGENT_TYPE_LIST = Object.freeze(Object.values(AGENT_TYPES));
+
+// Plural names used by the recommendation retrieval routes
+export const AGENT_TYPE_ALIASES = Object.freeze(Object.fromEntries(
+  listAgentDefinitions().flatMap(({ type, routes }) => [routes.path, ...routes.aliases]
+    .filter(segment => segment !== type)
+    .map(segment => [segment, type]))
+));
+
+/**
+ * Agent type for a route segment such as `hotels` or `activity`
+ * @param {string} type
+ * @returns {string}
+ */
+export const resolveAgentType = (type) => resolveRouteSegment(type) || type;
 
 /**
  * Validate if a given string is a valid agent type
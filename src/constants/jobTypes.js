@@ -0,0 +1,32 @@
+/**
+ * Background Job Constants
+ *
+ * Job types handled by the worker (see src/jobs/handlers.js) and the
+ * lifecycle states a job moves through in the queue.
+ */
+
+export const JOB_TYPES = {
+  ORCHESTRATOR_RUN: 'orchestrator_run',
+  AGENT_RERUN: 'agent_rerun'
+};
+
+export const JOB_TYPE_LIST = Object.values(JOB_TYPES);
+
+/**
+ * queued → running → completed
+ *            ↓
+ *          queued (retry with backoff) → ... → dead (attempts exhausted)
+ *
+ * queued → cancelled (trip cancelled before the job was claimed)
+ */
+export const JOB_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  DEAD: 'dead',
+  CANCELLED: 'cancelled'
+};
+
+export const JOB_STATUS_LIST = Object.values(JOB_STATUSES);
+
+export const ACTIVE_JOB_STATUSES = [JOB_STATUSES.QUEUED, JOB_STATUSES.RUNNING];
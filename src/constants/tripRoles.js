@@ -0,0 +1,42 @@
+/**
+ * Trip Access Constants
+ *
+ * Collaborator roles (stored on Trip.collaboration.collaborators[].role) and
+ * the actions the authorization middleware checks them against.
+ */
+
+export const TRIP_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer'
+};
+
+export const TRIP_ROLE_LIST = Object.values(TRIP_ROLES);
+
+// Permission flags a collaborator gets when added with (or moved to) a role
+export const ROLE_PERMISSION_DEFAULTS = {
+  [TRIP_ROLES.OWNER]: { canEdit: true, canInvite: true, canDelete: true },
+  [TRIP_ROLES.EDITOR]: { canEdit: true, canInvite: false, canDelete: false },
+  [TRIP_ROLES.VIEWER]: { canEdit: false, canInvite: false, canDelete: false }
+};
+
+/**
+ * Compare roles by privilege (owner > editor > viewer)
+ * @returns {boolean} true when `role` grants at least as much as `than`
+ */
+export function isRoleAtLeast(role, than) {
+  const rank = TRIP_ROLE_LIST.indexOf(role);
+  return rank !== -1 && rank <= TRIP_ROLE_LIST.indexOf(than);
+}
+
+export const TRIP_ACTIONS = {
+  VIEW: 'view',
+  EDIT: 'edit',
+  INVITE: 'invite',
+  DELETE: 'delete'
+};
+
+export const USER_ROLES = {
+  USER: 'user',
+  ADMIN: 'admin'
+};
@@ -0,0 +1,42 @@
+import { formatSuccess } from '../middleware/validation.js';
+import { getProviderHealth } from '../services/aiProvider.js';
+import { listPrompts } from '../prompts/index.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'AdminController' });
+
+// GET /api/admin/ai/health - Report the AI provider chain and its circuit breakers
+export const getAiHealth = async (_req, res) => {
+  try {
+    const health = getProviderHealth();
+    const available = health.providers.filter(provider => health.chain.includes(provider.name) && provider.state !== 'open');
+
+    res.json(formatSuccess({
+      ...health,
+      status: available.length > 0 ? 'ok' : 'unavailable'
+    }, 'AI provider health retrieved successfully'));
+
+  } catch (error) {
+    log.error('Get AI health error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error retrieving AI provider health'
+    });
+  }
+};
+
+// GET /api/admin/ai/prompts - List prompt templates and the version each one renders
+export const getPrompts = async (_req, res) => {
+  try {
+    res.json(formatSuccess({ prompts: listPrompts() }, 'Prompt templates retrieved successfully'));
+
+  } catch (error) {
+    log.error('Get prompts error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error retrieving prompt templates'
+    });
+  }
+};
@@ -0,0 +1,40 @@
+import { Trip } from '../models/index.js';
+import { formatSuccess } from '../middleware/validation.js';
+import * as budgetService from '../services/budgetService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'BudgetController' });
+
+// GET /api/trip/:tripId/budget - Spend of the current selections against the trip budget
+export const getTripBudget = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await Trip.findOne({ tripId });
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        message: `Trip with ID ${tripId} does not exist`
+      });
+    }
+
+    const summary = await budgetService.summarizeBudget(trip);
+    const agentMaxPrice = await budgetService.getAgentPriceLimits(trip, summary);
+
+    res.json(formatSuccess({
+      tripId: trip.tripId,
+      hasBudget: budgetService.hasBudget(trip),
+      ...summary,
+      agentMaxPrice
+    }, 'Trip budget retrieved successfully'));
+
+  } catch (error) {
+    log.error('Get trip budget error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error retrieving trip budget'
+    });
+  }
+};
@@ -0,0 +1,207 @@
+import { Trip } from '../models/index.js';
+import { formatSuccess } from '../middleware/validation.js';
+import * as collaborationService from '../services/collaborationService.js';
+import { TRIP_ROLES, TRIP_ROLE_LIST } from '../constants/tripRoles.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'CollaborationController' });
+
+const PERMISSION_FLAGS = ['canEdit', 'canInvite', 'canDelete'];
+
+const sendFailure = (res, result) => res.status(result.status).json({
+  success: false,
+  error: result.error,
+  message: result.message
+});
+
+const validationError = (res, details) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details,
+  message: 'Please check your input and try again'
+});
+
+function validateRole(role, errors) {
+  if (role !== undefined && !TRIP_ROLE_LIST.includes(role)) {
+    errors.push(`role must be one of: ${TRIP_ROLE_LIST.join(', ')}`);
+  }
+}
+
+async function loadTrip(tripId, res) {
+  const trip = await Trip.findOne({ tripId });
+  if (!trip) {
+    res.status(404).json({
+      success: false,
+      error: 'Trip not found',
+      message: `Trip with ID ${tripId} does not exist`
+    });
+  }
+  return trip;
+}
+
+// GET /api/trip/:tripId/collaborators
+export const listCollaborators = async (req, res) => {
+  try {
+    const trip = await loadTrip(req.params.tripId, res);
+    if (!trip) return;
+
+    res.json(formatSuccess(
+      collaborationService.listCollaborators(trip, req.tripAccess),
+      'Collaborators retrieved successfully'
+    ));
+  } catch (error) {
+    log.error('List collaborators error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error retrieving collaborators'
+    });
+  }
+};
+
+// POST /api/trip/:tripId/collaborators - Create an invite token
+export const inviteCollaborator = async (req, res) => {
+  try {
+    const { role = TRIP_ROLES.VIEWER, email } = req.body;
+
+    const errors = [];
+    validateRole(role, errors);
+    if (email !== undefined && typeof email !== 'string') {
+      errors.push('email must be a string');
+    }
+    if (errors.length > 0) return validationError(res, errors);
+
+    if (role === TRIP_ROLES.OWNER && req.tripAccess.role !== TRIP_ROLES.OWNER) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only trip owners can invite other owners'
+      });
+    }
+
+    const trip = await loadTrip(req.params.tripId, res);
+    if (!trip) return;
+
+    const result = await collaborationService.createInvitation(trip, { role, email }, req.user.id);
+
+    res.status(201).json(formatSuccess({
+      tripId: trip.tripId,
+      token: result.token,
+      invitation: result.invitation
+    }, 'Invitation created. Share the token with the invitee; it is only shown once.'));
+  } catch (error) {
+    log.error('Invite collaborator error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error creating invitation'
+    });
+  }
+};
+
+// POST /api/trip/:tripId/collaborators/accept - Join a trip with an invite token
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      return validationError(res, ['token is required']);
+    }
+
+    const result = await collaborationService.acceptInvitation(req.params.tripId, token, req.user);
+    if (!result.success) return sendFailure(res, result);
+
+    res.status(result.alreadyMember ? 200 : 201).json(formatSuccess({
+      tripId: req.params.tripId,
+      collaborator: result.collaborator,
+      alreadyMember: result.alreadyMember
+    }, result.alreadyMember ? 'Already a collaborator on this trip' : 'Invitation accepted'));
+  } catch (error) {
+    log.error('Accept invitation error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error accepting invitation'
+    });
+  }
+};
+
+// PATCH /api/trip/:tripId/collaborators/:userId - Change role or permission flags
+export const updateCollaborator = async (req, res) => {
+  try {
+    const { role, permissions } = req.body;
+
+    const errors = [];
+    validateRole(role, errors);
+    if (permissions !== undefined) {
+      if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+        errors.push('permissions must be an object');
+      } else {
+        for (const [flag, value] of Object.entries(permissions)) {
+          if (!PERMISSION_FLAGS.includes(flag)) errors.push(`unknown permission: ${flag}`);
+          else if (typeof value !== 'boolean') errors.push(`permissions.${flag} must be a boolean`);
+        }
+      }
+    }
+    if (role === undefined && permissions === undefined) {
+      errors.push('role or permissions is required');
+    }
+    if (errors.length > 0) return validationError(res, errors);
+
+    const trip = await loadTrip(req.params.tripId, res);
+    if (!trip) return;
+
+    const result = await collaborationService.updateCollaborator(
+      trip, req.params.userId, { role, permissions }, req.tripAccess
+    );
+    if (!result.success) return sendFailure(res, result);
+
+    res.json(formatSuccess({
+      tripId: trip.tripId,
+      collaborator: result.collaborator
+    }, 'Collaborator updated successfully'));
+  } catch (error) {
+    log.error('Update collaborator error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error updating collaborator'
+    });
+  }
+};
+
+// DELETE /api/trip/:tripId/collaborators/:userId - Remove someone (or leave with `me`)
+export const removeCollaborator = async (req, res) => {
+  try {
+    const userId = req.params.userId === 'me' ? req.user.id : req.params.userId;
+    const leaving = userId === req.user.id;
+
+    if (!leaving && !req.tripAccess.canInvite) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You do not have permission to remove collaborators from this trip'
+      });
+    }
+
+    const trip = await loadTrip(req.params.tripId, res);
+    if (!trip) return;
+
+    // Leaving never needs owner rights, even for an owner collaborator
+    const result = await collaborationService.removeCollaborator(
+      trip, userId, leaving ? { role: TRIP_ROLES.OWNER } : req.tripAccess
+    );
+    if (!result.success) return sendFailure(res, result);
+
+    res.json(formatSuccess({
+      tripId: trip.tripId,
+      removed: result.removed
+    }, leaving ? 'You have left this trip' : 'Collaborator removed successfully'));
+  } catch (error) {
+    log.error('Remove collaborator error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error removing collaborator'
+    });
+  }
+};
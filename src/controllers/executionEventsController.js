@@ -0,0 +1,92 @@
+import { Trip } from '../models/index.js';
+import env from '../config/env.js';
+import * as executionEvents from '../services/executionEvents.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'ExecutionEventsController' });
+
+// Event ids are publish times (see executionEvents); an id ahead of this
+// process's clock came from elsewhere and would hide the events that follow
+const parseLastEventId = (req) => {
+  const raw = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  const parsed = Number.parseInt(raw, 10);
+  return Number.isFinite(parsed) && parsed > 0 && parsed <= Date.now() ? parsed : 0;
+};
+
+// GET /api/trip/:tripId/events - Server-Sent Events stream of execution progress
+export const streamTripEvents = async (req, res) => {
+  const { tripId } = req.params;
+
+  const trip = await Trip.findOne({ tripId }).select('_id tripId');
+  if (!trip) {
+    return res.status(404).json({
+      success: false,
+      error: 'Trip not found',
+      message: `Trip with ID ${tripId} does not exist`
+    });
+  }
+
+  const tripKey = trip._id.toString();
+  const lastEventId = parseLastEventId(req);
+  let lastSentId = lastEventId;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const sentKeys = new Set();
+  const send = (event) => {
+    const key = executionEvents.eventKey(event);
+    if (event.id <= lastSentId || sentKeys.has(key)) return;
+    lastSentId = event.id;
+    sentKeys.add(key);
+    res.write(executionEvents.formatSseMessage(event));
+  };
+
+  // Runs executing in another process (job worker, other API instance) publish
+  // nowhere this process can hear; their progress is read from the trip instead.
+  // Events already sent from the bus carry the same key and are skipped.
+  let syncing = false;
+  const syncFromTrip = async () => {
+    if (syncing) return;
+    syncing = true;
+    try {
+      const current = await Trip.findById(trip._id).select('agentExecution').lean();
+      for (const event of executionEvents.buildExecutionTimeline(current?.agentExecution || {})) {
+        const timestamp = new Date(event.timestamp).getTime();
+        // Sent before the client reconnected
+        if (timestamp <= lastEventId) continue;
+        send({ id: Math.max(lastSentId + 1, timestamp), ...event });
+      }
+    } catch (error) {
+      log.warn(`Failed to read execution status for trip ${tripId}: ${error.message}`);
+    } finally {
+      syncing = false;
+    }
+  };
+
+  // Subscribe before replaying so nothing published in between is lost
+  const unsubscribe = executionEvents.subscribe(tripKey, send);
+  executionEvents.getEventsSince(tripKey, lastSentId).forEach(send);
+
+  const poll = setInterval(syncFromTrip, env.ssePollIntervalMs);
+  const keepalive = setInterval(() => {
+    res.write(': keepalive\n\n');
+  }, env.sseKeepaliveMs);
+
+  log.debug(`SSE client connected for trip ${tripId}`, { lastEventId });
+
+  req.on('close', () => {
+    clearInterval(keepalive);
+    clearInterval(poll);
+    unsubscribe();
+    log.debug(`SSE client disconnected for trip ${tripId}`);
+  });
+
+  await syncFromTrip();
+};
@@ -0,0 +1,77 @@
+import { TripOrchestrator } from '../agents/tripOrchestrator.js';
+import { Trip } from '../models/index.js';
+import { formatSuccess } from '../middleware/validation.js';
+import * as itineraryService from '../services/itineraryService.js';
+import * as recommendationService from '../services/recommendationService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'ItineraryController' });
+
+// GET /api/trip/:tripId/itinerary - Persisted day-by-day plan
+export const getItinerary = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await Trip.findOne({ tripId });
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        message: `Trip with ID ${tripId} does not exist`
+      });
+    }
+
+    const itinerary = await itineraryService.getItinerary(trip);
+    if (!itinerary) {
+      return res.status(404).json({
+        success: false,
+        error: 'Itinerary not found',
+        message: `No itinerary has been generated for trip ${tripId} yet`
+      });
+    }
+
+    res.json(formatSuccess(itinerary, 'Itinerary retrieved successfully'));
+
+  } catch (error) {
+    log.error('Get itinerary error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error retrieving itinerary'
+    });
+  }
+};
+
+// POST /api/trip/:tripId/itinerary/regenerate - Rebuild from current selections
+export const regenerateItinerary = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await Trip.findOne({ tripId });
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        message: `Trip with ID ${tripId} does not exist`
+      });
+    }
+
+    const orchestrator = new TripOrchestrator({}, trip._id);
+    const criteria = orchestrator.extractCriteria(recommendationService.buildOrchestratorRequest(trip));
+
+    await orchestrator.persistItinerary(criteria, 'regenerate');
+    const itinerary = await itineraryService.getItinerary(trip);
+
+    log.info(`Itinerary regenerated for trip ${tripId}`, { basedOn: itinerary?.basedOn, version: itinerary?.version });
+
+    res.json(formatSuccess(itinerary, 'Itinerary regenerated successfully'));
+
+  } catch (error) {
+    log.error('Regenerate itinerary error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error regenerating itinerary'
+    });
+  }
+};
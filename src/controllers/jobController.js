@@ -0,0 +1,50 @@
+import { Trip } from '../models/index.js';
+import { formatSuccess } from '../middleware/validation.js';
+import * as jobQueue from '../services/jobQueue.js';
+import { resolveTripAccess } from '../services/authService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'JobController' });
+
+// GET /api/jobs/:jobId - Report background job state
+export const getJobStatus = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await jobQueue.getJob(jobId);
+    // Jobs are only visible to users who can view the trip they belong to
+    const trip = job && await Trip.findById(job.trip).select('collaboration').lean();
+    if (!job || !resolveTripAccess(trip, req.user).canView) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `Job with ID ${jobId} does not exist`
+      });
+    }
+
+    res.json(formatSuccess({
+      jobId: job.jobId,
+      type: job.type,
+      tripId: job.tripId,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      runAt: job.runAt,
+      startedAt: job.startedAt,
+      heartbeatAt: job.heartbeatAt,
+      completedAt: job.completedAt,
+      lastError: job.lastError?.message ? job.lastError : null,
+      result: job.result ?? null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    }, 'Job status retrieved successfully'));
+
+  } catch (error) {
+    log.error('Get job status error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error retrieving job status'
+    });
+  }
+};
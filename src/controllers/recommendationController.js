@@ -1,35 +1,52 @@
 /**
- * Base Recommendation Controller
+ * Recommendation Controller
  *
- * Shared logic and validation for all recommendation type controllers.
- * Provides common methods for:
- * - Fetching recommendations by type
- * - Validating selections
- * - Re-running specific agents
+ * One controller per registered agent type, configured by the type's agent
+ * definition (see agents/registry.js). Provides:
+ * - Fetching recommendations with the definition's filters, sorts and details
+ * - Selecting recommendations
+ * - Re-running the agent, with criteria built from other agents' stored results
  * - Error handling
  */
 
+import mongoose from 'mongoose';
 import { Trip, Recommendation } from '../models/index.js';
 import { TripOrchestrator } from '../agents/tripOrchestrator.js';
-import { FlightAgent } from '../agents/flightAgent.js';
-import { AccommodationAgent } from '../agents/accommodationAgent.js';
-import { ActivityAgent } from '../agents/activityAgent.js';
-import { RestaurantAgent } from '../agents/restaurantAgent.js';
+import { getAgentDefinition, listAgentDefinitions } from '../agents/definitions/index.js';
+import { AgentRunner } from '../services/agentRunner.js';
 import { formatSuccess } from '../middleware/validation.js';
 import logger from '../utils/logger.js';
 import * as recommendationService from '../services/recommendationService.js';
+import * as budgetService from '../services/budgetService.js';
+import * as selectionService from '../services/selectionService.js';
+import * as jobQueue from '../services/jobQueue.js';
+import * as executionLock from '../services/executionLock.js';
+import { JOB_TYPES } from '../constants/jobTypes.js';
+import { getContextWriters } from '../constants/agentDependencies.js';
 
 const ORCHESTRATOR_ENABLED = process.env.ENABLE_ORCHESTRATOR === 'true';
 
+// Sorts every type accepts; definitions add their own (query.sorts)
+const COMMON_SORTS = {
+  rating: { 'rating.score': -1 },
+  price_asc: { 'price.amount': 1 },
+  price_desc: { 'price.amount': -1 },
+  confidence: { 'confidence.score': -1 }
+};
+
 /**
- * Base class for recommendation controllers
- * Subclasses should define: this.agentType, this.displayName
+ * Controller for one agent type's recommendations
  */
-export class BaseRecommendationController {
-  constructor(agentType, displayName) {
-    this.agentType = agentType; // 'flight', 'accommodation', 'activity', 'restaurant', 'transportation'
-    this.displayName = displayName; // 'Flight', 'Hotel', etc.
-    this.log = logger.child({ scope: `${displayName}RecommendationController` });
+export class RecommendationController {
+  constructor(agentType) {
+    this.definition = getAgentDefinition(agentType);
+    if (!this.definition) {
+      throw new Error(`Unknown agent type: ${agentType}`);
+    }
+
+    this.agentType = agentType;
+    this.displayName = this.definition.displayName; // 'Flight', 'Hotel', etc.
+    this.log = logger.child({ scope: `${this.displayName}RecommendationController` });
   }
 
   /**
@@ -54,21 +71,43 @@ export class BaseRecommendationController {
    * Check if trip has recommendations ready
    */
   isRecommendationReady(trip) {
-    // Allow access as soon as this agent reports completed, even if the trip is still "draft"
+    // Allow access as soon as this agent reports completed, even if the trip is still "draft".
+    // Stale results (trip edited since) stay readable until the agent is rerun.
     const agentStatus = trip.agentExecution?.agents?.[this.agentType]?.status;
-    return agentStatus === 'completed';
+    return agentStatus === 'completed' || agentStatus === 'stale';
   }
 
   /**
-   * Get recommendations for this agent type
+   * While the agent is running, what it has saved so far is served as partial
+   * results
+   */
+  isInProgress(trip) {
+    return trip.agentExecution?.agents?.[this.agentType]?.status === 'running';
+  }
+
+  /**
+   * Recommendations to list: the batches saved so far while the agent is
+   * running, otherwise its current run
+   */
+  getRecommendationIds(trip) {
+    if (this.isInProgress(trip)) {
+      return trip.agentExecution.agents[this.agentType].partialRecommendations || [];
+    }
+    return trip.recommendations[this.agentType] || [];
+  }
+
+  /**
+   * Get recommendations for this agent type, filtered and sorted by the
+   * common parameters plus the ones its definition adds
    */
   async getRecommendations(req, res) {
     try {
       const { tripId } = req.params;
+      const listing = this.definition.query;
       const {
         minRating,
         maxPrice,
-        sortBy = 'rating',
+        sortBy = listing.defaultSort,
         limit = 10,
         offset = 0
       } = req.query;
@@ -78,7 +117,8 @@ export class BaseRecommendationController {
 
       // Check if recommendations are ready
       const agentStatus = trip.agentExecution?.agents?.[this.agentType];
-      if (!this.isRecommendationReady(trip)) {
+      const inProgress = this.isInProgress(trip);
+      if (!inProgress && !this.isRecommendationReady(trip)) {
         return res.status(400).json({
           success: false,
           error: 'Recommendations not ready',
@@ -92,13 +132,14 @@ export class BaseRecommendationController {
       }
 
       // Build query
-      const recommendationIds = trip.recommendations[this.agentType] || [];
+      const recommendationIds = this.getRecommendationIds(trip);
 
       if (recommendationIds.length === 0) {
         return res.json(formatSuccess({
           recommendations: [],
           total: 0,
-          agentType: this.agentType
+          agentType: this.agentType,
+          inProgress
         }, `No ${this.displayName.toLowerCase()} recommendations found`));
       }
 
@@ -112,25 +153,20 @@ export class BaseRecommendationController {
         query['price.amount'] = { $lte: parseFloat(maxPrice) };
       }
 
-      // Build sort
-      const sortOptions = {};
-      switch (sortBy) {
-        case 'rating':
-          sortOptions['rating.score'] = -1;
-          break;
-        case 'price_asc':
-          sortOptions['price.amount'] = 1;
-          break;
-        case 'price_desc':
-          sortOptions['price.amount'] = -1;
-          break;
-        case 'confidence':
-          sortOptions['confidence.score'] = -1;
-          break;
-        default:
-          sortOptions['rating.score'] = -1;
+      // Type-specific filters, e.g. maxStops for flights
+      const filters = { minRating, maxPrice };
+      for (const [param, applyFilter] of Object.entries(listing.filters)) {
+        const value = req.query[param];
+        if (value === undefined || value === '') continue;
+
+        applyFilter(query, value);
+        filters[param] = value;
       }
 
+      // Build sort
+      const sorts = { ...COMMON_SORTS, ...listing.sorts };
+      const sortOptions = sorts[sortBy] || sorts[listing.defaultSort];
+
       // Execute query
       const recommendations = await Recommendation
         .find(query)
@@ -140,12 +176,19 @@ export class BaseRecommendationController {
 
       const total = await Recommendation.countDocuments(query);
 
+      // Type-specific attributes pulled out of agentMetadata, e.g. flightDetails
+      const { detailsKey, details } = listing;
+      const results = detailsKey
+        ? recommendations.map(rec => ({ ...rec.toObject(), [detailsKey]: details(rec) }))
+        : recommendations;
+
       res.json(formatSuccess({
-        recommendations,
+        recommendations: results,
         total,
         count: recommendations.length,
         agentType: this.agentType,
-        filters: { minRating, maxPrice, sortBy },
+        inProgress,
+        filters: { ...filters, sortBy },
         pagination: { limit: parseInt(limit), offset: parseInt(offset) }
       }, `${this.displayName} recommendations retrieved successfully`));
 
@@ -165,68 +208,38 @@ export class BaseRecommendationController {
   async selectRecommendation(req, res) {
     try {
       const { tripId, recommendationId } = req.params;
-      const { selectedBy = 'user', rank = 1 } = req.body;
+      const { selectedBy = 'user', rank, day } = req.body;
 
-      const trip = await this.validateAndGetTrip(tripId, res);
-      if (!trip) return;
-
-      // Verify recommendation exists and belongs to this trip
-      const validRecommendations = trip.recommendations[this.agentType] || [];
-      const isValid = validRecommendations.some(
-        recId => recId.toString() === recommendationId
-      );
+      // Replaces the choice for single-select types; activity and restaurant
+      // selections are added to the ranked shortlist
+      const result = await selectionService.selectRecommendation(tripId, recommendationId, {
+        agentType: this.agentType,
+        selectedBy,
+        rank,
+        day
+      });
 
-      if (!isValid) {
-        return res.status(400).json({
+      if (!result.success) {
+        return res.status(result.status).json({
           success: false,
-          error: 'Invalid recommendation',
-          message: `${this.displayName} recommendation does not belong to this trip`
+          error: result.error,
+          ...(result.details && { details: result.details }),
+          message: result.message
         });
       }
 
-      // Clear previous selections for this agent type
-      await Recommendation.updateMany(
-        { _id: { $in: validRecommendations } },
-        {
-          'selection.isSelected': false,
-          'selection.selectedAt': null,
-          'selection.selectedBy': null,
-          'selection.selectionRank': null
-        }
-      );
-
-      // Update the selected recommendation
-      await Recommendation.findByIdAndUpdate(recommendationId, {
-        'selection.isSelected': true,
-        'selection.selectedAt': new Date(),
-        'selection.selectedBy': selectedBy,
-        'selection.selectionRank': rank
-      });
-
-      // Update trip's selectedRecommendations
-      const selectedRec = {
-        recommendation: recommendationId,
-        selectedAt: new Date(),
-        selectedBy,
-        selectionRank: rank
-      };
-
-      await Trip.findOneAndUpdate(
-        { tripId },
-        {
-          [`selectedRecommendations.${this.agentType}`]: [selectedRec],
-          status: 'user_selecting'
-        }
-      );
-
+      const selected = result.selections.find(entry => entry.recommendation.toString() === recommendationId);
       const updatedRecommendation = await Recommendation.findById(recommendationId);
 
       res.json(formatSuccess({
         tripId,
         agentType: this.agentType,
         recommendation: updatedRecommendation,
-        selectedAt: selectedRec.selectedAt,
-        selectedBy
+        selectedAt: selected?.selectedAt,
+        selectedBy,
+        selectionRank: selected?.selectionRank,
+        day: selected?.day,
+        selections: result.selections
       }, `${this.displayName} recommendation selected successfully`));
 
     } catch (error) {
@@ -250,12 +263,22 @@ export class BaseRecommendationController {
       const trip = await this.validateAndGetTrip(tripId, res);
       if (!trip) return;
 
-      // Check if execution is already in progress
-      if (trip.agentExecution.status === 'in_progress') {
+      if (trip.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          error: 'Trip cancelled',
+          message: 'Agents cannot be run for a cancelled trip'
+        });
+      }
+
+      // A run holding the trip's execution lock is still going
+      const holder = await executionLock.getHolder(trip._id);
+      if (holder) {
         return res.status(409).json({
           success: false,
           error: 'Execution in progress',
-          message: 'Cannot rerun agent while execution is currently in progress'
+          message: 'Cannot rerun agent while execution is currently in progress',
+          runId: holder.owner
         });
       }
 
@@ -267,33 +290,25 @@ export class BaseRecommendationController {
         [`agentExecution.agents.${this.agentType}.errors`]: []
       };
 
+      // Current results stay in place until the new run replaces them
       await Trip.findByIdAndUpdate(trip._id, updateData);
 
-      // Remove existing recommendations for this agent
-      if (trip.recommendations[this.agentType]?.length > 0) {
-        await Recommendation.deleteMany({
-          _id: { $in: trip.recommendations[this.agentType] }
-        });
-
-        await Trip.findByIdAndUpdate(trip._id, {
-          [`recommendations.${this.agentType}`]: [],
-          [`selectedRecommendations.${this.agentType}`]: []
-        });
-      }
+      // Queue the agent run; the job worker picks it up in the background
+      const job = await jobQueue.enqueue(JOB_TYPES.AGENT_RERUN, {
+        trip,
+        payload: { agentType: this.agentType, reason },
+        requestedBy: req.user
+      });
 
       res.json(formatSuccess({
         tripId: trip.tripId,
         agentType: this.agentType,
         status: 'pending',
+        jobId: job.jobId,
         reason,
         message: `${this.displayName} agent rerun initiated`
       }, `${this.displayName} recommendations will be regenerated`));
 
-      // Execute orchestrator for this agent asynchronously
-      this.executeAgentAsync(trip._id, trip).catch(error => {
-        this.log.error(`Background ${this.agentType} agent execution failed: ${error.message}`, { stack: error.stack });
-      });
-
     } catch (error) {
       this.log.error(`Rerun ${this.agentType} agent error: ${error.message}`, { stack: error.stack });
       res.status(500).json({
@@ -305,101 +320,114 @@ export class BaseRecommendationController {
   }
 
   /**
-   * Execute agent asynchronously in background
+   * Execute agent asynchronously in background (AGENT_RERUN job). Throws when
+   * the agent fails so the job is retried.
+   * @param {Object} [options] - { lease, requestedBy }: execution lock the job holds
+   *   for the trip, and who queued it (AI usage is counted against them)
+   * @returns {Promise<Object|undefined>} `{ lockLost: true }` when the lease was lost mid-run
    */
-  async executeAgentAsync(tripId, trip) {
-    try {
-      this.log.info(`🚀 Starting ${this.agentType} agent execution for trip ${tripId}`);
+  async executeAgentAsync(tripId, trip, { lease = null, requestedBy = null } = {}) {
+    this.log.info(`🚀 Starting ${this.agentType} agent execution for trip ${tripId}`);
 
-      const agentMap = {
-        flight: FlightAgent,
-        accommodation: AccommodationAgent,
-        activity: ActivityAgent,
-        restaurant: RestaurantAgent
-      };
+    // Path 1: Orchestrator enabled - delegate to orchestrator
+    if (ORCHESTRATOR_ENABLED) {
+      return await this.executeViaOrchestrator(tripId, trip, { lease, requestedBy });
+    }
 
-      // Path 1: Orchestrator enabled - delegate to orchestrator
-      if (ORCHESTRATOR_ENABLED) {
-        return await this.executeViaOrchestrator(tripId, trip);
-      }
+    // Path 2: Direct agent execution (orchestrator disabled)
+    const { AgentClass } = this.definition;
 
-      // Path 2: Direct agent execution (orchestrator disabled)
-      const AgentClass = agentMap[this.agentType];
-      if (!AgentClass) {
-        this.log.error(`No agent class found for ${this.agentType}`);
-        return;
-      }
+    this.log.info(`⏩ Running ${this.agentType} agent directly (orchestrator disabled)`);
 
-      this.log.info(`⏩ Running ${this.agentType} agent directly (orchestrator disabled)`);
+    // No-op once the trip has been cancelled
+    const started = await Trip.findOneAndUpdate({ _id: tripId, status: { $ne: 'cancelled' } }, {
+      'agentExecution.status': 'in_progress',
+      'agentExecution.startedAt': new Date(),
+      'agentExecution.cancelReason': null
+    });
+    if (!started) {
+      this.log.info(`🛑 Trip ${tripId} is cancelled, skipping ${this.agentType} agent`);
+      return;
+    }
 
-      // Step 1: Mark agent as running
-      await Trip.findByIdAndUpdate(tripId, {
-        [`agentExecution.agents.${this.agentType}.status`]: 'running',
-        [`agentExecution.agents.${this.agentType}.startedAt`]: new Date(),
-        'agentExecution.status': 'in_progress',
-        'agentExecution.startedAt': new Date()
-      });
+    const runner = new AgentRunner({ tripId, trip, source: 'agent', lease, requestedBy });
+    let result;
+    try {
+      const criteria = await this.buildCriteria(trip);
+      result = await runner.run(this.agentType, new AgentClass(), criteria);
+    } catch (error) {
+      // Criteria could not be built, so the agent never started
+      result = await runner.fail(this.agentType, { success: false, error: error.message, duration: 0 }, [
+        { message: error.message, timestamp: new Date(), stack: error.stack }
+      ]);
+    }
 
-      // Step 2: Build search criteria
-      const criteria = recommendationService.buildAgentCriteria(trip);
+    // The run that took over the lease finishes the execution
+    if (result.lockLost) {
+      this.log.warn(`🔓 ${this.agentType} agent stopped: ${result.error}`);
+      return { lockLost: true };
+    }
 
-      // Step 3: Execute agent search
-      const agent = new AgentClass();
-      const searchResult = await agent.search(criteria);
+    // The execution was this one agent, so it ends the way the agent did
+    let executionStatus = result.success ? 'completed' : 'failed';
+    if (result.cancelled) executionStatus = 'cancelled';
 
-      // Step 4: Extract raw results
-      const rawResults = recommendationService.extractRawResults(searchResult);
+    await Trip.findOneAndUpdate({ _id: tripId, status: { $ne: 'cancelled' }, 'agentExecution.status': 'in_progress' }, {
+      'agentExecution.status': executionStatus,
+      'agentExecution.completedAt': new Date(),
+      ...(result.cancelled && { 'agentExecution.cancelReason': result.error })
+    });
 
-      // Step 5: Rank results
-      const rankedResults = await recommendationService.rankResults(agent, rawResults);
+    if (result.cancelled) return;
 
-      // Step 6: Generate recommendations (optional agent transformation)
-      const { recommendations: generatedRecs, metadata } = await recommendationService.generateRecommendations(
-        agent,
-        rankedResults,
-        { criteria }
-      );
+    if (!result.success) {
+      this.log.error(`❌ ${this.agentType} agent execution failed: ${result.error}`);
+      throw new Error(result.error || `${this.displayName} agent failed`);
+    }
 
-      // Step 7: Select best available results
-      const finalResults = recommendationService.selectBestResults(
-        generatedRecs,
-        rankedResults,
-        rawResults
-      );
+    this.log.info(`✅ ${this.agentType} agent completed with ${result.storedIds.length} recommendations`);
+  }
 
-      if (finalResults.length === 0) {
-        this.log.warn(`⚠️ ${this.agentType} agent produced no recommendations`);
-      }
+  /**
+   * Search criteria for direct agent execution. The context the agent reads
+   * (e.g. the hotel location) comes from the stored results of the agents
+   * that write it.
+   */
+  async buildCriteria(trip) {
+    const criteria = recommendationService.buildAgentCriteria(trip);
 
-      // Step 8: Save recommendations to database
-      const savedIds = await recommendationService.saveRecommendationBatch(
-        finalResults,
-        this.agentType,
-        metadata
-      );
-
-      // Step 9: Update trip with results
-      await Trip.findByIdAndUpdate(tripId, {
-        [`recommendations.${this.agentType}`]: savedIds,
-        [`agentExecution.agents.${this.agentType}.status`]: 'completed',
-        [`agentExecution.agents.${this.agentType}.completedAt`]: new Date(),
-        [`agentExecution.agents.${this.agentType}.recommendationCount`]: savedIds.length,
-        'agentExecution.status': 'completed',
-        'agentExecution.completedAt': new Date()
-      });
+    // Search within what is left of the trip budget for this category
+    const limits = await budgetService.getAgentPriceLimits(trip, null, { currency: criteria.currency || 'USD' });
+    if (limits[this.agentType] !== undefined) {
+      criteria.maxPrice = limits[this.agentType];
+    }
 
-      this.log.info(`✅ ${this.agentType} agent completed with ${savedIds.length} recommendations`);
+    const { reads } = this.definition.context;
+    const writers = getContextWriters(reads).filter(agentType => agentType !== this.agentType);
+    const stored = await recommendationService.loadStoredContext(trip, writers);
+    const context = Object.fromEntries(reads.map(key => [key, stored[key]]));
 
-    } catch (error) {
-      this.log.error(`❌ ${this.agentType} agent execution failed: ${error.message}`, { stack: error.stack });
-      throw error;
-    }
+    return { ...criteria, ...this.definition.buildCriteria(criteria, context) };
   }
 
-  async executeViaOrchestrator(tripId, trip) {
+  async executeViaOrchestrator(tripId, trip, { lease = null, requestedBy = null } = {}) {
     const orchestrator = new TripOrchestrator({}, tripId);
     const tripRequest = recommendationService.buildOrchestratorRequest(trip);
-    await orchestrator.execute(tripRequest, tripId);
+    const result = await orchestrator.execute(tripRequest, tripId, { lease, requestedBy });
+
+    if (result.lockLost) {
+      return { lockLost: true };
+    }
+
+    if (result.cancelled) {
+      this.log.info(`🛑 ${this.agentType} agent stopped: execution of trip ${tripId} was cancelled`);
+      return;
+    }
+
+    if (!result.success) {
+      throw new Error(result.error || 'Orchestrator execution failed');
+    }
+
     this.log.info(`✅ ${this.agentType} agent execution completed via orchestrator`);
   }
 
@@ -413,13 +441,12 @@ export class BaseRecommendationController {
       const trip = await this.validateAndGetTrip(tripId, res);
       if (!trip) return;
 
-      // Verify recommendation belongs to this trip
-      const validRecommendations = trip.recommendations[this.agentType] || [];
-      const isValid = validRecommendations.some(
-        recId => recId.toString() === recommendationId
-      );
+      // Any run of this trip, so options referenced by run history resolve too
+      const recommendation = mongoose.isValidObjectId(recommendationId)
+        ? await Recommendation.findOne({ _id: recommendationId, trip: trip._id, agentType: this.agentType })
+        : null;
 
-      if (!isValid) {
+      if (!recommendation) {
         return res.status(404).json({
           success: false,
           error: 'Recommendation not found',
@@ -427,15 +454,6 @@ export class BaseRecommendationController {
         });
       }
 
-      const recommendation = await Recommendation.findById(recommendationId);
-
-      if (!recommendation) {
-        return res.status(404).json({
-          success: false,
-          error: 'Recommendation not found'
-        });
-      }
-
       res.json(formatSuccess({
         recommendation,
         agentType: this.agentType
@@ -452,4 +470,15 @@ export class BaseRecommendationController {
   }
 }
 
-export default BaseRecommendationController;
+const controllers = new Map(
+  listAgentDefinitions().map(({ type }) => [type, new RecommendationController(type)])
+);
+
+/**
+ * Controller of a registered agent type
+ * @param {string} agentType
+ * @returns {RecommendationController|undefined}
+ */
+export const getRecommendationController = (agentType) => controllers.get(agentType);
+
+export default RecommendationController;
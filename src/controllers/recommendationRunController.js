@@ -0,0 +1,106 @@
+import { Trip } from '../models/index.js';
+import { formatSuccess } from '../middleware/validation.js';
+import * as recommendationRunService from '../services/recommendationRunService.js';
+import { isValidAgentType, resolveAgentType } from '../constants/agentTypes.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'RecommendationRunController' });
+
+async function loadTripAndType(req, res) {
+  const { tripId, type } = req.params;
+  const agentType = resolveAgentType(type);
+
+  if (!isValidAgentType(agentType)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid agent type',
+      message: `Unknown recommendation type: ${type}`
+    });
+    return {};
+  }
+
+  const trip = await Trip.findOne({ tripId }).select('_id tripId').lean();
+  if (!trip) {
+    res.status(404).json({
+      success: false,
+      error: 'Trip not found',
+      message: `Trip with ID ${tripId} does not exist`
+    });
+    return {};
+  }
+
+  return { trip, agentType };
+}
+
+// GET /api/trip/:tripId/recommendations/:type/runs - Agent run history, newest first
+export const listRecommendationRuns = async (req, res) => {
+  try {
+    const { trip, agentType } = await loadTripAndType(req, res);
+    if (!trip) return;
+
+    const runs = await recommendationRunService.listRuns(trip._id, agentType);
+
+    res.json(formatSuccess({
+      tripId: trip.tripId,
+      agentType,
+      runs
+    }, 'Recommendation runs retrieved successfully'));
+  } catch (error) {
+    log.error('List recommendation runs error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error retrieving recommendation runs'
+    });
+  }
+};
+
+// GET /api/trip/:tripId/recommendations/:type/runs/diff?from=&to= - Compare two runs
+export const diffRecommendationRuns = async (req, res) => {
+  try {
+    const { trip, agentType } = await loadTripAndType(req, res);
+    if (!trip) return;
+
+    // Defaults compare the current run with the one before it
+    const runs = await recommendationRunService.listRuns(trip._id, agentType);
+    const from = req.query.from ?? runs[1]?.generation;
+    const to = req.query.to ?? runs[0]?.generation;
+
+    if (from === undefined || to === undefined) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found',
+        message: `Trip ${trip.tripId} needs at least two ${agentType} runs to compare`
+      });
+    }
+
+    const [fromRun, toRun] = await Promise.all([
+      recommendationRunService.findRun(trip._id, agentType, from),
+      recommendationRunService.findRun(trip._id, agentType, to)
+    ]);
+
+    const missing = !fromRun ? from : (!toRun ? to : null);
+    if (missing !== null) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found',
+        message: `No ${agentType} run ${missing} for trip ${trip.tripId}`
+      });
+    }
+
+    const diff = await recommendationRunService.diffRuns(fromRun, toRun);
+
+    res.json(formatSuccess({
+      tripId: trip.tripId,
+      agentType,
+      ...diff
+    }, 'Recommendation runs compared successfully'));
+  } catch (error) {
+    log.error('Diff recommendation runs error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error comparing recommendation runs'
+    });
+  }
+};
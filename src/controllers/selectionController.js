@@ -0,0 +1,106 @@
+import { formatSuccess } from '../middleware/validation.js';
+import * as selectionService from '../services/selectionService.js';
+import { isValidAgentType, resolveAgentType } from '../constants/agentTypes.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'SelectionController' });
+
+const sendFailure = (res, result) => res.status(result.status).json({
+  success: false,
+  error: result.error,
+  ...(result.details && { details: result.details }),
+  message: result.message
+});
+
+const validationError = (res, details) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details,
+  message: 'Please check your input and try again'
+});
+
+const toSelectionResponse = (result) => ({
+  tripId: result.tripId,
+  status: result.status,
+  agentType: result.agentType,
+  multiSelect: selectionService.isMultiSelect(result.agentType),
+  selections: result.selections
+});
+
+// POST /api/trip/:tripId/select/:recommendationId - Select (or re-rank / pin) one recommendation
+export const selectRecommendation = async (req, res) => {
+  try {
+    const { tripId, recommendationId } = req.params;
+    const { selectedBy = 'user', rank, day } = req.body;
+
+    if (typeof selectedBy !== 'string') {
+      return validationError(res, ['selectedBy must be a string']);
+    }
+
+    const result = await selectionService.selectRecommendation(tripId, recommendationId, { selectedBy, rank, day });
+    if (!result.success) return sendFailure(res, result);
+
+    log.info(`Selected ${result.agentType} recommendation ${recommendationId}`, { tripId, rank, day });
+    res.json(formatSuccess(toSelectionResponse(result), 'Recommendation selected successfully'));
+  } catch (error) {
+    log.error('Select recommendation error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to select recommendation'
+    });
+  }
+};
+
+// DELETE /api/trip/:tripId/select/:recommendationId - Unselect a recommendation
+export const unselectRecommendation = async (req, res) => {
+  try {
+    const { tripId, recommendationId } = req.params;
+
+    const result = await selectionService.unselectRecommendation(tripId, recommendationId);
+    if (!result.success) return sendFailure(res, result);
+
+    log.info(`Unselected ${result.agentType} recommendation ${recommendationId}`, { tripId });
+    res.json(formatSuccess(toSelectionResponse(result), 'Recommendation unselected successfully'));
+  } catch (error) {
+    log.error('Unselect recommendation error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to unselect recommendation'
+    });
+  }
+};
+
+// PUT /api/trip/:tripId/select/:type/order - Re-rank an activity or restaurant shortlist
+export const reorderSelections = async (req, res) => {
+  try {
+    const { tripId, type } = req.params;
+    const { order } = req.body;
+    const agentType = resolveAgentType(type);
+
+    const errors = [];
+    if (!isValidAgentType(agentType)) {
+      errors.push(`unknown recommendation type: ${type}`);
+    }
+    if (!Array.isArray(order) || order.some(id => typeof id !== 'string' || id.trim().length === 0)) {
+      errors.push('order must be an array of recommendation IDs');
+    } else if (new Set(order).size !== order.length) {
+      errors.push('order contains duplicate recommendation IDs');
+    }
+    if (errors.length > 0) return validationError(res, errors);
+
+    const result = await selectionService.reorderSelections(tripId, agentType, order);
+    if (!result.success) return sendFailure(res, result);
+
+    log.info(`Reordered ${agentType} selections`, { tripId, count: order.length });
+    res.json(formatSuccess(toSelectionResponse(result), 'Selections reordered successfully'));
+  } catch (error) {
+    log.error('Reorder selections error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to reorder selections'
+    });
+  }
+};
@@ -1,13 +1,15 @@
-import { TripOrchestrator } from '../agents/tripOrchestrator.js';
-import { FlightAgent } from '../agents/flightAgent.js';
-import { AccommodationAgent } from '../agents/accommodationAgent.js';
-import { ActivityAgent } from '../agents/activityAgent.js';
-import { RestaurantAgent } from '../agents/restaurantAgent.js';
 import { Trip, Recommendation, Place } from '../models/index.js';
 import databaseService from '../services/database.js';
 import googlePlacesService from '../services/googlePlacesService.js';
 import { formatSuccess, formatErrorResponse } from '../middleware/validation.js';
 import * as tripService from '../services/tripService.js';
+import * as selectionService from '../services/selectionService.js';
+import * as executionEvents from '../services/executionEvents.js';
+import * as jobQueue from '../services/jobQueue.js';
+import * as executionLock from '../services/executionLock.js';
+import * as agentCancellation from '../services/agentCancellation.js';
+import { JOB_TYPES } from '../constants/jobTypes.js';
+import { AGENT_TYPE_LIST, isValidAgentType, resolveAgentType } from '../constants/agentTypes.js';
 import logger from '../utils/logger.js';
 
 const log = logger.child({ scope: 'TripController' });
@@ -20,75 +22,10 @@ const inferLevel = (types = []) => {
   return 'poi';
 };
 
-// Single recommendation selection alias
-export const selectSingleRecommendation = async (req, res) => {
-  const { tripId, recommendationId } = req.params;
-
-  log.info(`🔍 Attempting to select recommendation`, {
-    tripId,
-    recommendationId,
-    endpoint: 'selectSingleRecommendation'
-  });
-
-  const trip = await Trip.findOne({ tripId });
-  if (!trip) {
-    log.warn(`❌ Trip not found for selection`, { tripId, recommendationId });
-    return res.status(404).json({
-      success: false,
-      error: 'Trip not found',
-      message: `Trip with ID ${tripId} does not exist`
-    });
-  }
-
-  log.info(`✅ Found trip`, {
-    tripId: trip.tripId,
-    status: trip.status,
-    recommendationCategories: Object.keys(trip.recommendations || {}),
-    recommendationCounts: Object.fromEntries(
-      Object.entries(trip.recommendations || {}).map(([cat, ids]) => [cat, ids.length])
-    )
-  });
-
-  const categories = Object.keys(trip.recommendations || {});
-  const matchedCategory = categories.find((cat) =>
-    (trip.recommendations[cat] || []).some((id) => id.toString() === recommendationId)
-  );
-
-  if (!matchedCategory) {
-    log.error(`❌ Recommendation not found in trip`, {
-      tripId,
-      recommendationId,
-      availableCategories: categories,
-      availableRecommendations: Object.fromEntries(
-        Object.entries(trip.recommendations || {}).map(([cat, ids]) => [
-          cat,
-          ids.map(id => id.toString())
-        ])
-      )
-    });
-    return res.status(404).json({
-      success: false,
-      error: 'Recommendation not found',
-      message: 'Recommendation does not belong to this trip',
-      debug: {
-        searchedId: recommendationId,
-        availableCategories: categories,
-        recommendationCount: categories.reduce((sum, cat) =>
-          sum + (trip.recommendations[cat] || []).length, 0
-        )
-      }
-    });
-  }
-
-  log.info(`✅ Found recommendation in category: ${matchedCategory}`, {
-    tripId,
-    recommendationId,
-    category: matchedCategory
-  });
-
-  req.body.selections = { [matchedCategory]: [recommendationId] };
-  return selectRecommendations(req, res);
-};
+// Update responses carry Trip.version as ETag for the next If-Match. GET does
+// not: agent runs and selections change a trip without bumping its version,
+// so a version ETag would answer revalidating clients with a stale 304.
+const toEtag = (trip) => `"${trip.version}"`;
 
 async function findOrCreatePlace(googlePlaceId) {
   if (!googlePlaceId) return null;
@@ -127,36 +64,6 @@ async function findOrCreatePlace(googlePlaceId) {
   }
 }
 
-// Helper function to execute orchestrator asynchronously
-async function executeOrchestratorAsync(tripId, tripRequest) {
-  if (!ORCHESTRATOR_ENABLED) {
-    log.info('⏸️ Orchestrator is disabled via ENABLE_ORCHESTRATOR. Skipping background execution.');
-    return null;
-  }
-
-  try {
-    log.info(`🚀 Starting orchestrator execution for trip ${tripId}`);
-
-    // Log which agents will be executed
-    const agentsToRun = tripRequest.agentsToRun || ['flight', 'accommodation', 'activity', 'restaurant'];
-    log.info(`🎯 Executing agents: ${agentsToRun.join(', ')}`);
-
-    // Create orchestrator instance
-    const orchestrator = new TripOrchestrator({}, tripId);
-
-    // Execute the orchestrator (tripRequest contains agentsToRun)
-    const result = await orchestrator.execute(tripRequest, tripId);
-
-    log.info(`✅ Orchestrator execution completed for trip ${tripId}`);
-    return result;
-
-  } catch (error) {
-    log.error(`❌ Orchestrator execution failed for trip ${tripId}: ${error.message}`, { stack: error.stack });
-    throw error;
-  }
-}
-
-
 /**
  * GET /api/trip/:tripId
  *
@@ -212,6 +119,513 @@ export const getTripById = async (req, res) => {
 };
 
 
+const versionConflict = (res, trip) => res.status(409).json({
+  success: false,
+  error: 'Version conflict',
+  message: 'The trip was modified by someone else. Reload it and try again.',
+  currentVersion: trip?.version
+});
+
+/**
+ * Queue an orchestrator run for just the agents an update affected.
+ * Their stale results stay readable until the new run replaces them.
+ * @returns {Promise<{ queued: boolean, agents: string[], jobId?: string, reason?: string, runId?: string }>}
+ */
+async function queueSelectiveRerun(trip, affectedAgents, requestedBy) {
+  const agents = tripService.selectAgentsToRerun(trip, affectedAgents);
+
+  if (agents.length === 0) {
+    return { queued: false, agents, reason: 'No affected agents have run yet' };
+  }
+  if (!ORCHESTRATOR_ENABLED) {
+    return { queued: false, agents, reason: 'Orchestrator is disabled' };
+  }
+  if (trip.status === 'cancelled') {
+    return { queued: false, agents, reason: 'Trip cancelled' };
+  }
+  const holder = await executionLock.getHolder(trip._id);
+  if (holder) {
+    return { queued: false, agents, reason: 'Execution already in progress', runId: holder.owner };
+  }
+  if (await jobQueue.hasActiveJob(trip._id)) {
+    return { queued: false, agents, reason: 'Execution already in progress' };
+  }
+
+  const reset = {};
+  for (const agent of agents) {
+    Object.assign(reset, {
+      [`agentExecution.agents.${agent}.status`]: 'pending',
+      [`agentExecution.agents.${agent}.startedAt`]: null,
+      [`agentExecution.agents.${agent}.completedAt`]: null,
+      [`agentExecution.agents.${agent}.errors`]: []
+    });
+  }
+  await Trip.findByIdAndUpdate(trip._id, reset);
+
+  const job = await jobQueue.enqueue(JOB_TYPES.ORCHESTRATOR_RUN, {
+    trip,
+    payload: { tripRequest: tripService.buildOrchestratorRequest(trip, agents) },
+    requestedBy
+  });
+
+  log.info(`Selective rerun queued for trip ${trip.tripId}`, { agents, jobId: job.jobId });
+  return { queued: true, agents, jobId: job.jobId };
+}
+
+/**
+ * PATCH /api/trip/:tripId
+ *
+ * Partial update of destination, dates, travelers, preferences, notes and
+ * tags. Requires the current version via If-Match (or `version` in the body);
+ * every successful change increments Trip.version. Agents that depend on a
+ * changed field (see TRIP_FIELD_DEPENDENCIES) are marked `stale`; with
+ * `rerun: true` just those agents are rerun through the orchestrator.
+ */
+export const updateTrip = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const expected = tripService.parseExpectedVersion(req.get('If-Match'), req.body?.version);
+    if (!expected) {
+      return res.status(428).json({
+        success: false,
+        error: 'Precondition required',
+        message: 'Send If-Match with the trip version (or a version field) to update a trip'
+      });
+    }
+    if (!expected.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid version',
+        message: 'If-Match / version must be the numeric trip version, a list of them or *'
+      });
+    }
+
+    const trip = await Trip.findOne({ tripId });
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        message: `Trip with ID ${tripId} does not exist`
+      });
+    }
+
+    if (!expected.any && !expected.versions.includes(trip.version)) {
+      return versionConflict(res, trip);
+    }
+
+    const update = tripService.buildTripUpdate(trip, req.body);
+    if (!update.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: update.errors,
+        message: 'Please check your input and try again'
+      });
+    }
+
+    if (update.changedFields.length === 0) {
+      res.set('ETag', toEtag(trip));
+      return res.json(formatSuccess({
+        trip,
+        changedFields: [],
+        affectedAgents: [],
+        staleAgents: []
+      }, 'No changes to apply'));
+    }
+
+    // Run schema validators (enums, ranges) on just the touched paths
+    trip.set(update.set);
+    await trip.validate(Object.keys(update.set));
+
+    // Conditional on the version so a concurrent writer between read and write loses cleanly
+    const updated = await Trip.findOneAndUpdate(
+      { _id: trip._id, version: trip.version },
+      { $set: update.set, $inc: { version: 1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return versionConflict(res, await Trip.findById(trip._id).select('version').lean());
+    }
+
+    log.info(`✏️  Updated trip ${tripId} (v${updated.version})`, {
+      changedFields: update.changedFields,
+      staleAgents: update.staleAgents,
+      updatedBy: req.user.id
+    });
+
+    const rerun = req.body.rerun === true
+      ? await queueSelectiveRerun(updated, update.affectedAgents, req.user)
+      : null;
+
+    res.set('ETag', toEtag(updated));
+    res.json(formatSuccess({
+      trip: updated,
+      changedFields: update.changedFields,
+      affectedAgents: update.affectedAgents,
+      staleAgents: update.staleAgents,
+      ...(rerun && { rerun })
+    }, rerun?.queued ? 'Trip updated; affected agents are rerunning' : 'Trip updated successfully'));
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message),
+        message: 'Please check your input and try again'
+      });
+    }
+
+    log.error('Update trip error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error updating trip'
+    });
+  }
+};
+
+/**
+ * POST /api/trip/:tripId/cancel
+ *
+ * Moves the trip to `cancelled`, cancels queued jobs and marks waiting or
+ * running agents `cancelled`. A run already in progress starts no further
+ * agents. Cancelling twice is a no-op.
+ */
+export const cancelTrip = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await Trip.findOne({ tripId });
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        message: `Trip with ID ${tripId} does not exist`
+      });
+    }
+
+    if (trip.status === 'cancelled') {
+      return res.json(formatSuccess({
+        tripId,
+        status: trip.status,
+        version: trip.version,
+        cancelledAgents: [],
+        cancelledJobs: 0
+      }, 'Trip was already cancelled'));
+    }
+
+    const now = new Date();
+    const { set, cancelledAgents } = tripService.buildCancellationUpdate(trip, now);
+
+    const updated = await Trip.findOneAndUpdate(
+      { _id: trip._id, status: { $ne: 'cancelled' } },
+      { $set: set, $inc: { version: 1 } },
+      { new: true }
+    );
+
+    const cancelledJobs = await jobQueue.cancelQueuedJobs(trip._id);
+    const abortedAgents = agentCancellation.cancelTripAgents(trip._id, 'Trip cancelled');
+
+    for (const agentName of cancelledAgents) {
+      executionEvents.publish(trip._id, executionEvents.buildAgentFinishedEvent(agentName, {
+        status: 'cancelled',
+        completedAt: now,
+        cancelReason: 'Trip cancelled'
+      }));
+    }
+    if (set['agentExecution.status']) {
+      executionEvents.publish(trip._id, executionEvents.buildExecutionCancelledEvent(now, 'Trip cancelled'));
+    }
+
+    log.info(`🛑 Cancelled trip ${tripId}`, { cancelledAgents, abortedAgents, cancelledJobs, cancelledBy: req.user.id });
+
+    const version = updated?.version ?? trip.version + 1;
+    res.set('ETag', toEtag({ version }));
+    res.json(formatSuccess({
+      tripId,
+      status: 'cancelled',
+      version,
+      cancelledAgents,
+      cancelledJobs
+    }, 'Trip cancelled'));
+
+  } catch (error) {
+    log.error('Cancel trip error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error cancelling trip'
+    });
+  }
+};
+
+/**
+ * POST /api/trip/:tripId/cancel-execution
+ *
+ * Stops the current run without cancelling the trip: queued jobs are
+ * cancelled, agents in progress are aborted and waiting ones will not start.
+ * Those agents and the execution move to `cancelled` with `reason`; results
+ * agents already saved are kept and the trip can be run again.
+ */
+export const cancelExecution = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { reason = 'Cancelled by user' } = req.body || {};
+
+    const trip = await Trip.findOne({ tripId });
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        message: `Trip with ID ${tripId} does not exist`
+      });
+    }
+
+    const now = new Date();
+    const { set, cancelledAgents, executionCancelled } = tripService.buildExecutionCancellationUpdate(trip, { reason, now });
+    const cancelledJobs = await jobQueue.cancelQueuedJobs(trip._id);
+
+    if (cancelledAgents.length > 0 || executionCancelled) {
+      await Trip.findByIdAndUpdate(trip._id, { $set: set });
+    }
+    const abortedAgents = agentCancellation.cancelTripAgents(trip._id, reason);
+
+    for (const agentName of cancelledAgents) {
+      executionEvents.publish(trip._id, executionEvents.buildAgentFinishedEvent(agentName, {
+        status: 'cancelled',
+        completedAt: now,
+        cancelReason: reason
+      }));
+    }
+    if (executionCancelled) {
+      executionEvents.publish(trip._id, executionEvents.buildExecutionCancelledEvent(now, reason));
+    }
+
+    log.info(`🛑 Cancelled execution of trip ${tripId}`, { cancelledAgents, abortedAgents, cancelledJobs, reason, cancelledBy: req.user.id });
+
+    const stopped = cancelledAgents.length > 0 || executionCancelled || cancelledJobs > 0;
+    res.json(formatSuccess({
+      tripId,
+      status: executionCancelled ? 'cancelled' : trip.agentExecution?.status,
+      reason,
+      cancelledAgents,
+      cancelledJobs
+    }, stopped ? 'Execution cancelled' : 'No execution in progress'));
+
+  } catch (error) {
+    log.error('Cancel execution error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error cancelling execution'
+    });
+  }
+};
+
+/**
+ * POST /api/trip/:tripId/agent/:type/cancel
+ *
+ * Stops one agent: a run in progress is aborted, a waiting agent will not
+ * start and its queued rerun is cancelled. The agent moves to `cancelled`
+ * with `reason` while the rest of the execution carries on. Cancelling an
+ * agent that is not waiting or running is a no-op.
+ */
+export const cancelAgent = async (req, res) => {
+  try {
+    const { tripId, type } = req.params;
+    const { reason = 'Cancelled by user' } = req.body || {};
+    const agentType = resolveAgentType(type);
+
+    if (!isValidAgentType(agentType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid agent type',
+        message: `Unknown agent type: ${type}`
+      });
+    }
+
+    const trip = await Trip.findOne({ tripId });
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        message: `Trip with ID ${tripId} does not exist`
+      });
+    }
+
+    const now = new Date();
+    const { set, cancelledAgents } = tripService.buildExecutionCancellationUpdate(trip, {
+      agents: [agentType],
+      reason,
+      includeExecution: false,
+      now
+    });
+
+    // Only if the agent has not finished since it was read
+    const statusPath = `agentExecution.agents.${agentType}.status`;
+    const updated = cancelledAgents.length > 0 && await Trip.findOneAndUpdate(
+      { _id: trip._id, [statusPath]: trip.get(statusPath) },
+      { $set: set }
+    );
+
+    if (!updated) {
+      return res.json(formatSuccess({
+        tripId,
+        agentType,
+        status: trip.get(statusPath),
+        reason: null,
+        cancelledJobs: 0
+      }, `${agentType} agent is not running`));
+    }
+
+    const cancelledJobs = await jobQueue.cancelQueuedJobs(trip._id, {
+      type: JOB_TYPES.AGENT_RERUN,
+      'payload.agentType': agentType
+    });
+    const aborted = agentCancellation.cancelAgent(trip._id, agentType, reason);
+
+    executionEvents.publish(trip._id, executionEvents.buildAgentFinishedEvent(agentType, {
+      status: 'cancelled',
+      completedAt: now,
+      cancelReason: reason
+    }));
+
+    log.info(`🛑 Cancelled ${agentType} agent of trip ${tripId}`, { aborted, cancelledJobs, reason, cancelledBy: req.user.id });
+
+    res.json(formatSuccess({
+      tripId,
+      agentType,
+      status: 'cancelled',
+      reason,
+      cancelledJobs
+    }, `${agentType} agent cancelled`));
+
+  } catch (error) {
+    log.error('Cancel agent error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error cancelling agent'
+    });
+  }
+};
+
+/**
+ * DELETE /api/trip/:tripId
+ *
+ * Deletes the trip with its recommendations, run history and itinerary.
+ * Queued jobs are cancelled first; an orchestrator run still in progress starts
+ * no further agents and discards what it produced.
+ */
+export const deleteTrip = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await Trip.findOne({ tripId }).select('tripId recommendations').lean();
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        message: `Trip with ID ${tripId} does not exist`
+      });
+    }
+
+    const cancelledJobs = await jobQueue.cancelQueuedJobs(trip._id);
+    agentCancellation.cancelTripAgents(trip._id, 'Trip deleted');
+    const deleted = await tripService.deleteTripCascade(trip);
+
+    // Let open event streams close
+    executionEvents.publish(trip._id, executionEvents.buildExecutionCancelledEvent(new Date()));
+
+    log.info(`🗑️ Deleted trip ${tripId}`, { ...deleted, cancelledJobs, deletedBy: req.user.id });
+
+    res.json(formatSuccess({
+      tripId,
+      deleted,
+      cancelledJobs
+    }, 'Trip deleted'));
+
+  } catch (error) {
+    log.error('Delete trip error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error deleting trip'
+    });
+  }
+};
+
+/**
+ * GET /api/trips
+ *
+ * Dashboard listing of trips the caller can access, using the
+ * TRIP_SUMMARY_PROJECTION instead of full documents.
+ *
+ * Filters: createdBy, sharedWith (`me` or, for admins, a user id), status and
+ * tags (comma separated), destination (name prefix), departureFrom/departureTo.
+ * Pagination is cursor based: pass `nextCursor` from the previous page as
+ * `cursor` with the same `sort` (updatedAt desc, or departureDate asc).
+ */
+export const listTrips = async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const { valid, errors, filters } = tripService.parseTripListFilters(req.query, req.user);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors,
+        message: 'Please check your filters and try again'
+      });
+    }
+
+    const query = tripService.buildTripListQuery(filters, req.user);
+
+    // Fetch one extra to know whether another page exists
+    const trips = await Trip.find(query)
+      .select(tripService.TRIP_SUMMARY_PROJECTION)
+      .sort(tripService.buildTripListSort(filters.sort))
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = trips.length > limit;
+    const page = hasMore ? trips.slice(0, limit) : trips;
+
+    res.json(formatSuccess({
+      trips: page.map(trip => tripService.toTripSummary(trip, req.user)),
+      count: page.length,
+      filters: {
+        createdBy: filters.createdBy,
+        sharedWith: filters.sharedWith,
+        status: filters.status,
+        tags: filters.tags,
+        destination: filters.destination,
+        departureFrom: filters.departureFrom,
+        departureTo: filters.departureTo,
+        sort: filters.sort
+      },
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? tripService.encodeTripCursor(page[page.length - 1], filters.sort) : null
+      }
+    }, 'Trips retrieved successfully'));
+
+  } catch (error) {
+    log.error('List trips error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error retrieving trips'
+    });
+  }
+};
+
+
 export const getTripStatus = async (req, res) => {
   try {
     const { tripId } = req.params;
@@ -220,11 +634,7 @@ export const getTripStatus = async (req, res) => {
       tripId: 1,
       status: 1,
       agentExecution: 1,
-      'recommendations.flight': 1,
-      'recommendations.accommodation': 1,
-      'recommendations.activity': 1,
-      'recommendations.restaurant': 1,
-      'recommendations.transportation': 1,
+      recommendations: 1,
       updatedAt: 1
     });
 
@@ -235,13 +645,9 @@ export const getTripStatus = async (req, res) => {
       });
     }
 
-    const recommendationCounts = {
-      flight: trip.recommendations.flight?.length || 0,
-      accommodation: trip.recommendations.accommodation?.length || 0,
-      activity: trip.recommendations.activity?.length || 0,
-      restaurant: trip.recommendations.restaurant?.length || 0,
-      transportation: trip.recommendations.transportation?.length || 0
-    };
+    const recommendationCounts = Object.fromEntries(
+      AGENT_TYPE_LIST.map(type => [type, trip.recommendations[type]?.length || 0])
+    );
 
     res.json(formatSuccess(
       {
@@ -303,6 +709,8 @@ export const createTrip = async (req, res) => {
     // Step 4: Prepare trip data
     const tripData = tripService.prepareTripData(req.body);
     tripData.title = title || `Trip to ${tripData.destination.name}`;
+    // The authenticated user owns the trip, whatever the payload claims
+    tripData.collaboration.createdBy = req.user.id;
     tripData.agentExecution = tripService.initializeAgentExecution(agentValidation.agents);
     tripData.status = shouldRunOrchestrator ? 'planning' : 'draft';
 
@@ -324,18 +732,22 @@ export const createTrip = async (req, res) => {
     log.info(`✅ Created trip ${trip.tripId} for ${trip.destination.name}`);
     log.info(`🎯 Agents configured: ${agentValidation.agents.join(', ')}`);
 
-    // Step 6: Trigger orchestrator if requested
+    // Step 6: Queue orchestrator run if requested
+    let jobId = null;
     if (shouldRunOrchestrator) {
       const orchestratorRequest = tripService.buildOrchestratorRequest(
         trip,
         agentValidation.agents
       );
 
-      executeOrchestratorAsync(trip._id, orchestratorRequest).catch(error => {
-        log.error(`Orchestrator failed: ${error.message}`, { stack: error.stack });
+      const job = await jobQueue.enqueue(JOB_TYPES.ORCHESTRATOR_RUN, {
+        trip,
+        payload: { tripRequest: orchestratorRequest },
+        requestedBy: req.user
       });
+      jobId = job.jobId;
 
-      log.info(`Orchestrator triggered for trip ${trip.tripId}`);
+      log.info(`Orchestrator queued for trip ${trip.tripId}`, { jobId });
     }
 
     // Step 7: Return success response
@@ -366,6 +778,7 @@ export const createTrip = async (req, res) => {
           estimatedCompletion
         },
         orchestratorTriggered: shouldRunOrchestrator,
+        jobId,
         agents: agentValidation.agents,
       },
       shouldRunOrchestrator
@@ -455,15 +868,12 @@ export const createTripV2 = async (req, res) => {
       status: 'draft',
       agentExecution: {
         status: 'pending',
-        agents: {
-          flight: { status: 'idle', recommendationCount: 0, errors: [] },
-          accommodation: { status: 'idle', recommendationCount: 0, errors: [] },
-          activity: { status: 'idle', recommendationCount: 0, errors: [] },
-          restaurant: { status: 'idle', recommendationCount: 0, errors: [] }
-        }
+        agents: Object.fromEntries(
+          AGENT_TYPE_LIST.map(type => [type, { status: 'idle', recommendationCount: 0, errors: [] }])
+        )
       },
       collaboration: {
-        createdBy: 'anonymous'
+        createdBy: req.user.id
       }
     });
 
@@ -511,7 +921,7 @@ export const selectRecommendations = async (req, res) => {
     });
 
     // Check if trip has recommendations to select from
-    const allowedStatuses = ['recommendations_ready', 'user_selecting', 'finalized', 'draft', 'planning'];
+    const allowedStatuses = selectionService.SELECTABLE_STATUSES;
     if (!allowedStatuses.includes(trip.status)) {
       log.warn(`⚠️ Trip status not ready for selections`, {
         tripId,
@@ -562,11 +972,16 @@ export const selectRecommendations = async (req, res) => {
         count: recommendationIds.length
       });
 
+      // Shortlist entries that stay selected keep their day assignment
+      const previousDays = new Map((trip.selectedRecommendations?.[category] || [])
+        .map(entry => [entry.recommendation?.toString(), entry.day]));
+
       const selectedRecs = recommendationIds.map((recId, index) => ({
         recommendation: recId,
         selectedAt: new Date(),
         selectedBy,
-        selectionRank: index + 1
+        selectionRank: index + 1,
+        ...(previousDays.get(recId) && { day: previousDays.get(recId) })
       }));
 
       updateData[`selectedRecommendations.${category}`] = selectedRecs;
@@ -575,17 +990,20 @@ export const selectRecommendations = async (req, res) => {
       // Update recommendation selection status
       const clearResult = await Recommendation.updateMany(
         { _id: { $in: validRecommendations } },
-        { 'selection.isSelected': false, 'selection.selectedAt': null }
+        { 'selection.isSelected': false, 'selection.selectedAt': null, 'selection.selectionRank': null }
       );
 
-      const selectResult = await Recommendation.updateMany(
-        { _id: { $in: recommendationIds } },
-        {
-          'selection.isSelected': true,
-          'selection.selectedAt': new Date(),
-          'selection.selectedBy': selectedBy
+      const selectResult = await Recommendation.bulkWrite(selectedRecs.map(entry => ({
+        updateOne: {
+          filter: { _id: entry.recommendation },
+          update: {
+            'selection.isSelected': true,
+            'selection.selectedAt': entry.selectedAt,
+            'selection.selectedBy': selectedBy,
+            'selection.selectionRank': entry.selectionRank
+          }
         }
-      );
+      })));
 
       log.info(`✅ Updated recommendation selection flags`, {
         tripId,
@@ -609,11 +1027,7 @@ export const selectRecommendations = async (req, res) => {
       { tripId },
       updateData,
       { new: true }
-    ).populate('selectedRecommendations.flight.recommendation')
-     .populate('selectedRecommendations.accommodation.recommendation')
-     .populate('selectedRecommendations.activity.recommendation')
-     .populate('selectedRecommendations.restaurant.recommendation')
-     .populate('selectedRecommendations.transportation.recommendation');
+    ).populate(AGENT_TYPE_LIST.map(type => `selectedRecommendations.${type}.recommendation`));
 
     log.info(`✅ Successfully saved selections`, {
       tripId: updatedTrip.tripId,
@@ -651,140 +1065,4 @@ export const selectRecommendations = async (req, res) => {
 // Detailed agent execution status
 
 // Helper method to generate execution timeline
-export const generateExecutionTimeline = (execution) => {
-  const timeline = [];
-  const agentNames = ['flight', 'accommodation', 'activity', 'restaurant'];
-  
-  if (execution.startedAt) {
-    timeline.push({
-      event: 'execution_started',
-      timestamp: execution.startedAt,
-      message: 'Trip planning execution started'
-    });
-  }
-  
-  for (const agentName of agentNames) {
-    const agent = execution.agents[agentName];
-    
-    if (agent.startedAt) {
-      timeline.push({
-        event: 'agent_started',
-        agent: agentName,
-        timestamp: agent.startedAt,
-        message: `${agentName} agent started`
-      });
-    }
-    
-    if (agent.completedAt) {
-      timeline.push({
-        event: agent.status === 'completed' ? 'agent_completed' : 'agent_failed',
-        agent: agentName,
-        timestamp: agent.completedAt,
-        message: `${agentName} agent ${agent.status}`,
-        details: {
-          duration: agent.duration,
-          recommendationCount: agent.recommendationCount,
-          confidence: agent.confidence
-        }
-      });
-    }
-  }
-  
-  if (execution.completedAt) {
-    timeline.push({
-      event: 'execution_completed',
-      timestamp: execution.completedAt,
-      message: 'Trip planning execution completed'
-    });
-  }
-  
-  return timeline.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-};
-
-// Helper function to execute individual agents independently
-async function executeAgentIndependently(tripId, agentName, trip) {
-  const agentMap = {
-    flight: FlightAgent,
-    accommodation: AccommodationAgent,
-    activity: ActivityAgent,
-    restaurant: RestaurantAgent
-  };
-
-  const AgentClass = agentMap[agentName];
-  if (!AgentClass) {
-    log.error(`No agent class found for: ${agentName}`);
-    return;
-  }
-
-  try {
-    log.info(`Starting independent execution of ${agentName} agent for trip ${tripId}`);
-
-    // Update agent status to running
-    await Trip.findByIdAndUpdate(tripId, {
-      [`agentExecution.agents.${agentName}.status`]: 'running',
-      [`agentExecution.agents.${agentName}.startedAt`]: new Date(),
-      [`agentExecution.agents.${agentName}.errors`]: []
-    });
-
-    // Build criteria from trip data
-    const criteria = {
-      destination: trip.destination.name,
-      destinationCountry: trip.destination.country,
-      destinationPlaceId: trip.destination.placeId,
-      origin: trip.origin.name,
-      departureDate: trip.dates.departureDate.toISOString().split('T')[0],
-      returnDate: trip.dates.returnDate ? trip.dates.returnDate.toISOString().split('T')[0] : null,
-      travelers: trip.travelers.count,
-      preferences: {
-        interests: trip.preferences.interests || [],
-        accommodation: trip.preferences.accommodation || {},
-        transportation: trip.preferences.transportation || {},
-        dining: trip.preferences.dining || {}
-      }
-    };
-
-    // Create and execute agent
-    const agent = new AgentClass();
-    const result = await agent.search(criteria);
-
-    log.info(`${agentName} agent completed with ${result.recommendations?.length || 0} recommendations`);
-
-    // Store recommendations in database
-    const savedRecommendations = [];
-    if (result.recommendations && Array.isArray(result.recommendations)) {
-      for (const rec of result.recommendations) {
-        const recommendation = new Recommendation({
-          tripId: tripId,
-          type: agentName,
-          ...rec
-        });
-        const saved = await recommendation.save();
-        savedRecommendations.push(saved._id);
-      }
-    }
-
-    // Update trip with recommendations
-    await Trip.findByIdAndUpdate(tripId, {
-      [`recommendations.${agentName}`]: savedRecommendations,
-      [`agentExecution.agents.${agentName}.status`]: 'completed',
-      [`agentExecution.agents.${agentName}.completedAt`]: new Date(),
-      [`agentExecution.agents.${agentName}.recommendationCount`]: savedRecommendations.length,
-      [`agentExecution.agents.${agentName}.confidence`]: result.confidence || 0
-    });
-
-    log.info(`✅ ${agentName} agent completed successfully`);
-
-  } catch (error) {
-    log.error(`${agentName} agent failed: ${error.message}`, { stack: error.stack });
-
-    // Mark agent as failed
-    await Trip.findByIdAndUpdate(tripId, {
-      [`agentExecution.agents.${agentName}.status`]: 'failed',
-      [`agentExecution.agents.${agentName}.completedAt`]: new Date(),
-      [`agentExecution.agents.${agentName}.errors`]: [{
-        message: error.message,
-        timestamp: new Date()
-      }]
-    });
-  }
-}
+export const generateExecutionTimeline = executionEvents.buildExecutionTimeline;
@@ -0,0 +1,72 @@
+import { Trip } from '../models/index.js';
+import { formatSuccess } from '../middleware/validation.js';
+import * as aiUsageService from '../services/aiUsageService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'UsageController' });
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_DAYS = 30;
+
+// GET /api/trip/:tripId/usage - AI tokens and estimated cost of the trip's runs
+export const getTripUsage = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await Trip.findOne({ tripId }).select('tripId agentExecution').lean();
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        message: `Trip with ID ${tripId} does not exist`
+      });
+    }
+
+    res.json(formatSuccess({
+      tripId: trip.tripId,
+      ...aiUsageService.getTripUsage(trip)
+    }, 'Trip AI usage retrieved successfully'));
+
+  } catch (error) {
+    log.error('Get trip usage error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error retrieving trip AI usage'
+    });
+  }
+};
+
+// GET /api/admin/ai/usage?from=&to=&userId= - AI usage per day and user (or API key user)
+export const getDailyUsage = async (req, res) => {
+  try {
+    const { to, userId } = req.query;
+    const from = req.query.from
+      || new Date(Date.now() - (DEFAULT_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const invalid = [['from', from], ['to', to]].find(([, value]) => value && !DAY_PATTERN.test(value));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: `${invalid[0]} must be a day in YYYY-MM-DD format`
+      });
+    }
+
+    const days = await aiUsageService.getDailyUsage({ from, to, userId });
+
+    res.json(formatSuccess({
+      from,
+      to: to || null,
+      days
+    }, 'Daily AI usage retrieved successfully'));
+
+  } catch (error) {
+    log.error('Get daily usage error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error retrieving daily AI usage'
+    });
+  }
+};
@@ -0,0 +1,91 @@
+/**
+ * Job Handlers
+ *
+ * One handler per JOB_TYPES entry. A handler receives the claimed Job document,
+ * resolves to a small result object stored on the job, and throws to signal a
+ * retryable failure. Handlers that execute agents hold the trip's execution
+ * lock while they do; a conflict surfaces as an EXECUTION_LOCKED error, which
+ * the worker turns into a deferral.
+ */
+
+import { TripOrchestrator } from '../agents/tripOrchestrator.js';
+import { Trip } from '../models/index.js';
+import { JOB_TYPES } from '../constants/jobTypes.js';
+import * as executionLock from '../services/executionLock.js';
+import { getRecommendationController } from '../controllers/recommendationController.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'JobHandlers' });
+
+async function loadJobTrip(job) {
+  const trip = await Trip.findById(job.trip);
+  if (!trip) {
+    log.warn(`Trip ${job.tripId} no longer exists, skipping job ${job.jobId}`);
+  }
+  return trip;
+}
+
+async function runOrchestrator(job) {
+  const trip = await loadJobTrip(job);
+  if (!trip) return { skipped: true, reason: 'Trip not found' };
+  if (trip.status === 'cancelled') return { skipped: true, reason: 'Trip cancelled' };
+
+  // A retry simply records new runs; each run replaces the agent's current results
+  const { tripRequest } = job.payload;
+
+  const result = await executionLock.withExecutionLock(trip, { source: 'orchestrator', jobId: job.jobId }, (lease) => {
+    const orchestrator = new TripOrchestrator({}, trip._id);
+    return orchestrator.execute(tripRequest, trip._id, { lease, requestedBy: job.requestedBy });
+  });
+
+  // Cancellation is a normal end state, not a retryable failure
+  if (result.cancelled) {
+    return { cancelled: true };
+  }
+
+  // The run that took over the expired lease owns the trip's results now
+  if (result.lockLost) {
+    return { lockLost: true };
+  }
+
+  if (!result.success) {
+    throw new Error(result.error || 'Orchestrator execution failed');
+  }
+
+  return {
+    executionTime: result.data?.metadata?.executionTime,
+    agents: (result.data?.metadata?.agentResults || []).map(agent => ({
+      name: agent.name,
+      success: agent.success
+    }))
+  };
+}
+
+async function rerunAgent(job) {
+  const { agentType } = job.payload;
+  const controller = getRecommendationController(agentType);
+  if (!controller) {
+    throw new Error(`No recommendation controller registered for agent type: ${agentType}`);
+  }
+
+  const trip = await loadJobTrip(job);
+  if (!trip) return { skipped: true, reason: 'Trip not found' };
+  if (trip.status === 'cancelled') return { skipped: true, reason: 'Trip cancelled' };
+
+  const result = await executionLock.withExecutionLock(trip, { source: 'agent', jobId: job.jobId }, (lease) =>
+    controller.executeAgentAsync(trip._id, trip, { lease, requestedBy: job.requestedBy })
+  );
+
+  if (result?.lockLost) {
+    return { agentType, lockLost: true };
+  }
+
+  return { agentType };
+}
+
+export const jobHandlers = {
+  [JOB_TYPES.ORCHESTRATOR_RUN]: runOrchestrator,
+  [JOB_TYPES.AGENT_RERUN]: rerunAgent
+};
+
+export default jobHandlers;
@@ -0,0 +1,112 @@
+// Authentication and trip authorization middleware for TravlrAPI
+// authenticate sets req.user; authorizeTrip enforces Trip.collaboration rules;
+// requireAdmin guards operational endpoints
+
+import { Trip } from '../models/index.js';
+import env from '../config/env.js';
+import * as authService from '../services/authService.js';
+import { TRIP_ACTIONS, USER_ROLES } from '../constants/tripRoles.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'AuthMiddleware' });
+
+// Used for every request when AUTH_ENABLED=false (local development)
+const DEV_USER = Object.freeze({ id: 'anonymous', role: USER_ROLES.ADMIN, authMethod: 'disabled' });
+
+// EventSource cannot set headers, so SSE requests may pass the token as ?access_token=
+const isEventStreamRequest = (req) =>
+  req.method === 'GET' && (req.get('accept') || '').includes('text/event-stream');
+
+const unauthorized = (res, message) => res
+  .status(401)
+  .set('WWW-Authenticate', 'Bearer')
+  .json({
+    success: false,
+    error: 'Unauthorized',
+    message
+  });
+
+export const authenticate = (req, res, next) => {
+  if (!env.authEnabled) {
+    req.user = DEV_USER;
+    return next();
+  }
+
+  const authorization = req.get('authorization') || '';
+  const apiKey = req.get('x-api-key');
+  const bearer = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length).trim()
+    : (isEventStreamRequest(req) ? req.query.access_token : null);
+
+  try {
+    if (bearer) {
+      req.user = authService.verifyJwt(bearer);
+    } else if (apiKey) {
+      req.user = authService.verifyApiKey(apiKey);
+      if (!req.user) {
+        return unauthorized(res, 'Invalid API key');
+      }
+    } else {
+      return unauthorized(res, 'Provide a Bearer token or X-API-Key header');
+    }
+  } catch (error) {
+    log.warn(`Rejected token for ${req.method} ${req.originalUrl}: ${error.message}`);
+    return unauthorized(res, error.message);
+  }
+
+  next();
+};
+
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== USER_ROLES.ADMIN) {
+    log.warn(`User ${req.user?.id} denied admin access to ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'This endpoint requires the admin role'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Load the trip's collaboration data and check the user may perform `action`.
+ * Users with no access at all get a 404 so trip IDs cannot be probed.
+ * Sets req.tripAccess for controllers that need finer checks.
+ */
+export const authorizeTrip = (action = TRIP_ACTIONS.VIEW) => async (req, res, next) => {
+  try {
+    const trip = await Trip.findOne({ tripId: req.params.tripId })
+      .select('tripId collaboration')
+      .lean();
+
+    const access = trip ? authService.resolveTripAccess(trip, req.user) : null;
+
+    if (!access?.canView) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        message: `Trip with ID ${req.params.tripId} does not exist`
+      });
+    }
+
+    if (!authService.canPerform(access, action)) {
+      log.warn(`User ${req.user?.id} denied ${action} on trip ${trip.tripId}`, { role: access.role });
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Your ${access.role || 'public'} access to this trip does not allow this action`,
+        requiredPermission: action
+      });
+    }
+
+    req.tripAccess = access;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const canViewTrip = authorizeTrip(TRIP_ACTIONS.VIEW);
+export const canEditTrip = authorizeTrip(TRIP_ACTIONS.EDIT);
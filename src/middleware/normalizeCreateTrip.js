@@ -4,8 +4,7 @@ export const normalizeCreateTrip = (req, _res, next) => {
 
   const preferences = req.body.preferences;
 
-  // Remove legacy cost payloads to keep requests lean
-  delete req.body.budget;
+  // Remove the legacy per-preference cost payload; the trip budget lives in req.body.budget
   delete preferences.budget;
 
   // Set other defaults...
@@ -2,6 +2,7 @@
 // Provides structured input validation and error formatting
 
 import logger from '../utils/logger.js';
+import { isValidAgentType } from '../constants/agentTypes.js';
 
 const log = logger.child({ scope: 'ValidationMiddleware' });
 
@@ -108,10 +109,8 @@ export const validateSelections = (req, res, next) => {
   if (!selections || typeof selections !== 'object') {
     errors.push('selections object is required');
   } else {
-    const validCategories = ['flight', 'accommodation', 'activity', 'restaurant', 'transportation'];
-    
     for (const [category, recommendationIds] of Object.entries(selections)) {
-      if (!validCategories.includes(category)) {
+      if (!isValidAgentType(category)) {
         errors.push(`invalid category: ${category}`);
         continue;
       }
@@ -154,10 +153,8 @@ export const validateAgentRetrigger = (req, res, next) => {
     if (!Array.isArray(agents)) {
       errors.push('agents must be an array');
     } else {
-      const validAgents = ['flight', 'accommodation', 'activity', 'restaurant', 'transportation'];
-      
       for (const agent of agents) {
-        if (!validAgents.includes(agent)) {
+        if (!isValidAgentType(agent)) {
           errors.push(`invalid agent: ${agent}`);
         }
       }
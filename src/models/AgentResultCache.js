@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// An agent's search() output for one set of normalized search criteria,
+// shared by every trip that searches with the same criteria until
+// `expiresAt`. The freshness comes from the agent definition's cache policy.
+const agentResultCacheSchema = new mongoose.Schema({
+  // <agentType>:<sha256 of the normalized criteria>
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  agentType: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Normalized criteria the key was built from, kept for inspection
+  criteria: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  results: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: Date,
+  cachedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Expired entries are removed by MongoDB; reads also skip them until then
+agentResultCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AgentResultCache', agentResultCacheSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Token counts and estimated cost (USD) of AI calls, summed with $inc
+export const usageDefinition = () => ({
+  calls: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 },
+  // Calls whose model has no price (see config/aiPricing.js)
+  unpricedCalls: { type: Number, default: 0 }
+});
+
+// AI usage of one user (or API key user) for one agent type on one UTC day.
+// The orchestrator's own calls are recorded as agentType 'orchestrator'.
+const aiUsageDailySchema = new mongoose.Schema({
+  // YYYY-MM-DD (UTC)
+  day: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  // 'jwt', 'api_key', 'disabled', or 'unknown' for runs with no requester
+  authMethod: {
+    type: String,
+    default: 'unknown'
+  },
+  agentType: {
+    type: String,
+    required: true
+  },
+  runs: {
+    type: Number,
+    default: 0
+  },
+  ...usageDefinition()
+}, {
+  timestamps: true
+});
+
+aiUsageDailySchema.index({ day: 1, userId: 1, authMethod: 1, agentType: 1 }, { unique: true });
+aiUsageDailySchema.index({ userId: 1, day: -1 });
+
+export default mongoose.model('AiUsageDaily', aiUsageDailySchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Lease on executing agents for one trip: at most one document per trip. The
+// holder renews `expiresAt` while it runs and deletes the lock when done; a
+// lease past `expiresAt` belongs to a holder that stopped renewing and may be
+// taken over.
+const executionLockSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+    unique: true
+  },
+  tripId: String,
+  // Run id of the holder, returned to callers that hit the lock
+  owner: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['orchestrator', 'agent'],
+    default: 'orchestrator'
+  },
+  jobId: String,
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+  renewedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Leases left behind by a crashed holder are removed once expired
+executionLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ExecutionLock', executionLockSchema);
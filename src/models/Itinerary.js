@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+const itineraryDaySchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  activities: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recommendation'
+  }],
+  restaurants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recommendation'
+  }],
+  geographicCluster: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  }
+}, { _id: false });
+
+const itinerarySchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+    unique: true,
+    index: true
+  },
+  tripId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  days: [itineraryDaySchema],
+  source: {
+    type: String,
+    enum: ['orchestrator', 'regenerate'],
+    default: 'orchestrator'
+  },
+  basedOn: {
+    type: String,
+    enum: ['selections', 'recommendations'],
+    default: 'recommendations'
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  version: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+itinerarySchema.virtual('totalDays').get(function() {
+  return this.days?.length || 0;
+});
+
+export default mongoose.model('Itinerary', itinerarySchema);
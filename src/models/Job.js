@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import { JOB_TYPE_LIST, JOB_STATUS_LIST, JOB_STATUSES } from '../constants/jobTypes.js';
+
+const jobFailureSchema = new mongoose.Schema({
+  attempt: Number,
+  message: String,
+  stack: String,
+  failedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `job_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`
+  },
+  type: {
+    type: String,
+    enum: JOB_TYPE_LIST,
+    required: true
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    index: true
+  },
+  tripId: {
+    type: String,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Who queued the job; the run's AI usage is counted against them
+  requestedBy: {
+    userId: String,
+    authMethod: String
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUS_LIST,
+    default: JOB_STATUSES.QUEUED
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  heartbeatAt: Date,
+  completedAt: Date,
+  lastError: {
+    message: String,
+    failedAt: Date
+  },
+  failures: [jobFailureSchema],
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Worker claim queries
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, heartbeatAt: 1 });
+
+export default mongoose.model('Job', jobSchema);
@@ -2,10 +2,20 @@ import mongoose from 'mongoose';
 import { AGENT_TYPE_LIST } from '../constants/agentTypes.js';
 
 const recommendationSchema = new mongoose.Schema({
+  // Owning trip; recommendations are deleted with it
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
   agentType: {
     type: String,
     required: true,
-    enum: [...AGENT_TYPE_LIST, 'transportation'], // transportation is future feature
+    enum: AGENT_TYPE_LIST,
+    index: true
+  },
+  // RecommendationRun that produced this option
+  runId: {
+    type: String,
     index: true
   },
   name: {
@@ -185,6 +195,7 @@ recommendationSchema.virtual('confidencePercentage').get(function() {
   return Math.round(this.confidence.score * 100);
 });
 
+recommendationSchema.index({ trip: 1, agentType: 1 });
 recommendationSchema.index({ agentType: 1, 'confidence.score': -1 });
 recommendationSchema.index({ 'selection.isSelected': 1, 'selection.selectionRank': 1 });
 recommendationSchema.index({ 'price.amount': 1 });
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { AGENT_TYPE_LIST } from '../constants/agentTypes.js';
+
+// One agent run's output for a trip. Generations count up per trip and agent
+// type; the newest one is what Trip.recommendations points at.
+const recommendationRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  tripId: {
+    type: String,
+    index: true
+  },
+  agentType: {
+    type: String,
+    enum: AGENT_TYPE_LIST,
+    required: true
+  },
+  generation: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  source: {
+    type: String,
+    enum: ['orchestrator', 'agent'],
+    default: 'orchestrator'
+  },
+  recommendations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recommendation'
+  }],
+  // Selections moved onto this run because the same provider id reappeared
+  carriedOverSelections: [{
+    from: { type: mongoose.Schema.Types.ObjectId, ref: 'Recommendation' },
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'Recommendation' },
+    _id: false
+  }],
+  droppedSelections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recommendation'
+  }],
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+recommendationRunSchema.index({ trip: 1, agentType: 1, generation: -1 }, { unique: true });
+
+export default mongoose.model('RecommendationRun', recommendationRunSchema);
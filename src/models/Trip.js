@@ -1,4 +1,71 @@
 import mongoose from 'mongoose';
+import { AGENT_TYPE_LIST } from '../constants/agentTypes.js';
+import { usageDefinition } from './AiUsageDaily.js';
+
+const selectionEntrySchema = new mongoose.Schema({
+  recommendation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recommendation'
+  },
+  selectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  selectedBy: {
+    type: String,
+    trim: true
+  },
+  selectionRank: {
+    type: Number,
+    min: 1
+  },
+  // Trip day (1-based) the user pinned this activity or restaurant to
+  day: {
+    type: Number,
+    min: 1
+  }
+});
+
+// One path per registered agent type
+const perAgentType = (buildPath) => Object.fromEntries(AGENT_TYPE_LIST.map(type => [type, buildPath(type)]));
+
+// Execution state of one agent (agentExecution.agents.<type>)
+const agentStatusDefinition = () => ({
+  status: {
+    type: String,
+    enum: ['idle', 'pending', 'running', 'completed', 'failed', 'skipped', 'stale', 'cancelled'],
+    default: 'idle'
+  },
+  startedAt: Date,
+  completedAt: Date,
+  duration: Number,
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  recommendationCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  cancelReason: String,
+  // AI usage of all of the agent's runs
+  usage: usageDefinition(),
+  // Batches saved while the agent is still running; cleared once it finishes
+  partialRecommendations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recommendation'
+  }],
+  errors: [{
+    message: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    stack: String
+  }]
+});
 
 const tripSchema = new mongoose.Schema({
   tripId: {
@@ -180,104 +247,32 @@ const tripSchema = new mongoose.Schema({
       }
     }
   },
-  recommendations: {
-    flight: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Recommendation'
-    }],
-    accommodation: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Recommendation'
-    }],
-    activity: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Recommendation'
-    }],
-    restaurant: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Recommendation'
-    }],
-    transportation: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Recommendation'
-    }]
-  },
-  selectedRecommendations: {
-    flight: [{
-      recommendation: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Recommendation'
-      },
-      selectedAt: {
-        type: Date,
-        default: Date.now
-      },
-      selectedBy: {
-        type: String,
-        trim: true
-      }
-    }],
-    accommodation: [{
-      recommendation: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Recommendation'
-      },
-      selectedAt: {
-        type: Date,
-        default: Date.now
-      },
-      selectedBy: {
-        type: String,
-        trim: true
-      }
-    }],
-    activity: [{
-      recommendation: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Recommendation'
-      },
-      selectedAt: {
-        type: Date,
-        default: Date.now
-      },
-      selectedBy: {
-        type: String,
-        trim: true
-      }
-    }],
-    restaurant: [{
-      recommendation: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Recommendation'
-      },
-      selectedAt: {
-        type: Date,
-        default: Date.now
-      },
-      selectedBy: {
-        type: String,
-        trim: true
-      }
-    }],
-    transportation: [{
-      recommendation: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Recommendation'
-      },
-      selectedAt: {
-        type: Date,
-        default: Date.now
-      },
-      selectedBy: {
-        type: String,
-        trim: true
-      }
-    }]
+  budget: {
+    total: {
+      type: Number,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+      uppercase: true,
+      minlength: 3,
+      maxlength: 3
+    },
+    // Optional caps per agent type, in budget.currency
+    categories: perAgentType(() => ({ type: Number, min: 0 }))
   },
+  recommendations: perAgentType(() => [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recommendation'
+  }]),
+  // One entry per type, or a ranked shortlist for types whose definition is
+  // multiSelect (activity, restaurant; see selectionService)
+  selectedRecommendations: perAgentType(() => [selectionEntrySchema]),
   agentExecution: {
     status: {
       type: String,
-      enum: ['pending', 'in_progress', 'completed', 'failed', 'partial'],
+      enum: ['pending', 'in_progress', 'completed', 'failed', 'partial', 'cancelled'],
       default: 'pending',
       index: true
     },
@@ -290,120 +285,11 @@ const tripSchema = new mongoose.Schema({
     totalDuration: {
       type: Number
     },
-    agents: {
-      flight: {
-        status: {
-          type: String,
-          enum: ['idle', 'pending', 'running', 'completed', 'failed', 'skipped'],
-          default: 'idle'
-        },
-        startedAt: Date,
-        completedAt: Date,
-        duration: Number,
-        confidence: {
-          type: Number,
-          min: 0,
-          max: 1
-        },
-        recommendationCount: {
-          type: Number,
-          min: 0,
-          default: 0
-        },
-        errors: [{
-          message: String,
-          timestamp: {
-            type: Date,
-            default: Date.now
-          },
-          stack: String
-        }]
-      },
-      accommodation: {
-        status: {
-          type: String,
-          enum: ['idle', 'pending', 'running', 'completed', 'failed', 'skipped'],
-          default: 'idle'
-        },
-        startedAt: Date,
-        completedAt: Date,
-        duration: Number,
-        confidence: {
-          type: Number,
-          min: 0,
-          max: 1
-        },
-        recommendationCount: {
-          type: Number,
-          min: 0,
-          default: 0
-        },
-        errors: [{
-          message: String,
-          timestamp: {
-            type: Date,
-            default: Date.now
-          },
-          stack: String
-        }]
-      },
-      activity: {
-        status: {
-          type: String,
-          enum: ['idle', 'pending', 'running', 'completed', 'failed', 'skipped'],
-          default: 'idle'
-        },
-        startedAt: Date,
-        completedAt: Date,
-        duration: Number,
-        confidence: {
-          type: Number,
-          min: 0,
-          max: 1
-        },
-        recommendationCount: {
-          type: Number,
-          min: 0,
-          default: 0
-        },
-        errors: [{
-          message: String,
-          timestamp: {
-            type: Date,
-            default: Date.now
-          },
-          stack: String
-        }]
-      },
-      restaurant: {
-        status: {
-          type: String,
-          enum: ['idle', 'pending', 'running', 'completed', 'failed', 'skipped'],
-          default: 'idle'
-        },
-        startedAt: Date,
-        completedAt: Date,
-        duration: Number,
-        confidence: {
-          type: Number,
-          min: 0,
-          max: 1
-        },
-        recommendationCount: {
-          type: Number,
-          min: 0,
-          default: 0
-        },
-        errors: [{
-          message: String,
-          timestamp: {
-            type: Date,
-            default: Date.now
-          },
-          stack: String
-        }]
-      }
-    },
+    cancelReason: String,
+    agents: perAgentType(agentStatusDefinition),
+    // AI usage of all runs: every agent plus the orchestrator's own calls
+    usage: usageDefinition(),
+    orchestratorUsage: usageDefinition(),
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {}
@@ -449,6 +335,42 @@ const tripSchema = new mongoose.Schema({
         }
       }
     }],
+    invitations: [{
+      invitationId: {
+        type: String,
+        required: true
+      },
+      // SHA-256 of the invite token; the token itself is only returned once
+      tokenHash: {
+        type: String,
+        required: true
+      },
+      role: {
+        type: String,
+        enum: ['owner', 'editor', 'viewer'],
+        default: 'viewer'
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true
+      },
+      invitedBy: {
+        type: String,
+        trim: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      },
+      expiresAt: Date,
+      acceptedBy: {
+        type: String,
+        default: null
+      },
+      acceptedAt: Date,
+      revokedAt: Date
+    }],
     isPublic: {
       type: Boolean,
       default: false
@@ -1,15 +1,33 @@
 import Trip from './Trip.js';
 import Recommendation from './Recommendation.js';
 import Place from './Place.js';
+import Itinerary from './Itinerary.js';
+import Job from './Job.js';
+import RecommendationRun from './RecommendationRun.js';
+import ExecutionLock from './ExecutionLock.js';
+import AgentResultCache from './AgentResultCache.js';
+import AiUsageDaily from './AiUsageDaily.js';
 
 export {
   Trip,
   Recommendation,
-  Place
+  Place,
+  Itinerary,
+  Job,
+  RecommendationRun,
+  ExecutionLock,
+  AgentResultCache,
+  AiUsageDaily
 };
 
 export default {
   Trip,
   Recommendation,
-  Place
+  Place,
+  Itinerary,
+  Job,
+  RecommendationRun,
+  ExecutionLock,
+  AgentResultCache,
+  AiUsageDaily
 };
@@ -0,0 +1,29 @@
+import { registerPrompt } from './registry.js';
+
+registerPrompt({
+  name: 'accommodation.recommendations',
+  version: 1,
+  description: 'Recommend accommodations from the top search results',
+  template: `
+You are a travel expert analyzing accommodation options. Here are the search criteria and results:
+
+Search Criteria:
+- Destination: {{destination}}
+- Check-in: {{checkInDate}}
+- Check-out: {{checkOutDate}}
+- Guests: {{guests}}
+- Budget: {{budget}}
+- Required amenities: {{amenities}}
+
+Accommodation Options (Top 5):
+{{accommodations}}
+
+Please provide:
+1. Your top 3 accommodation recommendations with clear reasoning
+2. Key factors you considered (price, location, rating, amenities)
+3. Any notable trade-offs or alternatives
+4. Confidence score (0-100) based on options available
+
+Be conversational and helpful, like a knowledgeable travel agent.
+  `
+});
@@ -0,0 +1,91 @@
+import { registerPrompt } from './registry.js';
+
+// ActivityAgent.search: the model proposes the activities themselves
+registerPrompt({
+  name: 'activity.search',
+  version: 1,
+  description: 'Generate activity recommendations for a destination',
+  template: `
+You are a travel activity expert. Generate 5-8 specific, high-quality activity recommendations for the following criteria:
+
+DESTINATION: {{destination}}
+TRAVELERS: {{travelers}}
+INTERESTS: {{interests}}
+DURATION PREFERENCES: {{durationPreferences}}
+{{travelStyleLine}}
+{{datesLine}}
+
+REQUIREMENTS:
+1. Each activity must be specific to the destination and realistically available there
+2. Vary activity types: cultural, adventure, food, entertainment, nature, arts, historical, etc.
+3. Include a mix of durations: some short (1-3 hours), some longer (4-8 hours)
+4. Consider the traveler interests and suggest activities that align with them
+5. Provide realistic pricing in USD
+6. Include accurate location details within the destination
+7. Specify if advance booking is typically required
+
+For each activity, provide:
+- id: unique identifier (ACT + 3 digits)
+- name: specific, appealing activity name
+- description: detailed description (2-3 sentences) explaining what travelers will experience
+- category: one word category (cultural, adventure, food, nature, entertainment, arts, historical, shopping, etc.)
+- duration: specific time estimate (e.g., "2 hours", "half day", "full day")
+- price: realistic price per person in USD (number only)
+- rating: realistic rating out of 5 (decimal allowed, e.g., 4.3)
+- location: specific area/neighborhood within the destination
+- bookingRequired: true if advance booking typically needed, false if walk-in friendly
+- imageUrl: a representative Unsplash image URL related to the activity type (optional but recommended)
+
+Also provide:
+- confidence: your confidence level in these recommendations (0-100)
+- reasoning: brief explanation of why these activities fit the criteria
+- totalResults: number of activities provided
+
+Focus on quality over quantity. Make recommendations that would genuinely enhance a traveler's experience in {{destination}}.
+  `
+});
+
+// v2: prices in the trip's search currency instead of always USD
+registerPrompt({
+  name: 'activity.search',
+  version: 2,
+  description: 'Generate activity recommendations for a destination',
+  template: `
+You are a travel activity expert. Generate 5-8 specific, high-quality activity recommendations for the following criteria:
+
+DESTINATION: {{destination}}
+TRAVELERS: {{travelers}}
+INTERESTS: {{interests}}
+DURATION PREFERENCES: {{durationPreferences}}
+{{travelStyleLine}}
+{{datesLine}}
+
+REQUIREMENTS:
+1. Each activity must be specific to the destination and realistically available there
+2. Vary activity types: cultural, adventure, food, entertainment, nature, arts, historical, etc.
+3. Include a mix of durations: some short (1-3 hours), some longer (4-8 hours)
+4. Consider the traveler interests and suggest activities that align with them
+5. Provide realistic pricing in {{currency}}
+6. Include accurate location details within the destination
+7. Specify if advance booking is typically required
+
+For each activity, provide:
+- id: unique identifier (ACT + 3 digits)
+- name: specific, appealing activity name
+- description: detailed description (2-3 sentences) explaining what travelers will experience
+- category: one word category (cultural, adventure, food, nature, entertainment, arts, historical, shopping, etc.)
+- duration: specific time estimate (e.g., "2 hours", "half day", "full day")
+- price: realistic price per person in {{currency}} (number only)
+- rating: realistic rating out of 5 (decimal allowed, e.g., 4.3)
+- location: specific area/neighborhood within the destination
+- bookingRequired: true if advance booking typically needed, false if walk-in friendly
+- imageUrl: a representative Unsplash image URL related to the activity type (optional but recommended)
+
+Also provide:
+- confidence: your confidence level in these recommendations (0-100)
+- reasoning: brief explanation of why these activities fit the criteria
+- totalResults: number of activities provided
+
+Focus on quality over quantity. Make recommendations that would genuinely enhance a traveler's experience in {{destination}}.
+  `
+});
@@ -0,0 +1,17 @@
+import { registerPrompt } from './registry.js';
+
+// TripPlanningAgent.generateRecommendations, for agents that do not build their own prompt
+registerPrompt({
+  name: 'agent.recommendations',
+  version: 1,
+  description: 'Pick the best options from an agent\'s search results',
+  template: `
+Based on the following search results and user criteria, provide top recommendations:
+
+User Criteria: {{criteria}}
+Search Results: {{results}}
+
+Please analyze and recommend the best options, explaining your reasoning.
+Respond with a valid JSON object only, no additional text.
+  `
+});
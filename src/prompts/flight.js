@@ -0,0 +1,22 @@
+import { registerPrompt } from './registry.js';
+
+registerPrompt({
+  name: 'flight.recommendations',
+  version: 1,
+  description: 'Recommend one of the top flights',
+  template: `
+You are a travel expert analyzing flight options.
+
+Search: {{origin}} → {{destination}} on {{departureDate}}
+Budget: {{budget}}
+
+Top 3 Flights:
+{{flights}}
+
+Provide:
+1. Top recommendation with reasoning (50 words max)
+2. Confidence score (0-100)
+
+Be concise.
+  `
+});
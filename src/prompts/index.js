@@ -0,0 +1,22 @@
+/**
+ * Registered prompt templates
+ *
+ * Importing this module registers every prompt template. To change a prompt,
+ * register a new version in its module; to add one, add a module here.
+ */
+
+import './agent.js';
+import './flight.js';
+import './accommodation.js';
+import './activity.js';
+import './orchestrator.js';
+import { findInvalidPins } from './registry.js';
+import logger from '../utils/logger.js';
+
+const invalidPins = findInvalidPins();
+if (invalidPins.length > 0) {
+  logger.child({ scope: 'PromptRegistry' })
+    .warn(`PROMPT_VERSIONS pins prompts that are not registered, using the latest versions instead: ${invalidPins.join(', ')}`);
+}
+
+export * from './registry.js';
@@ -0,0 +1,32 @@
+import { registerPrompt } from './registry.js';
+
+// TripOrchestrator.generateEnhancedRecommendations: insights on the whole trip plan
+registerPrompt({
+  name: 'orchestrator.synthesis',
+  version: 1,
+  description: 'Assess the synthesized trip plan',
+  template: `
+Analyze this comprehensive trip plan and provide enhanced recommendations:
+
+Trip Context:
+- Destination: {{destination}}
+- Dates: {{departureDate}} to {{returnDate}}
+- Travelers: {{travelers}}
+- Geographic Coverage: {{geographicCoverage}}%
+
+Recommendation Summary:
+{{recommendationSummary}}
+
+Geographic Clusters:
+{{clusters}}
+
+Please provide:
+1. Overall trip confidence score (0-100) based on recommendation quality and geographic efficiency
+2. Top insights about the trip plan
+3. Optimization suggestions for logistics and pacing
+4. Risk assessment and mitigation strategies
+5. Alternative approaches for different preferences
+
+Focus on practical, actionable insights for the traveler.
+  `
+});
@@ -0,0 +1,168 @@
+/**
+ * Prompt Registry
+ *
+ * Prompts sent to AI providers are named, versioned templates registered
+ * here by the modules under `prompts/`. A template is text with `{{variable}}`
+ * placeholders; rendering fails when a placeholder has no value, so a prompt
+ * never goes out with a hole in it.
+ *
+ * A changed prompt is registered as a new version next to the old one rather
+ * than edited in place. The latest version is used unless PROMPT_VERSIONS pins
+ * a template to another one, e.g. PROMPT_VERSIONS={"flight.recommendations":1},
+ * which rolls a bad prompt back without a code change. A pin to a version
+ * that is not registered is ignored (and reported at startup). Agents record the name
+ * and version of each prompt they render on the recommendations they produce
+ * (`agentMetadata.prompts`).
+ *
+ * This module imports no agents or models; read templates through
+ * `prompts/index.js`, which registers them first.
+ */
+
+import env from '../config/env.js';
+
+export const PROMPT_NOT_FOUND = 'PROMPT_NOT_FOUND';
+export const PROMPT_VARIABLES_MISSING = 'PROMPT_VARIABLES_MISSING';
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// name → Map(version → template)
+const prompts = new Map();
+
+export class MissingPromptVariablesError extends Error {
+  constructor(name, version, missing) {
+    super(`Prompt ${name}@${version} is missing variables: ${missing.join(', ')}`);
+    this.name = 'MissingPromptVariablesError';
+    this.code = PROMPT_VARIABLES_MISSING;
+    this.prompt = { name, version };
+    this.missing = missing;
+  }
+}
+
+const notFound = (message) => Object.assign(new Error(message), { code: PROMPT_NOT_FOUND });
+
+/**
+ * @param {string} template
+ * @returns {string[]} Placeholder names, in order of first use
+ */
+export function promptVariables(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER)].map(([, variable]) => variable))];
+}
+
+/**
+ * Register a version of a prompt template
+ * @param {Object} prompt
+ * @param {string} prompt.name - Dotted identifier, e.g. `flight.recommendations`
+ * @param {number} prompt.version - Positive integer, unique per name
+ * @param {string} prompt.template - Text with `{{variable}}` placeholders; surrounding whitespace is trimmed
+ * @param {string} [prompt.description]
+ * @returns {Object} The frozen template
+ * @throws {Error} When the template is incomplete or the version is taken
+ */
+export function registerPrompt({ name, version, template, description = null } = {}) {
+  if (typeof name !== 'string' || !/^[a-z][a-z_]*(\.[a-z][a-z_]*)+$/.test(name)) {
+    throw new Error(`Prompt name must be a dotted lowercase identifier, got: ${name}`);
+  }
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Prompt ${name} needs a positive integer version, got: ${version}`);
+  }
+  if (typeof template !== 'string' || !template.trim()) {
+    throw new Error(`Prompt ${name}@${version} needs a template`);
+  }
+
+  const versions = prompts.get(name) || new Map();
+  if (versions.has(version)) {
+    throw new Error(`Prompt already registered: ${name}@${version}`);
+  }
+
+  const text = template.trim();
+  const prompt = Object.freeze({ name, version, description, template: text, variables: promptVariables(text) });
+  prompts.set(name, versions.set(version, prompt));
+  return prompt;
+}
+
+const latestVersion = (versions) => Math.max(...versions.keys());
+
+// The PROMPT_VERSIONS pin for a prompt, when it names a registered version
+const pinnedVersion = (name, versions) => {
+  const pin = Number(env.promptVersions?.[name]);
+  return versions.has(pin) ? pin : null;
+};
+
+/**
+ * Version of a prompt that is rendered: the PROMPT_VERSIONS pin, else the
+ * latest. A pin to an unregistered version falls back to the latest.
+ * @throws {Error} PROMPT_NOT_FOUND for an unknown prompt
+ */
+export function activeVersion(name) {
+  const versions = prompts.get(name);
+  if (!versions) throw notFound(`Unknown prompt: ${name}`);
+  return pinnedVersion(name, versions) ?? latestVersion(versions);
+}
+
+/**
+ * @param {string} name
+ * @param {number} [version] - Defaults to the active version
+ * @returns {Object} `{ name, version, description, template, variables }`
+ * @throws {Error} PROMPT_NOT_FOUND for an unknown prompt or version
+ */
+export function getPrompt(name, version = activeVersion(name)) {
+  const prompt = prompts.get(name)?.get(version);
+  if (!prompt) throw notFound(`Unknown prompt version: ${name}@${version}`);
+  return prompt;
+}
+
+const formatValue = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+/**
+ * Fill a prompt's placeholders. Strings are inserted as they are, objects as
+ * JSON; an empty string is a value, null and undefined are not.
+ * @param {string} name
+ * @param {Object} variables
+ * @param {Object} [options]
+ * @param {number} [options.version] - Defaults to the active version
+ * @returns {{ name: string, version: number, text: string }}
+ * @throws {MissingPromptVariablesError} When a placeholder has no value
+ */
+export function renderPrompt(name, variables = {}, { version } = {}) {
+  const prompt = getPrompt(name, version);
+
+  const missing = prompt.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+  if (missing.length > 0) {
+    throw new MissingPromptVariablesError(prompt.name, prompt.version, missing);
+  }
+
+  return {
+    name: prompt.name,
+    version: prompt.version,
+    text: prompt.template.replace(PLACEHOLDER, (_, variable) => formatValue(variables[variable]))
+  };
+}
+
+/**
+ * Registered prompts with their versions and which one is rendered
+ * @returns {Object[]} `{ name, description, versions, latestVersion, activeVersion, pinned }`
+ */
+export function listPrompts() {
+  return [...prompts.entries()].map(([name, versions]) => {
+    const active = activeVersion(name);
+    return {
+      name,
+      description: versions.get(active).description,
+      versions: [...versions.keys()].sort((a, b) => a - b),
+      latestVersion: latestVersion(versions),
+      activeVersion: active,
+      // false when PROMPT_VERSIONS pins a version that does not exist
+      pinned: pinnedVersion(name, versions) !== null
+    };
+  });
+}
+
+/**
+ * PROMPT_VERSIONS entries that name no registered prompt or version
+ * @returns {string[]} Descriptions of the bad pins
+ */
+export function findInvalidPins() {
+  return Object.entries(env.promptVersions || {})
+    .filter(([name, version]) => !prompts.get(name)?.has(Number(version)))
+    .map(([name, version]) => `${name}@${version}`);
+}
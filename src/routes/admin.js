@@ -0,0 +1,12 @@
+import express from 'express';
+import { getAiHealth, getPrompts } from '../controllers/adminController.js';
+import { getDailyUsage } from '../controllers/usageController.js';
+import { asyncHandler } from '../middleware/validation.js';
+
+const router = express.Router();
+
+router.get('/ai/health', asyncHandler(getAiHealth));
+router.get('/ai/usage', asyncHandler(getDailyUsage));
+router.get('/ai/prompts', asyncHandler(getPrompts));
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getJobStatus } from '../controllers/jobController.js';
+import { asyncHandler } from '../middleware/validation.js';
+
+const router = express.Router();
+
+router.get('/:jobId', asyncHandler(getJobStatus));
+
+export default router;
@@ -9,24 +9,56 @@
  * === CORE TRIP MANAGEMENT ===
  * POST   /api/trip/create                    - Create trip with orchestrator trigger
  * GET    /api/trip/:tripId                   - Get full trip with recommendations
- * POST   /api/trip/:tripId/select/:recId     - Select a single recommendation
+ * PATCH  /api/trip/:tripId                   - Update trip details (If-Match: version)
+ * POST   /api/trip/:tripId/cancel            - Cancel trip and stop running agents
+ * POST   /api/trip/:tripId/cancel-execution  - Stop the current run, keep the trip
+ * DELETE /api/trip/:tripId                   - Delete trip with its recommendations and itinerary
+ * POST   /api/trip/:tripId/select/:recId     - Select a recommendation (shortlist for activity/restaurant)
+ * DELETE /api/trip/:tripId/select/:recId     - Unselect a recommendation
+ * PUT    /api/trip/:tripId/select/:type/order - Re-rank the activity or restaurant shortlist
  * GET    /api/trip/:tripId/status            - Real-time execution status
+ * GET    /api/trip/:tripId/events            - Execution progress stream (SSE)
+ *
+ * === COLLABORATION ===
+ * GET    /api/trip/:tripId/collaborators          - List owner, collaborators and pending invites
+ * POST   /api/trip/:tripId/collaborators          - Create an invite token
+ * POST   /api/trip/:tripId/collaborators/accept   - Accept an invite token (idempotent)
+ * PATCH  /api/trip/:tripId/collaborators/:userId  - Change a collaborator's role/permissions
+ * DELETE /api/trip/:tripId/collaborators/:userId  - Remove a collaborator (`me` to leave)
+ *
+ * === BUDGET ===
+ * GET    /api/trip/:tripId/budget               - Selection spend vs. budget, remaining per category
+ *
+ * === AI USAGE ===
+ * GET    /api/trip/:tripId/usage                - AI tokens and estimated cost, total and per agent
+ *
+ * === ITINERARY ===
+ * GET    /api/trip/:tripId/itinerary            - Get persisted day-by-day itinerary
+ * POST   /api/trip/:tripId/itinerary/regenerate - Rebuild itinerary from current selections
  *
  * === PER-AGENT CONTROL ===
- * POST   /api/trip/:tripId/agent/flight              - Start/run flight agent
- * POST   /api/trip/:tripId/agent/flight/rerun        - Re-run flight agent
- * POST   /api/trip/:tripId/agent/accommodation       - Start/run accommodation agent
- * POST   /api/trip/:tripId/agent/accommodation/rerun - Re-run accommodation agent
- * POST   /api/trip/:tripId/agent/activity            - Start/run activity agent
- * POST   /api/trip/:tripId/agent/activity/rerun      - Re-run activity agent
- * POST   /api/trip/:tripId/agent/restaurant          - Start/run restaurant agent
- * POST   /api/trip/:tripId/agent/restaurant/rerun    - Re-run restaurant agent
+ * Registered for every agent type in the registry (agents/definitions):
+ * flight, accommodation, restaurant, activity, transportation
+ * POST   /api/trip/:tripId/agent/<type>         - Start/run the agent
+ * POST   /api/trip/:tripId/agent/<type>/rerun   - Re-run the agent
+ * POST   /api/trip/:tripId/agent/:type/cancel   - Stop one waiting or running agent
  *
  * === RECOMMENDATION RETRIEVAL ===
- * GET    /api/trip/:tripId/recommendations/flights      - Get flight recommendations
- * GET    /api/trip/:tripId/recommendations/hotels       - Get hotel recommendations
- * GET    /api/trip/:tripId/recommendations/experiences  - Get activity recommendations
- * GET    /api/trip/:tripId/recommendations/restaurants  - Get restaurant recommendations
+ * Registered for every agent type under its route path: flights, hotels,
+ * restaurants, experiences, transportation
+ * GET    /api/trip/:tripId/recommendations/<path>         - Get the type's recommendations
+ * PUT    /api/trip/:tripId/recommendations/<path>/select  - Select one (recommendationId in body)
+ * POST   /api/trip/:tripId/recommendations/<path>/rerun   - Re-run the agent
+ *
+ * === RECOMMENDATION HISTORY ===
+ * GET    /api/trip/:tripId/recommendations/:type/runs      - List agent runs (generations), newest first
+ * GET    /api/trip/:tripId/recommendations/:type/runs/diff - Added/removed/repriced options between two runs
+ *
+ * AUTHORIZATION:
+ * - Every route requires an authenticated user (mounted behind `authenticate`)
+ * - GET routes need view access to the trip; all writes need edit access
+ * - Managing collaborators needs invite access; accepting an invite needs no prior access
+ * - Deleting a trip needs delete access (owners, or collaborators with canDelete)
  *
  * FEATURES:
  * - Type-specific filtering and sorting
@@ -40,35 +72,40 @@ import {
   createTrip,
   createTripV2,
   getTripById,
+  updateTrip,
+  cancelTrip,
+  cancelExecution,
+  cancelAgent,
+  deleteTrip,
   selectRecommendations,
-  selectSingleRecommendation,
   getTripStatus
 } from '../controllers/tripController.js';
-
-// Import modular recommendation controllers
 import {
-  getFlightRecommendations,
-  selectFlightRecommendation,
-  rerunFlightAgent
-} from '../controllers/flightRecommendationController.js';
-
+  selectRecommendation,
+  unselectRecommendation,
+  reorderSelections
+} from '../controllers/selectionController.js';
 import {
-  getHotelRecommendations,
-  selectHotelRecommendation,
-  rerunHotelAgent
-} from '../controllers/hotelRecommendationController.js';
-
+  getItinerary,
+  regenerateItinerary
+} from '../controllers/itineraryController.js';
+import { streamTripEvents } from '../controllers/executionEventsController.js';
+import { getTripBudget } from '../controllers/budgetController.js';
+import { getTripUsage } from '../controllers/usageController.js';
 import {
-  getActivityRecommendations,
-  selectActivityRecommendation,
-  rerunActivityAgent
-} from '../controllers/activityRecommendationController.js';
-
+  listRecommendationRuns,
+  diffRecommendationRuns
+} from '../controllers/recommendationRunController.js';
 import {
-  getRestaurantRecommendations,
-  selectRestaurantRecommendation,
-  rerunRestaurantAgent
-} from '../controllers/restaurantRecommendationController.js';
+  listCollaborators,
+  inviteCollaborator,
+  acceptInvitation,
+  updateCollaborator,
+  removeCollaborator
+} from '../controllers/collaborationController.js';
+
+import { getRecommendationController } from '../controllers/recommendationController.js';
+import { listAgentDefinitions } from '../agents/definitions/index.js';
 
 import {
   validateTripCreation,
@@ -79,9 +116,14 @@ import {
   asyncHandler
 } from '../middleware/validation.js';
 import normalizeCreateTrip from '../middleware/normalizeCreateTrip.js';
+import { authorizeTrip, canViewTrip, canEditTrip } from '../middleware/auth.js';
+import { TRIP_ACTIONS } from '../constants/tripRoles.js';
 
 const router = express.Router();
 
+const canInviteToTrip = authorizeTrip(TRIP_ACTIONS.INVITE);
+const canDeleteTrip = authorizeTrip(TRIP_ACTIONS.DELETE);
+
 // === CORE TRIP MANAGEMENT (MVP ENDPOINTS) ===
 
 // Spec: POST /api/trip/trips with Google place IDs, no auto orchestrator
@@ -99,164 +141,225 @@ router.post('/create',
 // GET /api/trip/:tripId - Return full trip with all recommendations
 router.get('/:tripId', 
   validateTripId,
+  canViewTrip,
   asyncHandler(getTripById)
 );
 
-// PUT /api/trip/:tripId/select - Handle user recommendation selections
-router.put('/:tripId/select',
+// PATCH /api/trip/:tripId - Update trip details with optimistic concurrency
+router.patch('/:tripId',
   validateTripId,
-  validateSelections,
-  asyncHandler(selectRecommendations)
+  canEditTrip,
+  asyncHandler(updateTrip)
 );
 
-// Alias selection endpoint per spec
-router.post('/:tripId/select/:recommendationId',
+// POST /api/trip/:tripId/cancel - Cancel trip, queued jobs and running agents
+router.post('/:tripId/cancel',
   validateTripId,
-  asyncHandler(selectSingleRecommendation)
+  canEditTrip,
+  asyncHandler(cancelTrip)
 );
 
-// GET /api/trip/:tripId/status - Real-time orchestrator execution status
-router.get('/:tripId/status',
+// POST /api/trip/:tripId/cancel-execution - Stop queued jobs and running agents, keep the trip
+router.post('/:tripId/cancel-execution',
   validateTripId,
-  asyncHandler(getTripStatus)
+  canEditTrip,
+  asyncHandler(cancelExecution)
 );
 
-// === INDIVIDUAL AGENT ENDPOINTS (SIMPLIFIED) ===
-
-// Flight Agent
-router.post('/:tripId/agent/flight',
+// DELETE /api/trip/:tripId - Delete trip, recommendations and itinerary
+router.delete('/:tripId',
   validateTripId,
-  asyncHandler(rerunFlightAgent)
-);
-router.post('/:tripId/agent/flight/rerun',
-  validateTripId,
-  asyncHandler(rerunFlightAgent)
+  canDeleteTrip,
+  asyncHandler(deleteTrip)
 );
 
-// Accommodation Agent
-router.post('/:tripId/agent/accommodation',
+// PUT /api/trip/:tripId/select - Handle user recommendation selections
+router.put('/:tripId/select',
   validateTripId,
-  asyncHandler(rerunHotelAgent)
+  canEditTrip,
+  validateSelections,
+  asyncHandler(selectRecommendations)
 );
-router.post('/:tripId/agent/accommodation/rerun',
+
+// POST /api/trip/:tripId/select/:recommendationId - Select one recommendation
+// (adds to the shortlist for activities and restaurants)
+router.post('/:tripId/select/:recommendationId',
   validateTripId,
-  asyncHandler(rerunHotelAgent)
+  canEditTrip,
+  asyncHandler(selectRecommendation)
 );
 
-// Activity Agent
-router.post('/:tripId/agent/activity',
+// DELETE /api/trip/:tripId/select/:recommendationId - Unselect a recommendation
+router.delete('/:tripId/select/:recommendationId',
   validateTripId,
-  asyncHandler(rerunActivityAgent)
+  canEditTrip,
+  asyncHandler(unselectRecommendation)
 );
-router.post('/:tripId/agent/activity/rerun',
+
+// PUT /api/trip/:tripId/select/:type/order - Re-rank a shortlist in one update
+router.put('/:tripId/select/:type/order',
   validateTripId,
-  asyncHandler(rerunActivityAgent)
+  canEditTrip,
+  asyncHandler(reorderSelections)
 );
 
-// Restaurant Agent
-router.post('/:tripId/agent/restaurant',
+// GET /api/trip/:tripId/status - Real-time orchestrator execution status
+router.get('/:tripId/status',
   validateTripId,
-  asyncHandler(rerunRestaurantAgent)
+  canViewTrip,
+  asyncHandler(getTripStatus)
 );
-router.post('/:tripId/agent/restaurant/rerun',
+
+// GET /api/trip/:tripId/events - Server-Sent Events stream of execution progress
+router.get('/:tripId/events',
   validateTripId,
-  asyncHandler(rerunRestaurantAgent)
+  canViewTrip,
+  asyncHandler(streamTripEvents)
 );
 
-// === MODULAR RECOMMENDATION ENDPOINTS ===
+// === COLLABORATION ===
 
-// --- FLIGHT RECOMMENDATIONS ---
-
-// GET /api/trip/:tripId/recommendations/flights - Get flight recommendations
-router.get('/:tripId/recommendations/flights',
+// GET /api/trip/:tripId/collaborators - Owner, collaborators and (for inviters) pending invites
+router.get('/:tripId/collaborators',
   validateTripId,
-  asyncHandler(getFlightRecommendations)
+  canViewTrip,
+  asyncHandler(listCollaborators)
 );
 
-// PUT /api/trip/:tripId/recommendations/flights/select - Select flight
-// Note: recommendationId comes from request body
-router.put('/:tripId/recommendations/flights/select',
+// POST /api/trip/:tripId/collaborators - Create an invite token
+router.post('/:tripId/collaborators',
   validateTripId,
-  asyncHandler((req, res) => {
-    // Extract recommendationId from body and add to params
-    req.params.recommendationId = req.body.recommendationId;
-    return selectFlightRecommendation(req, res);
-  })
+  canInviteToTrip,
+  asyncHandler(inviteCollaborator)
 );
 
-// POST /api/trip/:tripId/recommendations/flights/rerun - Re-run flight agent
-router.post('/:tripId/recommendations/flights/rerun',
+// POST /api/trip/:tripId/collaborators/accept - Invitees have no access yet, so no trip guard
+router.post('/:tripId/collaborators/accept',
   validateTripId,
-  asyncHandler(rerunFlightAgent)
+  asyncHandler(acceptInvitation)
 );
 
-// --- HOTEL RECOMMENDATIONS ---
-
-// GET /api/trip/:tripId/recommendations/hotels - Get hotel recommendations
-router.get('/:tripId/recommendations/hotels',
+// PATCH /api/trip/:tripId/collaborators/:userId - Change role or permission flags
+router.patch('/:tripId/collaborators/:userId',
   validateTripId,
-  asyncHandler(getHotelRecommendations)
+  canInviteToTrip,
+  asyncHandler(updateCollaborator)
 );
 
-// PUT /api/trip/:tripId/recommendations/hotels/select - Select hotel
-router.put('/:tripId/recommendations/hotels/select',
+// DELETE /api/trip/:tripId/collaborators/:userId - Remove a collaborator or leave the trip
+router.delete('/:tripId/collaborators/:userId',
   validateTripId,
-  asyncHandler((req, res) => {
-    req.params.recommendationId = req.body.recommendationId;
-    return selectHotelRecommendation(req, res);
-  })
+  canViewTrip,
+  asyncHandler(removeCollaborator)
 );
 
-// POST /api/trip/:tripId/recommendations/hotels/rerun - Re-run hotel agent
-router.post('/:tripId/recommendations/hotels/rerun',
+// === BUDGET ===
+
+// GET /api/trip/:tripId/budget - Selection spend against the trip budget
+router.get('/:tripId/budget',
   validateTripId,
-  asyncHandler(rerunHotelAgent)
+  canViewTrip,
+  asyncHandler(getTripBudget)
 );
 
-// --- ACTIVITY/EXPERIENCE RECOMMENDATIONS ---
+// === AI USAGE ===
 
-// GET /api/trip/:tripId/recommendations/experiences - Get activity recommendations
-router.get('/:tripId/recommendations/experiences',
+// GET /api/trip/:tripId/usage - Tokens and estimated cost of the trip's AI calls
+router.get('/:tripId/usage',
   validateTripId,
-  asyncHandler(getActivityRecommendations)
+  canViewTrip,
+  asyncHandler(getTripUsage)
 );
 
-// PUT /api/trip/:tripId/recommendations/experiences/select - Select activity
-router.put('/:tripId/recommendations/experiences/select',
+// === ITINERARY ===
+
+// GET /api/trip/:tripId/itinerary - Persisted day-by-day itinerary
+router.get('/:tripId/itinerary',
   validateTripId,
-  asyncHandler((req, res) => {
-    req.params.recommendationId = req.body.recommendationId;
-    return selectActivityRecommendation(req, res);
-  })
+  canViewTrip,
+  asyncHandler(getItinerary)
 );
 
-// POST /api/trip/:tripId/recommendations/experiences/rerun - Re-run activity agent
-router.post('/:tripId/recommendations/experiences/rerun',
+// POST /api/trip/:tripId/itinerary/regenerate - Rebuild from current selections
+router.post('/:tripId/itinerary/regenerate',
   validateTripId,
-  asyncHandler(rerunActivityAgent)
+  canEditTrip,
+  asyncHandler(regenerateItinerary)
 );
 
-// --- RESTAURANT RECOMMENDATIONS ---
+// === INDIVIDUAL AGENT ENDPOINTS (SIMPLIFIED) ===
 
-// GET /api/trip/:tripId/recommendations/restaurants - Get restaurant recommendations
-router.get('/:tripId/recommendations/restaurants',
+// POST /api/trip/:tripId/agent/<type>(/rerun) - Queue a run of one agent
+for (const { type } of listAgentDefinitions()) {
+  const controller = getRecommendationController(type);
+  const rerunAgent = (req, res) => controller.rerunAgent(req, res);
+
+  router.post(`/:tripId/agent/${type}`,
+    validateTripId,
+    canEditTrip,
+    asyncHandler(rerunAgent)
+  );
+  router.post(`/:tripId/agent/${type}/rerun`,
+    validateTripId,
+    canEditTrip,
+    asyncHandler(rerunAgent)
+  );
+}
+
+// POST /api/trip/:tripId/agent/:type/cancel - Abort a running agent or keep a waiting one from starting
+router.post('/:tripId/agent/:type/cancel',
   validateTripId,
-  asyncHandler(getRestaurantRecommendations)
+  canEditTrip,
+  asyncHandler(cancelAgent)
 );
 
-// PUT /api/trip/:tripId/recommendations/restaurants/select - Select restaurant
-router.put('/:tripId/recommendations/restaurants/select',
+// === MODULAR RECOMMENDATION ENDPOINTS ===
+
+// One set per agent type, under its definition's route path (e.g. hotels)
+for (const { type, routes } of listAgentDefinitions()) {
+  const controller = getRecommendationController(type);
+
+  // GET /api/trip/:tripId/recommendations/<path> - Get the type's recommendations
+  router.get(`/:tripId/recommendations/${routes.path}`,
+    validateTripId,
+    canViewTrip,
+    asyncHandler((req, res) => controller.getRecommendations(req, res))
+  );
+
+  // PUT /api/trip/:tripId/recommendations/<path>/select - Select one
+  // Note: recommendationId comes from request body
+  router.put(`/:tripId/recommendations/${routes.path}/select`,
+    validateTripId,
+    canEditTrip,
+    asyncHandler((req, res) => {
+      // Extract recommendationId from body and add to params
+      req.params.recommendationId = req.body.recommendationId;
+      return controller.selectRecommendation(req, res);
+    })
+  );
+
+  // POST /api/trip/:tripId/recommendations/<path>/rerun - Re-run the agent
+  router.post(`/:tripId/recommendations/${routes.path}/rerun`,
+    validateTripId,
+    canEditTrip,
+    asyncHandler((req, res) => controller.rerunAgent(req, res))
+  );
+}
+
+// === RECOMMENDATION HISTORY ===
+
+// GET /api/trip/:tripId/recommendations/:type/runs - Agent run history
+router.get('/:tripId/recommendations/:type/runs',
   validateTripId,
-  asyncHandler((req, res) => {
-    req.params.recommendationId = req.body.recommendationId;
-    return selectRestaurantRecommendation(req, res);
-  })
+  canViewTrip,
+  asyncHandler(listRecommendationRuns)
 );
 
-// POST /api/trip/:tripId/recommendations/restaurants/rerun - Re-run restaurant agent
-router.post('/:tripId/recommendations/restaurants/rerun',
+// GET /api/trip/:tripId/recommendations/:type/runs/diff?from=&to= - Compare two runs
+router.get('/:tripId/recommendations/:type/runs/diff',
   validateTripId,
-  asyncHandler(rerunRestaurantAgent)
+  canViewTrip,
+  asyncHandler(diffRecommendationRuns)
 );
 
 // === ERROR HANDLING ===
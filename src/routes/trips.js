@@ -0,0 +1,22 @@
+/**
+ * Trip Collection Routes
+ *
+ * GET    /api/trips                  - Trips the caller owns or collaborates on
+ * GET    /api/trips?sharedWith=me    - Trips other users shared with the caller
+ *
+ * Filters: createdBy, sharedWith, status, tags, destination, departureFrom,
+ * departureTo. Sort: updatedAt (default) or departureDate. Cursor pagination
+ * via `cursor` / `limit`.
+ *
+ * Single-trip operations live under /api/trip/:tripId (see trip.js).
+ */
+
+import express from 'express';
+import { listTrips } from '../controllers/tripController.js';
+import { validatePagination, asyncHandler } from '../middleware/validation.js';
+
+const router = express.Router();
+
+router.get('/', validatePagination, asyncHandler(listTrips));
+
+export default router;
@@ -1,6 +1,8 @@
 import env, { validateEnv } from './config/env.js';
 import app from './app.js';
 import databaseService from './services/database.js';
+import jobWorker from './services/jobWorker.js';
+import { backfillTripReferences } from './services/recommendationService.js';
 import logger from './utils/logger.js';
 
 let server;
@@ -13,6 +15,17 @@ const startServer = async () => {
 
     await databaseService.connect();
 
+    // Recommendations saved before they referenced their trip
+    try {
+      await backfillTripReferences();
+    } catch (error) {
+      logger.warn('Recommendation trip backfill failed', { error: error.message });
+    }
+
+    if (env.jobWorkerEnabled) {
+      await jobWorker.start();
+    }
+
     server = app.listen(env.port, () => {
       logger.info(`Server running on port ${env.port}`);
     });
@@ -35,6 +48,7 @@ const shutdown = async (signal) => {
         server.close((err) => (err ? reject(err) : resolve()));
       });
     }
+    await jobWorker.stop();
     await databaseService.disconnect();
     process.exit(0);
   } catch (error) {
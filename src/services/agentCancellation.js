@@ -0,0 +1,78 @@
+/**
+ * Agent Cancellation
+ *
+ * Registry of the agent runs in progress in this process, so the cancel
+ * endpoints can abort them. AgentRunner registers one AbortController per run
+ * and aborts it itself when the agent's timeout expires; aborting rejects the
+ * run with an error whose `code` says why.
+ *
+ * Runs in another process (an API-only instance serving the request while a
+ * worker runs the job) are not reachable from here. They still stop at their
+ * next status write, which never overwrites a `cancelled` status.
+ */
+
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'AgentCancellation' });
+
+export const AGENT_CANCELLED = 'AGENT_CANCELLED';
+export const AGENT_TIMED_OUT = 'AGENT_TIMED_OUT';
+
+// `${tripId}:${agentType}` -> AbortController
+const controllers = new Map();
+
+const runKey = (tripId, agentType) => `${tripId}:${agentType}`;
+
+export function cancellationError(reason) {
+  const error = new Error(reason);
+  error.code = AGENT_CANCELLED;
+  return error;
+}
+
+export function timeoutError(agentType, timeoutMs) {
+  const error = new Error(`${agentType} agent timed out after ${timeoutMs}ms`);
+  error.code = AGENT_TIMED_OUT;
+  return error;
+}
+
+/**
+ * Make a run abortable through cancelAgent/cancelTripAgents
+ * @returns {Function} Removes the registration once the run is over
+ */
+export function register(tripId, agentType, controller) {
+  if (!tripId) return () => {};
+
+  const key = runKey(tripId, agentType);
+  controllers.set(key, controller);
+
+  return () => {
+    if (controllers.get(key) === controller) {
+      controllers.delete(key);
+    }
+  };
+}
+
+/**
+ * Abort one agent's run
+ * @returns {boolean} Whether a run was in progress here
+ */
+export function cancelAgent(tripId, agentType, reason) {
+  const controller = controllers.get(runKey(tripId, agentType));
+  if (!controller) return false;
+
+  controller.abort(cancellationError(reason));
+  log.info(`🛑 Aborted ${agentType} agent for trip ${tripId}: ${reason}`);
+  return true;
+}
+
+/**
+ * Abort every agent run of a trip
+ * @returns {string[]} Agent types that were in progress here
+ */
+export function cancelTripAgents(tripId, reason) {
+  const prefix = `${tripId}:`;
+  return [...controllers.keys()]
+    .filter(key => key.startsWith(prefix))
+    .map(key => key.slice(prefix.length))
+    .filter(agentType => cancelAgent(tripId, agentType, reason));
+}
@@ -0,0 +1,209 @@
+/**
+ * Agent Result Cache
+ *
+ * Search results shared across trips, stored in MongoDB. Trips to the same
+ * place on the same dates with the same filters would otherwise repeat the
+ * same Amadeus, RapidAPI, Google Places and AI calls.
+ *
+ * An agent definition opts in with a `cache` policy: `ttlMs`, how long its
+ * results stay fresh, and `key(criteria)`, the criteria fields its search()
+ * depends on. Those fields are normalized (case, whitespace, key and list
+ * order, dates) and hashed into the cache key, so criteria that differ only
+ * in form share an entry. AGENT_CACHE_ENABLED turns caching off and
+ * <TYPE>_AGENT_CACHE_TTL_MS overrides a definition's freshness. A search that
+ * asks the model lists its prompt templates in `prompts`: their active
+ * versions are hashed into the key too, so a new or rolled back prompt is not
+ * answered with results of another version, and a hit reports them.
+ *
+ * The cache sits in front of search() only: ranking and the recommendations
+ * built from the results still run for every trip. Fallback (mock) and empty
+ * results are never stored, and a cache that cannot be read or written
+ * behaves like a miss, so it never fails a run.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { AgentResultCache } from '../models/index.js';
+import { getAgentDefinition } from '../agents/definitions/index.js';
+import { activeVersion } from '../prompts/index.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'AgentResultCache' });
+
+const DUPLICATE_KEY = 11000;
+const CONNECTED = 1;
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0)
+  || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+/**
+ * Canonical form of search criteria: strings trimmed and lowercased, dates as
+ * ISO strings (date only at midnight UTC), object keys sorted, lists of plain
+ * values sorted and deduplicated, empty values dropped.
+ * @param {*} value
+ * @returns {*} The normalized value, or undefined when it is empty
+ */
+export function normalizeCriteria(value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+
+  if (typeof value === 'string') {
+    const normalized = value.trim().replace(/\s+/g, ' ').toLowerCase();
+    return normalized || undefined;
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map(normalizeCriteria).filter(item => !isEmpty(item));
+    const plain = items.every(item => typeof item !== 'object');
+    const list = plain ? [...new Set(items)].sort() : items;
+    return list.length > 0 ? list : undefined;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => [key, normalizeCriteria(value[key])])
+      .filter(([, item]) => !isEmpty(item));
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+
+  return typeof value === 'number' && !Number.isFinite(value) ? undefined : value;
+}
+
+/**
+ * @param {string} agentType
+ * @param {Object} criteria - The criteria passed to the agent's search()
+ * @returns {{ key: string, criteria: Object, prompts: Object[] }|null} null when the type is not cached
+ */
+export function buildCacheKey(agentType, criteria) {
+  const policy = getAgentDefinition(agentType)?.cache;
+  if (!policy) return null;
+
+  const normalized = normalizeCriteria(policy.key(criteria || {})) || {};
+  const prompts = policy.prompts.map(name => ({ name, version: activeVersion(name) }));
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify(prompts.length > 0 ? { ...normalized, prompts } : normalized))
+    .digest('hex');
+  return { key: `${agentType}:${hash}`, criteria: normalized, prompts };
+}
+
+/**
+ * How long an agent type's results stay fresh
+ * @returns {number} Milliseconds; 0 when the type is not cached
+ */
+export function getFreshness(agentType) {
+  if (!env.agentCacheEnabled) return 0;
+
+  const policy = getAgentDefinition(agentType)?.cache;
+  if (!policy) return 0;
+  return env.agentCacheTtls[agentType] ?? policy.ttlMs;
+}
+
+/**
+ * Fresh entry for a key, counted as a hit
+ * @returns {Promise<Object|null>}
+ */
+export async function read(key) {
+  const now = new Date();
+  return AgentResultCache.findOneAndUpdate(
+    { key, expiresAt: { $gt: now } },
+    { $inc: { hits: 1 }, $set: { lastHitAt: now } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Store results for a key, replacing an older entry
+ * @returns {Promise<{ cachedAt: Date, expiresAt: Date }>}
+ */
+export async function write(agentType, { key, criteria }, results, ttlMs) {
+  const cachedAt = new Date();
+  const expiresAt = new Date(cachedAt.getTime() + ttlMs);
+
+  try {
+    await AgentResultCache.updateOne({ key }, {
+      $set: { agentType, criteria, results, resultCount: results.length, cachedAt, expiresAt, hits: 0 },
+      $unset: { lastHitAt: '' }
+    }, { upsert: true });
+  } catch (error) {
+    // Another run stored the same search at the same moment
+    if (error.code !== DUPLICATE_KEY) throw error;
+  }
+
+  return { cachedAt, expiresAt };
+}
+
+/**
+ * Cache for one agent run. `fetch` answers the run's search from the cache
+ * or runs it and stores the results; `usage` then describes what happened:
+ * `{ status: 'hit'|'miss'|'error', key, cachedAt, expiresAt, resultCount, stored }`,
+ * plus the `prompts` ({ name, version }) behind the results of a hit.
+ */
+export class SearchCache {
+  constructor(agentType, ttlMs) {
+    this.agentType = agentType;
+    this.ttlMs = ttlMs;
+    this.usage = null;
+  }
+
+  /**
+   * @param {Object} criteria - The criteria passed to search()
+   * @param {Function} search - Resolves to `{ results, cacheable }`
+   * @returns {Promise<Object[]>} Search results
+   */
+  async fetch(criteria, search) {
+    // Without a database connection (agent contract tests) the cache is skipped
+    const entry = mongoose.connection.readyState === CONNECTED ? buildCacheKey(this.agentType, criteria) : null;
+    if (!entry) {
+      const { results } = await search();
+      return results;
+    }
+
+    try {
+      const cached = await read(entry.key);
+      if (cached) {
+        this.usage = {
+          status: 'hit',
+          key: entry.key,
+          cachedAt: cached.cachedAt,
+          expiresAt: cached.expiresAt,
+          resultCount: cached.resultCount,
+          ...(entry.prompts.length > 0 && { prompts: entry.prompts })
+        };
+        log.info(`💾 ${this.agentType} search served from cache (${cached.resultCount} results)`);
+        return cached.results;
+      }
+    } catch (error) {
+      log.warn(`Failed to read ${this.agentType} cache: ${error.message}`);
+      this.usage = { status: 'error', key: entry.key, error: error.message };
+    }
+
+    this.usage = { status: this.usage?.status || 'miss', key: entry.key, stored: false };
+    const { results, cacheable } = await search();
+    this.usage.resultCount = results?.length || 0;
+
+    if (cacheable && Array.isArray(results) && results.length > 0) {
+      try {
+        const stored = await write(this.agentType, entry, results, this.ttlMs);
+        Object.assign(this.usage, stored, { stored: true });
+      } catch (error) {
+        log.warn(`Failed to cache ${this.agentType} results: ${error.message}`);
+      }
+    }
+
+    return results;
+  }
+}
+
+/**
+ * @param {string} agentType
+ * @returns {SearchCache|null} null when caching is off for the type
+ */
+export function createSearchCache(agentType) {
+  const ttlMs = getFreshness(agentType);
+  return ttlMs > 0 ? new SearchCache(agentType, ttlMs) : null;
+}
@@ -0,0 +1,470 @@
+/**
+ * Agent Runner
+ *
+ * The single pipeline every agent run goes through, whether started by the
+ * orchestrator or by a single-agent rerun job. A run marks the agent
+ * `running`, calls `agent.execute({ criteria, signal, emit })`, normalizes the
+ * output, saves it as a new recommendation run and finishes as `completed` or
+ * `failed` with the errors it collected. Status writes never overwrite a
+ * cancelled trip or agent and are streamed to SSE subscribers.
+ *
+ * Slow agents can `await emit(recommendations)` with batches as they find
+ * them. Each batch is saved right away under the run's id and listed in the
+ * agent's `partialRecommendations`, which the recommendation endpoints serve
+ * while the agent is running. The agent's final output still decides the run:
+ * emitted options it repeats keep their document (updated with the final
+ * data), the others are deleted.
+ *
+ * The signal aborts when the agent's timeout (env.agentTimeouts) expires,
+ * which fails the run, or when a cancel endpoint aborts it through
+ * agentCancellation, which ends it as cancelled. Either way the run returns
+ * without waiting for an agent that ignores the signal. With an execution
+ * lease, losing the lease aborts the run too, and it then writes nothing: the
+ * run that took the lease over owns the trip's results.
+ *
+ * The agent's search goes through the cross-trip result cache
+ * (agentResultCache) when its type has a cache policy; whether it was a hit
+ * or a miss is recorded in `agentExecution.metadata.searchCache.<type>`, and
+ * the AI providers that answered the agent (which one of an AI_PROVIDER chain
+ * it fell over to) in `agentExecution.metadata.aiProviders.<type>`. The
+ * tokens and estimated cost of the agent's AI calls are added to the trip and
+ * to the daily usage of `requestedBy` (aiUsageService), whatever the run's outcome.
+ * The prompt templates the agent rendered are recorded on each recommendation
+ * as `agentMetadata.prompts` (`[{ name, version }]`).
+ *
+ * Without a tripId nothing is read or written: the run only executes and
+ * normalizes, which is what the agent contract tests rely on.
+ */
+
+import { Trip, Recommendation } from '../models/index.js';
+import * as executionEvents from './executionEvents.js';
+import * as recommendationRunService from './recommendationRunService.js';
+import * as recommendationNormalizer from './recommendationNormalizer.js';
+import * as agentCancellation from './agentCancellation.js';
+import * as agentResultCache from './agentResultCache.js';
+import * as aiUsageService from './aiUsageService.js';
+import { EXECUTION_LOCK_LOST } from './executionLock.js';
+import { raceSignal } from '../utils/abort.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const NOT_CANCELLED = { status: { $ne: 'cancelled' } };
+
+const errorEntry = (message, stack) => ({ message, timestamp: new Date(), ...(stack && { stack }) });
+
+// Record the prompt templates ({ name, version }) a run rendered on its recommendations
+const withPrompts = (records, prompts) => (prompts?.length
+  ? records.map(record => ({ ...record, agentMetadata: { ...record.agentMetadata, prompts } }))
+  : records);
+
+export class AgentRunner {
+  /**
+   * @param {Object} [options]
+   * @param {ObjectId} [options.tripId] - Trip the results belong to
+   * @param {Object} [options.trip] - Trip document used to fill in locations and dates
+   * @param {string} [options.source='orchestrator'] - Recorded on each run ('orchestrator' or 'agent')
+   * @param {Object} [options.timeouts=env.agentTimeouts] - Milliseconds per agent type, plus `default`
+   * @param {ExecutionLease} [options.lease] - Execution lock held for the trip
+   * @param {Object} [options.requestedBy] - `{ userId, authMethod }` AI usage is counted against
+   */
+  constructor({ tripId = null, trip = null, source = 'orchestrator', timeouts = env.agentTimeouts, lease = null, requestedBy = null } = {}) {
+    this.tripId = tripId;
+    this.trip = trip;
+    this.source = source;
+    this.timeouts = timeouts;
+    this.lease = lease;
+    this.requestedBy = requestedBy;
+    this.log = logger.child({ scope: 'AgentRunner' });
+  }
+
+  /**
+   * Run one agent end to end.
+   *
+   * @param {string} agentType
+   * @param {TripPlanningAgent} agent
+   * @param {Object} criteria - Search criteria, already tailored to the agent
+   * @returns {Promise<Object>} The agent's execute() result plus `name`,
+   *   `success`, `records` (normalized), `storedIds`, `confidence`, `duration`
+   *   and `errors`; `cancelled: true` when the trip or agent was cancelled,
+   *   `lockLost: true` when the execution lease was lost
+   */
+  async run(agentType, agent, criteria) {
+    const startTime = Date.now();
+
+    if (this.lease?.signal.aborted) {
+      return { name: agentType, success: false, lockLost: true, error: this.lease.signal.reason.message };
+    }
+
+    const started = await this.updateStatus(agentType, 'running', { startedAt: new Date(), cancelReason: null, partialRecommendations: [] });
+    if (!started) {
+      this.log.info(`🛑 ${agentType} agent of trip ${this.tripId} is cancelled, skipping it`);
+      return { name: agentType, success: false, cancelled: true, error: 'Agent was cancelled' };
+    }
+
+    const runId = recommendationRunService.createRunId();
+    const emitted = [];
+    // Batches are saved one after another so duplicates across batches are caught
+    let batches = Promise.resolve(0);
+
+    const timeoutMs = this.timeouts[agentType] ?? this.timeouts.default;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(agentCancellation.timeoutError(agentType, timeoutMs)), timeoutMs);
+    const unregister = agentCancellation.register(this.tripId, agentType, controller);
+    const signal = this.lease ? AbortSignal.any([controller.signal, this.lease.signal]) : controller.signal;
+    const searchCache = agentResultCache.createSearchCache(agentType);
+    const emit = (recommendations) => {
+      const prompts = agent.promptsUsed?.slice();
+      batches = batches.then(() => this.saveBatch(agentType, recommendations, { runId, emitted, signal, prompts }));
+      return batches;
+    };
+
+    try {
+      const result = await raceSignal(agent.execute({ criteria, signal, emit, searchCache }), signal);
+      const duration = Date.now() - startTime;
+      await batches;
+      await this.recordRunMetadata(agentType, { searchCache: searchCache?.usage, aiProviders: result.metadata?.aiProviders });
+
+      if (!result.success) {
+        await this.discardBatches(agentType, emitted);
+        return await this.fail(agentType, { ...result, duration }, [errorEntry(result.error)]);
+      }
+
+      const recommendations = result.data?.content?.recommendations || [];
+      const { records: normalized, errors: normalizeErrors } = recommendationNormalizer.normalizeRecommendations(
+        agentType,
+        recommendations,
+        this.trip
+      );
+      const records = withPrompts(normalized, result.metadata?.prompts);
+
+      // Results of a run cancelled meanwhile, or whose lease was taken over, are not saved
+      signal.throwIfAborted();
+      await this.lease?.assertHeld();
+      const { ids, errors: saveErrors } = await this.store(agentType, records, { runId, emitted });
+      const errors = [...normalizeErrors, ...saveErrors];
+
+      const keptCount = this.tripId ? ids.length : records.length;
+      const status = keptCount > 0 || recommendations.length === 0 ? 'completed' : 'failed';
+      const confidence = recommendationNormalizer.calculateAgentConfidence(recommendations);
+
+      await this.updateStatus(agentType, status, {
+        completedAt: new Date(),
+        duration,
+        confidence,
+        recommendationCount: keptCount,
+        partialRecommendations: [],
+        errors
+      });
+
+      this.log.info(`${agentType} saved:`, { found: recommendations.length, saved: keptCount, errors: errors.length });
+      if (status === 'completed') {
+        this.log.info(`  ✅ ${agentType} completed: ${keptCount} recommendations (${duration}ms)`);
+      } else {
+        this.log.warn(`  ⚠️ ${agentType} produced ${recommendations.length} recommendations but none passed validation (${duration}ms)`);
+      }
+
+      return {
+        name: agentType,
+        ...result,
+        success: status === 'completed',
+        ...(status === 'failed' && { error: 'No recommendation passed validation' }),
+        records,
+        storedIds: ids,
+        confidence,
+        duration,
+        errors
+      };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      await batches;
+      await this.discardBatches(agentType, emitted);
+
+      // The cancel endpoint has already recorded the status and reason
+      if (error.code === agentCancellation.AGENT_CANCELLED) {
+        this.log.info(`  🛑 ${agentType} cancelled: ${error.message} (${duration}ms)`);
+        return { name: agentType, success: false, cancelled: true, error: error.message, duration, records: [], storedIds: [], errors: [] };
+      }
+
+      if (error.code === EXECUTION_LOCK_LOST) {
+        this.log.warn(`  🔓 ${agentType} stopped: ${error.message} (${duration}ms)`);
+        return { name: agentType, success: false, lockLost: true, error: error.message, duration, records: [], storedIds: [], errors: [] };
+      }
+
+      return this.fail(agentType, {
+        success: false,
+        error: error.message,
+        duration,
+        executedAt: new Date().toISOString()
+      }, [errorEntry(error.message, error.stack)]);
+    } finally {
+      clearTimeout(timer);
+      unregister();
+      // Tokens spent before a failure, timeout or cancellation are still spent
+      await aiUsageService.recordUsage({ tripId: this.tripId, agentType, usage: agent.aiUsage, requestedBy: this.requestedBy });
+    }
+  }
+
+  async fail(agentType, result, errors) {
+    await this.updateStatus(agentType, 'failed', {
+      completedAt: new Date(),
+      duration: result.duration,
+      recommendationCount: 0,
+      partialRecommendations: [],
+      errors
+    });
+
+    this.log.info(`  ❌ ${agentType} failed: ${result.error} (${result.duration}ms)`);
+
+    return { name: agentType, ...result, records: [], storedIds: [], errors };
+  }
+
+  /**
+   * Save a batch the agent emitted while running and attach it to the trip as
+   * partial results. Options already emitted in this run are skipped. Never
+   * rejects: a batch that cannot be saved is left to the final store.
+   * @returns {Promise<number>} Recommendations saved from this batch
+   */
+  async saveBatch(agentType, recommendations, { runId, emitted, signal, prompts }) {
+    if (!this.tripId || signal.aborted || !Array.isArray(recommendations)) return 0;
+
+    try {
+      const { records: normalized } = recommendationNormalizer.normalizeRecommendations(agentType, recommendations, this.trip);
+      const records = withPrompts(normalized, prompts);
+      const seen = new Set(emitted.map(entry => entry.key));
+      const fresh = records.filter((record) => {
+        const key = recommendationRunService.optionKey(record);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      if (fresh.length === 0) return 0;
+
+      await this.lease?.assertHeld();
+      const { docs } = await this.insertRecords(agentType, fresh, runId);
+      emitted.push(...docs.map(doc => ({ key: recommendationRunService.optionKey(doc), id: doc._id })));
+
+      const ids = docs.map(doc => doc._id);
+      const attached = await Trip.findOneAndUpdate({
+        _id: this.tripId,
+        ...NOT_CANCELLED,
+        [`agentExecution.agents.${agentType}.status`]: 'running'
+      }, {
+        $push: { [`agentExecution.agents.${agentType}.partialRecommendations`]: { $each: ids } }
+      });
+
+      if (attached) {
+        executionEvents.publish(this.tripId, executionEvents.buildAgentProgressEvent(agentType, {
+          timestamp: new Date(),
+          batchSize: ids.length,
+          recommendationCount: emitted.length
+        }));
+      }
+
+      this.log.info(`  📦 ${agentType} batch saved: ${ids.length} recommendations (${emitted.length} so far)`);
+      return ids.length;
+    } catch (error) {
+      this.log.warn(`Failed to save ${agentType} batch: ${error.message}`);
+      return 0;
+    }
+  }
+
+  // Whether the run's search was answered from the result cache and which AI providers answered
+  async recordRunMetadata(agentType, { searchCache, aiProviders }) {
+    if (!this.tripId || this.lease?.signal.aborted) return;
+
+    const recordedAt = new Date();
+    const update = {
+      ...(searchCache && { [`agentExecution.metadata.searchCache.${agentType}`]: { ...searchCache, recordedAt } }),
+      ...(aiProviders && { [`agentExecution.metadata.aiProviders.${agentType}`]: { answeredBy: aiProviders, recordedAt } })
+    };
+    if (Object.keys(update).length === 0) return;
+
+    try {
+      await Trip.updateOne({ _id: this.tripId }, { $set: update });
+    } catch (error) {
+      this.log.warn(`Failed to record ${agentType} run metadata: ${error.message}`);
+    }
+  }
+
+  // Remove what a run that ends without results had emitted
+  async discardBatches(agentType, emitted) {
+    if (emitted.length === 0) return;
+
+    try {
+      await Recommendation.deleteMany({ _id: { $in: emitted.map(entry => entry.id) } });
+    } catch (error) {
+      this.log.error(`Failed to discard ${agentType} batches: ${error.message}`);
+    }
+  }
+
+  /**
+   * Insert records stamped with the trip and run id
+   * @returns {Promise<{ docs: Object[], errors: Object[] }>} The documents that were saved
+   */
+  async insertRecords(agentType, records, runId) {
+    const errors = [];
+    let insertedDocs = [];
+
+    if (records.length > 0) {
+      try {
+        insertedDocs = await Recommendation.insertMany(
+          records.map((record) => ({ ...record, trip: this.tripId, runId })),
+          { ordered: false, rawResult: false }
+        );
+      } catch (error) {
+        if (Array.isArray(error.insertedDocs)) {
+          insertedDocs = error.insertedDocs;
+        }
+
+        if (Array.isArray(error.writeErrors)) {
+          for (const writeError of error.writeErrors) {
+            const message = writeError.errmsg || writeError.message;
+            errors.push(errorEntry(message, writeError.err?.stack));
+            this.log.error(`❌ Failed to insert ${agentType} recommendation "${records[writeError.index]?.name || 'Unknown'}": ${message}`);
+          }
+        } else if (error.errors) {
+          for (const err of Object.values(error.errors)) {
+            errors.push(errorEntry(err.message, err.stack));
+            this.log.error(`❌ Validation error for ${agentType} recommendation: ${err.message}`);
+          }
+        } else {
+          errors.push(errorEntry(error.message, error.stack));
+        }
+      }
+    }
+
+    return { docs: insertedDocs.filter(Boolean), errors };
+  }
+
+  /**
+   * Save normalized records as a new recommendation run of the trip
+   * @param {string} agentType
+   * @param {Object[]} records - Final normalized records, in rank order
+   * @param {Object} [options] - { runId, emitted }: the run's id and the batches it already saved
+   * @returns {Promise<{ ids: ObjectId[], errors: Object[] }>}
+   */
+  async store(agentType, records, { runId = recommendationRunService.createRunId(), emitted = [] } = {}) {
+    if (!this.tripId) {
+      return { ids: [], errors: [] };
+    }
+
+    const keys = records.map(record => recommendationRunService.optionKey(record));
+
+    // Emitted options the final output repeats keep their document
+    const unclaimed = new Map();
+    for (const entry of emitted) {
+      if (!unclaimed.has(entry.key)) unclaimed.set(entry.key, entry.id);
+    }
+    const reusedIds = keys.map((key) => {
+      const id = unclaimed.get(key);
+      unclaimed.delete(key);
+      return id;
+    });
+
+    const errors = [];
+    const reused = records.map((record, index) => ({ id: reusedIds[index], record })).filter(entry => entry.id);
+    if (reused.length > 0) {
+      try {
+        await Recommendation.bulkWrite(reused.map(({ id, record }) => ({
+          updateOne: { filter: { _id: id }, update: { $set: record } }
+        })));
+      } catch (error) {
+        errors.push(errorEntry(error.message, error.stack));
+        this.log.error(`❌ Failed to update emitted ${agentType} recommendations: ${error.message}`);
+      }
+    }
+
+    const { docs, errors: insertErrors } = await this.insertRecords(
+      agentType,
+      records.filter((_, index) => !reusedIds[index]),
+      runId
+    );
+    errors.push(...insertErrors);
+
+    // Keep the final rank order across reused and newly inserted documents
+    const insertedByKey = new Map();
+    for (const doc of docs) {
+      const key = recommendationRunService.optionKey(doc);
+      insertedByKey.set(key, [...(insertedByKey.get(key) || []), doc._id]);
+    }
+    const ids = keys
+      .map((key, index) => reusedIds[index] || insertedByKey.get(key)?.shift())
+      .filter(Boolean);
+
+    // Emitted options the final output dropped are not part of the run
+    if (unclaimed.size > 0) {
+      await Recommendation.deleteMany({ _id: { $in: [...unclaimed.values()] } });
+    }
+
+    if (records.length > 0 && ids.length === 0) {
+      const errorSummary = errors.map((e) => e.message).join(' | ') || 'No insertion error details captured';
+      this.log.warn(`⚠️ ${agentType} recommendations normalized (${records.length}) but none saved. Reasons: ${errorSummary}`);
+    }
+
+    // Earlier runs stay available as history; this run becomes the current one
+    try {
+      await recommendationRunService.recordRun(this.tripId, agentType, ids, { runId, source: this.source });
+    } catch (error) {
+      this.log.error(`Failed to record ${agentType} recommendation run: ${error.message}`);
+      errors.push(errorEntry(error.message, error.stack));
+    }
+
+    if (this.trip) {
+      this.trip.recommendations = this.trip.recommendations || {};
+      this.trip.recommendations[agentType] = ids;
+    }
+
+    return { ids, errors };
+  }
+
+  /**
+   * Write agentExecution.agents.<agentType> fields and publish the change.
+   * @returns {Promise<boolean>} false when the trip or agent is cancelled, the
+   *   trip is gone, or the execution lease was lost
+   */
+  async updateStatus(agentType, status, metadata = {}) {
+    if (!this.tripId) return true;
+    if (this.lease?.signal.aborted) return false;
+
+    let updated = true;
+    try {
+      const updateData = {
+        [`agentExecution.agents.${agentType}.status`]: status,
+        ...Object.entries(metadata).reduce((acc, [key, value]) => {
+          acc[`agentExecution.agents.${agentType}.${key}`] = value;
+          return acc;
+        }, {})
+      };
+
+      updated = Boolean(await Trip.findOneAndUpdate({
+        _id: this.tripId,
+        ...NOT_CANCELLED,
+        [`agentExecution.agents.${agentType}.status`]: { $ne: 'cancelled' }
+      }, updateData));
+    } catch (error) {
+      this.log.error(`Failed to update ${agentType} agent status: ${error.message}`);
+    }
+
+    if (updated) {
+      this.publishStatus(agentType, status, metadata);
+    }
+    return updated;
+  }
+
+  // Stream progress to SSE subscribers (GET /api/trip/:tripId/events)
+  publishStatus(agentType, status, metadata = {}) {
+    if (status === 'running') {
+      executionEvents.publish(this.tripId, executionEvents.buildAgentStartedEvent(agentType, metadata.startedAt || new Date()));
+    } else if (status === 'completed' || status === 'failed') {
+      executionEvents.publish(this.tripId, executionEvents.buildAgentFinishedEvent(agentType, {
+        status,
+        completedAt: metadata.completedAt || new Date(),
+        duration: metadata.duration,
+        recommendationCount: metadata.recommendationCount,
+        confidence: metadata.confidence
+      }));
+    }
+  }
+}
+
+export default AgentRunner;
@@ -0,0 +1,95 @@
+/**
+ * Agent Scheduler
+ *
+ * Runs a set of agents as a dependency graph instead of fixed phases. Each
+ * agent declares the execution-context keys it reads and writes
+ * (AGENT_CONTEXT); it starts as soon as every agent in the run that writes one
+ * of its reads has finished, with at most `concurrency` agents running at
+ * once. Keys no agent in the run writes count as available already (the
+ * orchestrator seeds them from stored results), so a run takes about as long
+ * as its longest dependency chain.
+ */
+
+import { AGENT_CONTEXT } from '../constants/agentDependencies.js';
+
+/**
+ * Agents each agent waits for within this run
+ * @param {string[]} agentNames
+ * @param {Object} [context=AGENT_CONTEXT]
+ * @returns {Object<string, string[]>}
+ */
+export function buildAgentGraph(agentNames, context = AGENT_CONTEXT) {
+  return Object.fromEntries(agentNames.map((agent) => {
+    const reads = context[agent]?.reads || [];
+    const prerequisites = agentNames.filter(other =>
+      other !== agent && (context[other]?.writes || []).some(key => reads.includes(key))
+    );
+    return [agent, prerequisites];
+  }));
+}
+
+/**
+ * Run `agentNames` in dependency order.
+ *
+ * An agent's prerequisites only need to have finished, not succeeded: a
+ * dependent still runs without the context a failed agent would have
+ * provided. `runAgent` rejecting, or `beforeStart` throwing (e.g. the trip was
+ * cancelled), stops new agents from starting; agents already running are
+ * awaited and the error is rethrown.
+ *
+ * @param {string[]} agentNames
+ * @param {Function} runAgent - async (agentName) => result
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=Infinity] - Agents running at once
+ * @param {Function} [options.beforeStart] - async (agentName), called before each start
+ * @param {Object} [options.context=AGENT_CONTEXT]
+ * @returns {Promise<Object[]>} Results in completion order
+ */
+export async function runAgentGraph(agentNames, runAgent, { concurrency = Infinity, beforeStart, context = AGENT_CONTEXT } = {}) {
+  const graph = buildAgentGraph(agentNames, context);
+  const limit = Math.max(1, concurrency);
+  const pending = new Set(agentNames);
+  const finished = new Set();
+  const running = new Map();
+  const results = [];
+  let stopError = null;
+
+  const isReady = (agent) => graph[agent].every(prerequisite => finished.has(prerequisite));
+
+  while (pending.size > 0 || running.size > 0) {
+    for (const agent of agentNames) {
+      if (stopError || running.size >= limit) break;
+      if (!pending.has(agent) || !isReady(agent)) continue;
+
+      try {
+        if (beforeStart) await beforeStart(agent);
+      } catch (error) {
+        stopError = error;
+        break;
+      }
+
+      pending.delete(agent);
+      running.set(agent, Promise.resolve()
+        .then(() => runAgent(agent))
+        .then(result => ({ agent, result }), error => ({ agent, error })));
+    }
+
+    if (running.size === 0) {
+      if (stopError) break;
+      throw new Error(`Agent dependency cycle between: ${[...pending].join(', ')}`);
+    }
+
+    const { agent, result, error } = await Promise.race(running.values());
+    running.delete(agent);
+    finished.add(agent);
+
+    if (error) {
+      stopError = stopError || error;
+    } else {
+      results.push(result);
+    }
+  }
+
+  if (stopError) throw stopError;
+  return results;
+}
@@ -0,0 +1,88 @@
+/**
+ * AI Cassettes
+ *
+ * Recorded AI provider responses on disk, used by the replay provider (see
+ * aiProvider) to run agents offline with real model output. Each cassette is
+ * one JSON file, `<dir>/<key>.json`, holding the prompt it answers, the
+ * provider and model that answered and the response.
+ *
+ * The key hashes the kind of call (completion or structured), the prompt and
+ * the JSON Schema. Identifiers that change between runs of the same trip
+ * (MongoDB ObjectIds, `trip_...` ids) are masked in the prompt first, so a
+ * recorded trip replays when it is created again. A prompt recorded twice
+ * keeps the latest response.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const CASSETTE_VERSION = 1;
+
+const VOLATILE_IDS = [
+  [/\btrip_\d+_[a-z0-9]+\b/g, 'trip_<id>'],
+  [/\b[a-f0-9]{24}\b/g, '<objectId>']
+];
+
+/**
+ * Prompt with the identifiers that differ between runs masked
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function normalizePrompt(prompt) {
+  return VOLATILE_IDS.reduce((text, [pattern, mask]) => text.replace(pattern, mask), String(prompt).trim());
+}
+
+/**
+ * @param {'completion'|'structured'} kind
+ * @param {string} prompt
+ * @param {Object} [schema] - JSON Schema of a structured call
+ * @returns {string} sha256 hex digest
+ */
+export function buildCassetteKey(kind, prompt, schema = null) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ kind, prompt: normalizePrompt(prompt), schema }))
+    .digest('hex');
+}
+
+export const cassettePath = (dir, key) => path.join(dir, `${key}.json`);
+
+/**
+ * @returns {Promise<Object|null>} The cassette, or null when none was recorded
+ */
+export async function readCassette(dir, key) {
+  try {
+    return JSON.parse(await fs.readFile(cassettePath(dir, key), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Unreadable AI cassette ${cassettePath(dir, key)}: ${error.message}`);
+  }
+}
+
+/**
+ * Store a cassette, replacing an older recording of the same prompt
+ * @param {string} dir
+ * @param {string} key
+ * @param {Object} cassette - `{ kind, prompt, schema, provider, response }`
+ * @returns {Promise<string>} Path of the cassette file
+ */
+export async function writeCassette(dir, key, { kind, prompt, schema = null, provider, response }) {
+  const file = cassettePath(dir, key);
+
+  await fs.mkdir(dir, { recursive: true });
+  // Written aside and renamed so a replay never reads a half-written file
+  const partial = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(partial, `${JSON.stringify({
+    version: CASSETTE_VERSION,
+    key,
+    kind,
+    provider,
+    recordedAt: new Date().toISOString(),
+    prompt: normalizePrompt(prompt),
+    schema,
+    response
+  }, null, 2)}\n`);
+  await fs.rename(partial, file);
+
+  return file;
+}
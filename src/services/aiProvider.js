@@ -1,38 +1,281 @@
 import OpenAI from 'openai';
 import { Ollama } from 'ollama';
+import { delay } from '../utils/abort.js';
+import path from 'path';
+import { getBreaker, listBreakers } from './circuitBreaker.js';
+import { buildCassetteKey, cassettePath, readCassette, writeCassette } from './aiCassettes.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'AIProvider' });
+
+export const STRUCTURED_OUTPUT_INVALID = 'STRUCTURED_OUTPUT_INVALID';
+export const AI_PROVIDERS_UNAVAILABLE = 'AI_PROVIDERS_UNAVAILABLE';
+export const AI_REPLAY_MISS = 'AI_REPLAY_MISS';
+
+const REPLAY_MODES = ['record', 'replay'];
+const REPLAY_MISS_ACTIONS = ['error', 'passthrough'];
+
+// Longest previous output quoted back in a repair prompt
+const MAX_REPAIR_ECHO_LENGTH = 4000;
+
+/**
+ * A structured completion that still did not match its JSON Schema after the
+ * repair attempts. `errors` holds one `{ path, message }` per wrong field
+ * (e.g. `recommendations[2].price must be number or null, got string`) and
+ * `fields` the distinct paths.
+ */
+export class StructuredOutputError extends Error {
+  constructor(errors, { attempts, content } = {}) {
+    const problems = errors.map(error => `${error.path || 'response'} ${error.message}`);
+    super(`Structured completion did not match its schema after ${attempts} attempt(s): ${problems.join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.code = STRUCTURED_OUTPUT_INVALID;
+    this.errors = errors;
+    this.fields = [...new Set(errors.map(error => error.path))];
+    this.attempts = attempts;
+    this.content = content;
+  }
+}
+
+/**
+ * A replayed prompt that has no cassette. `key` names the cassette file that
+ * recording the prompt would create.
+ */
+export class ReplayMissError extends Error {
+  constructor(key, prompt, dir) {
+    const excerpt = prompt.trim().replace(/\s+/g, ' ').slice(0, 200);
+    super(`No recorded AI response for prompt ${key} in ${dir}; record it with AI_REPLAY_MODE=record. Prompt: "${excerpt}"`);
+    this.name = 'ReplayMissError';
+    this.code = AI_REPLAY_MISS;
+    this.key = key;
+    this.cassette = cassettePath(dir, key);
+  }
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Validate a value against a JSON Schema. Covers the keywords the agents'
+ * schemas use: type (one or a list), enum, properties, required,
+ * additionalProperties: false, items, minItems, maxItems, minimum, maximum
+ * and minLength.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Path of `value` in the response, for messages
+ * @returns {Object[]} One `{ path, message }` per violation; empty when valid
+ */
+export function validateSchema(value, schema = {}, path = '') {
+  const errors = [];
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    fail(schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  } else if (value && typeof value === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: childPath(path, key), message: 'is required' });
+    }
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, childPath(path, key)));
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value).filter(key => !(key in properties))) {
+        errors.push({ path: childPath(path, key), message: 'is not allowed' });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse model output as JSON, tolerating a surrounding Markdown code fence
+ * @returns {{ content: *, errors?: Object[] }}
+ */
+function parseStructuredContent(content) {
+  if (typeof content !== 'string') return { content };
+
+  const text = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return { content: JSON.parse(text) };
+  } catch (error) {
+    return { content, errors: [{ path: '', message: `is not valid JSON (${error.message})` }] };
+  }
+}
+
+const buildStructuredPrompt = (prompt, schema) => `${prompt}
+
+Respond with a JSON object that matches this JSON Schema:
+${JSON.stringify(schema, null, 2)}
+
+Only return valid JSON, no additional text.`;
+
+const buildRepairPrompt = (prompt, schema, content, errors) => {
+  const previous = typeof content === 'string' ? content : JSON.stringify(content);
+
+  return `${buildStructuredPrompt(prompt, schema)}
+
+Your previous response did not match the schema:
+${previous.slice(0, MAX_REPAIR_ECHO_LENGTH)}
+
+Fix these problems and return the corrected JSON only:
+${errors.map(error => `- ${error.path || 'response'} ${error.message}`).join('\n')}`;
+};
+
+// Token counts add up across repair attempts
+const addUsage = (total, usage) => {
+  if (!total || !usage) return usage || total;
+  return Object.fromEntries(Object.entries(usage).map(([key, value]) => [
+    key,
+    typeof value === 'number' && typeof total[key] === 'number' ? total[key] + value : value
+  ]));
+};
+
+// 'openai, Ollama' -> ['openai', 'ollama']
+const parseProviderList = (type) => type.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
 
 export class AIProviderFactory {
+  /**
+   * @param {string} [type='openai'] - A provider name, or a comma-separated
+   *   list of them tried in order (see ChainProvider)
+   * @param {Object} [config]
+   */
   static createProvider(type = 'openai', config = {}) {
-    switch (type.toLowerCase()) {
+    const names = parseProviderList(type);
+    if (names.length > 1) {
+      return new ChainProvider(names.map(name => AIProviderFactory.createProvider(name, config)), config);
+    }
+
+    switch (names[0]) {
       case 'openai':
         return new OpenAIProvider(config);
       case 'ollama':
         return new OllamaProvider(config);
       case 'mock':
         return new MockAIProvider(config);
+      case 'replay':
+        return new ReplayProvider(config);
       default:
         throw new Error(`Unsupported AI provider: ${type}`);
     }
   }
 }
 
+/**
+ * Which providers AI_PROVIDER configures and the state of their circuit
+ * breakers, plus breakers of providers other agents were configured with
+ * @param {string} [type] - Provider list; defaults to AI_PROVIDER
+ * @returns {{ chain: string[], chained: boolean, providers: Object[] }}
+ */
+export function getProviderHealth(type = process.env.AI_PROVIDER || 'openai') {
+  const chain = parseProviderList(type);
+  const others = listBreakers().filter(breaker => !chain.includes(breaker.name));
+
+  return {
+    chain,
+    // A single provider is called directly, without a breaker
+    chained: chain.length > 1,
+    providers: [...chain.map(getBreaker), ...others].map(breaker => breaker.toJSON())
+  };
+}
+
 class BaseAIProvider {
   constructor(config) {
     this.config = config;
+    this.repairAttempts = config.repairAttempts ?? env.aiRepairAttempts;
   }
 
   async generateCompletion(_prompt, _options = {}) {
     throw new Error('generateCompletion must be implemented by subclass');
   }
 
-  async generateStructuredCompletion(_prompt, _schema, _options = {}) {
-    throw new Error('generateStructuredCompletion must be implemented by subclass');
+  /**
+   * Raw output for a structured prompt: JSON text, or an already parsed value
+   * @returns {Promise<{ content: string|Object, usage?: Object, model: string }>}
+   */
+  async requestStructured(_prompt, _schema, _options = {}) {
+    throw new Error('requestStructured must be implemented by subclass');
+  }
+
+  /**
+   * Completion parsed as JSON and validated against a JSON Schema. Output
+   * that does not parse or validate is sent back to the model with the
+   * validator errors, up to `repairAttempts` times (AI_REPAIR_ATTEMPTS).
+   * @param {string} prompt
+   * @param {Object} schema - JSON Schema of the expected object
+   * @param {Object} [options] - Provider options, `signal` and `repairAttempts`
+   * @returns {Promise<Object>} `{ content, usage, model, attempts }`; usage covers every attempt
+   * @throws {StructuredOutputError} When the last attempt is still invalid
+   */
+  async generateStructuredCompletion(prompt, schema, { repairAttempts = this.repairAttempts, ...options } = {}) {
+    let request = buildStructuredPrompt(prompt, schema);
+    let usage;
+
+    for (let attempt = 1; ; attempt++) {
+      const response = await this.requestStructured(request, schema, options);
+      usage = addUsage(usage, response.usage);
+
+      const parsed = parseStructuredContent(response.content);
+      const errors = parsed.errors || validateSchema(parsed.content, schema);
+      if (errors.length === 0) {
+        return { ...response, content: parsed.content, usage, attempts: attempt };
+      }
+
+      if (attempt > repairAttempts) {
+        throw new StructuredOutputError(errors, { attempts: attempt, content: response.content });
+      }
+
+      log.warn(`Structured completion did not match its schema (attempt ${attempt}), asking for a repair`, {
+        fields: errors.map(error => error.path || 'response').slice(0, 10)
+      });
+      request = buildRepairPrompt(prompt, schema, response.content, errors);
+    }
   }
 }
 
 class OpenAIProvider extends BaseAIProvider {
   constructor(config) {
     super(config);
+    this.name = 'openai';
     this.client = new OpenAI({
       apiKey: config.apiKey || process.env.OPENAI_API_KEY,
     });
@@ -40,7 +283,7 @@ class OpenAIProvider extends BaseAIProvider {
     this.model = config.model || 'gpt-4-turbo-preview';  // or 'gpt-3.5-turbo-16k'
   }
 
-  async generateCompletion(prompt, options = {}) {
+  async generateCompletion(prompt, { signal, ...options } = {}) {
     try {
       const response = await this.client.chat.completions.create({
         model: this.model,
@@ -48,7 +291,7 @@ class OpenAIProvider extends BaseAIProvider {
         temperature: options.temperature || 0.7,
         max_tokens: options.maxTokens || 500,  // **FIX: Reduced from 1000**
         ...options,
-      });
+      }, { signal });
 
       return {
         content: response.choices[0].message.content,
@@ -56,36 +299,30 @@ class OpenAIProvider extends BaseAIProvider {
         model: response.model,
       };
     } catch (error) {
+      // Keep the timeout/cancellation reason instead of wrapping the abort
+      signal?.throwIfAborted();
       throw new Error(`OpenAI API error: ${error.message}`);
     }
   }
 
-  async generateStructuredCompletion(prompt, schema, options = {}) {
-    const structuredPrompt = `${prompt}
-
-Please respond in the following JSON format:
-${JSON.stringify(schema, null, 2)}
-
-Only return valid JSON, no additional text.`;
-
+  async requestStructured(prompt, _schema, { signal, ...options } = {}) {
     try {
       const response = await this.client.chat.completions.create({
         model: this.model,
-        messages: [{ role: 'user', content: structuredPrompt }],
+        messages: [{ role: 'user', content: prompt }],
         temperature: options.temperature || 0.7,
         max_tokens: options.maxTokens || 1000,
         response_format: { type: 'json_object' },
         ...options,
-      });
-
-      const content = JSON.parse(response.choices[0].message.content);
+      }, { signal });
 
       return {
-        content,
+        content: response.choices[0].message.content,
         usage: response.usage,
         model: response.model,
       };
     } catch (error) {
+      signal?.throwIfAborted();
       throw new Error(`OpenAI structured completion error: ${error.message}`);
     }
   }
@@ -94,15 +331,23 @@ Only return valid JSON, no additional text.`;
 class OllamaProvider extends BaseAIProvider {
   constructor(config) {
     super(config);
+    this.name = 'ollama';
     this.client = new Ollama({
       host: config.host || process.env.OLLAMA_HOST || 'http://localhost:11434',
     });
     this.model = config.model || 'llama2';
   }
 
-  async generateCompletion(prompt, options = {}) {
+  async generateCompletion(prompt, { signal, ...options } = {}) {
+    signal?.throwIfAborted();
+
+    // Only streamed Ollama requests can be aborted, so stream and collect
+    let stream;
+    const abort = () => stream?.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
     try {
-      const response = await this.client.generate({
+      stream = await this.client.generate({
         model: this.model,
         prompt,
         options: {
@@ -110,49 +355,53 @@ class OllamaProvider extends BaseAIProvider {
           num_predict: options.maxTokens || 1000,
         },
         ...options,
+        stream: true,
       });
-      
+      if (signal?.aborted) abort();
+
+      let content = '';
+      let done = false;
+      let usage;
+      for await (const part of stream) {
+        content += part.response;
+        done = part.done;
+        // The final part carries the token counts
+        if (part.done) {
+          const prompt = part.prompt_eval_count || 0;
+          const completion = part.eval_count || 0;
+          usage = { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+        }
+      }
+
       return {
-        content: response.response,
+        content,
+        usage,
         model: this.model,
-        done: response.done,
+        done,
       };
     } catch (error) {
+      signal?.throwIfAborted();
       throw new Error(`Ollama API error: ${error.message}`);
+    } finally {
+      signal?.removeEventListener('abort', abort);
     }
   }
 
-  async generateStructuredCompletion(prompt, schema, options = {}) {
-    const structuredPrompt = `${prompt}
-
-Please respond in the following JSON format:
-${JSON.stringify(schema, null, 2)}
-
-Only return valid JSON, no additional text.`;
-    
-    const response = await this.generateCompletion(structuredPrompt, options);
-
-    try {
-      return {
-        ...response,
-        content: JSON.parse(response.content),
-      };
-    } catch (error) {
-      throw new Error(`Failed to parse structured response: ${error.message}`);
-    }
+  async requestStructured(prompt, _schema, options = {}) {
+    return this.generateCompletion(prompt, { format: 'json', ...options });
   }
 }
 
 class MockAIProvider extends BaseAIProvider {
   constructor(config) {
     super(config);
+    this.name = 'mock';
     this.model = config.model || 'mock-gpt-3.5-turbo';
   }
 
   async generateCompletion(prompt, options = {}) {
     // Simulate API delay
-    const delay = parseInt(process.env.MOCK_DELAY_MS) || 500;
-    await new Promise(resolve => setTimeout(resolve, delay));
+    await delay(parseInt(process.env.MOCK_DELAY_MS) || 500, options.signal);
 
     // Generate mock response based on prompt content
     const mockResponse = this.generateMockResponse(prompt);
@@ -164,10 +413,9 @@ class MockAIProvider extends BaseAIProvider {
     };
   }
 
-  async generateStructuredCompletion(prompt, schema, options = {}) {
+  async requestStructured(prompt, schema, options = {}) {
     // Simulate API delay
-    const delay = parseInt(process.env.MOCK_DELAY_MS) || 500;
-    await new Promise(resolve => setTimeout(resolve, delay));
+    await delay(parseInt(process.env.MOCK_DELAY_MS) || 500, options.signal);
 
     // Generate mock structured response based on schema
     const mockContent = this.generateMockStructuredContent(prompt, schema);
@@ -192,15 +440,19 @@ class MockAIProvider extends BaseAIProvider {
   }
 
   generateMockStructuredContent(prompt, schema) {
+    const properties = schema.properties || {};
+
     // Generate mock data based on schema structure
-    if (schema.recommendations) {
-      // This is for individual agents
+    if (properties.recommendations?.type === 'array') {
+      // This is for individual agents; fields the item schema requires are filled in
+      const itemDefaults = mockFromSchema(properties.recommendations.items);
       return {
+        ...mockFromSchema(schema),
         recommendations: [
           { id: 'mock-1', name: 'Mock Recommendation 1', price: 100, rating: 4.5 },
           { id: 'mock-2', name: 'Mock Recommendation 2', price: 150, rating: 4.2 },
           { id: 'mock-3', name: 'Mock Recommendation 3', price: 120, rating: 4.7 }
-        ],
+        ].map(rec => ({ ...itemDefaults, ...rec })),
         confidence: 85,
         reasoning: 'Generated mock recommendations based on criteria',
         metadata: {
@@ -210,7 +462,7 @@ class MockAIProvider extends BaseAIProvider {
       };
     }
 
-    if (schema.tripSummary) {
+    if (properties.tripSummary) {
       // This is for the trip orchestrator
       return {
         tripSummary: {
@@ -263,6 +515,166 @@ class MockAIProvider extends BaseAIProvider {
       };
     }
 
-    return schema;
+    return mockFromSchema(schema);
+  }
+}
+
+/**
+ * Providers tried in order until one answers (AI_PROVIDER=openai,ollama,mock).
+ * Each provider has a circuit breaker (see circuitBreaker): one that keeps
+ * failing is skipped until its cooldown is over, so an outage costs one
+ * timeout per cooldown instead of one per call. Output that still fails its
+ * schema after the provider's repair attempts moves on to the next provider
+ * without counting against the breaker, since the provider did answer.
+ *
+ * Responses carry `provider`, the name of the provider that answered.
+ */
+class ChainProvider extends BaseAIProvider {
+  constructor(providers, config) {
+    super(config);
+    this.providers = providers;
+    this.name = providers.map(provider => provider.name).join(',');
+  }
+
+  async generateCompletion(prompt, options = {}) {
+    return this.firstAnswer(provider => provider.generateCompletion(prompt, options), options.signal);
+  }
+
+  async generateStructuredCompletion(prompt, schema, options = {}) {
+    return this.firstAnswer(provider => provider.generateStructuredCompletion(prompt, schema, options), options.signal);
+  }
+
+  async firstAnswer(request, signal) {
+    let lastError = null;
+
+    for (const provider of this.providers) {
+      const breaker = getBreaker(provider.name);
+      if (!breaker.allowRequest()) {
+        log.debug(`Skipping ${provider.name}, its circuit breaker is ${breaker.state}`);
+        continue;
+      }
+
+      try {
+        const response = await request(provider);
+        breaker.recordSuccess();
+        if (lastError) log.info(`${provider.name} answered after an earlier provider failed`);
+        return { ...response, provider: provider.name };
+      } catch (error) {
+        if (signal?.aborted) {
+          breaker.releaseProbe();
+          signal.throwIfAborted();
+        }
+
+        if (error instanceof StructuredOutputError) {
+          breaker.recordSuccess();
+        } else {
+          breaker.recordFailure(error);
+        }
+        log.warn(`${provider.name} failed, trying the next provider: ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    if (lastError) throw lastError;
+
+    const error = new Error(`No AI provider available: circuit breakers of ${this.name} are open`);
+    error.code = AI_PROVIDERS_UNAVAILABLE;
+    throw error;
+  }
+}
+
+/**
+ * Recorded model output for deterministic offline runs (see aiCassettes).
+ * In `record` mode calls go to AI_REPLAY_PROVIDER (a provider or a chain)
+ * and each answer is written to a cassette in AI_REPLAY_DIR. In `replay` mode
+ * calls are answered from the cassettes without any network; a prompt with no
+ * cassette throws ReplayMissError, or with AI_REPLAY_ON_MISS=passthrough is
+ * sent to AI_REPLAY_PROVIDER and recorded.
+ *
+ * Whole calls are recorded: a structured answer is stored after its repair
+ * attempts, so replaying it needs no re-prompts.
+ */
+class ReplayProvider extends BaseAIProvider {
+  constructor(config) {
+    super(config);
+    this.name = 'replay';
+    this.mode = config.replayMode || env.aiReplayMode;
+    this.onMiss = config.replayOnMiss || env.aiReplayOnMiss;
+    this.dir = path.resolve(config.replayDir || env.aiReplayDir);
+    this.target = null;
+
+    if (!REPLAY_MODES.includes(this.mode)) {
+      throw new Error(`Unsupported AI replay mode: ${this.mode} (use ${REPLAY_MODES.join(' or ')})`);
+    }
+    if (!REPLAY_MISS_ACTIONS.includes(this.onMiss)) {
+      throw new Error(`Unsupported AI replay miss action: ${this.onMiss} (use ${REPLAY_MISS_ACTIONS.join(' or ')})`);
+    }
+  }
+
+  // Created on first use, so replaying needs no API key
+  getTarget() {
+    if (!this.target) {
+      const { replayProvider, ...config } = this.config;
+      this.target = AIProviderFactory.createProvider(replayProvider || env.aiReplayProvider, config);
+    }
+    return this.target;
+  }
+
+  async generateCompletion(prompt, options = {}) {
+    return this.replay({ kind: 'completion', prompt }, target => target.generateCompletion(prompt, options), options.signal);
+  }
+
+  async generateStructuredCompletion(prompt, schema, options = {}) {
+    return this.replay({ kind: 'structured', prompt, schema }, target => target.generateStructuredCompletion(prompt, schema, options), options.signal);
+  }
+
+  async replay({ kind, prompt, schema = null }, request, signal) {
+    const key = buildCassetteKey(kind, prompt, schema);
+
+    if (this.mode === 'replay') {
+      signal?.throwIfAborted();
+      const cassette = await readCassette(this.dir, key);
+      if (cassette) {
+        log.debug(`Replayed ${kind} ${key} recorded from ${cassette.provider}`);
+        return { ...cassette.response, replayed: true, recordedProvider: cassette.provider };
+      }
+
+      if (this.onMiss === 'error') throw new ReplayMissError(key, prompt, this.dir);
+      log.warn(`No cassette for ${kind} ${key}, passing it through to the recorded provider`);
+    }
+
+    const target = this.getTarget();
+    const response = await request(target);
+    const file = await writeCassette(this.dir, key, {
+      kind,
+      prompt,
+      schema,
+      provider: response.provider || target.name,
+      response
+    });
+    log.debug(`Recorded ${kind} ${key} to ${file}`);
+
+    return response;
+  }
+}
+
+// Smallest value that satisfies a schema
+function mockFromSchema(schema = {}) {
+  if (schema.enum) return schema.enum[0];
+
+  switch ([].concat(schema.type || 'object')[0]) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, property]) => [key, mockFromSchema(property)]));
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => mockFromSchema(schema.items));
+    case 'string':
+      return 'mock';
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
   }
 }
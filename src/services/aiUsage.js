@@ -0,0 +1,79 @@
+/**
+ * AI Usage
+ *
+ * Token counts and estimated cost of AI calls. Agents sum the `usage` of
+ * every AI response they get (measureResponse, sumUsage) and aiUsageService
+ * adds each run's total to the trip and the daily rollups.
+ *
+ * Cost is estimated in USD from the price table (config/aiPricing.js plus
+ * AI_PRICING). Calls to a model with no price count tokens but no cost and
+ * are counted in `unpricedCalls`. Replayed calls (AI_PROVIDER=replay) cost
+ * nothing.
+ *
+ * Agents import this module, so it must not import models (they import the
+ * agent registry).
+ */
+
+import { DEFAULT_AI_PRICES } from '../config/aiPricing.js';
+import env from '../config/env.js';
+
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+export const USAGE_FIELDS = ['calls', 'promptTokens', 'completionTokens', 'totalTokens', 'cost', 'unpricedCalls'];
+
+// Cost is summed in floating point; reported to a millionth of a dollar
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+export const emptyUsage = () => Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]));
+
+/**
+ * Price of a model: its own entry, else the longest entry its name starts
+ * with, else the provider's entry
+ * @returns {{ prompt: number, completion: number }|null} USD per million tokens
+ */
+export function getPrice(model, provider, prices = { ...DEFAULT_AI_PRICES, ...env.aiPricing }) {
+  if (model && prices[model]) return prices[model];
+
+  const family = model && Object.keys(prices)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (family) return prices[family];
+
+  return (provider && prices[provider]) || null;
+}
+
+/**
+ * Usage of one AI response
+ * @param {Object} response - Provider response with `usage` (OpenAI token fields) and `model`
+ * @param {string} provider - Provider that answered
+ * @returns {Object} `{ calls: 1, promptTokens, completionTokens, totalTokens, cost, unpricedCalls }`
+ */
+export function measureResponse(response, provider) {
+  const promptTokens = response?.usage?.prompt_tokens || 0;
+  const completionTokens = response?.usage?.completion_tokens || 0;
+  const totalTokens = response?.usage?.total_tokens || promptTokens + completionTokens;
+  const price = response?.replayed ? { prompt: 0, completion: 0 } : getPrice(response?.model, provider);
+
+  return {
+    calls: 1,
+    promptTokens,
+    completionTokens,
+    totalTokens,
+    cost: price ? (promptTokens * price.prompt + completionTokens * price.completion) / TOKENS_PER_PRICE_UNIT : 0,
+    unpricedCalls: price ? 0 : 1
+  };
+}
+
+/**
+ * @returns {Object} Field-wise sum of two usage records
+ */
+export function sumUsage(total, usage) {
+  return Object.fromEntries(USAGE_FIELDS.map(field => [field, (total?.[field] || 0) + (usage?.[field] || 0)]));
+}
+
+/**
+ * Usage as returned by the API: every field present, cost rounded
+ */
+export function formatUsage(usage) {
+  const formatted = sumUsage(emptyUsage(), usage);
+  return { ...formatted, cost: roundCost(formatted.cost), currency: 'USD' };
+}
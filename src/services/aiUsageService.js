@@ -0,0 +1,108 @@
+/**
+ * AI Usage Service
+ *
+ * Stores the AI usage of runs (see aiUsage). Each run's total is added to
+ * the trip, under `agentExecution.agents.<type>.usage` (or
+ * `agentExecution.orchestratorUsage` for the orchestrator's own calls) and
+ * the trip total `agentExecution.usage`, and to the daily rollup of the user
+ * who started the run (AiUsageDaily). Runs whose requester is unknown count
+ * against the trip owner.
+ */
+
+import { Trip, AiUsageDaily } from '../models/index.js';
+import { USAGE_FIELDS, emptyUsage, sumUsage, formatUsage } from './aiUsage.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'AIUsageService' });
+
+export const ORCHESTRATOR_USAGE = 'orchestrator';
+
+const incrementOf = (prefix, usage) => Object.fromEntries(
+  USAGE_FIELDS.filter(field => usage[field]).map(field => [`${prefix}${field}`, usage[field]])
+);
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Add one run's usage to its trip and to the daily rollup of the user it is
+ * counted against. Never throws: usage accounting must not fail a run.
+ *
+ * @param {Object} options
+ * @param {ObjectId} options.tripId
+ * @param {string} options.agentType - Agent type, or ORCHESTRATOR_USAGE
+ * @param {Object} options.usage - Summed usage of the run's calls
+ * @param {Object} [options.requestedBy] - `{ userId, authMethod }` of who started the run
+ */
+export async function recordUsage({ tripId, agentType, usage, requestedBy = null, at = new Date() }) {
+  if (!tripId || !usage?.calls) return;
+
+  const path = agentType === ORCHESTRATOR_USAGE
+    ? 'agentExecution.orchestratorUsage.'
+    : `agentExecution.agents.${agentType}.usage.`;
+
+  try {
+    await Trip.updateOne({ _id: tripId }, {
+      $inc: { ...incrementOf(path, usage), ...incrementOf('agentExecution.usage.', usage) }
+    });
+
+    let principal = requestedBy;
+    if (!principal?.userId) {
+      const trip = await Trip.findById(tripId).select('collaboration.createdBy').lean();
+      principal = { userId: trip?.collaboration?.createdBy || 'unknown', authMethod: 'unknown' };
+    }
+
+    await AiUsageDaily.updateOne(
+      { day: utcDay(at), userId: principal.userId, authMethod: principal.authMethod || 'unknown', agentType },
+      { $inc: { runs: 1, ...incrementOf('', usage) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    log.warn(`Failed to record ${agentType} AI usage: ${error.message}`);
+  }
+}
+
+/**
+ * A trip's AI usage: total, orchestrator and per agent type
+ * @param {Object} trip - Trip document or lean object
+ */
+export function getTripUsage(trip) {
+  const execution = trip.agentExecution || {};
+
+  return {
+    total: formatUsage(execution.usage),
+    orchestrator: formatUsage(execution.orchestratorUsage),
+    agents: Object.fromEntries(
+      Object.entries(execution.agents || {}).map(([agentType, agent]) => [agentType, formatUsage(agent?.usage)])
+    )
+  };
+}
+
+/**
+ * Daily usage per user and auth method, newest day first
+ * @param {Object} [filter]
+ * @param {string} [filter.from] - First day (YYYY-MM-DD), inclusive
+ * @param {string} [filter.to] - Last day (YYYY-MM-DD), inclusive
+ * @param {string} [filter.userId]
+ * @returns {Promise<Object[]>} `{ day, userId, authMethod, runs, ...usage, agents: { <type>: usage } }`
+ */
+export async function getDailyUsage({ from, to, userId } = {}) {
+  const query = {
+    ...((from || to) && { day: { ...(from && { $gte: from }), ...(to && { $lte: to }) } }),
+    ...(userId && { userId })
+  };
+  const rows = await AiUsageDaily.find(query).sort({ day: -1, userId: 1 }).lean();
+
+  const days = new Map();
+  for (const row of rows) {
+    const key = `${row.day}|${row.userId}|${row.authMethod}`;
+    if (!days.has(key)) {
+      days.set(key, { day: row.day, userId: row.userId, authMethod: row.authMethod, runs: 0, usage: emptyUsage(), agents: {} });
+    }
+    const entry = days.get(key);
+    entry.runs += row.runs;
+    entry.usage = sumUsage(entry.usage, row);
+    entry.agents[row.agentType] = formatUsage(row);
+  }
+
+  return [...days.values()].map(({ usage, ...entry }) => ({ ...entry, ...formatUsage(usage) }));
+}
@@ -2,6 +2,7 @@
 import Amadeus from 'amadeus';
 import dotenv from 'dotenv';
 import logger from '../utils/logger.js';
+import { delay, raceSignal } from '../utils/abort.js';
 
 dotenv.config();
 
@@ -256,7 +257,13 @@ class AmadeusService {
     log.debug(`⏱️ Rate limit timeout set for ${seconds} seconds`);
   }
 
-  async searchFlights(searchParams, retryCount = 0) {
+  /**
+   * @param {Object} searchParams
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops waiting on the SDK and on rate-limit backoff
+   * @param {number} [options.retryCount=0]
+   */
+  async searchFlights(searchParams, { signal, retryCount = 0 } = {}) {
     await this.ensureInitialized();
 
     if (!this.isEnabled) {
@@ -282,7 +289,8 @@ class AmadeusService {
       log.debug('Searching flights:', { origin: originCode, destination: destinationCode, departureDate, currency });
       log.debug(`💱 Requesting flight prices in: ${currency}`);
 
-      const response = await this.amadeus.shopping.flightOffersSearch.get({
+      // The SDK cannot abort its requests; stop waiting on them instead
+      const response = await raceSignal(this.amadeus.shopping.flightOffersSearch.get({
         originLocationCode: originCode,
         destinationLocationCode: destinationCode,
         departureDate: departureDate,
@@ -290,10 +298,13 @@ class AmadeusService {
         adults: adults,
         max: maxResults,
         currencyCode: currency // Amadeus API parameter for currency
-      });
+      }), signal);
 
       return this.transformFlightData(response.data, currency);
     } catch (error) {
+      // A timeout or cancellation is not a provider failure
+      signal?.throwIfAborted();
+
       log.error('Amadeus flight search error:', error);
 
       // Handle rate limiting with exponential backoff
@@ -306,10 +317,10 @@ class AmadeusService {
         this.setRateLimitTimeout(backoffSeconds);
 
         // Wait before retrying
-        await new Promise(resolve => setTimeout(resolve, backoffSeconds * 1000));
+        await delay(backoffSeconds * 1000, signal);
 
         // Retry with incremented count
-        return this.searchFlights(searchParams, retryCount + 1);
+        return this.searchFlights(searchParams, { signal, retryCount: retryCount + 1 });
       }
 
       // More helpful error messages
@@ -0,0 +1,163 @@
+/**
+ * Auth Service
+ *
+ * Credential checks and trip access rules used by the auth middleware:
+ * - HS256 JWTs signed with JWT_SECRET (`sub` is the user id, optional `role`)
+ * - Static API keys from API_KEYS (`key:userId[:role]`, comma separated)
+ * - Trip access derived from Trip.collaboration (creator, collaborators, isPublic)
+ */
+
+import crypto from 'crypto';
+import env from '../config/env.js';
+import { TRIP_ROLES, TRIP_ACTIONS, USER_ROLES } from '../constants/tripRoles.js';
+
+const JWT_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+const base64UrlEncode = (value) => Buffer.from(value).toString('base64url');
+
+const base64UrlDecodeJson = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const hmac = (input, secret) => crypto.createHmac('sha256', secret).update(input).digest();
+
+// Compare digests so mismatched lengths don't throw or leak timing
+const safeEqual = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(a).digest(),
+  crypto.createHash('sha256').update(b).digest()
+);
+
+const toUser = (id, role, authMethod) => ({
+  id: String(id),
+  role: role === USER_ROLES.ADMIN ? USER_ROLES.ADMIN : USER_ROLES.USER,
+  authMethod
+});
+
+/**
+ * Sign an HS256 JWT. Used by scripts and tests; the API itself never issues tokens.
+ * @param {Object} claims - Must include `sub`
+ * @param {Object} [options]
+ * @param {number} [options.expiresInSeconds=3600]
+ * @param {string} [options.secret=env.jwtSecret]
+ */
+export function signJwt(claims, { expiresInSeconds = 3600, secret = env.jwtSecret } = {}) {
+  if (!secret) throw new Error('JWT_SECRET is not configured');
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iat: now, exp: now + expiresInSeconds, ...claims };
+  const input = `${base64UrlEncode(JSON.stringify(JWT_HEADER))}.${base64UrlEncode(JSON.stringify(payload))}`;
+
+  return `${input}.${hmac(input, secret).toString('base64url')}`;
+}
+
+/**
+ * Verify an HS256 JWT and map its claims to a request user.
+ * @throws {Error} When the token is malformed, has a bad signature or is expired
+ */
+export function verifyJwt(token, secret = env.jwtSecret) {
+  if (!secret) throw new Error('JWT authentication is not configured');
+
+  const segments = token.split('.');
+  if (segments.length !== 3) throw new Error('Malformed token');
+
+  const [headerSegment, payloadSegment, signatureSegment] = segments;
+  let header;
+  let payload;
+  try {
+    header = base64UrlDecodeJson(headerSegment);
+    payload = base64UrlDecodeJson(payloadSegment);
+  } catch {
+    throw new Error('Malformed token');
+  }
+
+  if (header.alg !== JWT_HEADER.alg) throw new Error(`Unsupported token algorithm: ${header.alg}`);
+
+  const expected = hmac(`${headerSegment}.${payloadSegment}`, secret);
+  const actual = Buffer.from(signatureSegment, 'base64url');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === 'number' && payload.exp <= now) throw new Error('Token expired');
+  if (typeof payload.nbf === 'number' && payload.nbf > now) throw new Error('Token not yet valid');
+  if (!payload.sub) throw new Error('Token has no subject');
+
+  return toUser(payload.sub, payload.role, 'jwt');
+}
+
+/**
+ * Parse API_KEYS into [{ key, userId, role }]
+ */
+export function parseApiKeys(value = env.apiKeys) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [key, userId, role] = entry.split(':').map(part => part.trim());
+      return { key, userId, role };
+    })
+    .filter(({ key, userId }) => key && userId);
+}
+
+/**
+ * Resolve an API key to a request user, or null when it is not configured
+ */
+export function verifyApiKey(apiKey, value = env.apiKeys) {
+  const match = parseApiKeys(value).find(({ key }) => safeEqual(key, apiKey));
+  return match ? toUser(match.userId, match.role, 'api_key') : null;
+}
+
+/**
+ * Work out what a user may do on a trip.
+ *
+ * The creator and `owner` collaborators can do everything. Editors can edit;
+ * the per-collaborator `permissions` flags grant invite/delete (and let a
+ * viewer edit). Public trips are viewable by any authenticated user.
+ *
+ * @param {Object} trip - Trip document or lean object with `collaboration`
+ * @param {Object} user - req.user
+ * @returns {{ role: string|null, canView: boolean, canEdit: boolean, canInvite: boolean, canDelete: boolean }}
+ */
+export function resolveTripAccess(trip, user) {
+  const collaboration = trip?.collaboration || {};
+  const collaborator = user && (collaboration.collaborators || []).find(entry => entry.userId === user.id);
+
+  let role = null;
+  if (user?.role === USER_ROLES.ADMIN || (user && collaboration.createdBy === user.id)) {
+    role = TRIP_ROLES.OWNER;
+  } else if (collaborator) {
+    role = collaborator.role || TRIP_ROLES.VIEWER;
+  }
+
+  if (role === TRIP_ROLES.OWNER) {
+    return { role, canView: true, canEdit: true, canInvite: true, canDelete: true };
+  }
+
+  const permissions = collaborator?.permissions || {};
+  return {
+    role,
+    canView: Boolean(role) || Boolean(collaboration.isPublic),
+    canEdit: role === TRIP_ROLES.EDITOR || (Boolean(role) && Boolean(permissions.canEdit)),
+    canInvite: Boolean(role) && Boolean(permissions.canInvite),
+    canDelete: Boolean(role) && Boolean(permissions.canDelete)
+  };
+}
+
+/**
+ * @param {Object} access - Result of resolveTripAccess
+ * @param {string} action - One of TRIP_ACTIONS
+ */
+export function canPerform(access, action) {
+  switch (action) {
+    case TRIP_ACTIONS.VIEW:
+      return access.canView;
+    case TRIP_ACTIONS.EDIT:
+      return access.canEdit;
+    case TRIP_ACTIONS.INVITE:
+      return access.canInvite;
+    case TRIP_ACTIONS.DELETE:
+      return access.canDelete;
+    default:
+      return false;
+  }
+}
@@ -9,11 +9,11 @@ class BookingService {
     log.info('BookingService initialized (using RapidAPI backend)');
   }
 
-  async searchHotels(searchParams) {
+  async searchHotels(searchParams, options = {}) {
     try {
       log.debug('BookingService delegating to RapidAPI', searchParams);
       // Delegate to RapidAPI service
-      return await rapidApiService.searchHotels(searchParams);
+      return await rapidApiService.searchHotels(searchParams, options);
     } catch (error) {
       log.error('BookingService hotel search error', { error: error.message, stack: error.stack });
       throw error;
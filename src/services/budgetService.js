@@ -0,0 +1,300 @@
+/**
+ * Budget Service
+ *
+ * Trip.budget holds an overall total, a currency and optional per-category
+ * caps (one per agent type). Spend is worked out from the user's selected
+ * recommendations, with each price scaled by its priceType for the trip's
+ * nights and travelers. Prices in another currency are listed but not summed;
+ * there is no exchange-rate source.
+ */
+
+import * as recommendationService from './recommendationService.js';
+import { AGENT_TYPE_LIST } from '../constants/agentTypes.js';
+import { listAgentDefinitions } from '../agents/definitions/index.js';
+
+export const BUDGET_CATEGORIES = AGENT_TYPE_LIST;
+
+// Unit each agent quotes its prices in; also the unit of the maxPrice it receives
+export const AGENT_PRICE_TYPES = Object.fromEntries(
+  listAgentDefinitions().map(({ type, priceType }) => [type, priceType])
+);
+
+// Categories whose selection a rerun replaces rather than adds to
+const SINGLE_SELECT_CATEGORIES = new Set(
+  listAgentDefinitions().filter(({ multiSelect }) => !multiSelect).map(({ type }) => type)
+);
+
+// Warn once a category or the trip has used this share of its budget
+const NEAR_LIMIT_RATIO = 0.9;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+export function hasBudget(trip) {
+  const budget = trip?.budget;
+  return isAmount(budget?.total) ||
+    BUDGET_CATEGORIES.some(category => isAmount(budget?.categories?.[category]));
+}
+
+/**
+ * Validate and normalize a budget payload.
+ * @returns {{ valid: boolean, errors: string[], budget: Object }}
+ */
+export function validateBudget(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['budget must be an object'], budget: null };
+  }
+
+  if (input.total !== undefined && input.total !== null && !isAmount(input.total)) {
+    errors.push('budget.total must be a non-negative number');
+  }
+
+  if (input.currency !== undefined && !/^[A-Za-z]{3}$/.test(input.currency)) {
+    errors.push('budget.currency must be a 3-letter currency code');
+  }
+
+  const categories = {};
+  if (input.categories !== undefined) {
+    if (!input.categories || typeof input.categories !== 'object' || Array.isArray(input.categories)) {
+      errors.push('budget.categories must be an object');
+    } else {
+      for (const [category, cap] of Object.entries(input.categories)) {
+        if (!BUDGET_CATEGORIES.includes(category)) {
+          errors.push(`unknown budget category: ${category}`);
+        } else if (cap !== null && !isAmount(cap)) {
+          errors.push(`budget.categories.${category} must be a non-negative number`);
+        } else if (cap !== null) {
+          categories[category] = cap;
+        }
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    budget: {
+      total: input.total ?? null,
+      currency: (input.currency || 'USD').toUpperCase(),
+      categories
+    }
+  };
+}
+
+/**
+ * Nights and travelers used to scale per-night and per-person prices
+ */
+export function getTripQuantities(trip) {
+  const { departureDate, returnDate } = trip.dates || {};
+  const nights = returnDate && departureDate
+    ? Math.max(1, Math.ceil((new Date(returnDate) - new Date(departureDate)) / (1000 * 60 * 60 * 24)))
+    : 1;
+
+  return { nights, travelers: trip.travelers?.count || 1 };
+}
+
+/**
+ * Cost of one recommendation for the whole trip.
+ * per_night × nights, per_person × travelers; per_room, per_group and total
+ * are counted once.
+ */
+export function computeLineTotal(price, { nights, travelers }) {
+  const amount = price?.amount || 0;
+
+  switch (price?.priceType) {
+    case 'per_night':
+      return roundMoney(amount * nights);
+    case 'per_person':
+      return roundMoney(amount * travelers);
+    default:
+      return roundMoney(amount);
+  }
+}
+
+/**
+ * Turn a remaining amount for the whole trip back into the agent's own price
+ * unit, e.g. what is left for accommodation becomes a nightly rate.
+ */
+export function toAgentMaxPrice(agentType, remaining, { nights, travelers }) {
+  switch (AGENT_PRICE_TYPES[agentType]) {
+    case 'per_night':
+      return roundMoney(remaining / nights);
+    case 'per_person':
+      return roundMoney(remaining / travelers);
+    default:
+      return roundMoney(remaining);
+  }
+}
+
+async function loadSelections(trip) {
+  const selections = {};
+  for (const category of BUDGET_CATEGORIES) {
+    const ids = (trip.selectedRecommendations?.[category] || [])
+      .map(entry => entry.recommendation)
+      .filter(Boolean);
+    selections[category] = await recommendationService.loadRecommendationsInOrder(ids);
+  }
+  return selections;
+}
+
+/**
+ * Sum the trip's selections against its budget.
+ *
+ * @param {Object} trip - Trip document
+ * @param {Object} [selections] - Recommendation documents by category (loaded when omitted)
+ * @returns {Promise<Object>} `{ currency, total, spent, remaining, categories, unconverted, warnings }`
+ */
+export async function summarizeBudget(trip, selections) {
+  const loaded = selections || await loadSelections(trip);
+  const quantities = getTripQuantities(trip);
+  const currency = trip.budget?.currency || 'USD';
+  const total = isAmount(trip.budget?.total) ? trip.budget.total : null;
+
+  const categories = {};
+  const unconverted = [];
+  const warnings = [];
+  let spent = 0;
+
+  for (const category of BUDGET_CATEGORIES) {
+    const cap = trip.budget?.categories?.[category];
+    const items = [];
+    let categorySpent = 0;
+
+    for (const rec of loaded[category] || []) {
+      const item = {
+        recommendationId: rec._id,
+        name: rec.name,
+        price: rec.price,
+        lineTotal: computeLineTotal(rec.price, quantities)
+      };
+
+      if (rec.price?.currency && rec.price.currency !== currency) {
+        unconverted.push({ category, ...item });
+        continue;
+      }
+
+      items.push(item);
+      categorySpent += item.lineTotal;
+    }
+
+    categorySpent = roundMoney(categorySpent);
+    spent += categorySpent;
+
+    const hasCap = isAmount(cap);
+    categories[category] = {
+      cap: hasCap ? cap : null,
+      spent: categorySpent,
+      remaining: hasCap ? roundMoney(cap - categorySpent) : null,
+      items
+    };
+
+    if (hasCap && categorySpent > cap) {
+      warnings.push({
+        type: 'category_over_budget',
+        category,
+        message: `${category} selections exceed the ${category} budget by ${currency} ${roundMoney(categorySpent - cap)}`
+      });
+    } else if (hasCap && cap > 0 && categorySpent >= cap * NEAR_LIMIT_RATIO) {
+      warnings.push({
+        type: 'category_near_limit',
+        category,
+        message: `${category} selections use ${Math.round((categorySpent / cap) * 100)}% of the ${category} budget`
+      });
+    }
+  }
+
+  spent = roundMoney(spent);
+  const remaining = total !== null ? roundMoney(total - spent) : null;
+
+  if (total !== null && spent > total) {
+    warnings.push({
+      type: 'over_budget',
+      message: `Selections exceed the trip budget by ${currency} ${roundMoney(spent - total)}`
+    });
+  } else if (total !== null && total > 0 && spent >= total * NEAR_LIMIT_RATIO) {
+    warnings.push({
+      type: 'near_limit',
+      message: `Selections use ${Math.round((spent / total) * 100)}% of the trip budget`
+    });
+  }
+
+  if (unconverted.length > 0) {
+    warnings.push({
+      type: 'currency_mismatch',
+      message: `${unconverted.length} selection(s) are priced in another currency and are not included in the totals`
+    });
+  }
+
+  return {
+    currency,
+    total,
+    spent,
+    remaining,
+    quantities,
+    categories,
+    unconverted,
+    warnings
+  };
+}
+
+/**
+ * maxPrice per agent type from what is left of the budget: the smaller of the
+ * category's remaining cap and the trip's remaining total, in the agent's own
+ * price unit. For flights, accommodation and other single-select categories
+ * the current selection is counted as available, since what the agent finds
+ * replaces it. A used-up budget gives 0; agents without a limit are omitted.
+ *
+ * Limits are amounts in the budget currency. With `options.currency`, the
+ * currency the agents search in, no limits are returned when the two differ
+ * (there is no exchange-rate source).
+ *
+ * @param {Object} trip
+ * @param {Object} [summary] - Result of summarizeBudget, computed when omitted
+ * @param {Object} [options] - { currency }
+ * @returns {Promise<Object<string, number>>}
+ */
+export async function getAgentPriceLimits(trip, summary, { currency } = {}) {
+  if (!hasBudget(trip)) return {};
+
+  const budget = summary || await summarizeBudget(trip);
+  if (currency && currency.toUpperCase() !== budget.currency) return {};
+
+  const limits = {};
+
+  for (const agentType of BUDGET_CATEGORIES) {
+    const replaced = SINGLE_SELECT_CATEGORIES.has(agentType) ? budget.categories[agentType].spent : 0;
+    const candidates = [budget.categories[agentType].remaining, budget.remaining]
+      .filter(value => value !== null)
+      .map(value => value + replaced);
+    if (candidates.length === 0) continue;
+
+    const remaining = roundMoney(Math.max(0, Math.min(...candidates)));
+    limits[agentType] = remaining > 0 ? toAgentMaxPrice(agentType, remaining, budget.quantities) : 0;
+  }
+
+  return limits;
+}
+
+/**
+ * Warnings for fresh agent output priced above the limits the agents were given
+ * @param {Object<string, Object[]>} recommendationsByType - Agent output keyed by agent type
+ * @param {Object<string, number>} limits - Result of getAgentPriceLimits
+ */
+export function findOverBudgetRecommendations(recommendationsByType = {}, limits = {}) {
+  return Object.entries(limits).flatMap(([agentType, maxPrice]) => {
+    const over = (recommendationsByType[agentType] || [])
+      .filter(rec => (typeof rec.price === 'number' ? rec.price : rec.price?.amount ?? 0) > maxPrice);
+
+    if (over.length === 0) return [];
+    return [{
+      type: 'recommendations_over_budget',
+      category: agentType,
+      count: over.length,
+      maxPrice,
+      message: `${over.length} ${agentType} recommendation(s) cost more than the remaining budget allows (${maxPrice} ${AGENT_PRICE_TYPES[agentType].replace('_', ' ')})`
+    }];
+  });
+}
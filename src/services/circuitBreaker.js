@@ -0,0 +1,141 @@
+/**
+ * Circuit Breaker
+ *
+ * Per-provider circuit breakers for the AI provider chain (see aiProvider).
+ * A breaker is `closed` while its provider answers. After
+ * AI_BREAKER_FAILURE_THRESHOLD consecutive failures it opens and the chain
+ * skips the provider for AI_BREAKER_COOLDOWN_MS. The first request after the
+ * cooldown is let through as a probe (`half_open`): success closes the
+ * breaker, failure opens it for another cooldown. Other requests keep
+ * skipping the provider while the probe is in flight.
+ *
+ * Breakers are process-wide and keyed by provider name, so every agent of
+ * every run shares what the others learned about a provider.
+ */
+
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'CircuitBreaker' });
+
+export const BREAKER_STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+});
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Provider the breaker protects
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=env.aiBreakerFailureThreshold]
+   * @param {number} [options.cooldownMs=env.aiBreakerCooldownMs]
+   */
+  constructor(name, { failureThreshold = env.aiBreakerFailureThreshold, cooldownMs = env.aiBreakerCooldownMs } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.totalFailures = 0;
+    this.totalSuccesses = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * Whether a request may go to the provider now. Moves an open breaker
+   * whose cooldown has passed to `half_open` and claims its probe.
+   */
+  allowRequest(now = Date.now()) {
+    if (this.state === BREAKER_STATES.CLOSED) return true;
+
+    if (this.state === BREAKER_STATES.OPEN) {
+      if (now - this.openedAt < this.cooldownMs) return false;
+      this.state = BREAKER_STATES.HALF_OPEN;
+      log.info(`${this.name} cooldown over, probing it`);
+    }
+
+    if (this.probeInFlight) return false;
+    this.probeInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.state !== BREAKER_STATES.CLOSED) {
+      log.info(`✅ ${this.name} answered again, closing its breaker`);
+    }
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.totalSuccesses++;
+    this.lastSuccessAt = new Date();
+  }
+
+  recordFailure(error, now = Date.now()) {
+    this.consecutiveFailures++;
+    this.totalFailures++;
+    this.lastError = error?.message || String(error);
+    this.lastFailureAt = new Date(now);
+    this.probeInFlight = false;
+
+    if (this.state === BREAKER_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== BREAKER_STATES.OPEN) {
+        log.warn(`🔌 ${this.name} failed ${this.consecutiveFailures} time(s) in a row, skipping it for ${this.cooldownMs}ms`, {
+          error: this.lastError
+        });
+      }
+      this.state = BREAKER_STATES.OPEN;
+      this.openedAt = now;
+    }
+  }
+
+  // A probe that ended without an answer either way (e.g. it was aborted)
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      totalFailures: this.totalFailures,
+      totalSuccesses: this.totalSuccesses,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.state === BREAKER_STATES.OPEN ? new Date(this.openedAt + this.cooldownMs) : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * The process-wide breaker of a provider, created closed on first use
+ * @param {string} name
+ * @returns {CircuitBreaker}
+ */
+export function getBreaker(name) {
+  if (!breakers.has(name)) breakers.set(name, new CircuitBreaker(name));
+  return breakers.get(name);
+}
+
+/**
+ * @returns {CircuitBreaker[]} Every breaker created so far
+ */
+export function listBreakers() {
+  return [...breakers.values()];
+}
+
+// Forget every breaker (tests)
+export function resetBreakers() {
+  breakers.clear();
+}
@@ -0,0 +1,237 @@
+/**
+ * Collaboration Service
+ *
+ * Invitations and collaborator management for Trip.collaboration.
+ * Invite tokens are random, returned once, and stored only as a SHA-256 hash.
+ * Functions return `{ success, ... }` results; failures carry an HTTP `status`.
+ */
+
+import crypto from 'crypto';
+import { Trip } from '../models/index.js';
+import env from '../config/env.js';
+import { TRIP_ROLES, ROLE_PERMISSION_DEFAULTS, isRoleAtLeast } from '../constants/tripRoles.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'CollaborationService' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const failure = (status, error, message) => ({ success: false, status, error, message });
+
+export const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export const toPublicInvitation = (invitation) => ({
+  invitationId: invitation.invitationId,
+  role: invitation.role,
+  email: invitation.email,
+  invitedBy: invitation.invitedBy,
+  createdAt: invitation.createdAt,
+  expiresAt: invitation.expiresAt,
+  acceptedBy: invitation.acceptedBy,
+  acceptedAt: invitation.acceptedAt,
+  revokedAt: invitation.revokedAt
+});
+
+const toPublicCollaborator = (collaborator) => ({
+  userId: collaborator.userId,
+  role: collaborator.role,
+  addedAt: collaborator.addedAt,
+  addedBy: collaborator.addedBy,
+  permissions: {
+    canEdit: Boolean(collaborator.permissions?.canEdit),
+    canInvite: Boolean(collaborator.permissions?.canInvite),
+    canDelete: Boolean(collaborator.permissions?.canDelete)
+  }
+});
+
+const findCollaborator = (trip, userId) =>
+  (trip.collaboration?.collaborators || []).find(entry => entry.userId === userId);
+
+/**
+ * @param {Object} trip - Trip document
+ * @param {Object} access - req.tripAccess of the caller
+ */
+export function listCollaborators(trip, access) {
+  const now = Date.now();
+  const pending = (trip.collaboration?.invitations || [])
+    .filter(inv => !inv.acceptedBy && !inv.revokedAt && (!inv.expiresAt || inv.expiresAt.getTime() > now));
+
+  return {
+    owner: trip.collaboration?.createdBy,
+    collaborators: (trip.collaboration?.collaborators || []).map(toPublicCollaborator),
+    // Pending invites are only visible to people who could have sent them
+    ...(access?.canInvite && { invitations: pending.map(toPublicInvitation) })
+  };
+}
+
+/**
+ * Create an invite token for the trip.
+ * @returns {Promise<{ success: boolean, token?: string, invitation?: Object }>}
+ */
+export async function createInvitation(trip, { role = TRIP_ROLES.VIEWER, email } = {}, invitedBy) {
+  const token = `inv_${crypto.randomBytes(24).toString('hex')}`;
+  const invitation = {
+    invitationId: `invite_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    tokenHash: hashInviteToken(token),
+    role,
+    email,
+    invitedBy,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + env.inviteTtlDays * DAY_MS),
+    acceptedBy: null
+  };
+
+  await Trip.updateOne({ _id: trip._id }, { $push: { 'collaboration.invitations': invitation } });
+  log.info(`Created ${role} invitation ${invitation.invitationId} for trip ${trip.tripId}`, { invitedBy });
+
+  return { success: true, token, invitation: toPublicInvitation(invitation) };
+}
+
+/**
+ * Accept an invite token as `user`. Accepting the same token again (or after
+ * already joining) returns the existing membership instead of failing.
+ */
+export async function acceptInvitation(tripId, token, user) {
+  const tokenHash = hashInviteToken(token);
+  const trip = await Trip.findOne({ tripId, 'collaboration.invitations.tokenHash': tokenHash });
+  const invitation = trip?.collaboration.invitations.find(inv => inv.tokenHash === tokenHash);
+
+  if (!invitation) {
+    return failure(404, 'Invitation not found', 'This invite link is invalid for this trip');
+  }
+
+  if (invitation.acceptedBy && invitation.acceptedBy !== user.id) {
+    return failure(409, 'Invitation already used', 'This invite link has already been accepted by another user');
+  }
+
+  if (!invitation.acceptedBy) {
+    if (invitation.revokedAt) {
+      return failure(410, 'Invitation revoked', 'This invite link has been revoked');
+    }
+    if (invitation.expiresAt && invitation.expiresAt.getTime() <= Date.now()) {
+      return failure(410, 'Invitation expired', 'This invite link has expired');
+    }
+  }
+
+  if (trip.collaboration.createdBy === user.id) {
+    return { success: true, alreadyMember: true, collaborator: { userId: user.id, role: TRIP_ROLES.OWNER } };
+  }
+
+  const now = new Date();
+  const markAccepted = {
+    'collaboration.invitations.$[inv].acceptedBy': user.id,
+    'collaboration.invitations.$[inv].acceptedAt': now
+  };
+  const invitationFilter = { 'inv.tokenHash': tokenHash, 'inv.acceptedBy': null };
+
+  const existing = findCollaborator(trip, user.id);
+  if (!existing && invitation.acceptedBy) {
+    // Accepted earlier, then removed: the old link must not restore access
+    return failure(409, 'Invitation already used', 'This invite link has already been used');
+  }
+
+  if (!existing) {
+    const collaborator = {
+      userId: user.id,
+      role: invitation.role,
+      addedAt: now,
+      addedBy: invitation.invitedBy,
+      permissions: { ...ROLE_PERMISSION_DEFAULTS[invitation.role] }
+    };
+
+    // Guarded on the user not being present so concurrent accepts add them once
+    const result = await Trip.updateOne(
+      { _id: trip._id, 'collaboration.collaborators.userId': { $ne: user.id } },
+      { $push: { 'collaboration.collaborators': collaborator }, $set: markAccepted },
+      { arrayFilters: [invitationFilter] }
+    );
+
+    if (result.modifiedCount > 0) {
+      log.info(`User ${user.id} joined trip ${tripId} as ${invitation.role}`);
+      return { success: true, alreadyMember: false, collaborator: toPublicCollaborator(collaborator) };
+    }
+
+    const reloaded = await Trip.findById(trip._id).select('collaboration.collaborators').lean();
+    return { success: true, alreadyMember: true, collaborator: toPublicCollaborator(findCollaborator(reloaded, user.id)) };
+  }
+
+  // Already a collaborator: consume the invite and only ever upgrade the role
+  const upgrade = !isRoleAtLeast(existing.role, invitation.role);
+  await Trip.updateOne(
+    { _id: trip._id },
+    {
+      $set: {
+        ...markAccepted,
+        ...(upgrade && {
+          'collaboration.collaborators.$[member].role': invitation.role,
+          'collaboration.collaborators.$[member].permissions': { ...ROLE_PERMISSION_DEFAULTS[invitation.role] }
+        })
+      }
+    },
+    { arrayFilters: [invitationFilter, ...(upgrade ? [{ 'member.userId': user.id }] : [])] }
+  );
+
+  const collaborator = upgrade
+    ? { ...toPublicCollaborator(existing), role: invitation.role, permissions: { ...ROLE_PERMISSION_DEFAULTS[invitation.role] } }
+    : toPublicCollaborator(existing);
+
+  return { success: true, alreadyMember: true, collaborator };
+}
+
+/**
+ * Change a collaborator's role and/or permission flags. A role change resets
+ * the flags to that role's defaults before explicit `permissions` are applied.
+ * Granting or modifying owner access requires the caller to be an owner.
+ */
+export async function updateCollaborator(trip, userId, { role, permissions }, access) {
+  const existing = findCollaborator(trip, userId);
+  if (!existing) {
+    return failure(404, 'Collaborator not found', `User ${userId} is not a collaborator on this trip`);
+  }
+
+  const touchesOwner = existing.role === TRIP_ROLES.OWNER || role === TRIP_ROLES.OWNER;
+  if (touchesOwner && access.role !== TRIP_ROLES.OWNER) {
+    return failure(403, 'Forbidden', 'Only trip owners can grant or change owner access');
+  }
+
+  const nextRole = role || existing.role;
+  const nextPermissions = {
+    ...(role ? ROLE_PERMISSION_DEFAULTS[role] : toPublicCollaborator(existing).permissions),
+    ...permissions
+  };
+
+  await Trip.updateOne(
+    { _id: trip._id, 'collaboration.collaborators.userId': userId },
+    {
+      $set: {
+        'collaboration.collaborators.$.role': nextRole,
+        'collaboration.collaborators.$.permissions': nextPermissions
+      }
+    }
+  );
+
+  log.info(`Updated collaborator ${userId} on trip ${trip.tripId}`, { role: nextRole });
+  return {
+    success: true,
+    collaborator: { ...toPublicCollaborator(existing), role: nextRole, permissions: nextPermissions }
+  };
+}
+
+/**
+ * Remove a collaborator. Removing an owner requires the caller to be an owner.
+ */
+export async function removeCollaborator(trip, userId, access) {
+  const existing = findCollaborator(trip, userId);
+  if (!existing) {
+    return failure(404, 'Collaborator not found', `User ${userId} is not a collaborator on this trip`);
+  }
+
+  if (existing.role === TRIP_ROLES.OWNER && access.role !== TRIP_ROLES.OWNER) {
+    return failure(403, 'Forbidden', 'Only trip owners can remove another owner');
+  }
+
+  await Trip.updateOne({ _id: trip._id }, { $pull: { 'collaboration.collaborators': { userId } } });
+
+  log.info(`Removed collaborator ${userId} from trip ${trip.tripId}`);
+  return { success: true, removed: toPublicCollaborator(existing) };
+}
@@ -1,6 +1,6 @@
 import mongoose from 'mongoose';
 import { getMongoConfig } from '../config/database.js';
-import { Trip, Recommendation } from '../models/index.js';
+import { Trip, Recommendation, Itinerary, Job } from '../models/index.js';
 import logger from '../utils/logger.js';
 
 class DatabaseService {
@@ -81,7 +81,9 @@ class DatabaseService {
   getModels() {
     return {
       Trip,
-      Recommendation
+      Recommendation,
+      Itinerary,
+      Job
     };
   }
 
@@ -91,6 +93,8 @@ class DatabaseService {
 
       await Trip.createIndexes();
       await Recommendation.createIndexes();
+      await Itinerary.createIndexes();
+      await Job.createIndexes();
 
       logger.info('✅ Database indexes created successfully');
     } catch (error) {
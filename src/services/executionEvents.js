@@ -0,0 +1,193 @@
+/**
+ * Execution Events
+ *
+ * In-process event bus for orchestrator progress. TripOrchestrator publishes
+ * agent/trip status changes here and the SSE endpoint streams them to clients.
+ * Only runs in this process publish here; the SSE endpoint follows runs in
+ * other processes through the trip's agentExecution (buildExecutionTimeline).
+ * Each trip keeps a bounded buffer of recent events with increasing ids so a
+ * reconnecting client can replay what it missed via Last-Event-ID. Ids are
+ * publish times in milliseconds, so they keep increasing across restarts and
+ * a Last-Event-ID from an earlier process does not hide newer events.
+ *
+ * Event payloads share their shape with the entries of buildExecutionTimeline.
+ */
+
+import { EventEmitter } from 'events';
+import env from '../config/env.js';
+import { AGENT_TYPE_LIST } from '../constants/agentTypes.js';
+
+const MAX_TRACKED_TRIPS = 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// tripKey -> { lastId, events[] } (Map insertion order doubles as LRU order)
+const streams = new Map();
+
+// ===== EVENT BUILDERS =====
+
+export function buildExecutionStartedEvent(timestamp) {
+  return {
+    event: 'execution_started',
+    timestamp,
+    message: 'Trip planning execution started'
+  };
+}
+
+export function buildAgentStartedEvent(agentName, timestamp) {
+  return {
+    event: 'agent_started',
+    agent: agentName,
+    timestamp,
+    message: `${agentName} agent started`
+  };
+}
+
+export function buildAgentProgressEvent(agentName, { timestamp, batchSize, recommendationCount }) {
+  return {
+    event: 'agent_progress',
+    agent: agentName,
+    timestamp,
+    message: `${agentName} agent saved ${batchSize} recommendations`,
+    details: { batchSize, recommendationCount }
+  };
+}
+
+const AGENT_FINISHED_EVENTS = {
+  completed: 'agent_completed',
+  cancelled: 'agent_cancelled'
+};
+
+export function buildAgentFinishedEvent(agentName, agent) {
+  return {
+    event: AGENT_FINISHED_EVENTS[agent.status] || 'agent_failed',
+    agent: agentName,
+    timestamp: agent.completedAt,
+    message: `${agentName} agent ${agent.status}`,
+    details: {
+      duration: agent.duration,
+      recommendationCount: agent.recommendationCount,
+      confidence: agent.confidence,
+      reason: agent.cancelReason
+    }
+  };
+}
+
+export function buildExecutionCompletedEvent(timestamp) {
+  return {
+    event: 'execution_completed',
+    timestamp,
+    message: 'Trip planning execution completed'
+  };
+}
+
+export function buildExecutionCancelledEvent(timestamp, reason) {
+  return {
+    event: 'execution_cancelled',
+    timestamp,
+    message: 'Trip planning execution cancelled',
+    ...(reason && { details: { reason } })
+  };
+}
+
+/**
+ * Events describing a stored agentExecution, oldest first. Progress events
+ * are not stored and so are not part of it.
+ */
+export function buildExecutionTimeline(execution) {
+  const timeline = [];
+
+  if (execution.startedAt) {
+    timeline.push(buildExecutionStartedEvent(execution.startedAt));
+  }
+
+  for (const agentName of AGENT_TYPE_LIST) {
+    const agent = execution.agents?.[agentName];
+    if (!agent) continue;
+
+    if (agent.startedAt) {
+      timeline.push(buildAgentStartedEvent(agentName, agent.startedAt));
+    }
+
+    if (agent.completedAt) {
+      timeline.push(buildAgentFinishedEvent(agentName, agent));
+    }
+  }
+
+  if (execution.completedAt) {
+    timeline.push(execution.status === 'cancelled'
+      ? buildExecutionCancelledEvent(execution.completedAt, execution.cancelReason)
+      : buildExecutionCompletedEvent(execution.completedAt));
+  }
+
+  return timeline.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Identifies an event whether it was published here or read back from the
+ * trip's agentExecution: its type, agent and timestamp
+ */
+export const eventKey = (event) => `${event.event}:${event.agent || ''}:${new Date(event.timestamp).getTime()}`;
+
+// ===== BUS =====
+
+// Publish time, or one past the previous id when events share a millisecond
+const nextEventId = (lastId) => Math.max(lastId + 1, Date.now());
+
+function getStream(tripKey) {
+  let stream = streams.get(tripKey);
+
+  if (stream) {
+    streams.delete(tripKey);
+  } else {
+    stream = { lastId: 0, events: [] };
+  }
+  streams.set(tripKey, stream);
+
+  if (streams.size > MAX_TRACKED_TRIPS) {
+    const [oldestKey] = streams.keys();
+    streams.delete(oldestKey);
+  }
+
+  return stream;
+}
+
+/**
+ * Record an event for a trip and notify live subscribers.
+ * @param {string} tripKey - Trip document _id as a string
+ */
+export function publish(tripKey, payload) {
+  const key = tripKey.toString();
+  const stream = getStream(key);
+
+  stream.lastId = nextEventId(stream.lastId);
+  const event = { id: stream.lastId, ...payload };
+  stream.events.push(event);
+  if (stream.events.length > env.executionEventBufferSize) {
+    stream.events.shift();
+  }
+
+  emitter.emit(key, event);
+  return event;
+}
+
+export function subscribe(tripKey, listener) {
+  const key = tripKey.toString();
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+}
+
+/**
+ * Buffered events with an id greater than lastEventId (all buffered events by default)
+ */
+export function getEventsSince(tripKey, lastEventId = 0) {
+  const stream = streams.get(tripKey.toString());
+  if (!stream) return [];
+  return stream.events.filter(event => event.id > lastEventId);
+}
+
+export function formatSseMessage(event) {
+  const { id, event: type, ...rest } = event;
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ event: type, ...rest })}\n\n`;
+}
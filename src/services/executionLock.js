@@ -0,0 +1,182 @@
+/**
+ * Execution Lock Service
+ *
+ * Lease-based lock, stored in MongoDB, that every code path executing agents
+ * for a trip holds for the duration of the run, so two reruns or two API
+ * replicas never write a trip's recommendations at the same time.
+ *
+ * A lease is renewed every third of EXECUTION_LOCK_TTL_MS while the run is
+ * going. A holder that crashes or hangs stops renewing, and once the lease
+ * expires the next run takes it over atomically. A holder that notices its
+ * lease is gone aborts its agents through the lease's signal and makes no
+ * further writes.
+ */
+
+import crypto from 'crypto';
+import { ExecutionLock } from '../models/index.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'ExecutionLock' });
+
+const DUPLICATE_KEY = 11000;
+
+export const EXECUTION_LOCKED = 'EXECUTION_LOCKED';
+export const EXECUTION_LOCK_LOST = 'EXECUTION_LOCK_LOST';
+
+export const createExecutionRunId = () => `exec_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Error for a trip whose lock is held by another run. `retryAt` is when the
+ * holder's current lease runs out.
+ */
+export function lockedError(holder) {
+  const error = new Error(`Trip is locked by execution ${holder.owner}`);
+  error.code = EXECUTION_LOCKED;
+  error.runId = holder.owner;
+  error.retryAt = holder.expiresAt;
+  return error;
+}
+
+function lockLostError(owner) {
+  const error = new Error(`Execution lock of run ${owner} was lost`);
+  error.code = EXECUTION_LOCK_LOST;
+  return error;
+}
+
+/**
+ * A held lease. `signal` aborts when the lease is lost.
+ */
+export class ExecutionLease {
+  constructor(lock, ttlMs) {
+    this.trip = lock.trip;
+    this.tripId = lock.tripId;
+    this.owner = lock.owner;
+    this.ttlMs = ttlMs;
+    this.controller = new AbortController();
+    this.timer = null;
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  startRenewal() {
+    this.timer = setInterval(() => {
+      this.renew().catch(error => log.warn(`Failed to renew lock of trip ${this.tripId}: ${error.message}`));
+    }, Math.max(1, Math.floor(this.ttlMs / 3)));
+    this.timer.unref();
+  }
+
+  /**
+   * Push the expiry out by another TTL
+   * @returns {Promise<boolean>} false once the lease is lost
+   */
+  async renew() {
+    if (this.signal.aborted) return false;
+
+    const now = new Date();
+    const result = await ExecutionLock.updateOne(
+      { trip: this.trip, owner: this.owner, expiresAt: { $gt: now } },
+      { $set: { renewedAt: now, expiresAt: new Date(now.getTime() + this.ttlMs) } }
+    );
+
+    if (result.matchedCount === 0) {
+      this.lose();
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Throw unless the lease is still held; checked before results are saved
+   */
+  async assertHeld() {
+    this.signal.throwIfAborted();
+
+    const held = await ExecutionLock.exists({ trip: this.trip, owner: this.owner, expiresAt: { $gt: new Date() } });
+    if (!held) {
+      this.lose();
+      this.signal.throwIfAborted();
+    }
+  }
+
+  lose() {
+    if (this.signal.aborted) return;
+    log.warn(`🔓 Lost execution lock of trip ${this.tripId} (run ${this.owner})`);
+    this.controller.abort(lockLostError(this.owner));
+  }
+
+  async release() {
+    clearInterval(this.timer);
+    if (this.signal.aborted) return;
+
+    await ExecutionLock.deleteOne({ trip: this.trip, owner: this.owner });
+    log.debug(`Released execution lock of trip ${this.tripId} (run ${this.owner})`);
+  }
+}
+
+/**
+ * Take the trip's lock, or an expired lease on it
+ * @param {Object} trip - Trip document (needs _id and tripId)
+ * @param {Object} [options] - { source, jobId, ttlMs }
+ * @returns {Promise<ExecutionLease>}
+ * @throws {Error} EXECUTION_LOCKED while another run holds an unexpired lease
+ */
+export async function acquire(trip, { source = 'orchestrator', jobId = null, ttlMs = env.executionLockTtlMs } = {}) {
+  const now = new Date();
+  const owner = createExecutionRunId();
+
+  try {
+    const lock = await ExecutionLock.findOneAndUpdate(
+      { trip: trip._id, expiresAt: { $lte: now } },
+      {
+        $set: {
+          tripId: trip.tripId,
+          owner,
+          source,
+          jobId,
+          acquiredAt: now,
+          renewedAt: now,
+          expiresAt: new Date(now.getTime() + ttlMs)
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    const lease = new ExecutionLease(lock, ttlMs);
+    lease.startRenewal();
+    log.info(`🔒 Run ${owner} holds the execution lock of trip ${trip.tripId}`, { source, jobId });
+    return lease;
+  } catch (error) {
+    // The upsert collides with an unexpired lock on the same trip
+    if (error.code !== DUPLICATE_KEY) throw error;
+
+    const holder = await getHolder(trip._id);
+    if (!holder) {
+      // Released between the two queries
+      return acquire(trip, { source, jobId, ttlMs });
+    }
+    throw lockedError(holder);
+  }
+}
+
+/**
+ * Run `fn(lease)` while holding the trip's lock
+ */
+export async function withExecutionLock(trip, options, fn) {
+  const lease = await acquire(trip, options);
+  try {
+    return await fn(lease);
+  } finally {
+    await lease.release();
+  }
+}
+
+/**
+ * The unexpired lock on a trip, if any
+ * @returns {Promise<Object|null>}
+ */
+export async function getHolder(tripObjectId) {
+  return ExecutionLock.findOne({ trip: tripObjectId, expiresAt: { $gt: new Date() } }).lean();
+}
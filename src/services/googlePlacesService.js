@@ -111,7 +111,7 @@ class GooglePlacesService {
   /**
    * Convert destination string to lat/lng coordinates using Google Geocoding API
    */
-  async geocodeDestination(destination) {
+  async geocodeDestination(destination, { signal } = {}) {
     try {
       if (!this.apiKey) {
         throw new Error('Google Maps API key is required');
@@ -122,7 +122,8 @@ class GooglePlacesService {
           address: destination,
           key: this.apiKey
         },
-        timeout: 10000
+        timeout: 10000,
+        signal
       });
 
       // Handle different API error statuses
@@ -177,7 +178,8 @@ class GooglePlacesService {
         keyword = '',
         minprice = 0,
         maxprice = 4,
-        opennow = false
+        opennow = false,
+        signal
       } = options;
 
       const params = {
@@ -195,7 +197,8 @@ class GooglePlacesService {
 
       const response = await axios.get(this.placesNearbyUrl, {
         params,
-        timeout: 15000
+        timeout: 15000,
+        signal
       });
 
       // Handle different API error statuses  
@@ -508,7 +511,8 @@ class GooglePlacesService {
         departure_time,
         arrival_time,
         avoid = [],
-        units = 'metric'
+        units = 'metric',
+        signal
       } = options;
 
       const params = {
@@ -536,7 +540,8 @@ class GooglePlacesService {
 
       const response = await axios.get(this.directionsUrl, {
         params,
-        timeout: 15000
+        timeout: 15000,
+        signal
       });
 
       // Handle different API error statuses
@@ -595,6 +600,7 @@ class GooglePlacesService {
             routes.push(...convertedRoutes);
           }
         } catch (modeError) {
+          options.signal?.throwIfAborted();
           log.warn(`Failed to get ${mode} directions: ${modeError.message}`);
           // Continue with other modes if one fails
         }
@@ -0,0 +1,91 @@
+/**
+ * Itinerary Service
+ *
+ * Persists the day-by-day plan built by TripOrchestrator.generateEnhancedItinerary.
+ * Days reference stored Recommendation documents rather than raw agent payloads,
+ * so the plan survives a reload.
+ */
+
+import { Itinerary } from '../models/index.js';
+import * as recommendationService from './recommendationService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'ItineraryService' });
+
+const ITINERARY_TYPES = ['activity', 'restaurant'];
+
+// ===== CANDIDATE LOADING =====
+
+/**
+ * Load the stored recommendations an itinerary should be built from.
+ * User selections win over the raw agent output once any exist; they come in
+ * rank order, and `pinnedDays` maps the ids of selections pinned to a day.
+ */
+export async function loadItineraryCandidates(trip) {
+  const selected = trip.selectedRecommendations || {};
+  const hasSelections = ITINERARY_TYPES.some(type => (selected[type] || []).length > 0);
+  const basedOn = hasSelections ? 'selections' : 'recommendations';
+
+  const recommendations = {};
+  const pinnedDays = {};
+  for (const type of ITINERARY_TYPES) {
+    const entries = hasSelections
+      ? [...(selected[type] || [])].sort((a, b) => (a.selectionRank || 0) - (b.selectionRank || 0))
+      : [];
+    const ids = hasSelections
+      ? entries.map(entry => entry.recommendation).filter(Boolean)
+      : (trip.recommendations?.[type] || []);
+    recommendations[type] = await recommendationService.loadRecommendationsInOrder(ids);
+
+    for (const entry of entries) {
+      if (entry.day && entry.recommendation) pinnedDays[entry.recommendation.toString()] = entry.day;
+    }
+  }
+
+  const [hotel] = await recommendationService.loadPreferredRecommendations(trip, 'accommodation', 1);
+
+  return { recommendations, pinnedDays, hotel: hotel || null, basedOn };
+}
+
+// ===== PERSISTENCE =====
+
+export function toItineraryDays(planDays = []) {
+  const idsOf = (items = []) => items.map(item => item?._id).filter(Boolean);
+
+  return planDays.map(day => ({
+    day: day.day,
+    date: new Date(day.date),
+    activities: idsOf(day.activities),
+    restaurants: idsOf(day.restaurants),
+    geographicCluster: day.geographicCluster || undefined,
+    notes: day.notes || undefined
+  }));
+}
+
+export async function saveItinerary(trip, planDays, { source = 'orchestrator', basedOn = 'recommendations' } = {}) {
+  const days = toItineraryDays(planDays);
+
+  const itinerary = await Itinerary.findOneAndUpdate(
+    { trip: trip._id },
+    {
+      $set: {
+        tripId: trip.tripId,
+        days,
+        source,
+        basedOn,
+        generatedAt: new Date()
+      },
+      $inc: { version: 1 }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  log.info(`Saved ${days.length}-day itinerary for trip ${trip.tripId}`, { source, basedOn, version: itinerary.version });
+  return itinerary;
+}
+
+export async function getItinerary(trip) {
+  return Itinerary.findOne({ trip: trip._id })
+    .populate('days.activities')
+    .populate('days.restaurants');
+}
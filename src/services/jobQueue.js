@@ -0,0 +1,216 @@
+/**
+ * Job Queue Service
+ *
+ * MongoDB-backed queue for background work (orchestrator runs, agent reruns).
+ * Jobs survive process restarts: a worker claims a job atomically, sends
+ * heartbeats while it runs, and a job whose heartbeat goes stale is reclaimed
+ * by the next poll. Failed attempts are retried with exponential backoff until
+ * maxAttempts, after which the job is dead-lettered.
+ */
+
+import { Job } from '../models/index.js';
+import { JOB_STATUSES, ACTIVE_JOB_STATUSES } from '../constants/jobTypes.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'JobQueue' });
+
+// ===== PRODUCERS =====
+
+/**
+ * Queue a job for the worker
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} options - { trip, payload, maxAttempts, runAt, requestedBy }
+ *   (requestedBy: req.user of the request that queued the job)
+ */
+export async function enqueue(type, { trip, payload = {}, maxAttempts = env.jobMaxAttempts, runAt = new Date(), requestedBy = null } = {}) {
+  const job = await Job.create({
+    type,
+    trip: trip?._id,
+    tripId: trip?.tripId,
+    payload,
+    ...(requestedBy && { requestedBy: { userId: requestedBy.id, authMethod: requestedBy.authMethod } }),
+    maxAttempts,
+    runAt
+  });
+
+  log.info(`Queued ${type} job ${job.jobId}`, { tripId: job.tripId });
+  return job;
+}
+
+export async function getJob(jobId) {
+  return Job.findOne({ jobId });
+}
+
+export async function hasActiveJob(tripObjectId) {
+  const count = await Job.countDocuments({
+    trip: tripObjectId,
+    status: { $in: ACTIVE_JOB_STATUSES }
+  });
+  return count > 0;
+}
+
+/**
+ * Cancel a trip's jobs that have not been claimed yet. Running jobs are left
+ * to the worker; the orchestrator stops at its next cancellation check.
+ * @param {ObjectId} tripObjectId
+ * @param {Object} [filter] - Narrows the jobs, e.g. `{ type, 'payload.agentType' }`
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+export async function cancelQueuedJobs(tripObjectId, filter = {}) {
+  const result = await Job.updateMany(
+    { ...filter, trip: tripObjectId, status: JOB_STATUSES.QUEUED },
+    { $set: { status: JOB_STATUSES.CANCELLED, completedAt: new Date() } }
+  );
+
+  if (result.modifiedCount > 0) {
+    log.info(`Cancelled ${result.modifiedCount} queued job(s) for trip ${tripObjectId}`);
+  }
+  return result.modifiedCount;
+}
+
+// ===== WORKER OPERATIONS =====
+
+/**
+ * Jobs a worker may claim at `now`: queued jobs that are due, and running jobs
+ * whose heartbeat is older than JOB_STALE_AFTER_MS
+ */
+export function buildClaimFilter(now = new Date()) {
+  const staleBefore = new Date(now.getTime() - env.jobStaleAfterMs);
+
+  return {
+    $or: [
+      { status: JOB_STATUSES.QUEUED, runAt: { $lte: now } },
+      { status: JOB_STATUSES.RUNNING, heartbeatAt: { $lt: staleBefore } }
+    ]
+  };
+}
+
+/**
+ * Atomically claim the next due job, including running jobs whose worker
+ * stopped sending heartbeats.
+ */
+export async function claimNext(workerId) {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    buildClaimFilter(now),
+    {
+      $set: {
+        status: JOB_STATUSES.RUNNING,
+        lockedBy: workerId,
+        startedAt: now,
+        heartbeatAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Refresh the heartbeat. Returns false when the job is no longer held by
+ * this worker (it was reclaimed after going stale).
+ */
+export async function heartbeat(job, workerId) {
+  const result = await Job.updateOne(
+    { _id: job._id, status: JOB_STATUSES.RUNNING, lockedBy: workerId },
+    { $set: { heartbeatAt: new Date() } }
+  );
+  return result.matchedCount > 0;
+}
+
+export async function complete(job, workerId, result = null) {
+  return Job.findOneAndUpdate(
+    { _id: job._id, lockedBy: workerId },
+    {
+      $set: {
+        status: JOB_STATUSES.COMPLETED,
+        completedAt: new Date(),
+        lockedBy: null,
+        result
+      }
+    },
+    { new: true }
+  );
+}
+
+export function computeBackoff(attempts) {
+  const delay = env.jobBackoffBaseMs * 2 ** Math.max(0, attempts - 1);
+  return Math.min(delay, env.jobBackoffMaxMs);
+}
+
+/**
+ * Update recording a failed attempt: back in the queue after the backoff, or
+ * dead once attempts are exhausted (or immediately when retry is false).
+ * @returns {{ update: Object, exhausted: boolean }}
+ */
+export function buildFailureUpdate(job, error, { retry = true, now = new Date() } = {}) {
+  const exhausted = !retry || job.attempts >= job.maxAttempts;
+  const failure = {
+    attempt: job.attempts,
+    message: error.message,
+    stack: error.stack,
+    failedAt: now
+  };
+
+  const update = {
+    $set: {
+      lockedBy: null,
+      lastError: { message: error.message, failedAt: now }
+    },
+    $push: { failures: failure }
+  };
+
+  if (exhausted) {
+    update.$set.status = JOB_STATUSES.DEAD;
+    update.$set.completedAt = now;
+  } else {
+    update.$set.status = JOB_STATUSES.QUEUED;
+    update.$set.runAt = new Date(now.getTime() + computeBackoff(job.attempts));
+  }
+
+  return { update, exhausted };
+}
+
+/**
+ * Record a failed attempt: requeue with backoff, or dead-letter once
+ * attempts are exhausted (or immediately when retry is false).
+ */
+export async function fail(job, workerId, error, { retry = true } = {}) {
+  const { update, exhausted } = buildFailureUpdate(job, error, { retry });
+
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, lockedBy: workerId },
+    update,
+    { new: true }
+  );
+
+  if (exhausted) {
+    log.error(`Job ${job.jobId} dead-lettered after ${job.attempts} attempts: ${error.message}`);
+  } else {
+    log.warn(`Job ${job.jobId} attempt ${job.attempts} failed, retrying at ${updated?.runAt?.toISOString()}`, {
+      error: error.message
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Put a claimed job back in the queue until `runAt` without counting the
+ * attempt, e.g. while another run holds the trip's execution lock.
+ */
+export async function defer(job, workerId, runAt, reason) {
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, lockedBy: workerId },
+    {
+      $set: { status: JOB_STATUSES.QUEUED, lockedBy: null, runAt },
+      $inc: { attempts: -1 }
+    },
+    { new: true }
+  );
+
+  log.info(`Job ${job.jobId} deferred until ${runAt.toISOString()}: ${reason}`);
+  return updated;
+}
@@ -0,0 +1,196 @@
+/**
+ * Job Worker
+ *
+ * Poll loop that claims jobs from the queue and runs the matching handler.
+ * One job runs at a time per process; heartbeats keep the claim alive while
+ * the handler works. On start the worker reconciles trips whose agents were
+ * left `running` by a process that died without a queued job to resume them.
+ */
+
+import os from 'os';
+import { Trip } from '../models/index.js';
+import { AGENT_TYPE_LIST } from '../constants/agentTypes.js';
+import jobHandlers from '../jobs/handlers.js';
+import * as jobQueue from './jobQueue.js';
+import * as executionLock from './executionLock.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'JobWorker' });
+
+const SHUTDOWN_GRACE_MS = 10000;
+const INTERRUPTED_AGENT_STATUSES = ['running', 'pending'];
+
+export class JobWorker {
+  constructor(handlers = jobHandlers, options = {}) {
+    this.handlers = handlers;
+    this.workerId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substring(2, 8)}`;
+    this.pollIntervalMs = options.pollIntervalMs ?? env.jobPollIntervalMs;
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs ?? env.jobHeartbeatIntervalMs;
+    this.running = false;
+    this.timer = null;
+    this.currentJob = null;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.reconcileStaleExecutions();
+    } catch (error) {
+      log.error('Failed to reconcile stale executions', { error: error.message });
+    }
+
+    log.info(`Job worker ${this.workerId} started`, { pollIntervalMs: this.pollIntervalMs });
+    this.schedule(0);
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+
+    if (this.currentJob) {
+      log.info('Waiting for in-flight job before shutdown...');
+      // Anything still running after the grace period is reclaimed once its heartbeat goes stale
+      await Promise.race([
+        this.currentJob,
+        new Promise(resolve => setTimeout(resolve, SHUTDOWN_GRACE_MS).unref())
+      ]);
+    }
+
+    log.info(`Job worker ${this.workerId} stopped`);
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    if (!this.running) return;
+
+    let processed = false;
+    try {
+      processed = await this.processNext();
+    } catch (error) {
+      log.error('Job poll failed', { error: error.message });
+    }
+
+    if (this.running) {
+      // Drain back-to-back while there is work, otherwise wait for the next poll
+      this.schedule(processed ? 0 : this.pollIntervalMs);
+    }
+  }
+
+  async processNext() {
+    const job = await jobQueue.claimNext(this.workerId);
+    if (!job) return false;
+
+    this.currentJob = this.runJob(job);
+    try {
+      await this.currentJob;
+    } finally {
+      this.currentJob = null;
+    }
+    return true;
+  }
+
+  async runJob(job) {
+    const handler = this.handlers[job.type];
+
+    if (!handler) {
+      await jobQueue.fail(job, this.workerId, new Error(`No handler registered for job type: ${job.type}`), { retry: false });
+      return;
+    }
+
+    // Reclaimed after the last allowed attempt died mid-run
+    if (job.attempts > job.maxAttempts) {
+      await jobQueue.fail(job, this.workerId, new Error('Worker stopped responding during final attempt'), { retry: false });
+      return;
+    }
+
+    log.info(`▶️  Running ${job.type} job ${job.jobId} (attempt ${job.attempts}/${job.maxAttempts})`, { tripId: job.tripId });
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const owned = await jobQueue.heartbeat(job, this.workerId);
+        if (!owned) {
+          log.warn(`Lost claim on job ${job.jobId}; another worker may have reclaimed it`);
+        }
+      } catch (error) {
+        log.warn(`Heartbeat failed for job ${job.jobId}`, { error: error.message });
+      }
+    }, this.heartbeatIntervalMs);
+
+    try {
+      const result = await handler(job);
+      await jobQueue.complete(job, this.workerId, result ?? null);
+      log.info(`✅ Job ${job.jobId} completed`);
+    } catch (error) {
+      if (error.code === executionLock.EXECUTION_LOCKED) {
+        // Another run holds the trip; try again once its lease could have run out
+        await jobQueue.defer(job, this.workerId, error.retryAt, error.message);
+        return;
+      }
+      log.error(`❌ Job ${job.jobId} failed: ${error.message}`, { stack: error.stack });
+      await jobQueue.fail(job, this.workerId, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Fail agents stuck in running/pending on trips that have no queued or
+   * running job left to finish them and no live execution lock (e.g. runs
+   * lost to a restart).
+   */
+  async reconcileStaleExecutions() {
+    const stuckClauses = AGENT_TYPE_LIST.map(type => ({
+      [`agentExecution.agents.${type}.status`]: { $in: INTERRUPTED_AGENT_STATUSES }
+    }));
+
+    const trips = await Trip.find({
+      $or: [{ 'agentExecution.status': 'in_progress' }, ...stuckClauses]
+    });
+
+    let reconciled = 0;
+    const now = new Date();
+
+    for (const trip of trips) {
+      if (await jobQueue.hasActiveJob(trip._id)) continue;
+      if (await executionLock.getHolder(trip._id)) continue;
+
+      const update = {};
+      for (const type of AGENT_TYPE_LIST) {
+        const status = trip.agentExecution?.agents?.[type]?.status;
+        if (INTERRUPTED_AGENT_STATUSES.includes(status)) {
+          update[`agentExecution.agents.${type}.status`] = 'failed';
+          update[`agentExecution.agents.${type}.completedAt`] = now;
+          update[`agentExecution.agents.${type}.errors`] = [{
+            message: 'Execution was interrupted before completion',
+            timestamp: now
+          }];
+        }
+      }
+
+      if (trip.agentExecution?.status === 'in_progress') {
+        update['agentExecution.status'] = 'failed';
+        update['agentExecution.completedAt'] = now;
+      }
+      if (trip.status === 'planning') {
+        update.status = 'failed';
+      }
+
+      await Trip.findByIdAndUpdate(trip._id, update);
+      reconciled++;
+      log.warn(`Reconciled interrupted execution for trip ${trip.tripId}`);
+    }
+
+    if (reconciled > 0) {
+      log.info(`Reconciled ${reconciled} interrupted trip execution(s)`);
+    }
+    return reconciled;
+  }
+}
+
+export default new JobWorker();
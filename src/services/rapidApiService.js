@@ -46,7 +46,12 @@ class RapidApiHotelService {
     return this.apiKey;
   }
 
-  async searchHotels(searchParams) {
+  /**
+   * @param {Object} searchParams
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the lookup and search requests
+   */
+  async searchHotels(searchParams, { signal } = {}) {
     const apiKey = this.getApiKey();
 
     if (!apiKey) {
@@ -74,7 +79,7 @@ class RapidApiHotelService {
         placeId
       });
 
-      const destId = await this.resolveDestinationId(destination, { country, placeId });
+      const destId = await this.resolveDestinationId(destination, { country, placeId, signal });
       log.debug(`Using destination ID: ${destId} for ${destination}`);
 
       // Build query parameters with the EXACT field names the API expects
@@ -104,7 +109,8 @@ class RapidApiHotelService {
         headers: {
           'X-RapidAPI-Key': apiKey,
           'X-RapidAPI-Host': 'booking-com.p.rapidapi.com'
-        }
+        },
+        signal
       });
 
       log.debug('RapidAPI Response Status', { status: response.status });
@@ -147,6 +153,9 @@ class RapidApiHotelService {
       return hotels.slice(0, maxResults);
 
     } catch (error) {
+      // A timeout or cancellation is not a provider failure
+      signal?.throwIfAborted();
+
       log.error('RapidAPI hotel search error', { error: error.message, stack: error.stack });
 
       if (error.message.includes('401') || error.message.includes('403')) {
@@ -163,7 +172,7 @@ class RapidApiHotelService {
     }
   }
 
-  async resolveDestinationId(destination, { country, placeId, coordinates } = {}) {
+  async resolveDestinationId(destination, { country, placeId, coordinates, signal } = {}) {
     const key = (destination || '').toLowerCase().trim();
     if (!key) {
       throw new Error('Destination is required to resolve destination ID');
@@ -197,7 +206,8 @@ class RapidApiHotelService {
         headers: {
           'X-RapidAPI-Key': apiKey,
           'X-RapidAPI-Host': 'booking-com.p.rapidapi.com'
-        }
+        },
+        signal
       });
 
       log.debug('RapidAPI destination lookup status', { status: response.status });
@@ -229,6 +239,7 @@ class RapidApiHotelService {
         log.warn(`Destination lookup returned no dest_id for "${destination}"`, { candidates: candidates.length });
       }
     } catch (error) {
+      signal?.throwIfAborted();
       log.warn(`Destination lookup error for "${destination}": ${error.message}`);
     }
 
@@ -241,7 +252,8 @@ class RapidApiHotelService {
         headers: {
           'X-RapidAPI-Key': apiKey,
           'X-RapidAPI-Host': 'booking-com.p.rapidapi.com'
-        }
+        },
+        signal
       });
       log.debug('RapidAPI alt destination lookup status', { status: altResp.status });
 
@@ -291,6 +303,7 @@ class RapidApiHotelService {
         log.warn(`Alternate destination lookup failed (${altResp.status}): ${altText}`);
       }
     } catch (error) {
+      signal?.throwIfAborted();
       log.warn(`Alternate destination lookup error for "${destination}": ${error.message}`);
     }
 
@@ -0,0 +1,349 @@
+/**
+ * Recommendation Normalizer
+ *
+ * Turns the loosely shaped entries agents return into Recommendation
+ * documents: prices with a priceType, 0-5 ratings, 0-1 confidence, location
+ * filled in from the trip, per-agent metadata and provider ids. Metadata,
+ * names and descriptions come from the agent definition's `normalizer`
+ * where it has one. Used by AgentRunner for every agent run.
+ */
+
+import { getAgentDefinition } from '../agents/definitions/index.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'RecommendationNormalizer' });
+
+/**
+ * Normalize an agent's output. Entries that cannot be normalized are left out
+ * and reported in `errors` (shaped like agentExecution error entries).
+ * @returns {{ records: Object[], errors: Object[] }}
+ */
+export function normalizeRecommendations(agentName, recommendations = [], trip = null) {
+  const records = [];
+  const errors = [];
+
+  recommendations.forEach((rawRecommendation) => {
+    try {
+      records.push(normalizeRecommendation(agentName, rawRecommendation, trip));
+    } catch (error) {
+      const message = extractRecommendationError(error);
+      errors.push({ message, timestamp: new Date(), stack: error?.stack });
+      log.error(`❌ Failed to normalize ${agentName} recommendation "${rawRecommendation?.name || rawRecommendation?.title || 'Unknown'}": ${message}`);
+    }
+  });
+
+  if (recommendations.length > 0 && records.length === 0) {
+    const errorSummary = errors.map((e) => e.message).join(' | ') || 'No normalization details available';
+    log.warn(`⚠️ ${agentName} normalization produced 0 records out of ${recommendations.length}. Reasons: ${errorSummary}`);
+  }
+
+  return { records, errors };
+}
+
+/**
+ * Average confidence of an agent's raw output
+ */
+export function calculateAgentConfidence(recommendations) {
+  if (!recommendations || recommendations.length === 0) return 0;
+
+  const scores = recommendations.map(rec => rec.confidence || calculateRecommendationConfidence(rec));
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+/**
+ * Map one raw agent result onto the Recommendation schema
+ * @param {string} agentName - Agent type
+ * @param {Object} rawRecommendation - Entry of the agent's `content.recommendations`
+ * @param {Object} [trip] - Supplies the destination and dates agents leave out
+ */
+export function normalizeRecommendation(agentName, rawRecommendation = {}, trip = null) {
+  const normalizedPrice = normalizePrice(agentName, rawRecommendation);
+  const normalizedRating = normalizeRating(rawRecommendation);
+  const location = normalizeLocation(rawRecommendation, trip);
+  const confidence = normalizeConfidence(agentName, rawRecommendation);
+  const agentMetadata = buildAgentMetadata(agentName, rawRecommendation, trip);
+  const externalIds = buildExternalIds(rawRecommendation);
+  const images = normalizeImages(rawRecommendation);
+  const name = buildRecommendationName(agentName, rawRecommendation, location);
+  const description = buildRecommendationDescription(agentName, rawRecommendation, normalizedPrice, normalizedRating);
+
+  log.debug(`🔍 Normalizing ${agentName} recommendation:`, {
+    rawName: rawRecommendation.name,
+    rawRating: rawRecommendation.rating?.score || rawRecommendation.rating,
+    rawPrice: rawRecommendation.price?.amount || rawRecommendation.price,
+    rawAddress: rawRecommendation.location?.address,
+    normalizedName: name,
+    normalizedRating: normalizedRating.score,
+    normalizedPrice: normalizedPrice.amount,
+    hasImages: images.length > 0,
+    imageCount: images.length
+  });
+
+  return {
+    agentType: agentName,
+    name,
+    description,
+    price: normalizedPrice,
+    rating: normalizedRating,
+    location,
+    confidence,
+    agentMetadata,
+    externalIds,
+    images
+  };
+}
+
+function normalizePrice(agentName, rawRecommendation) {
+  const rawAmount = rawRecommendation?.price?.amount ?? rawRecommendation?.price ?? rawRecommendation?.cost ?? 0;
+  const amount = Number(rawAmount);
+  const safeAmount = Number.isFinite(amount) && amount >= 0 ? amount : 0;
+
+  let currency = rawRecommendation?.price?.currency || rawRecommendation?.currency || 'USD';
+  if (typeof currency === 'string') {
+    currency = currency.trim().toUpperCase().slice(0, 3) || 'USD';
+  } else {
+    currency = 'USD';
+  }
+
+  // Log currency mismatch if not USD
+  const requestedCurrency = rawRecommendation?.requestedCurrency || 'USD';
+  if (currency !== requestedCurrency && safeAmount > 0) {
+    log.warn(`⚠️ ${agentName} currency mismatch: expected ${requestedCurrency}, got ${currency} for ${rawRecommendation.name || 'item'} (${safeAmount} ${currency})`);
+  }
+
+  const rawPriceType = rawRecommendation?.price?.priceType;
+  const allowedPriceTypes = ['per_person', 'per_night', 'per_room', 'per_group', 'total'];
+  const priceType = allowedPriceTypes.includes(rawPriceType) ? rawPriceType : getPriceType(agentName);
+
+  return {
+    amount: safeAmount,
+    currency,
+    priceType,
+    originalCurrency: rawRecommendation?.currency || rawRecommendation?.price?.currency, // Track original
+    requestedCurrency // Track what was requested
+  };
+}
+
+function normalizeRating(rawRecommendation = {}) {
+  let score = rawRecommendation?.rating?.score ?? rawRecommendation?.rating ?? rawRecommendation?.score ?? 0;
+
+  if (typeof score === 'string') {
+    const parsed = parseFloat(score);
+    score = Number.isFinite(parsed) ? parsed : 0;
+  }
+
+  if (Number.isFinite(score)) {
+    if (score > 5 && score <= 10) {
+      score = score / 2;
+    } else if (score > 10) {
+      score = 5;
+    }
+  } else {
+    score = 0;
+  }
+
+  score = Math.max(0, Math.min(5, score));
+
+  const reviewCount = rawRecommendation?.rating?.reviewCount ?? rawRecommendation?.reviewCount ?? 0;
+  const normalizedReviewCount = Number.isFinite(Number(reviewCount)) ? Number(reviewCount) : 0;
+
+  const source = rawRecommendation?.rating?.source ||
+    rawRecommendation?.source ||
+    rawRecommendation?.airline ||
+    rawRecommendation?.provider ||
+    'agent';
+
+  return {
+    score,
+    reviewCount: normalizedReviewCount,
+    source
+  };
+}
+
+function normalizeLocation(rawRecommendation = {}, trip = null) {
+  const tripDestination = trip?.destination || {};
+  const sourceLocation = rawRecommendation.location || {};
+  const coordinates = normalizeCoordinates(
+    sourceLocation.coordinates ||
+    rawRecommendation.coordinates ||
+    tripDestination.coordinates
+  );
+
+  const address = sourceLocation.address ||
+    rawRecommendation.address ||
+    (rawRecommendation.departure && rawRecommendation.arrival
+      ? `${rawRecommendation.departure.airport || 'Origin'} → ${rawRecommendation.arrival.airport || 'Destination'}`
+      : undefined);
+
+  const city = sourceLocation.city || tripDestination.name || tripDestination.city;
+  const country = sourceLocation.country || tripDestination.country;
+  const placeId = sourceLocation.placeId || tripDestination.placeId;
+
+  const location = {};
+  if (address) location.address = address;
+  if (city) location.city = city;
+  if (country) location.country = country;
+  if (coordinates) location.coordinates = coordinates;
+  if (placeId) location.placeId = placeId;
+
+  return location;
+}
+
+function normalizeCoordinates(rawCoordinates) {
+  if (!rawCoordinates) return undefined;
+
+  const latitude = rawCoordinates.latitude ?? rawCoordinates.lat ?? (Array.isArray(rawCoordinates) ? rawCoordinates[0] : undefined);
+  const longitude = rawCoordinates.longitude ?? rawCoordinates.lng ?? rawCoordinates.lon ?? (Array.isArray(rawCoordinates) ? rawCoordinates[1] : undefined);
+
+  const latNumber = Number(latitude);
+  const lonNumber = Number(longitude);
+
+  if (!Number.isFinite(latNumber) || !Number.isFinite(lonNumber)) {
+    return undefined;
+  }
+
+  return {
+    lat: latNumber,
+    lng: lonNumber
+  };
+}
+
+function normalizeConfidence(agentName, rawRecommendation = {}) {
+  let score = rawRecommendation?.confidence?.score ?? rawRecommendation?.confidence;
+
+  if (typeof score === 'number' && score > 1) {
+    score = score / 100;
+  }
+
+  if (!Number.isFinite(score)) {
+    score = calculateRecommendationConfidence(rawRecommendation);
+  }
+
+  score = Math.max(0, Math.min(1, score));
+
+  const reasoning = rawRecommendation?.confidence?.reasoning ||
+    rawRecommendation?.reasoning ||
+    `Generated by ${agentName} agent`;
+
+  return {
+    score,
+    reasoning
+  };
+}
+
+function buildAgentMetadata(agentName, rawRecommendation = {}, trip = null) {
+  const { metadata } = getAgentDefinition(agentName)?.normalizer || {};
+  return metadata ? metadata(rawRecommendation, trip) : rawRecommendation.agentMetadata || {};
+}
+
+/**
+ * Provider identifiers carried by a raw agent result. These are what lets a
+ * later run recognise the same hotel, flight or place.
+ */
+export function buildExternalIds(rec = {}) {
+  const externalIds = rec.externalIds || {};
+
+  const result = {
+    bookingId: rec.bookingId || externalIds.bookingId,
+    googlePlaceId: rec.googlePlaceId || rec.placeId || externalIds.googlePlaceId,
+    amadeusId: rec.amadeusId || externalIds.amadeusId,
+    providerId: rec.id || rec.providerId || externalIds.providerId
+  };
+
+  return Object.fromEntries(
+    Object.entries(result).filter(([, value]) => value !== undefined && value !== null)
+  );
+}
+
+function normalizeImages(rawRecommendation = {}) {
+  // Handle imageUrl string field (for activities)
+  if (rawRecommendation.imageUrl && typeof rawRecommendation.imageUrl === 'string') {
+    return [{
+      url: rawRecommendation.imageUrl,
+      alt: rawRecommendation.name || 'Activity image',
+      isPrimary: true
+    }];
+  }
+
+  // Handle images array
+  if (!Array.isArray(rawRecommendation.images)) {
+    return [];
+  }
+
+  return rawRecommendation.images
+    .map((image, index) => {
+      if (typeof image === 'string') {
+        return {
+          url: image,
+          alt: rawRecommendation.name
+            ? `${rawRecommendation.name} image ${index + 1}`
+            : `Recommendation image ${index + 1}`
+        };
+      }
+
+      if (image && typeof image === 'object' && image.url) {
+        return {
+          url: image.url,
+          alt: image.alt || rawRecommendation.name || undefined,
+          isPrimary: image.isPrimary || index === 0
+        };
+      }
+
+      return null;
+    })
+    .filter(Boolean);
+}
+
+function buildRecommendationName(agentName, rawRecommendation = {}, location = {}) {
+  const { name } = getAgentDefinition(agentName)?.normalizer || {};
+  return name
+    ? name(rawRecommendation, location)
+    : rawRecommendation.name || rawRecommendation.title || `${agentName} recommendation`;
+}
+
+function buildRecommendationDescription(agentName, rawRecommendation = {}, price, rating) {
+  const { description } = getAgentDefinition(agentName)?.normalizer || {};
+  return description
+    ? description(rawRecommendation, price, rating)
+    : rawRecommendation.description || rawRecommendation.summary || `Generated by ${agentName} agent`;
+}
+
+export function extractRecommendationError(error) {
+  if (!error) return 'Unknown validation error';
+  if (error.name === 'ValidationError' && error.errors) {
+    return Object.values(error.errors)
+      .map(err => err.message)
+      .join('; ');
+  }
+  return error.message || 'Unknown validation error';
+}
+
+function getPriceType(agentName) {
+  return getAgentDefinition(agentName)?.priceType || 'per_person';
+}
+
+function calculateRecommendationConfidence(rec) {
+  let confidence = 0.7; // Base confidence
+
+  const ratingScore = typeof rec.rating === 'number'
+    ? rec.rating
+    : rec.rating?.score;
+
+  if (ratingScore && ratingScore > 4.0) confidence += 0.1;
+
+  const reviewCount = rec.reviewCount ?? rec.rating?.reviewCount;
+  if (reviewCount && reviewCount > 100) confidence += 0.1;
+
+  const priceAmount = typeof rec.price === 'number'
+    ? rec.price
+    : rec.price?.amount;
+  if (priceAmount && priceAmount > 0) confidence += 0.05;
+
+  const hasCoordinates = Boolean(
+    rec.coordinates ||
+    rec.location?.coordinates
+  );
+  if (hasCoordinates) confidence += 0.05;
+  
+  return Math.min(confidence, 1.0);
+}
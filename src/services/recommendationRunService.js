@@ -0,0 +1,336 @@
+/**
+ * Recommendation Run Service
+ *
+ * Every agent run is kept as a numbered generation (RecommendationRun) instead
+ * of replacing the previous results. Recording a run points
+ * Trip.recommendations at it and carries the user's selections over to the
+ * same options (matched by provider id, or by name when they have none). The
+ * selections are rewritten only if they have not changed since they were read,
+ * as in selectionService. Only the newest RECOMMENDATION_RUNS_RETAINED runs
+ * per trip and agent type are kept.
+ */
+
+import crypto from 'crypto';
+import { Trip, Itinerary, Recommendation, RecommendationRun } from '../models/index.js';
+import env from '../config/env.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'RecommendationRunService' });
+
+const NOT_CANCELLED = { status: { $ne: 'cancelled' } };
+const DUPLICATE_KEY = 11000;
+const MAX_GENERATION_ATTEMPTS = 3;
+const MAX_ATTACH_ATTEMPTS = 3;
+
+export const createRunId = () => `run_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Keys identifying the same option across runs, one per known provider id
+ * (e.g. `amadeusId:XYZ`). Options without any provider id have no keys.
+ */
+export function getProviderKeys(rec) {
+  return Object.entries(rec?.externalIds?.toObject?.() || rec?.externalIds || {})
+    .filter(([, value]) => value)
+    .map(([kind, value]) => `${kind}:${value}`);
+}
+
+/**
+ * Key identifying an option within a run or across two runs: its first
+ * provider id, or its name when it has none
+ */
+export const optionKey = (rec) => getProviderKeys(rec)[0] || `name:${(rec.name || '').trim().toLowerCase()}`;
+
+// Keys an option is matched by: every provider id, or its name when it has none
+const matchKeys = (rec) => {
+  const keys = getProviderKeys(rec);
+  return keys.length > 0 ? keys : [optionKey(rec)];
+};
+
+/**
+ * Move selections onto the matching options of a new run. Options match on a
+ * shared provider id; options without one (e.g. AI-suggested activities and
+ * restaurants) match on their name.
+ * @param {Object[]} previous - selectedRecommendations entries for the agent type
+ * @param {Object[]} previousRecs - Recommendation documents behind `previous`
+ * @param {Object[]} nextRecs - Recommendation documents of the new run
+ * @returns {{ selections: Object[], carriedOver: Object[], dropped: Object[] }}
+ */
+export function carryOverSelections(previous = [], previousRecs = [], nextRecs = []) {
+  const nextByKey = new Map();
+  for (const rec of nextRecs) {
+    for (const key of matchKeys(rec)) {
+      if (!nextByKey.has(key)) nextByKey.set(key, rec._id);
+    }
+  }
+
+  const previousById = new Map(previousRecs.map(rec => [rec._id.toString(), rec]));
+  const selections = [];
+  const carriedOver = [];
+  const dropped = [];
+  const taken = new Set();
+
+  for (const entry of previous) {
+    const rec = previousById.get(entry.recommendation?.toString());
+    const match = rec && matchKeys(rec).map(key => nextByKey.get(key)).find(Boolean);
+
+    if (match && !taken.has(match.toString())) {
+      taken.add(match.toString());
+      selections.push({
+        recommendation: match,
+        selectedAt: entry.selectedAt,
+        selectedBy: entry.selectedBy,
+        ...(entry.day && { day: entry.day })
+      });
+      carriedOver.push({ from: entry.recommendation, to: match });
+    } else if (entry.recommendation) {
+      dropped.push(entry.recommendation);
+    }
+  }
+
+  // Ranks close up over dropped selections
+  return {
+    selections: selections.map((entry, index) => ({ ...entry, selectionRank: index + 1 })),
+    carriedOver,
+    dropped
+  };
+}
+
+async function createRunDocument(fields) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await RecommendationRun.findOne({ trip: fields.trip, agentType: fields.agentType })
+      .sort({ generation: -1 })
+      .select('generation')
+      .lean();
+
+    try {
+      return await RecommendationRun.create({ ...fields, generation: (latest?.generation || 0) + 1 });
+    } catch (error) {
+      // Another run of the same agent took this generation number first
+      if (error.code !== DUPLICATE_KEY || attempt >= MAX_GENERATION_ATTEMPTS) throw error;
+    }
+  }
+}
+
+// Recommendation ids the trip still points at: current results, selections and the itinerary
+async function findReferencedIds(tripObjectId) {
+  const [trip, itinerary] = await Promise.all([
+    Trip.findById(tripObjectId).select('recommendations selectedRecommendations').lean(),
+    Itinerary.findOne({ trip: tripObjectId }).select('days').lean()
+  ]);
+
+  const ids = [
+    ...Object.values(trip?.recommendations || {}).flat(),
+    ...Object.values(trip?.selectedRecommendations || {}).flat().map(entry => entry.recommendation),
+    ...(itinerary?.days || []).flatMap(day => [...(day.activities || []), ...(day.restaurants || [])])
+  ];
+  return new Set(ids.filter(Boolean).map(id => id.toString()));
+}
+
+// Delete runs (and their recommendations) beyond the retention limit. A run
+// whose recommendations the trip still references is kept until it no longer does.
+async function pruneRuns(tripObjectId, agentType) {
+  const candidates = await RecommendationRun.find({ trip: tripObjectId, agentType })
+    .sort({ generation: -1 })
+    .skip(Math.max(1, env.recommendationRunsRetained))
+    .select('runId recommendations')
+    .lean();
+
+  if (candidates.length === 0) return 0;
+
+  const referenced = await findReferencedIds(tripObjectId);
+  const expired = candidates.filter(run => !run.recommendations.some(id => referenced.has(id.toString())));
+  if (expired.length === 0) return 0;
+
+  await Recommendation.deleteMany({ _id: { $in: expired.flatMap(run => run.recommendations) } });
+  await RecommendationRun.deleteMany({ _id: { $in: expired.map(run => run._id) } });
+
+  log.info(`Pruned ${expired.length} old ${agentType} run(s)`, { trip: tripObjectId.toString() });
+  return expired.length;
+}
+
+/**
+ * Point the trip at a run's recommendations and carry its selections over,
+ * retrying from a fresh read when a select or unselect changed them between
+ * the read and the write (so it is not overwritten).
+ * @returns {Promise<{ trip: Object|null, attached: boolean, selections?: Object[], carriedOver?: Object[], dropped?: Object[] }>}
+ */
+async function attachRun(tripObjectId, agentType, recommendationIds, runId) {
+  const path = `selectedRecommendations.${agentType}`;
+  const nextRecs = await Recommendation.find({ _id: { $in: recommendationIds } }).select('name externalIds').lean();
+
+  for (let attempt = 1; attempt <= MAX_ATTACH_ATTEMPTS; attempt++) {
+    const trip = await Trip.findById(tripObjectId).select(`tripId status ${path}`).lean();
+    if (!trip || trip.status === 'cancelled') return { trip, attached: false };
+
+    const previous = trip.selectedRecommendations?.[agentType] || [];
+    const previousRecs = await Recommendation.find({ _id: { $in: previous.map(entry => entry.recommendation) } })
+      .select('name externalIds')
+      .lean();
+    const carried = carryOverSelections(previous, previousRecs, nextRecs);
+
+    const attached = await Trip.findOneAndUpdate({
+      _id: tripObjectId,
+      ...NOT_CANCELLED,
+      $expr: { $eq: [{ $ifNull: [`$${path}`, []] }, { $literal: previous }] }
+    }, {
+      [`recommendations.${agentType}`]: recommendationIds,
+      [path]: carried.selections
+    });
+    if (attached) return { trip, attached: true, ...carried };
+
+    log.debug(`Selections for ${agentType} changed while recording a run, retrying`, { runId, attempt });
+  }
+
+  throw new Error(`Selections for ${agentType} kept changing while recording run ${runId}`);
+}
+
+/**
+ * Record a finished agent run and make it the trip's current results.
+ * Once the trip has been cancelled it is left untouched and no run is
+ * recorded; the run's recommendations are discarded if the trip has been deleted.
+ *
+ * @param {ObjectId} tripObjectId
+ * @param {string} agentType
+ * @param {ObjectId[]} recommendationIds - Recommendations saved by the run, in rank order
+ * @param {Object} options
+ * @param {string} options.runId - Stamped on the recommendations when they were saved
+ * @param {string} [options.source='orchestrator'] - 'orchestrator' or 'agent'
+ * @returns {Promise<{ run: Object, attached: boolean }>}
+ */
+export async function recordRun(tripObjectId, agentType, recommendationIds, { runId, source = 'orchestrator' }) {
+  const { trip, attached, selections, carriedOver, dropped } = await attachRun(tripObjectId, agentType, recommendationIds, runId);
+
+  if (!trip) {
+    // Trip deleted while the agent ran
+    await Recommendation.deleteMany({ _id: { $in: recommendationIds } });
+    return { run: null, attached: false };
+  }
+  if (!attached) {
+    // Cancelled while the agent ran: the run is not recorded
+    log.info(`Not recording ${agentType} run for cancelled trip ${trip.tripId}`, { runId });
+    return { run: null, attached: false };
+  }
+
+  const run = await createRunDocument({
+    runId,
+    trip: tripObjectId,
+    tripId: trip.tripId,
+    agentType,
+    source,
+    recommendations: recommendationIds,
+    carriedOverSelections: carriedOver,
+    droppedSelections: dropped
+  });
+
+  if (selections.length > 0) {
+    await Promise.all(selections.map(entry => Recommendation.updateOne({ _id: entry.recommendation }, {
+      'selection.isSelected': true,
+      'selection.selectedAt': entry.selectedAt,
+      'selection.selectedBy': entry.selectedBy,
+      'selection.selectionRank': entry.selectionRank
+    })));
+  }
+
+  log.info(`Recorded ${agentType} run #${run.generation} for trip ${trip.tripId}`, {
+    runId,
+    recommendations: recommendationIds.length,
+    carriedOver: carriedOver.length,
+    dropped: dropped.length
+  });
+
+  await pruneRuns(tripObjectId, agentType);
+
+  return { run, attached: true };
+}
+
+// ===== LOOKUP =====
+
+const toRunSummary = (run, latestGeneration) => ({
+  runId: run.runId,
+  generation: run.generation,
+  isCurrent: run.generation === latestGeneration,
+  source: run.source,
+  recommendationCount: run.recommendations.length,
+  carriedOverSelections: run.carriedOverSelections.length,
+  droppedSelections: run.droppedSelections.length,
+  completedAt: run.completedAt
+});
+
+/**
+ * Runs for a trip and agent type, newest first
+ */
+export async function listRuns(tripObjectId, agentType) {
+  const runs = await RecommendationRun.find({ trip: tripObjectId, agentType })
+    .sort({ generation: -1 })
+    .lean();
+
+  return runs.map(run => toRunSummary(run, runs[0].generation));
+}
+
+/**
+ * Find a run by runId or generation number
+ */
+export async function findRun(tripObjectId, agentType, ref) {
+  const query = { trip: tripObjectId, agentType };
+  if (/^\d+$/.test(String(ref))) {
+    query.generation = Number(ref);
+  } else {
+    query.runId = ref;
+  }
+  return RecommendationRun.findOne(query).lean();
+}
+
+const toDiffEntry = (rec) => ({
+  recommendationId: rec._id,
+  name: rec.name,
+  price: rec.price
+});
+
+/**
+ * Options added, removed and repriced between two runs. Options are matched by
+ * provider id, or by name when they have none.
+ */
+export async function diffRuns(fromRun, toRun) {
+  const [fromRecs, toRecs] = await Promise.all([
+    Recommendation.find({ _id: { $in: fromRun.recommendations } }).select('name price externalIds').lean(),
+    Recommendation.find({ _id: { $in: toRun.recommendations } }).select('name price externalIds').lean()
+  ]);
+
+  const fromByKey = new Map(fromRecs.map(rec => [optionKey(rec), rec]));
+  const toByKey = new Map(toRecs.map(rec => [optionKey(rec), rec]));
+
+  const added = [];
+  const repriced = [];
+  let unchanged = 0;
+
+  for (const [key, rec] of toByKey) {
+    const before = fromByKey.get(key);
+    if (!before) {
+      added.push(toDiffEntry(rec));
+    } else if (before.price?.amount !== rec.price?.amount || before.price?.currency !== rec.price?.currency) {
+      const change = Math.round(((rec.price?.amount || 0) - (before.price?.amount || 0)) * 100) / 100;
+      repriced.push({
+        name: rec.name,
+        from: { recommendationId: before._id, price: before.price },
+        to: { recommendationId: rec._id, price: rec.price },
+        change,
+        changePercent: before.price?.amount ? Math.round((change / before.price.amount) * 1000) / 10 : null
+      });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const removed = [...fromByKey.entries()]
+    .filter(([key]) => !toByKey.has(key))
+    .map(([, rec]) => toDiffEntry(rec));
+
+  return {
+    from: { runId: fromRun.runId, generation: fromRun.generation },
+    to: { runId: toRun.runId, generation: toRun.generation },
+    added,
+    removed,
+    repriced,
+    unchanged
+  };
+}
@@ -4,210 +4,103 @@
  * Handles business logic for recommendation processing and persistence
  */
 
-import { Recommendation } from '../models/index.js';
+import { Trip, Recommendation, RecommendationRun } from '../models/index.js';
+import { getAgentDefinition } from '../agents/definitions/index.js';
 import logger from '../utils/logger.js';
 
 const log = logger.child({ scope: 'RecommendationService' });
 
-// ===== RESULT EXTRACTION =====
-
-export function extractRawResults(searchResult) {
-  if (Array.isArray(searchResult)) {
-    return searchResult;
-  }
-
-  // Check various nesting locations
-  if (searchResult?.recommendations) {
-    return searchResult.recommendations;
-  }
-
-  if (searchResult?.results) {
-    return searchResult.results;
-  }
-
-  if (searchResult?.content?.recommendations) {
-    return searchResult.content.recommendations;
-  }
-
-  return [];
-}
-
-export async function rankResults(agent, rawResults) {
-  if (!agent.rank || !rawResults.length) {
-    return rawResults;
-  }
-
-  try {
-    return await agent.rank(rawResults);
-  } catch (error) {
-    log.warn('Agent ranking failed, using raw results', { error: error.message });
-    return rawResults;
-  }
-}
-
-export async function generateRecommendations(agent, rankedResults, context) {
-  if (!agent.generateRecommendations || !rankedResults.length) {
-    return { recommendations: rankedResults, metadata: null };
-  }
-
-  try {
-    const generated = await agent.generateRecommendations(rankedResults, context);
-
-    if (generated?.content?.recommendations && Array.isArray(generated.content.recommendations)) {
-      return {
-        recommendations: generated.content.recommendations,
-        metadata: generated
-      };
-    }
-
-    return { recommendations: rankedResults, metadata: null };
-  } catch (error) {
-    log.warn('Agent generateRecommendations failed, using ranked results', { error: error.message });
-    return { recommendations: rankedResults, metadata: null };
-  }
-}
+// ===== PERSISTENCE =====
 
-export function selectBestResults(generated, ranked, raw) {
-  if (Array.isArray(generated) && generated.length > 0) {
-    return generated;
-  }
+/**
+ * Set Recommendation.trip on documents saved before the field existed, from
+ * the trips and runs that reference them. Safe to run repeatedly; returns
+ * immediately once nothing is left to fill in.
+ * @returns {Promise<{ updated: number, unowned: number }>}
+ */
+export async function backfillTripReferences() {
+  const missing = { trip: { $exists: false } };
+  if (!(await Recommendation.exists(missing))) {
+    return { updated: 0, unowned: 0 };
+  }
+
+  let updated = 0;
+  const assign = async (tripObjectId, ids) => {
+    if (ids.length === 0) return;
+    const result = await Recommendation.updateMany(
+      { _id: { $in: ids }, ...missing },
+      { $set: { trip: tripObjectId } }
+    );
+    updated += result.modifiedCount;
+  };
 
-  if (Array.isArray(ranked) && ranked.length > 0) {
-    return ranked;
+  for await (const trip of Trip.find().select('recommendations selectedRecommendations').lean().cursor()) {
+    await assign(trip._id, [
+      ...Object.values(trip.recommendations || {}).flat(),
+      ...Object.values(trip.selectedRecommendations || {}).flat().map(entry => entry.recommendation)
+    ].filter(Boolean));
   }
 
-  if (Array.isArray(raw) && raw.length > 0) {
-    return raw;
+  for await (const run of RecommendationRun.find().select('trip recommendations').lean().cursor()) {
+    await assign(run.trip, run.recommendations || []);
   }
 
-  return [];
+  const unowned = await Recommendation.countDocuments(missing);
+  log.info(`Backfilled trip on ${updated} recommendation(s)`, { unowned });
+  return { updated, unowned };
 }
 
-// ===== DATA NORMALIZATION =====
+// ===== LOOKUP =====
 
-export function normalizePrice(rec) {
-  const amount = rec?.totalPrice ?? rec?.price?.amount ?? rec?.price ?? 0;
-  const currency = rec?.price?.currency || rec?.currency || 'USD';
-  return { amount, currency };
-}
-
-export function normalizeRating(rec) {
-  const score = rec?.rating?.score ?? rec?.rating;
-  if (!score) return undefined;
-
-  return {
-    score,
-    reviewCount: rec.reviewCount || 0,
-    source: rec.source || 'agent'
-  };
-}
-
-export function normalizeConfidence(rec, metadata) {
-  const confidenceScore =
-    typeof rec?.confidence === 'number'
-      ? rec.confidence
-      : typeof rec?.confidence?.score === 'number'
-        ? rec.confidence.score
-        : typeof metadata?.content?.confidence === 'number'
-          ? metadata.content.confidence
-          : 0.5;
-
-  // Normalize to 0-1 range (many agents use 0-100)
-  if (typeof confidenceScore !== 'number' || Number.isNaN(confidenceScore)) {
-    return 0.5;
-  }
+/**
+ * Load Recommendation documents preserving the order of the given ids
+ */
+export async function loadRecommendationsInOrder(ids = []) {
+  if (ids.length === 0) return [];
 
-  if (confidenceScore > 1) {
-    return Math.min(1, confidenceScore / 100);
-  }
+  const docs = await Recommendation.find({ _id: { $in: ids } });
+  const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
 
-  if (confidenceScore < 0) {
-    return 0;
-  }
-
-  return confidenceScore;
+  return ids.map(id => byId.get(id.toString())).filter(Boolean);
 }
 
-export function normalizeImages(rec) {
-  if (!rec?.images) return [];
-
-  if (Array.isArray(rec.images)) {
-    return rec.images
-      .map((img, idx) => {
-        if (!img) return null;
-        if (typeof img === 'string') {
-          return { url: img, alt: rec.name || `image-${idx + 1}` };
-        }
-        if (typeof img === 'object' && img.url) {
-          return { url: img.url, alt: img.alt || rec.name };
-        }
-        return null;
-      })
-      .filter(Boolean);
-  }
-
-  if (typeof rec.images === 'string') {
-    return [{ url: rec.images, alt: rec.name }];
-  }
+/**
+ * Load the user's selections for an agent type, falling back to the agent's
+ * ranked recommendations when nothing has been selected yet.
+ */
+export async function loadPreferredRecommendations(trip, agentType, limit) {
+  const selected = (trip.selectedRecommendations?.[agentType] || [])
+    .map(entry => entry.recommendation)
+    .filter(Boolean);
+  const ids = selected.length > 0 ? selected : (trip.recommendations?.[agentType] || []);
 
-  return [];
+  return loadRecommendationsInOrder(limit ? ids.slice(0, limit) : ids);
 }
 
-// ===== PERSISTENCE =====
-
-export async function saveRecommendation(rec, agentType, metadata) {
-  try {
-    const price = normalizePrice(rec);
-    const rating = normalizeRating(rec);
-    const confidence = normalizeConfidence(rec, metadata);
-    const images = normalizeImages(rec);
-    const reasoning = rec?.reasoning || metadata?.content?.reasoning;
-
-    const recommendation = new Recommendation({
-      agentType,
-      name: rec.title || rec.name || rec.airline || rec.hotelName || 'Unnamed Recommendation',
-      description: rec.details || rec.description || rec.summary || JSON.stringify(rec).substring(0, 500),
-      price,
-      rating,
-      location: rec.location,
-      availability: rec.availability,
-      images,
-      confidence: {
-        score: confidence,
-        reasoning
-      },
-      agentMetadata: rec
-    });
-
-    const saved = await recommendation.save();
-    log.info(`✓ Saved recommendation: ${saved.name}`);
-    return { success: true, recommendation: saved };
-  } catch (error) {
-    log.error(`Failed to save recommendation: ${error.message}`, { rec });
-    return { success: false, error: error.message };
-  }
-}
+// ===== TRIP CONTEXT =====
 
-export async function saveRecommendationBatch(recommendations, agentType, metadata) {
-  if (!Array.isArray(recommendations) || recommendations.length === 0) {
-    log.warn(`No recommendations to save for ${agentType}`);
-    return [];
-  }
+/**
+ * Execution context the given agents write, rebuilt from their stored
+ * (selected or ranked) recommendations through each definition's
+ * `context.fromStored`. Used when those agents are not part of the run.
+ * @param {Object} trip
+ * @param {string[]} agentTypes
+ * @returns {Promise<Object>} e.g. { arrivalAirport, hotelLocation, selectedActivities }
+ */
+export async function loadStoredContext(trip, agentTypes = []) {
+  const context = {};
 
-  const savedIds = [];
+  for (const agentType of agentTypes) {
+    const { context: contribution } = getAgentDefinition(agentType);
+    if (contribution.writes.length === 0) continue;
 
-  for (const rec of recommendations) {
-    const result = await saveRecommendation(rec, agentType, metadata);
-    if (result.success) {
-      savedIds.push(result.recommendation._id);
-    }
+    const recommendations = await loadPreferredRecommendations(trip, agentType, contribution.storedLimit);
+    Object.assign(context, contribution.fromStored(recommendations));
   }
 
-  return savedIds;
+  return context;
 }
 
-// ===== TRIP CONTEXT =====
-
 export function buildAgentCriteria(trip) {
   return {
     destination: trip.destination.name,
@@ -220,6 +113,7 @@ export function buildAgentCriteria(trip) {
     checkInDate: trip.dates.departureDate.toISOString().split('T')[0],
     checkOutDate: trip.dates.returnDate?.toISOString().split('T')[0],
     travelers: trip.travelers.count,
+    currency: trip.budget?.currency,
     preferences: trip.preferences
   };
 }
@@ -238,7 +132,9 @@ export function buildOrchestratorRequest(trip) {
       minHotelRating: trip.preferences.accommodation?.minRating,
       flightClass: trip.preferences.transportation?.flightClass,
       nonStopFlights: trip.preferences.transportation?.preferNonStop,
-      cuisines: trip.preferences.dining?.cuisinePreferences
+      cuisines: trip.preferences.dining?.cuisinePreferences,
+      // Agents search in the budget's currency so its limits apply to them
+      currency: trip.budget?.currency
     },
     interests: trip.preferences.interests
   };
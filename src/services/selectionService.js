@@ -0,0 +1,306 @@
+/**
+ * Selection Service
+ *
+ * Trip.selectedRecommendations per agent type. Types whose agent definition
+ * is `multiSelect` (activity, restaurant) are ranked shortlists whose entries
+ * may be pinned to a trip day; the others hold a single choice. Every change rewrites
+ * the type's list in one update guarded on the list read before it, so
+ * concurrent edits never interleave. Recommendation.selection mirrors the list.
+ * Functions return `{ success, ... }` results; failures carry an HTTP `status`.
+ */
+
+import mongoose from 'mongoose';
+import { Trip, Recommendation } from '../models/index.js';
+import { listAgentDefinitions } from '../agents/definitions/index.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ scope: 'SelectionService' });
+
+export const MULTI_SELECT_TYPES = listAgentDefinitions()
+  .filter(definition => definition.multiSelect)
+  .map(definition => definition.type);
+
+// Trip statuses in which selections may be added or replaced
+export const SELECTABLE_STATUSES = ['recommendations_ready', 'user_selecting', 'finalized', 'draft', 'planning'];
+
+const MAX_WRITE_ATTEMPTS = 3;
+
+const failure = (status, error, message, details) => ({
+  success: false,
+  status,
+  error,
+  message,
+  ...(details && { details })
+});
+
+export const isMultiSelect = (agentType) => MULTI_SELECT_TYPES.includes(agentType);
+
+const idOf = (entry) => entry.recommendation?.toString();
+
+/**
+ * Number of days in the trip's itinerary (same count the itinerary builder uses)
+ */
+export function getTripDayCount(trip) {
+  const { departureDate, returnDate } = trip.dates || {};
+  if (!departureDate || !returnDate) return 1;
+  return Math.max(1, Math.ceil((new Date(returnDate) - new Date(departureDate)) / (1000 * 60 * 60 * 24)));
+}
+
+const isCurrentOption = (trip, agentType, recommendationId) =>
+  (trip.recommendations?.[agentType] || []).some(id => id?.toString() === recommendationId);
+
+/**
+ * Agent type whose selections include `recommendationId`
+ */
+export function findSelectionType(trip, recommendationId) {
+  return Object.keys(trip.selectedRecommendations || {}).find(type =>
+    (trip.selectedRecommendations[type] || []).some(entry => idOf(entry) === recommendationId)
+  );
+}
+
+// ===== LIST EDITS (pure) =====
+
+const withRanks = (entries) => entries.map((entry, index) => ({ ...entry, selectionRank: index + 1 }));
+
+/**
+ * Add or move `recommendationId` in a type's selections. Single-select types
+ * are replaced outright. On a shortlist, `rank` (1-based) positions the entry,
+ * otherwise it keeps its place or goes last; `day: null` unpins it.
+ */
+export function applySelection(entries, agentType, recommendationId, { selectedBy = 'user', rank, day } = {}) {
+  const now = new Date();
+
+  if (!isMultiSelect(agentType)) {
+    return [{ recommendation: recommendationId, selectedAt: now, selectedBy, selectionRank: 1 }];
+  }
+
+  const index = entries.findIndex(entry => idOf(entry) === recommendationId);
+  const existing = index >= 0 ? entries[index] : null;
+  const others = entries.filter((_, i) => i !== index);
+
+  const entry = {
+    ...existing,
+    recommendation: existing?.recommendation || recommendationId,
+    selectedAt: existing?.selectedAt || now,
+    selectedBy
+  };
+  if (day === null) {
+    delete entry.day;
+  } else if (day !== undefined) {
+    entry.day = day;
+  }
+
+  const position = rank !== undefined
+    ? Math.min(rank - 1, others.length)
+    : (existing ? index : others.length);
+
+  return withRanks([...others.slice(0, position), entry, ...others.slice(position)]);
+}
+
+export function removeSelection(entries, recommendationId) {
+  return withRanks(entries.filter(entry => idOf(entry) !== recommendationId));
+}
+
+/**
+ * Reorder selections to `order` (recommendation ids), which must list each
+ * selected recommendation exactly once.
+ * @returns {{ valid: boolean, errors: string[], entries: Object[] }}
+ */
+export function applyOrder(entries, order) {
+  const byId = new Map(entries.map(entry => [idOf(entry), entry]));
+  const errors = [];
+
+  const unknown = order.filter(id => !byId.has(id));
+  const missing = [...byId.keys()].filter(id => !order.includes(id));
+  if (unknown.length > 0) errors.push(`not selected: ${unknown.join(', ')}`);
+  if (missing.length > 0) errors.push(`missing from order: ${missing.join(', ')}`);
+  if (new Set(order).size !== order.length) errors.push('order contains duplicate ids');
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    entries: errors.length === 0 ? withRanks(order.map(id => byId.get(id))) : entries
+  };
+}
+
+// ===== PERSISTENCE =====
+
+/**
+ * Write `next` as the type's selections if they are still `current`.
+ * @returns {Promise<{ entries: Object[], status: string }|null>} null when the list changed meanwhile
+ */
+async function writeSelections(trip, agentType, current, next, $set = {}) {
+  const path = `selectedRecommendations.${agentType}`;
+  const updated = await Trip.findOneAndUpdate(
+    {
+      _id: trip._id,
+      $expr: { $eq: [{ $ifNull: [`$${path}`, []] }, { $literal: current }] }
+    },
+    { $set: { [path]: next, ...$set } },
+    { new: true, projection: { [path]: 1, status: 1 } }
+  ).lean();
+
+  return updated ? { entries: updated.selectedRecommendations[agentType], status: updated.status } : null;
+}
+
+// Mirror the list onto Recommendation.selection
+async function syncSelectionFlags(previous, next) {
+  const kept = new Set(next.map(idOf));
+  const cleared = previous.filter(entry => !kept.has(idOf(entry))).map(entry => entry.recommendation);
+
+  if (cleared.length > 0) {
+    await Recommendation.updateMany({ _id: { $in: cleared } }, {
+      'selection.isSelected': false,
+      'selection.selectedAt': null,
+      'selection.selectedBy': null,
+      'selection.selectionRank': null
+    });
+  }
+
+  if (next.length > 0) {
+    await Recommendation.bulkWrite(next.map(entry => ({
+      updateOne: {
+        filter: { _id: entry.recommendation },
+        update: {
+          'selection.isSelected': true,
+          'selection.selectedAt': entry.selectedAt,
+          'selection.selectedBy': entry.selectedBy,
+          'selection.selectionRank': entry.selectionRank
+        }
+      }
+    })));
+  }
+}
+
+/**
+ * Load the trip, compute the new list with `edit` and write it, retrying
+ * from a fresh read when another request changed the list in between.
+ * `edit(trip)` resolves to a failure or `{ agentType, next, $set }`.
+ */
+async function updateSelections(tripId, edit) {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const trip = await Trip.findOne({ tripId })
+      .select('tripId status dates recommendations selectedRecommendations')
+      .lean();
+    if (!trip) {
+      return failure(404, 'Trip not found', `Trip with ID ${tripId} does not exist`);
+    }
+
+    const change = await edit(trip);
+    if (change.success === false) return change;
+
+    const { agentType, next, $set } = change;
+    const current = trip.selectedRecommendations?.[agentType] || [];
+    const written = await writeSelections(trip, agentType, current, next, $set);
+
+    if (written) {
+      await syncSelectionFlags(current, written.entries);
+      return { success: true, tripId, agentType, status: written.status, selections: written.entries };
+    }
+
+    log.debug(`Selections for ${agentType} changed during update, retrying`, { tripId, attempt });
+  }
+
+  return failure(409, 'Selection conflict', 'Selections were changed by another request, please retry');
+}
+
+function validateSelectionOptions(trip, agentType, { rank, day }) {
+  const errors = [];
+
+  if (rank !== undefined && (!Number.isInteger(rank) || rank < 1)) {
+    errors.push('rank must be a positive integer');
+  }
+
+  if (day !== undefined && day !== null) {
+    const dayCount = getTripDayCount(trip);
+    if (!isMultiSelect(agentType)) {
+      errors.push(`day can only be set for ${MULTI_SELECT_TYPES.join(' and ')} selections`);
+    } else if (!Number.isInteger(day) || day < 1 || day > dayCount) {
+      errors.push(`day must be an integer between 1 and ${dayCount}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Select a recommendation of the trip. Replaces the choice for single-select
+ * types and adds to (or moves within) the shortlist for activity and restaurant.
+ *
+ * @param {string} tripId
+ * @param {string} recommendationId
+ * @param {Object} [options]
+ * @param {string} [options.agentType] - Required type; inferred from the trip when omitted
+ * @param {string} [options.selectedBy='user']
+ * @param {number} [options.rank] - 1-based position in the shortlist
+ * @param {number|null} [options.day] - Trip day to pin to, null to unpin
+ */
+export async function selectRecommendation(tripId, recommendationId, { agentType, selectedBy = 'user', rank, day } = {}) {
+  return updateSelections(tripId, async (trip) => {
+    const owned = mongoose.isValidObjectId(recommendationId) &&
+      await Recommendation.findOne({ _id: recommendationId, trip: trip._id }).select('agentType').lean();
+    if (!owned || (agentType && owned.agentType !== agentType)) {
+      const label = agentType ? `${agentType} recommendation` : 'Recommendation';
+      return failure(404, 'Recommendation not found', `${label} does not belong to this trip`);
+    }
+
+    const type = owned.agentType;
+    if (!isCurrentOption(trip, type, recommendationId)) {
+      return failure(409, 'Recommendation outdated',
+        `This ${type} option is from an earlier run; select one of the current recommendations`);
+    }
+
+    if (!SELECTABLE_STATUSES.includes(trip.status)) {
+      return failure(400, 'Trip not ready for selections',
+        `Trip status is '${trip.status}'. Please wait for recommendations to be generated before making selections.`);
+    }
+
+    const errors = validateSelectionOptions(trip, type, { rank, day });
+    if (errors.length > 0) {
+      return failure(400, 'Validation failed', 'Please check your input and try again', errors);
+    }
+
+    const current = trip.selectedRecommendations?.[type] || [];
+    return {
+      agentType: type,
+      next: applySelection(current, type, recommendationId, { selectedBy, rank, day }),
+      $set: { status: 'user_selecting' }
+    };
+  });
+}
+
+/**
+ * Remove a recommendation from the trip's selections and close the gap in ranks
+ */
+export async function unselectRecommendation(tripId, recommendationId) {
+  return updateSelections(tripId, (trip) => {
+    const type = findSelectionType(trip, recommendationId);
+    if (!type) {
+      return failure(404, 'Selection not found', 'Recommendation is not selected on this trip');
+    }
+
+    return {
+      agentType: type,
+      next: removeSelection(trip.selectedRecommendations[type], recommendationId)
+    };
+  });
+}
+
+/**
+ * Set the ranks of a shortlist in one update. Fails with 409 instead of
+ * retrying when the selected set changed since the client read it.
+ */
+export async function reorderSelections(tripId, agentType, order) {
+  if (!isMultiSelect(agentType)) {
+    return failure(400, 'Invalid agent type', `Only ${MULTI_SELECT_TYPES.join(' and ')} selections can be reordered`);
+  }
+
+  return updateSelections(tripId, (trip) => {
+    const result = applyOrder(trip.selectedRecommendations?.[agentType] || [], order);
+    if (!result.valid) {
+      return failure(409, 'Selection conflict', 'order must list the current selections exactly once', result.errors);
+    }
+
+    return { agentType, next: result.entries };
+  });
+}
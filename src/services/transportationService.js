@@ -0,0 +1,95 @@
+/**
+ * Transportation Service
+ *
+ * Builds the local route legs the TransportationAgent searches once the
+ * hotel (and optionally flights and activities) are known:
+ * - airport → hotel, using the arrival airport of the best/selected flight
+ * - hotel → activity, for the first few activities with a location
+ * - airport → city centre when no hotel location is available
+ */
+
+const MAX_ACTIVITY_LEGS = 3;
+
+const formatCoordinates = (coordinates) => {
+  if (coordinates?.lat == null || coordinates?.lng == null) return null;
+  return `${coordinates.lat},${coordinates.lng}`;
+};
+
+const formatAddress = (address) => {
+  if (!address) return null;
+  if (typeof address === 'string') return address;
+  return address.address || [address.city, address.country].filter(Boolean).join(', ') || null;
+};
+
+/**
+ * Resolve a place ({ name, coordinates, address }) to a Directions query string.
+ * Coordinates win because they are unambiguous.
+ */
+export function toPlaceQuery(place, destination) {
+  if (!place) return null;
+
+  return formatCoordinates(place.coordinates) ||
+    formatAddress(place.address) ||
+    (place.name ? [place.name, destination].filter(Boolean).join(', ') : null);
+}
+
+/**
+ * @param {Object} context
+ * @param {string} context.destination - Destination city name
+ * @param {string} [context.arrivalAirport] - IATA code or airport name
+ * @param {Object} [context.hotel] - { name, coordinates, address }
+ * @param {Object[]} [context.activities] - [{ name, coordinates, address }]
+ * @returns {Object[]} Route legs: { key, leg, label, origin, destination, fromName, toName }
+ */
+export function buildTransportationRoutes({ destination, arrivalAirport, hotel, activities = [] }) {
+  const routes = [];
+  const hotelQuery = toPlaceQuery(hotel, destination);
+  const hotelName = hotel?.name || 'Hotel';
+  const airport = arrivalAirport
+    ? `${arrivalAirport} airport`
+    : `${destination} airport`;
+
+  // Without a hotel anchor, fall back to airport → city centre
+  if (!hotelQuery) {
+    if (destination) {
+      routes.push({
+        key: 'airport_to_city',
+        leg: 'airport_to_city',
+        label: `${arrivalAirport || 'Airport'} → ${destination}`,
+        origin: airport,
+        destination,
+        fromName: arrivalAirport || 'Airport',
+        toName: destination
+      });
+    }
+    return routes;
+  }
+
+  routes.push({
+    key: 'airport_to_hotel',
+    leg: 'airport_to_hotel',
+    label: `${arrivalAirport || 'Airport'} → ${hotelName}`,
+    origin: airport,
+    destination: hotelQuery,
+    fromName: arrivalAirport || 'Airport',
+    toName: hotelName
+  });
+
+  activities
+    .map(activity => ({ activity, query: toPlaceQuery(activity, destination) }))
+    .filter(({ query }) => Boolean(query))
+    .slice(0, MAX_ACTIVITY_LEGS)
+    .forEach(({ activity, query }, index) => {
+      routes.push({
+        key: `hotel_to_activity_${index + 1}`,
+        leg: 'hotel_to_activity',
+        label: `${hotelName} → ${activity.name || 'Activity'}`,
+        origin: hotelQuery,
+        destination: query,
+        fromName: hotelName,
+        toName: activity.name || 'Activity'
+      });
+    });
+
+  return routes;
+}
@@ -4,9 +4,14 @@
  * Pure functions for trip management, separated from HTTP concerns
  */
 
-import { Trip } from '../models/index.js';
+import mongoose from 'mongoose';
+import { Trip, Recommendation, RecommendationRun, Itinerary } from '../models/index.js';
 import logger from '../utils/logger.js';
 import { AGENT_TYPE_LIST } from '../constants/agentTypes.js';
+import { getAffectedAgents } from '../constants/agentDependencies.js';
+import * as budgetService from './budgetService.js';
+import { USER_ROLES } from '../constants/tripRoles.js';
+import { resolveTripAccess } from './authService.js';
 
 const log = logger.child({ scope: 'TripService' });
 
@@ -65,6 +70,10 @@ export function validateTripInput(tripData) {
     }
   }
 
+  if (tripData.budget !== undefined) {
+    errors.push(...budgetService.validateBudget(tripData.budget).errors);
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -81,6 +90,7 @@ export function prepareTripData(input) {
     returnDate,
     travelers = 1,
     preferences = {},
+    budget,
     interests = ['cultural', 'food'],
     createdBy = 'anonymous',
     collaboration,
@@ -108,6 +118,7 @@ export function prepareTripData(input) {
     },
     travelers: travelersData,
     preferences,
+    ...(budget && { budget: budgetService.validateBudget(budget).budget }),
     interests: Array.isArray(interests) ? interests : [],
     collaboration: {
       createdBy: tripCreatedBy,
@@ -161,6 +172,321 @@ export async function findTripById(tripId) {
   }
 }
 
+// IllegalOperation: standalone servers cannot run transactions
+const TRANSACTIONS_UNSUPPORTED = 20;
+
+/**
+ * Delete a trip with its recommendations (every run), run history and
+ * itinerary in one transaction. On a standalone MongoDB server, which has no
+ * transactions, the dependent data goes first and the trip last so a failed
+ * delete can simply be retried.
+ *
+ * @param {Object} trip - Trip with `_id`, `tripId` and `recommendations`
+ * @returns {Promise<{ recommendations: number, runs: number, itineraries: number }>}
+ */
+export async function deleteTripCascade(trip) {
+  // Ids referenced by the trip and its runs also catch recommendations saved
+  // before Recommendation.trip existed
+  const runs = await RecommendationRun.find({ trip: trip._id }).select('recommendations').lean();
+  const referencedIds = [
+    ...Object.values(trip.recommendations || {}).flat(),
+    ...runs.flatMap(run => run.recommendations)
+  ];
+
+  const deleteAll = async (session = null) => {
+    const recommendations = await Recommendation.deleteMany(
+      { $or: [{ trip: trip._id }, { _id: { $in: referencedIds } }] },
+      { session }
+    );
+    const deletedRuns = await RecommendationRun.deleteMany({ trip: trip._id }, { session });
+    const itineraries = await Itinerary.deleteMany({ trip: trip._id }, { session });
+    await Trip.deleteOne({ _id: trip._id }, { session });
+
+    return {
+      recommendations: recommendations.deletedCount,
+      runs: deletedRuns.deletedCount,
+      itineraries: itineraries.deletedCount
+    };
+  };
+
+  const session = await mongoose.startSession();
+  try {
+    let deleted;
+    await session.withTransaction(async () => {
+      deleted = await deleteAll(session);
+    });
+    return deleted;
+  } catch (error) {
+    if (error.code !== TRANSACTIONS_UNSUPPORTED) throw error;
+
+    log.warn(`Transactions unavailable, deleting trip ${trip.tripId} without one`);
+    return await deleteAll();
+  } finally {
+    await session.endSession();
+  }
+}
+
+// ===== TRIP UPDATES =====
+
+export const UPDATABLE_TRIP_FIELDS = ['destination', 'dates', 'travelers', 'preferences', 'budget', 'notes', 'tags'];
+
+// Request-level flags accepted alongside the updatable fields
+const TRIP_UPDATE_OPTIONS = ['version', 'rerun'];
+
+export const PREFERENCE_SECTIONS = ['interests', 'accommodation', 'transportation', 'dining', 'accessibility'];
+
+const AGENT_STATUSES_WITH_RESULTS = ['completed'];
+const RERUNNABLE_AGENT_STATUSES = ['completed', 'stale', 'failed'];
+const INTERRUPTIBLE_AGENT_STATUSES = ['pending', 'running'];
+
+const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+// Key order depends on how a subdocument was written, so compare with sorted keys
+const sortKeys = (value) => {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value?.constructor !== Object) return value;
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+};
+
+const plain = (value) => JSON.stringify(sortKeys(value?.toObject ? value.toObject() : value)) ?? null;
+
+// Cast through the schema so defaults filled on save don't count as a change
+const castPreferenceSection = (section, value) => new Trip({ preferences: { [section]: value } }).preferences[section];
+
+const VERSION_TAG = /^(?:W\/)?"?(\d+)"?$/;
+
+/**
+ * Versions a trip update may apply to, from If-Match (`"3"`, `W/"3"`, `3`, a
+ * comma-separated list of those, or `*` for whatever version is current) or
+ * else a body `version`
+ * @returns {{ valid: boolean, any: boolean, versions: number[] }|null} null when neither was sent
+ */
+export function parseExpectedVersion(ifMatch, bodyVersion) {
+  if (ifMatch) {
+    if (ifMatch.trim() === '*') return { valid: true, any: true, versions: [] };
+
+    const tags = ifMatch.split(',').map(tag => tag.trim().match(VERSION_TAG));
+    return tags.every(Boolean)
+      ? { valid: true, any: false, versions: tags.map(([, version]) => Number(version)) }
+      : { valid: false, any: false, versions: [] };
+  }
+
+  if (bodyVersion !== undefined) {
+    return Number.isInteger(bodyVersion)
+      ? { valid: true, any: false, versions: [bodyVersion] }
+      : { valid: false, any: false, versions: [] };
+  }
+
+  return null;
+}
+
+/**
+ * Turn a PATCH body into a `$set` for the trip.
+ *
+ * Only UPDATABLE_TRIP_FIELDS are accepted; preferences are merged per section
+ * (e.g. `preferences.dining` replaces only the dining block) and reported as
+ * `preferences.<section>`. Fields whose value does not actually change are
+ * left out. `affectedAgents` are the agents that depend on the changed fields
+ * (TRIP_FIELD_DEPENDENCIES); those with results are marked `stale`.
+ *
+ * @returns {{ valid: boolean, errors: string[], set: Object, changedFields: string[], affectedAgents: string[], staleAgents: string[] }}
+ */
+export function buildTripUpdate(trip, body = {}) {
+  const errors = [];
+  const set = {};
+  const changedFields = [];
+
+  const unknown = Object.keys(body).filter(key => !UPDATABLE_TRIP_FIELDS.includes(key) && !TRIP_UPDATE_OPTIONS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`fields cannot be updated: ${unknown.join(', ')}`);
+  }
+  if (body.rerun !== undefined && typeof body.rerun !== 'boolean') {
+    errors.push('rerun must be a boolean');
+  }
+
+  if (body.destination !== undefined) {
+    const destination = typeof body.destination === 'string' ? { name: body.destination } : body.destination;
+    if (!destination?.name || typeof destination.name !== 'string') {
+      errors.push('destination must be a string or an object with a name');
+    } else if (
+      destination.name.trim() !== trip.destination?.name ||
+      (destination.placeId !== undefined && destination.placeId !== trip.destination?.placeId)
+    ) {
+      set.destination = {
+        name: destination.name.trim(),
+        country: destination.country,
+        coordinates: destination.coordinates,
+        placeId: destination.placeId
+      };
+      changedFields.push('destination');
+    }
+  }
+
+  if (body.dates !== undefined) {
+    if (!body.dates || typeof body.dates !== 'object') {
+      errors.push('dates must be an object');
+    } else {
+      const departureDate = body.dates.departureDate !== undefined
+        ? new Date(body.dates.departureDate)
+        : trip.dates.departureDate;
+      const returnDate = body.dates.returnDate !== undefined
+        ? (body.dates.returnDate === null ? null : new Date(body.dates.returnDate))
+        : trip.dates.returnDate;
+
+      if (Number.isNaN(departureDate?.getTime())) {
+        errors.push('dates.departureDate must be a valid date');
+      } else if (returnDate && Number.isNaN(returnDate.getTime())) {
+        errors.push('dates.returnDate must be a valid date');
+      } else if (returnDate && returnDate < departureDate) {
+        errors.push('dates.returnDate must be after dates.departureDate');
+      } else if (!sameTime(departureDate, trip.dates.departureDate) || !sameTime(returnDate, trip.dates.returnDate)) {
+        set['dates.departureDate'] = departureDate;
+        set['dates.returnDate'] = returnDate;
+        set['dates.duration'] = returnDate
+          ? Math.ceil(Math.abs(returnDate - departureDate) / (1000 * 60 * 60 * 24))
+          : null;
+        changedFields.push('dates');
+      }
+    }
+  }
+
+  if (body.travelers !== undefined) {
+    const travelers = typeof body.travelers === 'number'
+      ? { count: body.travelers, adults: body.travelers, children: 0, infants: 0 }
+      : body.travelers;
+    if (!travelers || typeof travelers !== 'object') {
+      errors.push('travelers must be a number or an object');
+    } else {
+      const adults = travelers.adults ?? trip.travelers.adults ?? 1;
+      const children = travelers.children ?? trip.travelers.children ?? 0;
+      const infants = travelers.infants ?? trip.travelers.infants ?? 0;
+      const count = adults + children + infants;
+      if (adults < 1 || count > 20) {
+        errors.push('travelers must include at least 1 adult and at most 20 people');
+      } else if (
+        count !== trip.travelers.count ||
+        adults !== trip.travelers.adults ||
+        children !== trip.travelers.children ||
+        infants !== trip.travelers.infants
+      ) {
+        Object.assign(set, {
+          'travelers.count': count,
+          'travelers.adults': adults,
+          'travelers.children': children,
+          'travelers.infants': infants
+        });
+        changedFields.push('travelers');
+      }
+    }
+  }
+
+  if (body.preferences !== undefined) {
+    if (!body.preferences || typeof body.preferences !== 'object' || Array.isArray(body.preferences)) {
+      errors.push('preferences must be an object');
+    } else {
+      for (const [section, value] of Object.entries(body.preferences)) {
+        if (!PREFERENCE_SECTIONS.includes(section)) {
+          errors.push(`unknown preferences section: ${section}`);
+        } else if (plain(castPreferenceSection(section, value)) !== plain(trip.preferences?.[section])) {
+          set[`preferences.${section}`] = value;
+          changedFields.push(`preferences.${section}`);
+        }
+      }
+    }
+  }
+
+  if (body.budget !== undefined) {
+    const budget = budgetService.validateBudget(body.budget);
+    if (!budget.valid) {
+      errors.push(...budget.errors);
+    } else if (plain(new Trip({ budget: budget.budget }).budget) !== plain(trip.budget)) {
+      set.budget = budget.budget;
+      changedFields.push('budget');
+    }
+  }
+
+  if (body.notes !== undefined) {
+    if (body.notes !== null && typeof body.notes !== 'string') {
+      errors.push('notes must be a string');
+    } else if ((body.notes ?? null) !== (trip.notes ?? null)) {
+      set.notes = body.notes;
+      changedFields.push('notes');
+    }
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+      errors.push('tags must be an array of strings');
+    } else {
+      const tags = [...new Set(body.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+      if (plain(tags) !== plain(trip.tags || [])) {
+        set.tags = tags;
+        changedFields.push('tags');
+      }
+    }
+  }
+
+  const affectedAgents = getAffectedAgents(changedFields);
+  const staleAgents = affectedAgents
+    .filter(agent => AGENT_STATUSES_WITH_RESULTS.includes(trip.agentExecution?.agents?.[agent]?.status));
+
+  for (const agent of staleAgents) {
+    set[`agentExecution.agents.${agent}.status`] = 'stale';
+  }
+
+  return { valid: errors.length === 0, errors, set, changedFields, affectedAgents, staleAgents };
+}
+
+/**
+ * Affected agents worth rerunning after an update: those that have run
+ * before. Agents that were never selected for this trip stay that way.
+ */
+export function selectAgentsToRerun(trip, affectedAgents = []) {
+  return affectedAgents
+    .filter(agent => RERUNNABLE_AGENT_STATUSES.includes(trip.agentExecution?.agents?.[agent]?.status));
+}
+
+/**
+ * `$set` that cancels a trip: the trip, its execution and any agents that
+ * were still waiting or running move to `cancelled`.
+ */
+export function buildCancellationUpdate(trip, now = new Date()) {
+  const { set, cancelledAgents } = buildExecutionCancellationUpdate(trip, { reason: 'Trip cancelled', now });
+  return { set: { status: 'cancelled', ...set }, cancelledAgents };
+}
+
+/**
+ * `$set` that stops agents without cancelling the trip: those of `agents`
+ * still waiting or running move to `cancelled` with `reason`, and so does the
+ * execution when `includeExecution` is set and it has not finished.
+ * @returns {{ set: Object, cancelledAgents: string[], executionCancelled: boolean }}
+ */
+export function buildExecutionCancellationUpdate(trip, {
+  agents = AGENT_TYPE_LIST,
+  reason,
+  includeExecution = true,
+  now = new Date()
+} = {}) {
+  const set = {};
+  const cancelledAgents = agents
+    .filter(agent => INTERRUPTIBLE_AGENT_STATUSES.includes(trip.agentExecution?.agents?.[agent]?.status));
+
+  for (const agent of cancelledAgents) {
+    set[`agentExecution.agents.${agent}.status`] = 'cancelled';
+    set[`agentExecution.agents.${agent}.completedAt`] = now;
+    set[`agentExecution.agents.${agent}.cancelReason`] = reason;
+  }
+
+  const executionCancelled = includeExecution && ['pending', 'in_progress'].includes(trip.agentExecution?.status);
+  if (executionCancelled) {
+    set['agentExecution.status'] = 'cancelled';
+    set['agentExecution.completedAt'] = now;
+    set['agentExecution.cancelReason'] = reason;
+  }
+
+  return { set, cancelledAgents, executionCancelled };
+}
+
 // ===== ORCHESTRATOR HELPER =====
 
 export function shouldTriggerOrchestrator(orchestratorEnabled, triggerFlag) {
@@ -182,8 +508,223 @@ export function buildOrchestratorRequest(trip, selectedAgents) {
       flightClass: trip.preferences.transportation?.flightClass,
       nonStopFlights: trip.preferences.transportation?.preferNonStop,
       cuisines: trip.preferences.dining?.cuisinePreferences,
+      // Agents search in the budget's currency so its limits apply to them
+      currency: trip.budget?.currency,
     },
     interests: trip.preferences.interests,
     agentsToRun: selectedAgents,
   };
 }
+
+// ===== TRIP LISTING =====
+
+// Same lightweight shape as GET /:tripId/status plus the fields a dashboard card needs
+export const TRIP_SUMMARY_PROJECTION = {
+  tripId: 1,
+  title: 1,
+  status: 1,
+  tags: 1,
+  'destination.name': 1,
+  'origin.name': 1,
+  dates: 1,
+  'collaboration.createdBy': 1,
+  'collaboration.collaborators.userId': 1,
+  'collaboration.collaborators.role': 1,
+  'collaboration.collaborators.permissions': 1,
+  'collaboration.isPublic': 1,
+  'agentExecution.status': 1,
+  recommendations: 1,
+  createdAt: 1,
+  updatedAt: 1
+};
+
+// Every sort ends on _id so cursors are stable when the sort field ties
+export const TRIP_LIST_SORTS = {
+  updatedAt: { field: 'updatedAt', direction: -1 },
+  departureDate: { field: 'dates.departureDate', direction: 1 }
+};
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+export function encodeTripCursor(trip, sortKey) {
+  const { field } = TRIP_LIST_SORTS[sortKey];
+  const value = getPath(trip, field);
+  return Buffer.from(JSON.stringify({
+    s: sortKey,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: trip._id.toString()
+  })).toString('base64url');
+}
+
+export function decodeTripCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!TRIP_LIST_SORTS[decoded.s] || !decoded.id || !mongoose.isValidObjectId(decoded.id)) return null;
+    return {
+      sortKey: decoded.s,
+      value: decoded.v == null ? null : new Date(decoded.v),
+      id: new mongoose.Types.ObjectId(decoded.id)
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate GET /api/trips query parameters.
+ * @returns {{ valid: boolean, errors: string[], filters: Object }}
+ */
+export function parseTripListFilters(query, user) {
+  const errors = [];
+  const filters = { sort: query.sort || 'updatedAt' };
+  const resolveUser = (value) => (value === 'me' ? user.id : value);
+
+  if (!TRIP_LIST_SORTS[filters.sort]) {
+    errors.push(`sort must be one of: ${Object.keys(TRIP_LIST_SORTS).join(', ')}`);
+  }
+
+  if (query.createdBy) filters.createdBy = resolveUser(query.createdBy);
+  if (query.sharedWith) filters.sharedWith = resolveUser(query.sharedWith);
+
+  if (user.role !== USER_ROLES.ADMIN && filters.sharedWith && filters.sharedWith !== user.id) {
+    errors.push('sharedWith can only be "me"');
+  }
+
+  if (query.status) {
+    const validStatuses = Trip.schema.path('status').enumValues;
+    filters.status = splitList(query.status);
+    const invalid = filters.status.filter(status => !validStatuses.includes(status));
+    if (invalid.length > 0) {
+      errors.push(`invalid status: ${invalid.join(', ')}`);
+    }
+  }
+
+  if (query.tags) {
+    filters.tags = splitList(query.tags).map(tag => tag.toLowerCase());
+  }
+
+  if (query.destination) {
+    filters.destination = String(query.destination).trim();
+  }
+
+  for (const param of ['departureFrom', 'departureTo']) {
+    if (query[param]) {
+      const date = new Date(query[param]);
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${param} must be a valid date`);
+      } else {
+        filters[param] = date;
+      }
+    }
+  }
+
+  if (filters.departureFrom && filters.departureTo && filters.departureFrom > filters.departureTo) {
+    errors.push('departureFrom must be before departureTo');
+  }
+
+  if (query.cursor) {
+    filters.cursor = decodeTripCursor(query.cursor);
+    if (!filters.cursor) {
+      errors.push('cursor is invalid');
+    } else if (filters.cursor.sortKey !== filters.sort) {
+      errors.push('cursor was issued for a different sort order');
+    }
+  }
+
+  return { valid: errors.length === 0, errors, filters };
+}
+
+/**
+ * Build the Mongo filter for a trip listing.
+ *
+ * Non-admins only ever see trips they created or collaborate on; admins see
+ * everything once they name a `createdBy` or `sharedWith` user. Equality on
+ * createdBy/status, the collaborator userId, tags and destination prefix all
+ * hit indexes declared on tripSchema.
+ */
+export function buildTripListQuery(filters, user) {
+  const clauses = [];
+  const scopedToUser = user.role !== USER_ROLES.ADMIN || (!filters.createdBy && !filters.sharedWith);
+
+  if (scopedToUser) {
+    clauses.push({
+      $or: [
+        { 'collaboration.createdBy': user.id },
+        { 'collaboration.collaborators.userId': user.id }
+      ]
+    });
+  }
+
+  if (filters.createdBy) {
+    clauses.push({ 'collaboration.createdBy': filters.createdBy });
+  }
+
+  if (filters.sharedWith) {
+    clauses.push({
+      'collaboration.collaborators.userId': filters.sharedWith,
+      'collaboration.createdBy': { $ne: filters.sharedWith }
+    });
+  }
+
+  if (filters.status?.length) {
+    clauses.push({ status: filters.status.length === 1 ? filters.status[0] : { $in: filters.status } });
+  }
+
+  if (filters.tags?.length) {
+    clauses.push({ tags: { $all: filters.tags } });
+  }
+
+  if (filters.destination) {
+    // Anchored and case-sensitive so the destination.name index bounds the scan
+    clauses.push({ 'destination.name': { $regex: `^${escapeRegex(filters.destination)}` } });
+  }
+
+  if (filters.departureFrom || filters.departureTo) {
+    clauses.push({
+      'dates.departureDate': {
+        ...(filters.departureFrom && { $gte: filters.departureFrom }),
+        ...(filters.departureTo && { $lte: filters.departureTo })
+      }
+    });
+  }
+
+  if (filters.cursor) {
+    const { field, direction } = TRIP_LIST_SORTS[filters.sort];
+    const op = direction === 1 ? '$gt' : '$lt';
+    const { value, id } = filters.cursor;
+    clauses.push({
+      $or: [
+        { [field]: { [op]: value } },
+        { [field]: value, _id: { [op]: id } }
+      ]
+    });
+  }
+
+  return clauses.length > 0 ? { $and: clauses } : {};
+}
+
+export function buildTripListSort(sortKey) {
+  const { field, direction } = TRIP_LIST_SORTS[sortKey];
+  return { [field]: direction, _id: direction };
+}
+
+export function toTripSummary(trip, user) {
+  const { collaboration, destination, origin, recommendations = {}, agentExecution, ...rest } = trip;
+  return {
+    ...rest,
+    destination: destination?.name,
+    origin: origin?.name,
+    owner: collaboration?.createdBy,
+    access: resolveTripAccess({ collaboration }, user).role,
+    executionStatus: agentExecution?.status,
+    recommendationCounts: Object.fromEntries(
+      AGENT_TYPE_LIST.map(type => [type, recommendations[type]?.length || 0])
+    )
+  };
+}
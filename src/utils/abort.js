@@ -0,0 +1,42 @@
+/**
+ * AbortSignal helpers for agent work that has to stop on a timeout or a
+ * cancellation. APIs that take a signal (fetch, axios, OpenAI) should get it
+ * directly; these cover waits and SDK calls that cannot be aborted.
+ */
+
+/**
+ * Resolve after `ms`, or reject with the signal's reason once it aborts
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function delay(ms, signal) {
+  return raceSignal(new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => clearTimeout(timer), { once: true });
+  }), signal);
+}
+
+/**
+ * Settle with `promise`, or reject with the signal's reason as soon as it
+ * aborts. The underlying work is not stopped; its result is ignored.
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+export function raceSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    Promise.resolve(promise).catch(() => {});
+    return Promise.reject(signal.reason);
+  }
+
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, aborted])
+    .finally(() => signal.removeEventListener('abort', onAbort));
+}
@@ -4,6 +4,8 @@
 import fetch from 'node-fetch';
 
 const API_BASE = 'http://localhost:3000';
+// A key from the server's API_KEYS (.env.example ships dev-api-key for development)
+const AUTH_HEADERS = { 'X-API-Key': process.env.TEST_API_KEY || 'dev-api-key' };
 
 // Test utilities
 function log(message, emoji = '📋') {
@@ -70,7 +72,7 @@ async function testCreateTrip() {
   try {
     const response = await fetch(`${API_BASE}/api/trip/create`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { ...AUTH_HEADERS, 'Content-Type': 'application/json' },
       body: JSON.stringify(tripRequest)
     });
 
@@ -105,7 +107,7 @@ async function testGetTrip() {
   log('Testing GET /api/trip/:tripId...');
   
   try {
-    const response = await fetch(`${API_BASE}/api/trip/${createdTripId}`);
+    const response = await fetch(`${API_BASE}/api/trip/${createdTripId}`, { headers: AUTH_HEADERS });
     const data = await response.json();
     
     if (data.success && data.data.tripId === createdTripId) {
@@ -133,7 +135,7 @@ async function testGetTripStatus() {
   log('Testing GET /api/trip/:tripId/status...');
   
   try {
-    const response = await fetch(`${API_BASE}/api/trip/${createdTripId}/status`);
+    const response = await fetch(`${API_BASE}/api/trip/${createdTripId}/status`, { headers: AUTH_HEADERS });
     const data = await response.json();
     
     if (data.success && data.data.tripId === createdTripId) {
@@ -176,7 +178,7 @@ async function testSelectRecommendations() {
   try {
     const response = await fetch(`${API_BASE}/api/trip/${createdTripId}/select`, {
       method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { ...AUTH_HEADERS, 'Content-Type': 'application/json' },
       body: JSON.stringify(selections)
     });
 
@@ -215,7 +217,7 @@ async function testRerunAgents() {
   try {
     const response = await fetch(`${API_BASE}/api/trip/${createdTripId}/rerun`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { ...AUTH_HEADERS, 'Content-Type': 'application/json' },
       body: JSON.stringify(rerunRequest)
     });
 
@@ -253,7 +255,7 @@ async function testLegacyEndpoints() {
     try {
       const response = await fetch(`${API_BASE}${endpoint.path}`, {
         method: endpoint.method,
-        headers: { 'Content-Type': 'application/json' },
+        headers: { ...AUTH_HEADERS, 'Content-Type': 'application/json' },
         body: endpoint.method !== 'GET' ? '{}' : undefined
       });
 
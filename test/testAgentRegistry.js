@@ -0,0 +1,163 @@
+/**
+ * Agent Registry Test Suite
+ *
+ * Validates the agent registry and what is derived from the registered
+ * definitions. No server, database or AI provider is needed.
+ *
+ * Usage:
+ *   node test/testAgentRegistry.js
+ *
+ * Test Coverage:
+ * 1. Type list, route aliases, price types and dependencies derived from the
+ *    definitions match the built-in agents
+ * 2. Invalid and duplicate registrations are rejected
+ * 3. A newly registered type gets defaults and normalizes without any
+ *    type-specific code
+ * 4. Context contributions and criteria builders
+ */
+
+import {
+  registerAgent,
+  getAgentDefinition,
+  resolveRouteSegment
+} from '../src/agents/definitions/index.js';
+import { AGENT_TYPE_LIST, AGENT_TYPE_ALIASES, resolveAgentType } from '../src/constants/agentTypes.js';
+import { AGENT_CONTEXT, getAffectedAgents } from '../src/constants/agentDependencies.js';
+import { AGENT_PRICE_TYPES } from '../src/services/budgetService.js';
+import { MULTI_SELECT_TYPES } from '../src/services/selectionService.js';
+import { normalizeRecommendation } from '../src/services/recommendationNormalizer.js';
+
+class StubAgent {}
+
+class AgentRegistryTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  assertThrows(fn, pattern, message) {
+    let error;
+    try {
+      fn();
+    } catch (err) {
+      error = err;
+    }
+    this.assert(pattern.test(error?.message), `${message} (got: ${error?.message})`);
+  }
+
+  testDerivedConstants() {
+    this.assert(AGENT_TYPE_LIST.join() === 'flight,accommodation,restaurant,activity,transportation',
+      `Unexpected type list ${AGENT_TYPE_LIST}`);
+    this.assert(AGENT_TYPE_ALIASES.hotels === 'accommodation' && AGENT_TYPE_ALIASES.activities === 'activity',
+      'Route aliases not derived');
+    this.assert(resolveAgentType('experiences') === 'activity', 'Route path not resolved');
+    this.assert(resolveAgentType('transportation') === 'transportation', 'Type should resolve to itself');
+    this.assert(AGENT_PRICE_TYPES.accommodation === 'per_night' && AGENT_PRICE_TYPES.flight === 'total',
+      'Price types not derived');
+    this.assert([...MULTI_SELECT_TYPES].sort().join() === 'activity,restaurant', `Unexpected multi-select types ${MULTI_SELECT_TYPES}`);
+    this.assert(AGENT_CONTEXT.transportation.reads.includes('hotelLocation'), 'Context reads not derived');
+
+    const affected = getAffectedAgents(['preferences.dining']);
+    this.assert(affected.join() === 'restaurant', `Dining should only affect restaurant, got ${affected}`);
+    const viaResults = getAffectedAgents(['dates']);
+    this.assert(viaResults.join() === 'flight,accommodation,transportation',
+      `Result dependents not followed, got ${viaResults}`);
+  }
+
+  testInvalidRegistrations() {
+    this.assertThrows(() => registerAgent({ type: 'flight', displayName: 'Flight', AgentClass: StubAgent }),
+      /already registered/, 'Duplicate type accepted');
+    this.assertThrows(() => registerAgent({ type: 'cruise', displayName: 'Cruise' }),
+      /AgentClass/, 'Missing AgentClass accepted');
+    this.assertThrows(() => registerAgent({ type: 'Cruise', displayName: 'Cruise', AgentClass: StubAgent }),
+      /lowercase/, 'Invalid type accepted');
+    this.assertThrows(() => registerAgent({ type: 'cruise', displayName: 'Cruise', AgentClass: StubAgent, routes: { path: 'hotels' } }),
+      /already used by accommodation/, 'Taken route path accepted');
+    this.assertThrows(() => registerAgent({ type: 'cruise', displayName: 'Cruise', AgentClass: StubAgent, priceType: 'per_day' }),
+      /priceType/, 'Unknown priceType accepted');
+    this.assert(!getAgentDefinition('cruise'), 'Rejected definition was registered');
+  }
+
+  testNewType() {
+    const definition = registerAgent({
+      type: 'spa',
+      displayName: 'Spa',
+      AgentClass: StubAgent,
+      routes: { path: 'spas' }
+    });
+
+    this.assert(getAgentDefinition('spa') === definition, 'Definition not retrievable');
+    this.assert(resolveRouteSegment('spas') === 'spa', 'Route path not resolvable');
+    this.assert(definition.priceType === 'per_person' && definition.multiSelect === false, 'Defaults not applied');
+    this.assert(definition.context.reads.length === 0 && typeof definition.context.fromResults === 'function',
+      'Context defaults not applied');
+    this.assert(Object.keys(definition.buildCriteria({}, {})).length === 0, 'Default criteria builder should add nothing');
+
+    const record = normalizeRecommendation('spa', { name: 'Onsen', price: 80, agentMetadata: { treatment: 'bath' } });
+    this.assert(record.agentType === 'spa' && record.name === 'Onsen', 'New type not normalized');
+    this.assert(record.price.priceType === 'per_person', `Unexpected priceType ${record.price.priceType}`);
+    this.assert(record.agentMetadata.treatment === 'bath', 'Raw metadata should be kept without a normalizer');
+  }
+
+  testContributions() {
+    const flight = getAgentDefinition('flight');
+    const raw = { airline: 'JL', flightNumber: '5', arrival: { airport: 'HND' }, stops: 0 };
+    this.assert(flight.context.fromResults([raw]).arrivalAirport === 'HND', 'Arrival airport not contributed');
+    this.assert(Object.keys(flight.context.fromResults([])).length === 0, 'Empty results should contribute nothing');
+
+    const record = normalizeRecommendation('flight', raw);
+    this.assert(record.name === 'JL 5' && record.agentMetadata.arrivalAirport === 'HND', 'Flight normalizer not used');
+    this.assert(flight.context.fromStored([record]).arrivalAirport === 'HND', 'Stored flight not read back');
+
+    const hotel = getAgentDefinition('accommodation').context.fromStored([
+      { name: 'Hotel', location: { coordinates: { lat: 35.68, lng: 139.76 }, address: 'Tokyo' } }
+    ]);
+    this.assert(hotel.hotelLocation?.name === 'Hotel', 'Stored hotel not read back');
+
+    const restaurantCriteria = getAgentDefinition('restaurant').buildCriteria({}, hotel);
+    this.assert(restaurantCriteria.hotelLocation === hotel.hotelLocation, 'Restaurant criteria missing hotel');
+
+    const { routes } = getAgentDefinition('transportation').buildCriteria(
+      { destination: 'Tokyo' },
+      { arrivalAirport: 'HND', hotelLocation: hotel.hotelLocation, selectedActivities: [] }
+    );
+    this.assert(routes[0]?.leg === 'airport_to_hotel', `Unexpected transportation routes ${JSON.stringify(routes)}`);
+  }
+
+  async runAllTests() {
+    await this.runTest('Derived constants', () => this.testDerivedConstants());
+    await this.runTest('Invalid registrations', () => this.testInvalidRegistrations());
+    await this.runTest('New agent type', () => this.testNewType());
+    await this.runTest('Context contributions', () => this.testContributions());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new AgentRegistryTester().runAllTests();
+}
+
+export { AgentRegistryTester };
@@ -0,0 +1,195 @@
+/**
+ * Agent Result Cache Test Suite
+ *
+ * Validates cache keys, freshness policies and what agents hand to the
+ * cross-trip search result cache. No server, MongoDB or external API key is
+ * needed: without a database connection the cache runs the search directly.
+ *
+ * Usage:
+ *   node test/testAgentResultCache.js
+ *
+ * Test Coverage:
+ * 1. Criteria that differ only in form share a key; fields the search does
+ *    not depend on are ignored
+ * 2. Different search criteria and agent types get different keys
+ * 3. Freshness comes from the agent definition, env overrides and the switch
+ * 4. Provider results are cacheable, mock fallback results are not
+ * 5. Without a database connection the search runs uncached
+ */
+
+import * as agentResultCache from '../src/services/agentResultCache.js';
+import { FlightAgent } from '../src/agents/flightAgent.js';
+import { TransportationAgent } from '../src/agents/transportationAgent.js';
+import { buildTransportationRoutes } from '../src/services/transportationService.js';
+import env from '../src/config/env.js';
+
+const FLIGHT_CRITERIA = {
+  tripId: 'trip-a',
+  origin: 'JFK',
+  destination: 'Paris',
+  departureDate: '2026-12-01',
+  returnDate: '2026-12-05',
+  travelers: 2,
+  currency: 'USD',
+  preferredClass: 'economy'
+};
+
+// Records what an agent passes to the cache instead of storing it
+class RecordingCache {
+  constructor() {
+    this.calls = [];
+  }
+
+  async fetch(criteria, search) {
+    const outcome = await search();
+    this.calls.push(outcome);
+    return outcome.results;
+  }
+}
+
+class AgentResultCacheTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    process.env.NODE_ENV = 'development';
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  testEquivalentCriteria() {
+    const { key, criteria } = agentResultCache.buildCacheKey('flight', FLIGHT_CRITERIA);
+    const same = agentResultCache.buildCacheKey('flight', {
+      ...FLIGHT_CRITERIA,
+      tripId: 'trip-b',
+      destination: '  paris ',
+      currency: 'usd',
+      preferences: { dining: { cuisinePreferences: ['thai'] } }
+    });
+
+    this.assert(key.startsWith('flight:'), `Unexpected key ${key}`);
+    this.assert(same.key === key, 'Equivalent criteria should share a key');
+    this.assert(criteria.destination === 'paris' && criteria.tripId === undefined, 'Criteria not normalized');
+
+    const interests = agentResultCache.buildCacheKey('activity', { destination: 'Paris', interests: ['food', 'art', 'food'] });
+    const reordered = agentResultCache.buildCacheKey('activity', { destination: 'Paris', interests: ['Art', 'Food'] });
+    this.assert(interests.key === reordered.key, 'List order and duplicates should not change the key');
+
+    const normalized = agentResultCache.normalizeCriteria({ b: new Date('2026-12-01T00:00:00Z'), a: [], c: null });
+    this.assert(JSON.stringify(normalized) === '{"b":"2026-12-01"}', `Unexpected normalization ${JSON.stringify(normalized)}`);
+  }
+
+  testDistinctCriteria() {
+    const { key } = agentResultCache.buildCacheKey('flight', FLIGHT_CRITERIA);
+
+    for (const change of [{ departureDate: '2026-12-02' }, { travelers: 3 }, { preferNonStop: true }, { currency: 'EUR' }]) {
+      const other = agentResultCache.buildCacheKey('flight', { ...FLIGHT_CRITERIA, ...change });
+      this.assert(other.key !== key, `Key should change with ${JSON.stringify(change)}`);
+    }
+
+    // The budget limit is applied to cached results, so trips with different budgets share them
+    const limited = agentResultCache.buildCacheKey('flight', { ...FLIGHT_CRITERIA, maxPrice: 500 });
+    this.assert(limited.key === key, 'maxPrice should not change the key');
+
+    const hotel = agentResultCache.buildCacheKey('accommodation', FLIGHT_CRITERIA);
+    this.assert(hotel.key !== key, 'Agent types should not share keys');
+
+    const toHotel = (name) => agentResultCache.buildCacheKey('transportation', {
+      destination: 'Paris',
+      routes: buildTransportationRoutes({
+        destination: 'Paris',
+        arrivalAirport: 'CDG',
+        hotel: { name, coordinates: { lat: 48.85, lng: 2.35 } }
+      })
+    }).key;
+    this.assert(toHotel('Hotel A') !== toHotel('Hotel B'), 'Transport routes should be part of the key');
+  }
+
+  testFreshness() {
+    const { agentCacheEnabled, agentCacheTtls } = env;
+    try {
+      this.assert(agentResultCache.getFreshness('flight') < agentResultCache.getFreshness('restaurant'),
+        'Flight prices should go stale before restaurants');
+
+      env.agentCacheTtls = { flight: 1000, restaurant: 0 };
+      this.assert(agentResultCache.getFreshness('flight') === 1000, 'Env override not applied');
+      this.assert(agentResultCache.createSearchCache('restaurant') === null, 'A zero freshness should turn caching off');
+      this.assert(agentResultCache.createSearchCache('flight')?.ttlMs === 1000, 'Search cache not created');
+
+      env.agentCacheEnabled = false;
+      this.assert(agentResultCache.createSearchCache('flight') === null, 'AGENT_CACHE_ENABLED=false should turn caching off');
+      this.assert(agentResultCache.getFreshness('unknown') === 0, 'Unregistered types are not cached');
+    } finally {
+      env.agentCacheEnabled = agentCacheEnabled;
+      env.agentCacheTtls = agentCacheTtls;
+    }
+  }
+
+  async testFallbackResults() {
+    const agent = new FlightAgent({ provider: 'mock' });
+    agent.search = async () => [{ id: 'F1' }];
+
+    const cache = new RecordingCache();
+    const results = await agent.cachedSearch({ criteria: FLIGHT_CRITERIA, searchCache: cache });
+    this.assert(results[0].id === 'F1' && cache.calls[0].cacheable === true, 'Provider results should be cacheable');
+
+    agent.search = async () => agent.fallbackResults([{ id: 'MOCK' }]);
+    await agent.cachedSearch({ criteria: FLIGHT_CRITERIA, searchCache: cache });
+    this.assert(cache.calls[1].cacheable === false, 'Fallback results should not be cacheable');
+
+    // Transport legs answered from mock data make the combined result uncacheable
+    const transport = new TransportationAgent({ provider: 'mock' });
+    transport.searchRoute = async (criteria) => (criteria.destination === 'fallback'
+      ? transport.fallbackResults([{ id: 'MOCK' }])
+      : [{ id: 'REAL' }]);
+    const combined = await transport.search({ routes: [{ destination: 'real' }, { destination: 'fallback' }] });
+    this.assert(combined.length === 2 && transport.isFallbackResults(combined), 'Mixed legs should be marked as fallback');
+  }
+
+  async testWithoutDatabase() {
+    const cache = agentResultCache.createSearchCache('flight');
+    let searches = 0;
+    const results = await cache.fetch(FLIGHT_CRITERIA, async () => {
+      searches++;
+      return { results: [{ id: 'F1' }], cacheable: true };
+    });
+
+    this.assert(searches === 1 && results.length === 1, 'Search should run once');
+    this.assert(cache.usage === null, 'Nothing should be recorded without a database');
+  }
+
+  async runAllTests() {
+    await this.runTest('Equivalent criteria share a key', () => this.testEquivalentCriteria());
+    await this.runTest('Different criteria get different keys', () => this.testDistinctCriteria());
+    await this.runTest('Freshness policies', () => this.testFreshness());
+    await this.runTest('Fallback results are not cached', () => this.testFallbackResults());
+    await this.runTest('Search without a database', () => this.testWithoutDatabase());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new AgentResultCacheTester().runAllTests();
+}
+
+export { AgentResultCacheTester };
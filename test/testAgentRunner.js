@@ -0,0 +1,197 @@
+/**
+ * AgentRunner Contract Test Suite
+ *
+ * Runs every agent type through AgentRunner, the pipeline shared by the
+ * orchestrator and single-agent reruns, with the mock AI provider. Without a
+ * tripId the runner does not touch the database, so no server, MongoDB or
+ * external API key is needed (agents fall back to their mock data).
+ *
+ * Usage:
+ *   node test/testAgentRunner.js
+ *
+ * Test Coverage:
+ * 1. Each agent's output normalizes into valid Recommendation documents
+ *    with a price unit and a 0-1 confidence
+ * 2. An unsuccessful agent result is reported with its error
+ * 3. An agent that throws is captured as a failed run
+ * 4. A hung agent fails once its timeout expires, with the signal aborted
+ *    down to the mock AI provider
+ * 5. The cancellation registry aborts registered runs with the reason
+ * 6. Losing the execution lease stops a run without a failure
+ */
+
+import { AgentRunner } from '../src/services/agentRunner.js';
+import * as agentCancellation from '../src/services/agentCancellation.js';
+import { ExecutionLease } from '../src/services/executionLock.js';
+import { FlightAgent } from '../src/agents/flightAgent.js';
+import { AccommodationAgent } from '../src/agents/accommodationAgent.js';
+import { ActivityAgent } from '../src/agents/activityAgent.js';
+import { RestaurantAgent } from '../src/agents/restaurantAgent.js';
+import { TransportationAgent } from '../src/agents/transportationAgent.js';
+import { Recommendation } from '../src/models/index.js';
+import { buildTransportationRoutes } from '../src/services/transportationService.js';
+
+const AGENT_CLASSES = {
+  flight: FlightAgent,
+  accommodation: AccommodationAgent,
+  activity: ActivityAgent,
+  restaurant: RestaurantAgent,
+  transportation: TransportationAgent
+};
+
+const CRITERIA = {
+  origin: 'JFK',
+  destination: 'Paris',
+  departureDate: '2026-12-01',
+  returnDate: '2026-12-05',
+  checkInDate: '2026-12-01',
+  checkOutDate: '2026-12-05',
+  travelers: 2,
+  currency: 'USD',
+  interests: ['art', 'food'],
+  routes: buildTransportationRoutes({ destination: 'Paris', arrivalAirport: 'CDG' })
+};
+
+class AgentRunnerTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    // Agents use mock data instead of provider APIs in development
+    process.env.NODE_ENV = 'development';
+    process.env.MOCK_DELAY_MS = '1';
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+
+  async testAgentContract(agentType) {
+    const agent = new AGENT_CLASSES[agentType]({ provider: 'mock' });
+    const result = await new AgentRunner().run(agentType, agent, { ...CRITERIA });
+
+    this.assert(result.success, `Run failed: ${result.error}`);
+    this.assert(result.name === agentType, `Unexpected result name ${result.name}`);
+    this.assert(result.records.length > 0, 'No recommendations normalized');
+    this.assert(result.errors.length === 0, `Errors reported: ${result.errors.map(e => e.message).join('; ')}`);
+
+    for (const record of result.records) {
+      const invalid = new Recommendation(record).validateSync();
+      this.assert(!invalid, `"${record.name}" is not a valid Recommendation: ${invalid?.message}`);
+      this.assert(record.agentType === agentType, `Wrong agentType ${record.agentType}`);
+      this.assert(record.price.priceType, `Missing priceType on "${record.name}"`);
+      this.assert(record.confidence.score >= 0 && record.confidence.score <= 1, `Confidence out of range on "${record.name}"`);
+    }
+  }
+
+  async testUnsuccessfulResult() {
+    const agent = { execute: async () => ({ success: false, error: 'Provider unavailable' }) };
+    const result = await new AgentRunner().run('flight', agent, CRITERIA);
+
+    this.assert(!result.success, 'Expected a failed run');
+    this.assert(result.error === 'Provider unavailable', `Unexpected error ${result.error}`);
+    this.assert(result.errors[0]?.message === 'Provider unavailable', 'Error not captured');
+    this.assert(result.storedIds.length === 0, 'Nothing should be stored');
+  }
+
+  async testAgentCrash() {
+    const agent = { execute: async () => { throw new Error('Unexpected token'); } };
+    const result = await new AgentRunner().run('restaurant', agent, CRITERIA);
+
+    this.assert(!result.success, 'Expected a failed run');
+    this.assert(result.errors[0]?.message === 'Unexpected token', 'Crash not captured');
+    this.assert(result.errors[0]?.stack, 'Stack not kept');
+  }
+
+  async testTimeout() {
+    // Never settles and ignores the signal
+    const hung = { execute: () => new Promise(() => {}) };
+    const startTime = Date.now();
+    const result = await new AgentRunner({ timeouts: { default: 50 } }).run('flight', hung, CRITERIA);
+
+    this.assert(!result.success && !result.cancelled, 'Expected a failed run');
+    this.assert(/timed out after 50ms/.test(result.error), `Unexpected error ${result.error}`);
+    this.assert(Date.now() - startTime < 1000, 'Run waited for the hung agent');
+
+    // A real agent stuck in a slow AI call; its mock delay is aborted, not left pending
+    process.env.MOCK_DELAY_MS = '5000';
+    try {
+      const agent = new ActivityAgent({ provider: 'mock' });
+      const slow = await new AgentRunner({ timeouts: { default: 5000, activity: 50 } }).run('activity', agent, CRITERIA);
+      this.assert(/activity agent timed out/.test(slow.error), `Per-agent timeout not applied: ${slow.error}`);
+    } finally {
+      process.env.MOCK_DELAY_MS = '1';
+    }
+  }
+
+  testCancellationRegistry() {
+    const controller = new AbortController();
+    const unregister = agentCancellation.register('trip-1', 'flight', controller);
+
+    this.assert(agentCancellation.cancelTripAgents('trip-2', 'Other trip').length === 0, 'Aborted another trip\'s run');
+    this.assert(agentCancellation.cancelTripAgents('trip-1', 'Changed plans').join() === 'flight', 'Run not aborted');
+    this.assert(controller.signal.reason?.code === agentCancellation.AGENT_CANCELLED, 'Wrong abort reason');
+    this.assert(controller.signal.reason.message === 'Changed plans', 'Reason not kept');
+
+    unregister();
+    this.assert(!agentCancellation.cancelAgent('trip-1', 'flight', 'Again'), 'Finished run still registered');
+  }
+
+  async testLeaseLost() {
+    const lease = new ExecutionLease({ tripId: 'trip-1', owner: 'exec_test' }, 60000);
+    let agentSignal;
+    const hung = {
+      execute: ({ signal }) => {
+        agentSignal = signal;
+        return new Promise(() => {});
+      }
+    };
+
+    setTimeout(() => lease.lose(), 20);
+    const result = await new AgentRunner({ lease }).run('flight', hung, CRITERIA);
+
+    this.assert(result.lockLost && !result.success, 'Expected the run to stop with lockLost');
+    this.assert(!result.cancelled && result.errors.length === 0, 'A lost lease should not count as a failure');
+    this.assert(agentSignal.aborted, 'Agent signal not aborted with the lease');
+
+    // Later runs on the same lease do not start at all
+    const next = await new AgentRunner({ lease }).run('accommodation', hung, CRITERIA);
+    this.assert(next.lockLost, 'Run started after the lease was lost');
+  }
+
+  async runAllTests() {
+    for (const agentType of Object.keys(AGENT_CLASSES)) {
+      await this.runTest(`${agentType} agent contract`, () => this.testAgentContract(agentType));
+    }
+    await this.runTest('Unsuccessful agent result', () => this.testUnsuccessfulResult());
+    await this.runTest('Agent crash captured', () => this.testAgentCrash());
+    await this.runTest('Agent timeout', () => this.testTimeout());
+    await this.runTest('Cancellation registry', () => this.testCancellationRegistry());
+    await this.runTest('Lost execution lease', () => this.testLeaseLost());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new AgentRunnerTester().runAllTests();
+}
+
+export { AgentRunnerTester };
@@ -0,0 +1,161 @@
+/**
+ * Agent Scheduler Test Suite
+ *
+ * Validates the dependency-graph scheduler the orchestrator runs agents with.
+ * Agents are simulated with timers; no server, database or AI provider is
+ * needed.
+ *
+ * Usage:
+ *   node test/testAgentScheduler.js
+ *
+ * Test Coverage:
+ * 1. Graph built from AGENT_CONTEXT reads/writes
+ * 2. Agents start once their prerequisites finish; run time tracks the
+ *    longest dependency chain
+ * 3. Concurrency limit is respected
+ * 4. Failed prerequisites do not block dependents; a stop error does
+ * 5. Dependency cycles are reported instead of hanging
+ */
+
+import { buildAgentGraph, runAgentGraph } from '../src/services/agentScheduler.js';
+import { AGENT_TYPE_LIST } from '../src/constants/agentTypes.js';
+
+const AGENT_DELAY_MS = 50;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class AgentSchedulerTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+
+  // Records start/finish order and the peak number of agents running at once
+  createRecorder(outcome = () => ({ success: true })) {
+    const recorder = { events: [], running: 0, peak: 0 };
+    recorder.runAgent = async (agent) => {
+      recorder.running++;
+      recorder.peak = Math.max(recorder.peak, recorder.running);
+      recorder.events.push(`start:${agent}`);
+      await sleep(AGENT_DELAY_MS);
+      recorder.events.push(`end:${agent}`);
+      recorder.running--;
+      return { name: agent, ...outcome(agent) };
+    };
+    recorder.index = (event) => recorder.events.indexOf(event);
+    return recorder;
+  }
+
+  testGraph() {
+    const graph = buildAgentGraph(AGENT_TYPE_LIST);
+    this.assert(graph.flight.length === 0 && graph.accommodation.length === 0, 'Flight and hotel should have no prerequisites');
+    this.assert(graph.activity.join() === 'accommodation', `Unexpected activity prerequisites ${graph.activity}`);
+    this.assert(graph.restaurant.join() === 'accommodation', `Unexpected restaurant prerequisites ${graph.restaurant}`);
+    this.assert(['flight', 'accommodation', 'activity'].every(agent => graph.transportation.includes(agent)),
+      `Unexpected transportation prerequisites ${graph.transportation}`);
+
+    // Context of agents outside the run comes from stored results
+    const rerun = buildAgentGraph(['transportation']);
+    this.assert(rerun.transportation.length === 0, 'Lone transportation rerun should not wait');
+  }
+
+  async testDependencyOrder() {
+    const recorder = this.createRecorder();
+    const startTime = Date.now();
+    const results = await runAgentGraph(AGENT_TYPE_LIST, recorder.runAgent);
+    const elapsed = Date.now() - startTime;
+
+    this.assert(results.length === AGENT_TYPE_LIST.length, `Expected ${AGENT_TYPE_LIST.length} results`);
+    this.assert(recorder.index('start:flight') < recorder.index('end:accommodation'), 'Flight should start alongside the hotel');
+    this.assert(recorder.index('start:activity') > recorder.index('end:accommodation'), 'Activity started before the hotel finished');
+    this.assert(recorder.index('start:restaurant') < recorder.index('end:activity'), 'Restaurant should run alongside activity');
+    this.assert(recorder.index('start:transportation') > recorder.index('end:activity'), 'Transportation started before activity finished');
+
+    // Longest chain is accommodation → activity → transportation
+    this.assert(elapsed < AGENT_DELAY_MS * 4, `Run took ${elapsed}ms, expected about ${AGENT_DELAY_MS * 3}ms`);
+  }
+
+  async testConcurrencyLimit() {
+    const recorder = this.createRecorder();
+    await runAgentGraph(AGENT_TYPE_LIST, recorder.runAgent, { concurrency: 1 });
+    this.assert(recorder.peak === 1, `Expected one agent at a time, saw ${recorder.peak}`);
+
+    const parallel = this.createRecorder();
+    await runAgentGraph(AGENT_TYPE_LIST, parallel.runAgent, { concurrency: 2 });
+    this.assert(parallel.peak === 2, `Expected two agents at a time, saw ${parallel.peak}`);
+  }
+
+  async testFailures() {
+    const recorder = this.createRecorder(agent => ({ success: agent !== 'accommodation' }));
+    const results = await runAgentGraph(AGENT_TYPE_LIST, recorder.runAgent);
+    this.assert(results.length === AGENT_TYPE_LIST.length, 'Dependents of a failed agent should still run');
+
+    const stopped = this.createRecorder();
+    let error;
+    try {
+      await runAgentGraph(AGENT_TYPE_LIST, stopped.runAgent, {
+        beforeStart: async (agent) => {
+          if (agent === 'activity') throw new Error('Trip was cancelled');
+        }
+      });
+    } catch (err) {
+      error = err;
+    }
+    this.assert(error?.message === 'Trip was cancelled', 'Stop error not rethrown');
+    this.assert(stopped.index('start:transportation') === -1, 'No agent should start after a stop');
+    this.assert(stopped.running === 0, 'Running agents should be awaited');
+  }
+
+  async testCycle() {
+    const context = {
+      a: { reads: ['y'], writes: ['x'] },
+      b: { reads: ['x'], writes: ['y'] }
+    };
+
+    let error;
+    try {
+      await runAgentGraph(['a', 'b'], async () => ({ success: true }), { context });
+    } catch (err) {
+      error = err;
+    }
+    this.assert(/cycle/.test(error?.message), 'Cycle not reported');
+  }
+
+  async runAllTests() {
+    await this.runTest('Graph from declared context', () => this.testGraph());
+    await this.runTest('Dependency order and parallelism', () => this.testDependencyOrder());
+    await this.runTest('Concurrency limit', () => this.testConcurrencyLimit());
+    await this.runTest('Failures and stops', () => this.testFailures());
+    await this.runTest('Cycle detection', () => this.testCycle());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new AgentSchedulerTester().runAllTests();
+}
+
+export { AgentSchedulerTester };
@@ -0,0 +1,145 @@
+/**
+ * AI Usage Test Suite
+ *
+ * Validates token and cost accounting of AI calls: the price table, per-call
+ * measurement, what agents accumulate over a run and the trip usage report.
+ * Uses the mock AI provider with scripted usage, so no server, MongoDB or API
+ * key is needed.
+ *
+ * Usage:
+ *   node test/testAiUsage.js
+ *
+ * Test Coverage:
+ * 1. Prices by model, versioned model, provider and AI_PRICING override
+ * 2. Cost of a response; unpriced models and replayed calls
+ * 3. Agents sum the usage of every AI call of a run
+ * 4. Trip usage report: total, orchestrator and per agent
+ */
+
+import * as aiUsage from '../src/services/aiUsage.js';
+import { getTripUsage } from '../src/services/aiUsageService.js';
+import { FlightAgent } from '../src/agents/flightAgent.js';
+import env from '../src/config/env.js';
+
+const GPT4O_USAGE = { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 };
+
+class AiUsageTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    process.env.MOCK_DELAY_MS = '1';
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  testPrices() {
+    this.assert(aiUsage.getPrice('gpt-4o', 'openai').prompt === 2.5, 'Exact model price not found');
+    this.assert(aiUsage.getPrice('gpt-4o-mini-2024-07-18', 'openai').prompt === 0.15,
+      'Versioned model should use the longest matching entry');
+    this.assert(aiUsage.getPrice('llama2', 'ollama').prompt === 0, 'Provider price not used');
+    this.assert(aiUsage.getPrice('claude-x', 'openai') === null, 'Unknown model should have no price');
+
+    const { aiPricing } = env;
+    try {
+      env.aiPricing = { 'gpt-4o': { prompt: 1, completion: 2 }, 'claude-x': { prompt: 3, completion: 15 } };
+      this.assert(aiUsage.getPrice('gpt-4o', 'openai').prompt === 1, 'AI_PRICING should override a default');
+      this.assert(aiUsage.getPrice('claude-x', 'openai').completion === 15, 'AI_PRICING should add models');
+    } finally {
+      env.aiPricing = aiPricing;
+    }
+  }
+
+  testMeasure() {
+    const usage = aiUsage.measureResponse({ usage: GPT4O_USAGE, model: 'gpt-4o' }, 'openai');
+    this.assert(usage.calls === 1 && usage.totalTokens === 1500 && usage.unpricedCalls === 0, 'Tokens not measured');
+    // 1000 × $2.5/M + 500 × $10/M
+    this.assert(Math.abs(usage.cost - 0.0075) < 1e-12, `Unexpected cost ${usage.cost}`);
+
+    const unpriced = aiUsage.measureResponse({ usage: GPT4O_USAGE, model: 'claude-x' }, 'openai');
+    this.assert(unpriced.cost === 0 && unpriced.unpricedCalls === 1, 'Unpriced call not flagged');
+
+    const replayed = aiUsage.measureResponse({ usage: GPT4O_USAGE, model: 'gpt-4o', replayed: true }, 'replay');
+    this.assert(replayed.cost === 0 && replayed.totalTokens === 1500, 'Replayed calls should count tokens but cost nothing');
+
+    const noUsage = aiUsage.measureResponse({ content: 'hi', model: 'llama2' }, 'ollama');
+    this.assert(noUsage.calls === 1 && noUsage.totalTokens === 0, 'Responses without usage should still count as calls');
+
+    const total = aiUsage.sumUsage(aiUsage.sumUsage(aiUsage.emptyUsage(), usage), unpriced);
+    this.assert(total.calls === 2 && total.promptTokens === 2000 && total.unpricedCalls === 1, 'Usage not summed');
+  }
+
+  async testAgentAccumulates() {
+    const agent = new FlightAgent({ provider: 'mock' });
+    agent.search = async (criteria) => agent.getMockFlights(criteria);
+    const generate = agent.aiProvider.generateStructuredCompletion.bind(agent.aiProvider);
+    agent.aiProvider.generateStructuredCompletion = async (...args) => ({
+      ...await generate(...args),
+      usage: GPT4O_USAGE,
+      model: 'gpt-4o-2024-08-06'
+    });
+
+    const criteria = { origin: 'JFK', destination: 'CDG', departureDate: '2026-12-01' };
+    const result = await agent.execute({ criteria });
+    await agent.generateStructuredResponse('Second opinion', agent.resultSchema);
+
+    this.assert(result.metadata.aiUsage.calls === 1 && result.metadata.aiUsage.totalTokens === 1500,
+      `Run usage not reported: ${JSON.stringify(result.metadata.aiUsage)}`);
+    this.assert(agent.aiUsage.calls === 2 && Math.abs(agent.aiUsage.cost - 0.015) < 1e-12, 'Calls should accumulate');
+
+    await agent.execute({ criteria });
+    this.assert(agent.aiUsage.calls === 1, 'A new execution should start a new usage record');
+  }
+
+  testTripUsage() {
+    const report = getTripUsage({
+      agentExecution: {
+        usage: { calls: 3, promptTokens: 2500, completionTokens: 900, totalTokens: 3400, cost: 0.01230000001 },
+        orchestratorUsage: { calls: 1, totalTokens: 400 },
+        agents: {
+          flight: { status: 'completed', usage: { calls: 2, totalTokens: 3000, cost: 0.0123 } },
+          restaurant: { status: 'idle' }
+        }
+      }
+    });
+
+    this.assert(report.total.cost === 0.0123 && report.total.currency === 'USD', 'Cost should be rounded and labelled');
+    this.assert(report.orchestrator.calls === 1 && report.orchestrator.unpricedCalls === 0, 'Orchestrator usage missing');
+    this.assert(report.agents.flight.totalTokens === 3000 && report.agents.restaurant.calls === 0,
+      'Agents without usage should report zeros');
+  }
+
+  async runAllTests() {
+    await this.runTest('Price table', () => this.testPrices());
+    await this.runTest('Measuring responses', () => this.testMeasure());
+    await this.runTest('Agents accumulate usage', () => this.testAgentAccumulates());
+    await this.runTest('Trip usage report', () => this.testTripUsage());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new AiUsageTester().runAllTests();
+}
+
+export { AiUsageTester };
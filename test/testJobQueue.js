@@ -0,0 +1,140 @@
+/**
+ * Job Queue Test Suite
+ *
+ * Validates the parts of the background job queue that decide what happens to
+ * a job: the retry backoff, when a failed job is retried or dead-lettered, and
+ * which jobs a worker may claim. The updates and filters are checked as built,
+ * so no server or MongoDB is needed.
+ *
+ * Usage:
+ *   node test/testJobQueue.js
+ *
+ * Test Coverage:
+ * 1. Exponential backoff, capped at JOB_BACKOFF_MAX_MS
+ * 2. Failed attempts are requeued until maxAttempts, then dead-lettered
+ * 3. Due queued jobs and stale running jobs are claimable, nothing else
+ */
+
+import { computeBackoff, buildFailureUpdate, buildClaimFilter } from '../src/services/jobQueue.js';
+import { JOB_STATUSES } from '../src/constants/jobTypes.js';
+import env from '../src/config/env.js';
+
+const NOW = new Date('2030-05-01T12:00:00Z');
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000);
+
+// Evaluates the operators buildClaimFilter uses ($or, $lt, $lte, equality)
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some(branch => matches(doc, branch));
+
+    const value = doc[field];
+    if (condition?.$lt !== undefined) return value !== undefined && value < condition.$lt;
+    if (condition?.$lte !== undefined) return value !== undefined && value <= condition.$lte;
+    return value === condition;
+  });
+}
+
+class JobQueueTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  async withEnv(overrides, fn) {
+    const saved = Object.fromEntries(Object.keys(overrides).map(key => [key, env[key]]));
+    try {
+      Object.assign(env, overrides);
+      return await fn();
+    } finally {
+      Object.assign(env, saved);
+    }
+  }
+
+  testBackoff() {
+    return this.withEnv({ jobBackoffBaseMs: 5000, jobBackoffMaxMs: 30000 }, () => {
+      const delays = [0, 1, 2, 3, 4, 10].map(computeBackoff);
+      this.assert(delays.join() === '5000,5000,10000,20000,30000,30000', `Unexpected delays ${delays}`);
+    });
+  }
+
+  testFailures() {
+    return this.withEnv({ jobBackoffBaseMs: 5000, jobBackoffMaxMs: 30000 }, () => {
+      const error = new Error('Provider unavailable');
+
+      const retried = buildFailureUpdate({ attempts: 2, maxAttempts: 3 }, error, { now: NOW });
+      this.assert(!retried.exhausted && retried.update.$set.status === JOB_STATUSES.QUEUED,
+        'A job with attempts left should be requeued');
+      this.assert(retried.update.$set.runAt.getTime() === NOW.getTime() + 10000,
+        `Expected a retry after the 10s backoff, got ${retried.update.$set.runAt.toISOString()}`);
+      this.assert(retried.update.$set.lockedBy === null && retried.update.$set.completedAt === undefined,
+        'A requeued job should be released and not completed');
+      this.assert(retried.update.$push.failures.attempt === 2 && retried.update.$push.failures.message === error.message,
+        'The failed attempt should be recorded');
+
+      const dead = buildFailureUpdate({ attempts: 3, maxAttempts: 3 }, error, { now: NOW });
+      this.assert(dead.exhausted && dead.update.$set.status === JOB_STATUSES.DEAD,
+        'The last attempt should dead-letter the job');
+      this.assert(dead.update.$set.completedAt === NOW && dead.update.$set.runAt === undefined,
+        'A dead job should be completed, not rescheduled');
+
+      const permanent = buildFailureUpdate({ attempts: 1, maxAttempts: 3 }, error, { retry: false, now: NOW });
+      this.assert(permanent.exhausted && permanent.update.$set.status === JOB_STATUSES.DEAD,
+        'retry: false should dead-letter on the first attempt');
+    });
+  }
+
+  testClaimFilter() {
+    return this.withEnv({ jobStaleAfterMs: 60000 }, () => {
+      const filter = buildClaimFilter(NOW);
+      const jobs = {
+        due: { status: JOB_STATUSES.QUEUED, runAt: secondsAgo(1) },
+        dueNow: { status: JOB_STATUSES.QUEUED, runAt: NOW },
+        backingOff: { status: JOB_STATUSES.QUEUED, runAt: secondsAgo(-30) },
+        stale: { status: JOB_STATUSES.RUNNING, heartbeatAt: secondsAgo(61) },
+        alive: { status: JOB_STATUSES.RUNNING, heartbeatAt: secondsAgo(10) },
+        completed: { status: JOB_STATUSES.COMPLETED, runAt: secondsAgo(600), heartbeatAt: secondsAgo(600) },
+        dead: { status: JOB_STATUSES.DEAD, runAt: secondsAgo(600) },
+        cancelled: { status: JOB_STATUSES.CANCELLED, runAt: secondsAgo(600) }
+      };
+
+      const claimable = Object.keys(jobs).filter(name => matches(jobs[name], filter));
+      this.assert(claimable.join() === 'due,dueNow,stale', `Unexpected claimable jobs: ${claimable}`);
+    });
+  }
+
+  async runAllTests() {
+    await this.runTest('Backoff', () => this.testBackoff());
+    await this.runTest('Retries and dead-lettering', () => this.testFailures());
+    await this.runTest('Claimable jobs', () => this.testClaimFilter());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new JobQueueTester().runAllTests();
+}
+
+export { JobQueueTester };
@@ -0,0 +1,181 @@
+/**
+ * Prompt Registry Test Suite
+ *
+ * Validates the versioned prompt templates: rendering, the missing variable
+ * check, version pins (PROMPT_VERSIONS) and that the prompt behind a
+ * recommendation is recorded on it. Uses the mock AI provider and AgentRunner
+ * without a tripId, so no server, MongoDB or API key is needed.
+ *
+ * Usage:
+ *   node test/testPromptRegistry.js
+ *
+ * Test Coverage:
+ * 1. Rendering fills placeholders and fails on missing variables
+ * 2. The latest version renders unless PROMPT_VERSIONS pins another existing one
+ * 3. Recommendations record the prompt templates their run rendered
+ * 4. Cached searches are keyed by the version of the prompt behind them
+ */
+
+import {
+  registerPrompt,
+  renderPrompt,
+  listPrompts,
+  findInvalidPins,
+  MissingPromptVariablesError,
+  PROMPT_NOT_FOUND,
+  PROMPT_VARIABLES_MISSING
+} from '../src/prompts/index.js';
+import { AgentRunner } from '../src/services/agentRunner.js';
+import { buildCacheKey } from '../src/services/agentResultCache.js';
+import { FlightAgent } from '../src/agents/flightAgent.js';
+import env from '../src/config/env.js';
+
+const CRITERIA = { origin: 'JFK', destination: 'Lisbon', departureDate: '2026-12-01', travelers: 2 };
+
+class PromptRegistryTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    process.env.NODE_ENV = 'development';
+    process.env.MOCK_DELAY_MS = '1';
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  async withPins(pins, fn) {
+    const { promptVersions } = env;
+    try {
+      env.promptVersions = pins;
+      return await fn();
+    } finally {
+      env.promptVersions = promptVersions;
+    }
+  }
+
+  testRendering() {
+    const prompt = registerPrompt({
+      name: 'test.greeting',
+      version: 1,
+      template: '\n  Hello {{name}}, your trip: {{ trip }}. {{note}}\n'
+    });
+    this.assert(prompt.variables.join() === 'name,trip,note', `Unexpected variables ${prompt.variables}`);
+
+    const { text, version } = renderPrompt('test.greeting', { name: 'Ana', trip: { days: 3 }, note: '' });
+    this.assert(text === 'Hello Ana, your trip: {"days":3}. ' && version === 1, `Unexpected text "${text}"`);
+
+    let error = null;
+    try {
+      renderPrompt('test.greeting', { name: 'Ana', note: null });
+    } catch (err) {
+      error = err;
+    }
+    this.assert(error instanceof MissingPromptVariablesError && error.code === PROMPT_VARIABLES_MISSING,
+      'Missing variables should fail the render');
+    this.assert(error.missing.join() === 'trip,note', `Unexpected missing variables ${error.missing}`);
+
+    let unknown = null;
+    try {
+      renderPrompt('test.unknown', {});
+    } catch (err) {
+      unknown = err;
+    }
+    this.assert(unknown?.code === PROMPT_NOT_FOUND, 'Unknown prompts should fail');
+  }
+
+  async testVersions() {
+    registerPrompt({ name: 'test.greeting', version: 2, template: 'Hi {{name}}!' });
+
+    let duplicate = null;
+    try {
+      registerPrompt({ name: 'test.greeting', version: 2, template: 'Hey {{name}}' });
+    } catch (err) {
+      duplicate = err;
+    }
+    this.assert(duplicate, 'A version should not be registered twice');
+
+    this.assert(renderPrompt('test.greeting', { name: 'Ana' }).text === 'Hi Ana!', 'Latest version should render');
+
+    await this.withPins({ 'test.greeting': 1, 'flight.recommendations': 9 }, () => {
+      const pinned = renderPrompt('test.greeting', { name: 'Ana', trip: 'Lisbon', note: '' });
+      this.assert(pinned.version === 1 && pinned.text.startsWith('Hello Ana'), 'Pinned version should render');
+
+      const listed = listPrompts().find(prompt => prompt.name === 'test.greeting');
+      this.assert(listed.versions.join() === '1,2' && listed.latestVersion === 2 && listed.activeVersion === 1 && listed.pinned,
+        `Unexpected listing ${JSON.stringify(listed)}`);
+      this.assert(findInvalidPins().join() === 'flight.recommendations@9', 'Pins to unknown versions should be reported');
+
+      const fallback = renderPrompt('flight.recommendations', {
+        ...CRITERIA, flights: [], budget: 'Flexible'
+      });
+      this.assert(fallback.version === 1, 'A pin to an unknown version should fall back to the latest');
+      const unpinned = listPrompts().find(prompt => prompt.name === 'flight.recommendations');
+      this.assert(unpinned.activeVersion === 1 && !unpinned.pinned, `Unexpected listing ${JSON.stringify(unpinned)}`);
+    });
+  }
+
+  async testRecommendationsRecordPrompts() {
+    const agent = new FlightAgent({ provider: 'mock' });
+    const result = await new AgentRunner().run('flight', agent, { ...CRITERIA });
+
+    this.assert(result.success, `Run failed: ${result.error}`);
+    this.assert(result.records.length > 0, 'No recommendations normalized');
+    for (const record of result.records) {
+      const prompts = record.agentMetadata.prompts;
+      this.assert(prompts?.length === 1 && prompts[0].name === 'flight.recommendations' && prompts[0].version === 1,
+        `Prompt not recorded on "${record.name}": ${JSON.stringify(prompts)}`);
+      this.assert(record.agentMetadata.airline, 'Agent metadata should be kept');
+    }
+
+    await agent.execute({ criteria: { ...CRITERIA } });
+    this.assert(agent.promptsUsed.length === 1, 'A new execution should start a new prompt record');
+  }
+
+  async testCacheKeys() {
+    const criteria = { destination: 'Lisbon', interests: ['food'] };
+    const current = buildCacheKey('activity', criteria);
+    this.assert(current.prompts[0]?.name === 'activity.search', 'Activity cache key should name its prompt');
+    this.assert(buildCacheKey('flight', CRITERIA).prompts.length === 0, 'Flight searches render no prompt');
+
+    registerPrompt({ name: 'activity.search', version: 3, template: 'Suggest activities in {{destination}}' });
+    const latest = buildCacheKey('activity', criteria);
+    const rolledBack = await this.withPins({ 'activity.search': 2 }, () => buildCacheKey('activity', criteria));
+
+    this.assert(latest.key !== current.key && latest.prompts[0].version === 3, 'A new prompt version should miss the cache');
+    this.assert(rolledBack.key === current.key, 'Rolling back should find results of the earlier version');
+  }
+
+  async runAllTests() {
+    await this.runTest('Rendering', () => this.testRendering());
+    await this.runTest('Versions and pins', () => this.testVersions());
+    await this.runTest('Recommendations record prompts', () => this.testRecommendationsRecordPrompts());
+    await this.runTest('Cache keys follow prompt versions', () => this.testCacheKeys());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new PromptRegistryTester().runAllTests();
+}
+
+export { PromptRegistryTester };
@@ -0,0 +1,204 @@
+/**
+ * AI Provider Chain Test Suite
+ *
+ * Validates falling over between AI providers (AI_PROVIDER=openai,ollama,mock),
+ * their circuit breakers and the provider recorded on agent results. The
+ * OpenAI and Ollama calls are replaced with scripted failures, so no server,
+ * MongoDB or API key is needed.
+ *
+ * Usage:
+ *   node test/testProviderChain.js
+ *
+ * Test Coverage:
+ * 1. A failing provider falls over to the next one, which names itself
+ * 2. Breakers open after repeated failures, skip the provider and close
+ *    again after a successful probe
+ * 3. Schema failures move on without tripping the breaker; a chain whose
+ *    breakers are all open fails fast
+ * 4. Agent results record the provider that answered
+ * 5. The health report lists the chain and its breakers
+ */
+
+import {
+  AIProviderFactory,
+  AI_PROVIDERS_UNAVAILABLE,
+  StructuredOutputError,
+  getProviderHealth
+} from '../src/services/aiProvider.js';
+import { CircuitBreaker, getBreaker, resetBreakers } from '../src/services/circuitBreaker.js';
+import { FlightAgent } from '../src/agents/flightAgent.js';
+import env from '../src/config/env.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: { confidence: { type: 'number' } },
+  required: ['confidence']
+};
+
+// Chain whose first providers fail as scripted; `calls` counts requests per provider
+function scriptedChain(type, failures) {
+  const chain = AIProviderFactory.createProvider(type);
+  chain.calls = {};
+
+  for (const provider of chain.providers) {
+    const fail = failures[provider.name];
+    if (!fail) continue;
+    const request = async () => {
+      chain.calls[provider.name] = (chain.calls[provider.name] || 0) + 1;
+      throw fail();
+    };
+    provider.generateCompletion = request;
+    provider.generateStructuredCompletion = request;
+  }
+  return chain;
+}
+
+const outage = () => new Error('OpenAI API error: 503 Service Unavailable');
+
+class ProviderChainTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    process.env.MOCK_DELAY_MS = '1';
+    process.env.OPENAI_API_KEY ||= 'test-key';
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  async testFallover() {
+    resetBreakers();
+    const chain = scriptedChain('openai, ollama, mock', { openai: outage, ollama: outage });
+
+    const response = await chain.generateStructuredCompletion('Rate this trip', SCHEMA);
+    this.assert(response.provider === 'mock' && response.content.confidence !== undefined, `Unexpected provider ${response.provider}`);
+    this.assert(chain.calls.openai === 1 && chain.calls.ollama === 1, 'Each provider should be tried once');
+    this.assert(getBreaker('openai').consecutiveFailures === 1, 'Failure not counted against the breaker');
+
+    const text = await chain.generateCompletion('Describe the trip');
+    this.assert(text.provider === 'mock', 'Plain completions should fall over too');
+    this.assert(getBreaker('mock').totalSuccesses === 2, 'Answers should be counted');
+  }
+
+  async testBreaker() {
+    resetBreakers();
+    const { aiBreakerFailureThreshold, aiBreakerCooldownMs } = env;
+    try {
+      env.aiBreakerFailureThreshold = 2;
+      env.aiBreakerCooldownMs = 60000;
+      const chain = scriptedChain('openai,mock', { openai: outage });
+
+      await chain.generateCompletion('one');
+      await chain.generateCompletion('two');
+      this.assert(getBreaker('openai').state === 'open', 'Breaker should open at the threshold');
+
+      await chain.generateCompletion('three');
+      this.assert(chain.calls.openai === 2, 'An open breaker should skip its provider');
+    } finally {
+      env.aiBreakerFailureThreshold = aiBreakerFailureThreshold;
+      env.aiBreakerCooldownMs = aiBreakerCooldownMs;
+    }
+
+    const breaker = new CircuitBreaker('ollama', { failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure(outage(), 0);
+    this.assert(!breaker.allowRequest(500), 'Request allowed during the cooldown');
+    this.assert(breaker.allowRequest(1000) && breaker.state === 'half_open', 'Probe not allowed after the cooldown');
+    this.assert(!breaker.allowRequest(1001), 'Only one probe should be in flight');
+
+    breaker.recordFailure(outage(), 1001);
+    this.assert(breaker.state === 'open' && !breaker.allowRequest(1500), 'A failed probe should reopen the breaker');
+
+    this.assert(breaker.allowRequest(2001), 'Second probe not allowed');
+    breaker.recordSuccess();
+    this.assert(breaker.state === 'closed' && breaker.consecutiveFailures === 0, 'A successful probe should close the breaker');
+  }
+
+  async testSchemaFailuresAndUnavailable() {
+    resetBreakers();
+    const invalid = () => new StructuredOutputError([{ path: 'confidence', message: 'is required' }], { attempts: 3 });
+    const chain = scriptedChain('openai,mock', { openai: invalid });
+
+    const response = await chain.generateStructuredCompletion('Rate this trip', SCHEMA);
+    this.assert(response.provider === 'mock', 'Invalid output should move on to the next provider');
+    this.assert(getBreaker('openai').state === 'closed' && getBreaker('openai').consecutiveFailures === 0,
+      'Invalid output should not trip the breaker');
+
+    const down = scriptedChain('openai,ollama', { openai: outage, ollama: outage });
+    const lastError = await down.generateCompletion('one').catch(error => error);
+    this.assert(lastError.message.includes('503'), 'The last provider error should be thrown');
+
+    for (const name of ['openai', 'ollama']) {
+      while (getBreaker(name).state !== 'open') getBreaker(name).recordFailure(outage());
+    }
+    const error = await down.generateCompletion('two').catch(err => err);
+    this.assert(error.code === AI_PROVIDERS_UNAVAILABLE, `Expected ${AI_PROVIDERS_UNAVAILABLE}, got ${error.code}`);
+    this.assert(down.calls.openai === 1, 'Open breakers should not call their providers');
+  }
+
+  async testAgentMetadata() {
+    resetBreakers();
+    const agent = new FlightAgent({ provider: 'openai,ollama,mock' });
+    agent.aiProvider = scriptedChain('openai,ollama,mock', { openai: outage, ollama: outage });
+    agent.search = async (criteria) => agent.getMockFlights(criteria);
+
+    const result = await agent.execute({ criteria: { origin: 'JFK', destination: 'CDG', departureDate: '2026-12-01' } });
+    this.assert(result.success, `Agent failed: ${result.error}`);
+    this.assert(result.metadata.aiProviders.join() === 'mock', `Unexpected providers ${result.metadata.aiProviders}`);
+
+    const single = new FlightAgent({ provider: 'mock' });
+    single.search = agent.search;
+    const direct = await single.execute({ criteria: { origin: 'JFK', destination: 'CDG' } });
+    this.assert(direct.metadata.aiProviders.join() === 'mock', 'A single provider should be recorded by name');
+  }
+
+  testHealth() {
+    resetBreakers();
+    getBreaker('openai').recordFailure(outage());
+    getBreaker('ollama');
+
+    const health = getProviderHealth('openai,mock');
+    this.assert(health.chained && health.chain.join() === 'openai,mock', 'Chain not reported');
+    this.assert(health.providers.map(provider => provider.name).join() === 'openai,mock,ollama',
+      'Chain providers should come first, then other known breakers');
+
+    const openai = health.providers[0];
+    this.assert(openai.state === 'closed' && openai.consecutiveFailures === 1 && openai.lastError.includes('503'),
+      'Breaker state not reported');
+    this.assert(getProviderHealth('mock').chained === false, 'A single provider is not chained');
+  }
+
+  async runAllTests() {
+    await this.runTest('Failing providers fall over', () => this.testFallover());
+    await this.runTest('Circuit breakers', () => this.testBreaker());
+    await this.runTest('Schema failures and unavailable chains', () => this.testSchemaFailuresAndUnavailable());
+    await this.runTest('Agent results name the provider', () => this.testAgentMetadata());
+    await this.runTest('Health report', () => this.testHealth());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new ProviderChainTester().runAllTests();
+}
+
+export { ProviderChainTester };
@@ -0,0 +1,117 @@
+/**
+ * Recommendation Run Test Suite
+ *
+ * Validates how selections follow an option from one agent run to the next.
+ * No server or database is needed.
+ *
+ * Usage:
+ *   node test/testRecommendationRuns.js
+ *
+ * Test Coverage:
+ * 1. Provider keys from externalIds
+ * 2. Selections carried over when the provider id reappears
+ * 3. Selections dropped when it does not (remaining ranks close up)
+ * 4. Options without provider ids matched by name
+ */
+
+import { getProviderKeys, carryOverSelections } from '../src/services/recommendationRunService.js';
+
+const rec = (id, externalIds = {}) => ({ _id: id, name: id, externalIds });
+
+class RecommendationRunTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+
+  testProviderKeys() {
+    const keys = getProviderKeys(rec('h1', { amadeusId: 'AM1', googlePlaceId: 'ChIJ1', bookingId: null }));
+    this.assert(keys.length === 2, `Expected 2 keys, got ${keys.length}`);
+    this.assert(keys.includes('amadeusId:AM1') && keys.includes('googlePlaceId:ChIJ1'), 'Wrong keys');
+    this.assert(getProviderKeys(rec('h2')).length === 0, 'Keys invented without provider ids');
+  }
+
+  testCarryOver() {
+    const previous = [
+      { recommendation: 'old_gone', selectedBy: 'alice', selectionRank: 1 },
+      { recommendation: 'old_hotel', selectedAt: new Date('2030-01-01'), selectedBy: 'alice', selectionRank: 2, day: 3 }
+    ];
+    const previousRecs = [
+      rec('old_hotel', { providerId: 'HOTEL_1' }),
+      rec('old_gone', { providerId: 'HOTEL_2' })
+    ];
+    const nextRecs = [
+      rec('new_other', { providerId: 'HOTEL_3' }),
+      rec('new_hotel', { providerId: 'HOTEL_1' })
+    ];
+
+    const { selections, carriedOver, dropped } = carryOverSelections(previous, previousRecs, nextRecs);
+
+    this.assert(selections.length === 1 && selections[0].recommendation === 'new_hotel', 'Selection not moved to new run');
+    this.assert(selections[0].selectedBy === 'alice' && selections[0].day === 3, 'Selection metadata lost');
+    this.assert(selections[0].selectionRank === 1, 'Ranks not closed up over the dropped selection');
+    this.assert(carriedOver[0].from === 'old_hotel' && carriedOver[0].to === 'new_hotel', 'Carry-over not reported');
+    this.assert(dropped.length === 1 && dropped[0] === 'old_gone', 'Missing option not reported as dropped');
+  }
+
+  testNoProviderIds() {
+    // AI-suggested options have no provider id; a rerun that suggests them again keeps the choice
+    const previous = [
+      { recommendation: 'old_tram', selectedBy: 'user', day: 2 },
+      { recommendation: 'old_museum', selectedBy: 'user' }
+    ];
+    const { selections, carriedOver, dropped } = carryOverSelections(
+      previous,
+      [{ _id: 'old_tram', name: 'Tram 28 ride' }, { _id: 'old_museum', name: 'Tile Museum' }],
+      [{ _id: 'new_fado', name: 'Fado night' }, { _id: 'new_tram', name: ' tram 28 RIDE ' }]
+    );
+
+    this.assert(selections.map(entry => entry.recommendation).join() === 'new_tram', 'Options should match by name');
+    this.assert(selections[0].day === 2 && selections[0].selectionRank === 1, 'Carried selection should keep its day');
+    this.assert(carriedOver.length === 1 && dropped.join() === 'old_museum', 'Options not suggested again should be dropped');
+
+    // A name does not stand in for a different provider id
+    const withIds = carryOverSelections(
+      [{ recommendation: 'old' }],
+      [{ _id: 'old', name: 'AF 23', externalIds: { amadeusId: 'A' } }],
+      [{ _id: 'new', name: 'AF 23', externalIds: { amadeusId: 'B' } }]
+    );
+    this.assert(withIds.selections.length === 0, 'Options with different provider ids should not match by name');
+  }
+
+  async runAllTests() {
+    await this.runTest('Provider keys', () => this.testProviderKeys());
+    await this.runTest('Selection carry-over', () => this.testCarryOver());
+    await this.runTest('No provider ids', () => this.testNoProviderIds());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new RecommendationRunTester().runAllTests();
+}
+
+export { RecommendationRunTester };
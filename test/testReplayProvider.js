@@ -0,0 +1,175 @@
+/**
+ * Replay Provider Test Suite
+ *
+ * Validates recording AI answers to cassettes and replaying them offline
+ * (AI_PROVIDER=replay). Records from the mock provider into a temporary
+ * directory, so no server, MongoDB or API key is needed.
+ *
+ * Usage:
+ *   node test/testReplayProvider.js
+ *
+ * Test Coverage:
+ * 1. Record mode answers from the wrapped provider and writes one cassette
+ *    per prompt
+ * 2. Replay mode answers from the cassettes without the wrapped provider,
+ *    also when run identifiers in the prompt changed
+ * 3. Unknown prompts fail loudly, pass through when configured, and fall
+ *    through to the next provider of a chain
+ * 4. An agent replays the model output it recorded
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  AIProviderFactory,
+  AI_REPLAY_MISS,
+  ReplayMissError
+} from '../src/services/aiProvider.js';
+import { buildCassetteKey } from '../src/services/aiCassettes.js';
+import { resetBreakers } from '../src/services/circuitBreaker.js';
+import { FlightAgent } from '../src/agents/flightAgent.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: { confidence: { type: 'number' }, reasoning: { type: 'string' } },
+  required: ['confidence']
+};
+
+const PROMPT = 'Rate the trip {"tripId":"665f1c2ab4d3e8a9f0c12345","destination":"Lisbon"}';
+
+class ReplayProviderTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    process.env.MOCK_DELAY_MS = '1';
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  provider(replayMode, config = {}) {
+    return AIProviderFactory.createProvider('replay', { replayMode, replayDir: this.dir, replayProvider: 'mock', ...config });
+  }
+
+  async testRecord() {
+    const recorder = this.provider('record');
+    const target = recorder.getTarget();
+    let calls = 0;
+    target.generateStructuredCompletion = async () => {
+      calls++;
+      return { content: { confidence: 91, reasoning: 'Recorded answer' }, usage: { total_tokens: 42 }, model: 'gpt-test', attempts: 1 };
+    };
+
+    const response = await recorder.generateStructuredCompletion(PROMPT, SCHEMA);
+    const text = await recorder.generateCompletion('Describe Lisbon');
+    this.assert(calls === 1 && response.content.confidence === 91 && text.model === target.model,
+      'Recording should answer from the wrapped provider');
+
+    const files = (await fs.readdir(this.dir)).sort();
+    this.assert(files.length === 2 && files.every(file => file.endsWith('.json')), `Unexpected cassettes ${files}`);
+
+    const key = buildCassetteKey('structured', PROMPT, SCHEMA);
+    const cassette = JSON.parse(await fs.readFile(path.join(this.dir, `${key}.json`), 'utf8'));
+    this.assert(cassette.provider === 'mock' && cassette.response.content.reasoning === 'Recorded answer', 'Cassette content wrong');
+    this.assert(cassette.prompt.includes('<objectId>'), 'Run identifiers should be masked in the cassette');
+  }
+
+  async testReplay() {
+    const player = this.provider('replay');
+    const otherRun = PROMPT.replace('665f1c2ab4d3e8a9f0c12345', '7a0b2c3d4e5f60718293a4b5');
+
+    const response = await player.generateStructuredCompletion(otherRun, SCHEMA);
+    this.assert(response.replayed && response.content.reasoning === 'Recorded answer', 'Cassette not replayed');
+    this.assert(response.usage.total_tokens === 42 && response.recordedProvider === 'mock', 'Recorded response fields not kept');
+    this.assert(player.target === null, 'Replaying should not create the wrapped provider');
+
+    const text = await player.generateCompletion('  Describe Lisbon ');
+    this.assert(text.replayed, 'Completion not replayed');
+  }
+
+  async testUnknownPrompts() {
+    const error = await this.provider('replay').generateCompletion('Describe Porto').catch(err => err);
+    this.assert(error instanceof ReplayMissError && error.code === AI_REPLAY_MISS, 'Unknown prompt should fail loudly');
+    this.assert(error.message.includes('Describe Porto') && error.cassette.startsWith(this.dir), 'Miss should name the prompt and cassette');
+
+    const changedSchema = await this.provider('replay')
+      .generateStructuredCompletion(PROMPT, { ...SCHEMA, required: ['confidence', 'reasoning'] })
+      .catch(err => err);
+    this.assert(changedSchema.code === AI_REPLAY_MISS, 'A changed schema should not replay an old answer');
+
+    const passthrough = this.provider('replay', { replayOnMiss: 'passthrough' });
+    const answered = await passthrough.generateCompletion('Describe Porto');
+    this.assert(!answered.replayed && answered.model === passthrough.getTarget().model, 'Passthrough should ask the wrapped provider');
+    const replayed = await this.provider('replay').generateCompletion('Describe Porto');
+    this.assert(replayed.replayed, 'Passed-through answers should be recorded');
+
+    resetBreakers();
+    const chain = AIProviderFactory.createProvider('replay,mock', { replayMode: 'replay', replayDir: this.dir });
+    const fallen = await chain.generateCompletion('Describe Faro');
+    this.assert(fallen.provider === 'mock', 'A chain should fall through to the next provider');
+  }
+
+  async testAgentReplay() {
+    const config = { provider: 'replay', replayDir: this.dir, replayProvider: 'mock' };
+    const criteria = { origin: 'JFK', destination: 'LIS', departureDate: '2026-12-01' };
+
+    const recording = new FlightAgent({ ...config, replayMode: 'record' });
+    recording.search = async () => recording.getMockFlights(criteria);
+    const target = recording.aiProvider.getTarget();
+    const generate = target.generateStructuredCompletion.bind(target);
+    target.generateStructuredCompletion = async (...args) => {
+      const response = await generate(...args);
+      return { ...response, content: { ...response.content, reasoning: 'Nonstop and cheapest' } };
+    };
+    const recorded = await recording.execute({ criteria });
+
+    const replaying = new FlightAgent({ ...config, replayMode: 'replay' });
+    replaying.search = recording.search;
+    const replayed = await replaying.execute({ criteria });
+
+    this.assert(replayed.success, `Replay failed: ${replayed.error}`);
+    this.assert(replayed.data.content.reasoning === 'Nonstop and cheapest'
+      && replayed.data.content.reasoning === recorded.data.content.reasoning, 'Agent did not replay the recorded output');
+    this.assert(replayed.metadata.aiProviders.join() === 'replay', 'Replay should be recorded as the answering provider');
+  }
+
+  async runAllTests() {
+    this.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'travlr-cassettes-'));
+    try {
+      await this.runTest('Record mode writes cassettes', () => this.testRecord());
+      await this.runTest('Replay mode serves cassettes', () => this.testReplay());
+      await this.runTest('Unknown prompts', () => this.testUnknownPrompts());
+      await this.runTest('Agent replays recorded output', () => this.testAgentReplay());
+    } finally {
+      await fs.rm(this.dir, { recursive: true, force: true });
+    }
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new ReplayProviderTester().runAllTests();
+}
+
+export { ReplayProviderTester };
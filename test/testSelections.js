@@ -0,0 +1,107 @@
+/**
+ * Selection Test Suite
+ *
+ * Validates the list edits behind single selections and the ranked activity
+ * and restaurant shortlists. No server or database is needed.
+ *
+ * Usage:
+ *   node test/testSelections.js
+ *
+ * Test Coverage:
+ * 1. Single-select types replace the previous choice
+ * 2. Shortlist insert, move and day pinning
+ * 3. Unselect closes up ranks
+ * 4. Reorder requires the exact selected set
+ */
+
+import {
+  applySelection,
+  removeSelection,
+  applyOrder
+} from '../src/services/selectionService.js';
+
+const ids = (entries) => entries.map(entry => entry.recommendation);
+const ranks = (entries) => entries.map(entry => entry.selectionRank);
+
+class SelectionTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+
+  testSingleSelect() {
+    const first = applySelection([], 'flight', 'f1');
+    const second = applySelection(first, 'flight', 'f2', { selectedBy: 'bob' });
+    this.assert(ids(second).join() === 'f2', `Expected only f2, got ${ids(second)}`);
+    this.assert(second[0].selectionRank === 1 && second[0].selectedBy === 'bob', 'Wrong single selection');
+  }
+
+  testShortlist() {
+    let entries = applySelection([], 'activity', 'a1');
+    entries = applySelection(entries, 'activity', 'a2', { day: 2 });
+    entries = applySelection(entries, 'activity', 'a3', { rank: 1 });
+    this.assert(ids(entries).join() === 'a3,a1,a2', `Unexpected order ${ids(entries)}`);
+    this.assert(ranks(entries).join() === '1,2,3', `Unexpected ranks ${ranks(entries)}`);
+    this.assert(entries[2].day === 2, 'Day not stored');
+
+    entries = applySelection(entries, 'activity', 'a2', { rank: 1, day: null });
+    this.assert(ids(entries).join() === 'a2,a3,a1', `Move failed: ${ids(entries)}`);
+    this.assert(entries[0].day === undefined, 'Day not cleared');
+  }
+
+  testUnselect() {
+    const entries = ['r1', 'r2', 'r3'].reduce((list, id) => applySelection(list, 'restaurant', id), []);
+    const remaining = removeSelection(entries, 'r2');
+    this.assert(ids(remaining).join() === 'r1,r3', `Unexpected remaining ${ids(remaining)}`);
+    this.assert(ranks(remaining).join() === '1,2', `Ranks not closed up: ${ranks(remaining)}`);
+  }
+
+  testReorder() {
+    const entries = ['a1', 'a2', 'a3'].reduce((list, id) => applySelection(list, 'activity', id), []);
+
+    const reordered = applyOrder(entries, ['a3', 'a1', 'a2']);
+    this.assert(reordered.valid, reordered.errors.join('; '));
+    this.assert(ids(reordered.entries).join() === 'a3,a1,a2', 'Order not applied');
+    this.assert(ranks(reordered.entries).join() === '1,2,3', 'Ranks not renumbered');
+
+    const stale = applyOrder(entries, ['a3', 'a1', 'a9']);
+    this.assert(!stale.valid && stale.errors.length === 2, 'Order with a different set accepted');
+  }
+
+  async runAllTests() {
+    await this.runTest('Single-select replaces', () => this.testSingleSelect());
+    await this.runTest('Ranked shortlist', () => this.testShortlist());
+    await this.runTest('Unselect', () => this.testUnselect());
+    await this.runTest('Reorder', () => this.testReorder());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new SelectionTester().runAllTests();
+}
+
+export { SelectionTester };
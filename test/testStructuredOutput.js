@@ -0,0 +1,178 @@
+/**
+ * Structured Output Test Suite
+ *
+ * Validates JSON Schema validation and repair re-prompts of structured AI
+ * completions. Uses the mock AI provider with scripted outputs, so no server,
+ * MongoDB or API key is needed.
+ *
+ * Usage:
+ *   node test/testStructuredOutput.js
+ *
+ * Test Coverage:
+ * 1. The validator reports each wrong field with its path
+ * 2. Invalid output is re-prompted with the validator errors and repaired
+ * 3. Output still invalid after the repair attempts throws StructuredOutputError
+ * 4. Fenced and malformed JSON
+ * 5. Mock output satisfies every agent's result schema
+ */
+
+import {
+  AIProviderFactory,
+  StructuredOutputError,
+  STRUCTURED_OUTPUT_INVALID,
+  validateSchema
+} from '../src/services/aiProvider.js';
+import { FlightAgent } from '../src/agents/flightAgent.js';
+import { AccommodationAgent } from '../src/agents/accommodationAgent.js';
+import { ActivityAgent } from '../src/agents/activityAgent.js';
+import { RestaurantAgent } from '../src/agents/restaurantAgent.js';
+import { TransportationAgent } from '../src/agents/transportationAgent.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    recommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          price: { type: ['number', 'null'], minimum: 0 }
+        },
+        required: ['name']
+      }
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 100 },
+    tier: { enum: ['budget', 'premium'] }
+  },
+  required: ['recommendations', 'confidence']
+};
+
+const VALID = { recommendations: [{ name: 'Louvre', price: 22 }], confidence: 80 };
+const INVALID = { recommendations: [{ name: 'Louvre', price: 'N/A' }, { price: 5 }], confidence: 180 };
+
+// Mock provider answering with scripted outputs and recording its prompts
+function scriptedProvider(outputs, config = {}) {
+  const provider = AIProviderFactory.createProvider('mock', config);
+  provider.prompts = [];
+  provider.requestStructured = async (prompt) => {
+    provider.prompts.push(prompt);
+    const content = outputs[Math.min(provider.prompts.length, outputs.length) - 1];
+    return { content, usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }, model: 'scripted' };
+  };
+  return provider;
+}
+
+class StructuredOutputTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    process.env.MOCK_DELAY_MS = '1';
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  testValidator() {
+    this.assert(validateSchema(VALID, SCHEMA).length === 0, 'Valid output rejected');
+
+    const errors = validateSchema({ ...INVALID, tier: 'luxury' }, SCHEMA);
+    const paths = errors.map(error => error.path).sort();
+    this.assert(JSON.stringify(paths) === '["confidence","recommendations[0].price","recommendations[1].name","tier"]',
+      `Unexpected paths ${JSON.stringify(paths)}`);
+    this.assert(errors.find(error => error.path === 'recommendations[0].price').message === 'must be number or null, got string',
+      'Type error not described');
+
+    const [missing] = validateSchema({ confidence: 1 }, SCHEMA);
+    this.assert(missing.path === 'recommendations' && missing.message === 'is required', 'Missing field not reported');
+  }
+
+  async testRepair() {
+    const provider = scriptedProvider([JSON.stringify(INVALID), JSON.stringify(VALID)]);
+    const response = await provider.generateStructuredCompletion('Find museums', SCHEMA);
+
+    this.assert(response.attempts === 2, `Expected 2 attempts, got ${response.attempts}`);
+    this.assert(response.content.recommendations[0].name === 'Louvre', 'Repaired content not returned');
+    this.assert(response.usage.total_tokens === 30, 'Usage should cover both attempts');
+
+    const repairPrompt = provider.prompts[1];
+    this.assert(repairPrompt.startsWith('Find museums'), 'Repair prompt should repeat the original prompt');
+    this.assert(repairPrompt.includes('- recommendations[0].price must be number or null, got string')
+      && repairPrompt.includes('- confidence must be <= 100'), 'Repair prompt should list the validator errors');
+  }
+
+  async testRepairExhausted() {
+    const provider = scriptedProvider([INVALID], { repairAttempts: 1 });
+    let error;
+    try {
+      await provider.generateStructuredCompletion('Find museums', SCHEMA);
+    } catch (err) {
+      error = err;
+    }
+
+    this.assert(error instanceof StructuredOutputError && error.code === STRUCTURED_OUTPUT_INVALID, 'Typed error not thrown');
+    this.assert(error.attempts === 2 && provider.prompts.length === 2, 'Repairs should be bounded');
+    this.assert(error.fields.includes('recommendations[1].name') && error.message.includes('recommendations[1].name is required'),
+      'Error should name the wrong fields');
+
+    const single = scriptedProvider([INVALID]);
+    await single.generateStructuredCompletion('Find museums', SCHEMA, { repairAttempts: 0 }).catch(() => {});
+    this.assert(single.prompts.length === 1, 'repairAttempts: 0 should not re-prompt');
+  }
+
+  async testJsonParsing() {
+    const fenced = scriptedProvider([`\`\`\`json\n${JSON.stringify(VALID)}\n\`\`\``]);
+    const response = await fenced.generateStructuredCompletion('Find museums', SCHEMA);
+    this.assert(response.attempts === 1 && response.content.confidence === 80, 'Fenced JSON not parsed');
+
+    const broken = scriptedProvider(['{"recommendations": [', JSON.stringify(VALID)]);
+    await broken.generateStructuredCompletion('Find museums', SCHEMA);
+    this.assert(broken.prompts[1].includes('- response is not valid JSON'), 'Malformed JSON should be repaired');
+  }
+
+  async testMockSatisfiesAgentSchemas() {
+    const provider = AIProviderFactory.createProvider('mock');
+    const agents = [FlightAgent, AccommodationAgent, ActivityAgent, RestaurantAgent, TransportationAgent]
+      .map(AgentClass => new AgentClass({ provider: 'mock' }));
+
+    for (const agent of agents) {
+      const response = await provider.generateStructuredCompletion('Recommend', agent.resultSchema, { repairAttempts: 0 });
+      this.assert(response.attempts === 1, `${agent.name} mock output needed a repair`);
+    }
+  }
+
+  async runAllTests() {
+    await this.runTest('Validator reports field paths', () => this.testValidator());
+    await this.runTest('Invalid output is repaired', () => this.testRepair());
+    await this.runTest('Repairs are bounded', () => this.testRepairExhausted());
+    await this.runTest('Fenced and malformed JSON', () => this.testJsonParsing());
+    await this.runTest('Mock output matches agent schemas', () => this.testMockSatisfiesAgentSchemas());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new StructuredOutputTester().runAllTests();
+}
+
+export { StructuredOutputTester };
@@ -1,9 +1,8 @@
 /**
  * TransportationAgent Test Suite
  *
- * ⚠️ NOTE: TransportationAgent is NOT yet integrated into the application.
- * This test file is maintained for future feature development.
- * See src/agents/transportationAgent.js for integration status and TODO items.
+ * TransportationAgent runs after the orchestrator's flight, hotel and activity agents and is
+ * exposed via /api/trip/:tripId/recommendations/transportation.
  *
  * This test validates the Google Directions API integration with the TransportationAgent.
  * It tests both successful API calls and fallback behavior when the API is unavailable.
@@ -27,6 +26,7 @@
  * 4. Error handling with missing origin/destination
  * 5. Fallback behavior when API is unavailable
  * 6. Cost and time filtering
+ * 7. Route legs (airport → hotel, hotel → activities) tagging
  * 
  * Example Output (without API key):
  * ✅ Valid Transportation Search - PASSED (using mock data)
@@ -38,6 +38,7 @@
  */
 
 import { TransportationAgent } from '../src/agents/transportationAgent.js';
+import { buildTransportationRoutes } from '../src/services/transportationService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -363,6 +364,54 @@ class TransportationAgentTester {
     }
   }
 
+  /**
+   * Test 7: Route legs built from hotel/activity anchors
+   */
+  async testRouteLegs() {
+    this.logSeparator('Test 7: Route Legs');
+
+    const routes = buildTransportationRoutes({
+      destination: 'Paris',
+      arrivalAirport: 'CDG',
+      hotel: { name: 'Hotel Lutetia', coordinates: { lat: 48.8511, lng: 2.3274 } },
+      activities: [
+        { name: 'Louvre Museum', coordinates: { lat: 48.8606, lng: 2.3376 } },
+        { name: 'Musée d\'Orsay', address: '1 Rue de la Légion d\'Honneur, Paris' },
+        { category: 'unplaced' }
+      ]
+    });
+
+    this.log(`Built ${routes.length} legs: ${routes.map(route => route.label).join(' | ')}`);
+
+    if (routes.length !== 3 || routes[0].leg !== 'airport_to_hotel') {
+      throw new Error('Expected airport → hotel plus one leg per located activity');
+    }
+
+    const results = await this.agent.search({ routes, destination: 'Paris' });
+    const untagged = results.filter(option => !option.leg?.key);
+    if (results.length === 0 || untagged.length > 0) {
+      throw new Error('Every result should be tagged with its route leg');
+    }
+
+    const ranked = await this.agent.rank(results);
+    const generated = await this.agent.generateRecommendations(ranked, { criteria: { destination: 'Paris', routes } });
+    const recommendations = generated.content.recommendations;
+
+    for (const route of routes) {
+      const count = recommendations.filter(rec => rec.agentMetadata.leg?.key === route.key).length;
+      if (count === 0 || count > 3) {
+        throw new Error(`Expected 1-3 recommendations for leg ${route.key}, got ${count}`);
+      }
+    }
+
+    const ids = new Set(recommendations.map(rec => rec.id));
+    if (ids.size !== recommendations.length) {
+      throw new Error('Recommendation ids must be unique across legs');
+    }
+
+    this.log(`${recommendations.length} recommendations across ${routes.length} legs`, 'success');
+  }
+
   /**
    * Validate transportation object structure
    */
@@ -444,6 +493,7 @@ class TransportationAgentTester {
     await this.runTest('API Fallback Behavior', () => this.testAPIFallback());
     await this.runTest('Cost and Time Constraints', () => this.testCostTimeConstraints());
     await this.runTest('Data Structure Validation', () => this.testDataValidation());
+    await this.runTest('Route Legs', () => this.testRouteLegs());
 
     const totalTime = Date.now() - startTime;
 
@@ -0,0 +1,204 @@
+/**
+ * Trip Budget Test Suite
+ *
+ * Validates budget validation, price normalization by priceType and the
+ * remaining-budget limits handed to agents. No server or database is needed;
+ * selections are passed in directly.
+ *
+ * Usage:
+ *   node test/testTripBudget.js
+ *
+ * Test Coverage:
+ * 1. Budget payload validation
+ * 2. per_night / per_person / total line totals
+ * 3. Spend, remaining and over-budget warnings
+ * 4. Agent maxPrice in each agent's price unit, per search currency
+ * 5. A non-USD budget's limits reach the agents of orchestrator runs and reruns
+ * 6. Every agent drops results above its maxPrice, in the search currency
+ */
+
+import {
+  validateBudget,
+  computeLineTotal,
+  summarizeBudget,
+  getAgentPriceLimits
+} from '../src/services/budgetService.js';
+import { buildOrchestratorRequest } from '../src/services/tripService.js';
+import { buildAgentCriteria } from '../src/services/recommendationService.js';
+import { TripOrchestrator } from '../src/agents/tripOrchestrator.js';
+import { ActivityAgent } from '../src/agents/activityAgent.js';
+import { RestaurantAgent } from '../src/agents/restaurantAgent.js';
+import { TransportationAgent } from '../src/agents/transportationAgent.js';
+
+const TRIP = {
+  tripId: 'trip_budget_test',
+  dates: { departureDate: new Date('2030-05-01'), returnDate: new Date('2030-05-05') },
+  travelers: { count: 2 },
+  budget: {
+    total: 3000,
+    currency: 'USD',
+    categories: { accommodation: 1000, restaurant: 200 }
+  }
+};
+
+const rec = (name, amount, priceType, currency = 'USD') => ({
+  _id: name,
+  name,
+  price: { amount, currency, priceType }
+});
+
+class TripBudgetTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+
+  testValidation() {
+    const ok = validateBudget({ total: 2000, currency: 'eur', categories: { flight: 800 } });
+    this.assert(ok.valid && ok.budget.currency === 'EUR', 'Valid budget rejected');
+
+    const bad = validateBudget({ total: -1, currency: 'EURO', categories: { spa: 10 } });
+    this.assert(bad.errors.length === 3, `Expected 3 errors, got ${bad.errors.length}`);
+    this.assert(!validateBudget('1000').valid, 'Non-object budget accepted');
+  }
+
+  testLineTotals() {
+    const quantities = { nights: 4, travelers: 2 };
+    this.assert(computeLineTotal({ amount: 150, priceType: 'per_night' }, quantities) === 600, 'per_night not scaled');
+    this.assert(computeLineTotal({ amount: 40, priceType: 'per_person' }, quantities) === 80, 'per_person not scaled');
+    this.assert(computeLineTotal({ amount: 900, priceType: 'total' }, quantities) === 900, 'total was scaled');
+  }
+
+  async testSummary() {
+    const summary = await summarizeBudget(TRIP, {
+      flight: [rec('Flight', 900, 'total')],
+      accommodation: [rec('Hotel', 300, 'per_night')],
+      restaurant: [rec('Bistro', 60, 'per_person'), rec('Trattoria', 50, 'per_person', 'EUR')]
+    });
+
+    this.assert(summary.categories.accommodation.spent === 1200, 'Hotel not priced for 4 nights');
+    this.assert(summary.categories.restaurant.spent === 120, 'Restaurant not priced per person');
+    this.assert(summary.spent === 2220 && summary.remaining === 780, `Unexpected totals ${summary.spent}/${summary.remaining}`);
+    this.assert(summary.unconverted.length === 1, 'Foreign-currency selection summed');
+
+    const types = summary.warnings.map(warning => warning.type);
+    this.assert(types.includes('category_over_budget'), 'Missing accommodation over-budget warning');
+    this.assert(types.includes('currency_mismatch'), 'Missing currency warning');
+    this.assert(!types.includes('over_budget'), 'Trip wrongly reported over budget');
+  }
+
+  async testAgentLimits() {
+    const summary = await summarizeBudget(TRIP, {
+      flight: [rec('Flight', 900, 'total')],
+      accommodation: [rec('Hotel', 300, 'per_night')],
+      restaurant: [rec('Dinner', 150, 'per_person')]
+    });
+    const limits = await getAgentPriceLimits(TRIP, summary);
+
+    // A new flight or hotel replaces the selected one, so its price is available again
+    this.assert(limits.flight === 1500, `Expected remaining total plus the selected flight, got ${limits.flight}`);
+    this.assert(limits.accommodation === 250, `Expected the 1000 cap over 4 nights, got ${limits.accommodation}`);
+    this.assert(limits.activity === 300, `Expected 600 remaining over 2 travelers, got ${limits.activity}`);
+    this.assert(limits.restaurant === 0, `Expected a used-up restaurant budget to give 0, got ${limits.restaurant}`);
+
+    const sameCurrency = await getAgentPriceLimits(TRIP, summary, { currency: 'usd' });
+    this.assert(sameCurrency.flight === 1500, 'Limits should apply to searches in the budget currency');
+    const otherCurrency = await getAgentPriceLimits(TRIP, summary, { currency: 'EUR' });
+    this.assert(Object.keys(otherCurrency).length === 0, 'Limits applied to a search in another currency');
+
+    const noBudget = await getAgentPriceLimits({ ...TRIP, budget: undefined });
+    this.assert(Object.keys(noBudget).length === 0, 'Limits produced without a budget');
+  }
+
+  async testNonUsdBudget() {
+    const trip = {
+      ...TRIP,
+      destination: { name: 'Lisbon', country: 'Portugal' },
+      origin: { name: 'Paris' },
+      travelers: { count: 2 },
+      preferences: { interests: ['food'], accommodation: {}, transportation: {}, dining: {} },
+      budget: { total: 2000, currency: 'EUR', categories: { accommodation: 800 } }
+    };
+    const summary = await summarizeBudget(trip, {});
+
+    // Orchestrator runs search in the budget's currency, so its limits apply
+    const orchestrator = new TripOrchestrator({ provider: 'mock' });
+    const criteria = orchestrator.extractCriteria(buildOrchestratorRequest(trip, ['flight', 'accommodation']));
+    this.assert(criteria.currency === 'EUR', `Expected the budget currency, got ${criteria.currency}`);
+
+    orchestrator.executionContext.budgetLimits = await getAgentPriceLimits(trip, summary, { currency: criteria.currency });
+    const flight = orchestrator.enhanceCriteriaForAgent('flight', criteria);
+    const hotel = orchestrator.enhanceCriteriaForAgent('accommodation', criteria);
+    this.assert(flight.maxPrice === 2000, `Expected a 2000 EUR flight limit, got ${flight.maxPrice}`);
+    this.assert(hotel.maxPrice === 200, `Expected 800 EUR over 4 nights, got ${hotel.maxPrice}`);
+
+    // Single-agent reruns too
+    const rerun = buildAgentCriteria(trip);
+    const limits = await getAgentPriceLimits(trip, summary, { currency: rerun.currency });
+    this.assert(rerun.currency === 'EUR' && limits.activity === 1000, `Rerun limits not applied: ${JSON.stringify(limits)}`);
+  }
+
+  testAgentsApplyMaxPrice() {
+    const criteria = { maxPrice: 50, currency: 'EUR' };
+
+    const activities = new ActivityAgent({ provider: 'mock' }).applyMaxPrice([
+      { id: 'cheap', price: 20 },
+      { id: 'pricey', price: 80 },
+      { id: 'unknown', price: null },
+      { id: 'dollars', price: 80, currency: 'USD' }
+    ], criteria);
+    this.assert(activities.map(a => a.id).join() === 'cheap,unknown,dollars',
+      `Unexpected activities ${activities.map(a => a.id)}`);
+
+    const restaurants = new RestaurantAgent({ provider: 'mock' })
+      .applyMaxPrice([{ id: 'bistro', averageMeal: 35 }, { id: 'grill', averageMeal: 65 }], criteria);
+    this.assert(restaurants.map(r => r.id).join() === 'bistro', 'Restaurants should be limited by their average meal');
+
+    const transport = new TransportationAgent({ provider: 'mock' });
+    const options = [{ id: 'metro', estimatedCost: 3.5 }, { id: 'taxi', estimatedCost: 45 }];
+    this.assert(transport.applyMaxPrice(options, { maxPrice: 0 }).length === 0, 'A used-up budget should leave nothing');
+    this.assert(transport.applyMaxPrice(options, {}) === options, 'Without a limit results should be untouched');
+
+    const prompt = new ActivityAgent({ provider: 'mock' }).buildActivitySearchPrompt({ destination: 'Lisbon', currency: 'EUR' });
+    this.assert(prompt.includes('per person in EUR') && !prompt.includes('USD'), 'Activity prices should be asked in the search currency');
+  }
+
+  async runAllTests() {
+    await this.runTest('Budget validation', () => this.testValidation());
+    await this.runTest('Line totals', () => this.testLineTotals());
+    await this.runTest('Budget summary', () => this.testSummary());
+    await this.runTest('Agent price limits', () => this.testAgentLimits());
+    await this.runTest('Non-USD budget limits reach agents', () => this.testNonUsdBudget());
+    await this.runTest('Agents apply maxPrice', () => this.testAgentsApplyMaxPrice());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new TripBudgetTester().runAllTests();
+}
+
+export { TripBudgetTester };
@@ -0,0 +1,208 @@
+/**
+ * Trip Update Test Suite
+ *
+ * Validates how a PATCH /api/trip/:tripId is interpreted: the expected version
+ * from If-Match or the body, which fields change, and which agents go stale
+ * or are rerun as a result. Trips are unsaved documents, so no server or
+ * MongoDB is needed.
+ *
+ * Usage:
+ *   node test/testTripUpdates.js
+ *
+ * Test Coverage:
+ * 1. If-Match / body version parsing (missing → 428, malformed → 400, other version → 409)
+ * 2. Preferences merge per section; unknown fields and sections are rejected
+ * 3. Values equal to the stored ones are not changes (notes and tags included)
+ * 4. Changed fields mark dependent agents stale, downstream agents included
+ */
+
+import {
+  parseExpectedVersion,
+  buildTripUpdate,
+  selectAgentsToRerun
+} from '../src/services/tripService.js';
+import { getAffectedAgents } from '../src/constants/agentDependencies.js';
+import { Trip } from '../src/models/index.js';
+
+const agentStatuses = (statuses) => ({
+  agents: Object.fromEntries(Object.entries(statuses).map(([agent, status]) => [agent, { status }]))
+});
+
+const buildTrip = (overrides = {}) => new Trip({
+  tripId: 'trip_update_test',
+  title: 'Lisbon',
+  destination: { name: 'Lisbon', placeId: 'place_lisbon' },
+  origin: { name: 'New York' },
+  dates: { departureDate: new Date('2030-05-01'), returnDate: new Date('2030-05-05') },
+  travelers: { count: 2, adults: 2, children: 0, infants: 0 },
+  preferences: {
+    interests: ['food', 'history'],
+    accommodation: { type: 'hotel', minRating: 4 },
+    dining: { dietaryRestrictions: ['vegetarian'], cuisinePreferences: ['portuguese'] }
+  },
+  agentExecution: agentStatuses({
+    flight: 'completed',
+    accommodation: 'completed',
+    activity: 'failed',
+    restaurant: 'completed',
+    transportation: 'completed'
+  }),
+  notes: 'Anniversary trip',
+  tags: ['food', 'family'],
+  version: 3,
+  ...overrides
+});
+
+class TripUpdateTester {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+  }
+
+  log(message, type = 'info') {
+    const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  testExpectedVersion() {
+    // Neither If-Match nor a body version: the controller answers 428
+    this.assert(parseExpectedVersion(undefined, undefined) === null, 'A missing version should give null');
+
+    const accepted = {
+      '"3"': [3],
+      'W/"3"': [3],
+      '3': [3],
+      ' "2", W/"3" ': [2, 3]
+    };
+    for (const [header, versions] of Object.entries(accepted)) {
+      const parsed = parseExpectedVersion(header);
+      this.assert(parsed.valid && !parsed.any && parsed.versions.join() === versions.join(),
+        `If-Match ${header} parsed as ${JSON.stringify(parsed)}`);
+    }
+
+    const any = parseExpectedVersion(' * ');
+    this.assert(any.valid && any.any, 'If-Match * should match any version');
+
+    // Malformed values are answered with 400, including the body-hash ETag of a GET
+    for (const header of ['W/"2f-abc"', 'abc', '"3", abc']) {
+      this.assert(!parseExpectedVersion(header).valid, `If-Match ${header} should be rejected`);
+    }
+
+    this.assert(parseExpectedVersion(undefined, 4).versions.join() === '4', 'Body version should be used without If-Match');
+    this.assert(!parseExpectedVersion(undefined, '4').valid, 'A string body version should be rejected');
+    this.assert(parseExpectedVersion('"5"', 4).versions.join() === '5', 'If-Match should take precedence over the body');
+
+    // A version other than the trip's is answered with 409
+    const stale = parseExpectedVersion('"2"');
+    this.assert(!stale.versions.includes(buildTrip().version), 'A stale version should not match the trip');
+  }
+
+  testPreferenceSections() {
+    const trip = buildTrip();
+    const update = buildTripUpdate(trip, {
+      preferences: { dining: { dietaryRestrictions: ['vegan'], cuisinePreferences: [] } }
+    });
+
+    this.assert(update.valid, `Unexpected errors: ${update.errors}`);
+    this.assert(update.changedFields.join() === 'preferences.dining', `Unexpected changes ${update.changedFields}`);
+    this.assert(Object.keys(update.set).some(key => key === 'preferences.dining'), 'Only the dining section should be set');
+    this.assert(!('preferences' in update.set) && !('preferences.interests' in update.set),
+      'Other preference sections should be left alone');
+
+    const rejected = buildTripUpdate(trip, { preferences: { budgetLevel: 'high' }, status: 'completed', rerun: 'yes' });
+    this.assert(!rejected.valid && rejected.errors.length === 3, `Unexpected errors: ${rejected.errors}`);
+    this.assert(rejected.errors.some(error => error.includes('status')), 'Unknown fields should be named');
+    this.assert(rejected.errors.some(error => error.includes('budgetLevel')), 'Unknown sections should be named');
+  }
+
+  testNoOpUpdates() {
+    const trip = buildTrip();
+    const update = buildTripUpdate(trip, {
+      destination: 'Lisbon',
+      dates: { departureDate: '2030-05-01T00:00:00.000Z' },
+      travelers: 2,
+      // Defaults the schema fills in are not a change either
+      preferences: { accommodation: { minRating: 4, type: 'hotel' }, interests: ['food', 'history'] },
+      notes: 'Anniversary trip',
+      // Normalized the way they are stored
+      tags: [' Food ', 'family', 'food']
+    });
+
+    this.assert(update.valid, `Unexpected errors: ${update.errors}`);
+    this.assert(update.changedFields.length === 0, `Unchanged values reported as changes: ${update.changedFields}`);
+    this.assert(Object.keys(update.set).length === 0, `Unchanged values written: ${Object.keys(update.set)}`);
+    this.assert(update.staleAgents.length === 0, 'No agent should go stale');
+
+    const edited = buildTripUpdate(trip, { notes: 'Anniversary trip!', tags: ['family', 'food'] });
+    this.assert(edited.changedFields.join() === 'notes,tags', `Unexpected changes ${edited.changedFields}`);
+    const cleared = buildTripUpdate(buildTrip({ notes: undefined, tags: [] }), { notes: null, tags: [] });
+    this.assert(cleared.changedFields.length === 0, `Clearing empty fields reported changes: ${cleared.changedFields}`);
+  }
+
+  testStaleAgents() {
+    const cases = [
+      { field: 'dates', agents: 'flight,accommodation,transportation' },
+      { field: 'travelers', agents: 'flight,accommodation,transportation' },
+      { field: 'preferences.dining', agents: 'restaurant' },
+      { field: 'preferences.interests', agents: 'activity,transportation' },
+      { field: 'preferences.accommodation', agents: 'accommodation,transportation' },
+      { field: 'destination', agents: 'flight,accommodation,restaurant,activity,transportation' },
+      { field: 'budget', agents: '' },
+      { field: 'notes', agents: '' }
+    ];
+    for (const { field, agents } of cases) {
+      const affected = getAffectedAgents([field]).join();
+      this.assert(affected === agents, `${field} should affect [${agents}], got [${affected}]`);
+    }
+
+    const trip = buildTrip();
+    const update = buildTripUpdate(trip, { dates: { returnDate: '2030-05-08' } });
+    this.assert(update.changedFields.join() === 'dates', `Unexpected changes ${update.changedFields}`);
+    this.assert(update.set['dates.duration'] === 7, `Expected a 7 day trip, got ${update.set['dates.duration']}`);
+    this.assert(update.staleAgents.join() === 'flight,accommodation,transportation',
+      `Unexpected stale agents ${update.staleAgents}`);
+    this.assert(update.set['agentExecution.agents.transportation.status'] === 'stale', 'Downstream agents should be marked stale');
+
+    // The failed activity agent has no results to go stale, but is rerun
+    const interests = buildTripUpdate(trip, { preferences: { interests: ['art'] } });
+    this.assert(interests.staleAgents.join() === 'transportation', `Unexpected stale agents ${interests.staleAgents}`);
+    this.assert(selectAgentsToRerun(trip, interests.affectedAgents).join() === 'activity,transportation',
+      'Failed and completed agents should be rerun');
+
+    const partial = buildTrip({ agentExecution: agentStatuses({ flight: 'completed', accommodation: 'pending' }) });
+    this.assert(selectAgentsToRerun(partial, getAffectedAgents(['dates'])).join() === 'flight',
+      'Agents that never ran for the trip should not be rerun');
+  }
+
+  async runAllTests() {
+    await this.runTest('Expected version', () => this.testExpectedVersion());
+    await this.runTest('Preference sections', () => this.testPreferenceSections());
+    await this.runTest('No-op updates', () => this.testNoOpUpdates());
+    await this.runTest('Stale agents', () => this.testStaleAgents());
+
+    const { passed, total } = this.testResults;
+    this.log(`\n${passed}/${total} tests passed`, passed === total ? 'success' : 'warning');
+    if (passed !== total) process.exitCode = 1;
+  }
+
+  async runTest(testName, testFunction) {
+    this.testResults.total++;
+    try {
+      await testFunction();
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED`, 'success');
+    } catch (error) {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED: ${error.message}`, 'error');
+    }
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new TripUpdateTester().runAllTests();
+}
+
+export { TripUpdateTester };
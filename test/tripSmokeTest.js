@@ -3,6 +3,8 @@ import fetch from 'node-fetch';
 const API_BASE = process.env.TRAVLR_API_BASE_URL || 'http://localhost:3006';
 const POLL_INTERVAL_MS = Number(process.env.TRIP_STATUS_POLL_INTERVAL_MS || 5000);
 const POLL_TIMEOUT_MS = Number(process.env.TRIP_STATUS_POLL_TIMEOUT_MS || 120000);
+// Must match an entry in the server's API_KEYS (unless it runs with AUTH_ENABLED=false)
+const AUTH_HEADERS = process.env.TRAVLR_API_KEY ? { 'X-API-Key': process.env.TRAVLR_API_KEY } : {};
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
@@ -19,7 +21,8 @@ async function createTrip() {
   const response = await fetch(`${API_BASE}/api/trip/create`, {
     method: 'POST',
     headers: {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...AUTH_HEADERS
     },
     body: JSON.stringify({
       title: 'Smoke Test Trip',
@@ -35,7 +38,6 @@ async function createTrip() {
         minRating: 3.5,
         requiredAmenities: ['wifi']
       },
-      createdBy: 'smoke-test-runner',
       triggerOrchestrator: true
     })
   });
@@ -58,7 +60,7 @@ async function pollTripStatus(tripId) {
   const startedAt = Date.now();
 
   while (Date.now() - startedAt < POLL_TIMEOUT_MS) {
-    const response = await fetch(`${API_BASE}/api/trip/${tripId}/status`);
+    const response = await fetch(`${API_BASE}/api/trip/${tripId}/status`, { headers: AUTH_HEADERS });
     if (!response.ok) {
       const errorBody = await response.text();
       throw new Error(`Status check failed: ${response.status} ${response.statusText} - ${errorBody}`);
@@ -85,7 +87,7 @@ async function pollTripStatus(tripId) {
 }
 
 async function fetchTrip(tripId) {
-  const response = await fetch(`${API_BASE}/api/trip/${tripId}`);
+  const response = await fetch(`${API_BASE}/api/trip/${tripId}`, { headers: AUTH_HEADERS });
   if (!response.ok) {
     const errorBody = await response.text();
     throw new Error(`Trip retrieval failed: ${response.status} ${response.statusText} - ${errorBody}`);